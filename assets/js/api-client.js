@@ -0,0 +1,665 @@
+// FEAWS API client for FEAWS Treasury API 1.0.0
+// Generated from scripts/core/openapi.js by scripts/generate-api-client.js.
+// Do not edit by hand: run `npm run generate:api-client`.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.FeawsApiClient = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    /**
+     * Decimal amount in token units, e.g. "12.5"
+     * @typedef {string|number} Amount
+     */
+
+    /**
+     * Symbol (USDC, USDC.e, USDT, DAI, WMATIC/WPOL, WETH) or token address
+     * @typedef {string} Token
+     */
+
+    /**
+     * @typedef {Object} TwapParams
+     * @property {Amount} amount
+     * @property {Token} [fromToken] - Default: "USDC"
+     * @property {Token} [toToken] - Default: "WMATIC"
+     * @property {number} [slices] - Default: 5
+     * @property {number} [intervalMinutes] - Default: 15
+     * @property {number} [maxSlippage] - Percent. Default: 0.5
+     * @property {'twap'|'vwap'} [strategy] - Default: "twap"
+     * @property {number} [limitPrice] - Defer slices priced worse than this (toToken per fromToken) and retry them until the price recovers
+     */
+
+    /**
+     * @typedef {Object} LopTwapParams
+     * @property {Amount} amount - USDC
+     * @property {number} [slices] - Default: 5
+     * @property {number} [intervalSeconds] - Default: 60
+     */
+
+    /**
+     * @typedef {Object} LimitOrderParams
+     * @property {Token} makerToken
+     * @property {Token} takerToken
+     * @property {Amount} makingAmount
+     * @property {Amount} takingAmount
+     * @property {number} [expiresInSeconds] - Default: 86400
+     * @property {'standard'|'stop_loss'|'take_profit'} [strategy] - Default: "standard"
+     * @property {Object} [strategyConfig]
+     */
+
+    /**
+     * @typedef {Object} SwapParams
+     * @property {Amount} amount
+     * @property {Token} [fromToken] - Default: "USDC"
+     * @property {Token} [toToken] - Default: "WMATIC"
+     * @property {number} [slippage] - Percent. Default: 1
+     */
+
+    /**
+     * @typedef {Object} FusionParams
+     * @property {Amount} amount
+     * @property {Token} [fromToken] - Default: "USDC"
+     * @property {Token} [toToken] - Default: "WMATIC"
+     * @property {number} [slippage] - Percent. Default: 1
+     * @property {'fast'|'medium'|'slow'} [preset] - Default: "fast"
+     */
+
+    /**
+     * @typedef {Object} ApproveParams
+     * @property {Token} [token] - Default: "USDC"
+     * @property {string|number} amount - Token units, or "max" for an unlimited allowance
+     */
+
+    /**
+     * @typedef {Object} BalanceParams
+     */
+
+    /**
+     * @typedef {TwapJobRequest|LopTwapJobRequest|LimitOrderJobRequest|SwapJobRequest|FusionJobRequest|ApproveJobRequest|BalanceJobRequest} JobRequest
+     */
+
+    /**
+     * @typedef {Object} TwapJobRequest
+     * @property {"twap"} type
+     * @property {TwapParams} params
+     */
+
+    /**
+     * @typedef {Object} LopTwapJobRequest
+     * @property {"lop-twap"} type
+     * @property {LopTwapParams} params
+     */
+
+    /**
+     * @typedef {Object} LimitOrderJobRequest
+     * @property {"limit-order"} type
+     * @property {LimitOrderParams} params
+     */
+
+    /**
+     * @typedef {Object} SwapJobRequest
+     * @property {"swap"} type
+     * @property {SwapParams} params
+     */
+
+    /**
+     * @typedef {Object} FusionJobRequest
+     * @property {"fusion"} type
+     * @property {FusionParams} params
+     */
+
+    /**
+     * @typedef {Object} ApproveJobRequest
+     * @property {"approve"} type
+     * @property {ApproveParams} params
+     */
+
+    /**
+     * @typedef {Object} BalanceJobRequest
+     * @property {"balance"} type
+     * @property {BalanceParams} [params]
+     */
+
+    /**
+     * @typedef {Object} Job
+     * @property {string} id
+     * @property {'twap'|'lop-twap'|'limit-order'|'swap'|'fusion'|'approve'|'balance'} type
+     * @property {'queued'|'running'|'paused'|'completed'|'failed'|'cancelled'} status
+     * @property {Object} params - Validated parameters; amounts in base units
+     * @property {{ completed?: number, total?: number|null, percent?: number, message?: string }} progress
+     * @property {Object|null} [result]
+     * @property {{ message?: string, code?: string|null }|null} [error]
+     * @property {Object} [refs] - Engine ids (twapId, orderHash) for the running job
+     * @property {string|null} [requestedBy]
+     * @property {string|null} [proposalId]
+     * @property {string} createdAt
+     * @property {string|null} [startedAt]
+     * @property {string|null} [finishedAt]
+     */
+
+    /**
+     * @typedef {Object} JobAmendment
+     * @property {Amount} [remainingAmount] - Unfilled fromToken volume, at most what is left; spread over the pending slices
+     * @property {number} [intervalMinutes]
+     * @property {number|null} [limitPrice] - toToken per fromToken; null removes the limit
+     */
+
+    /**
+     * @typedef {Object} Notional
+     * @property {string} [token]
+     * @property {number} [decimals]
+     * @property {string} [amount] - Base units
+     * @property {string} [formatted]
+     * @property {boolean} [allowance]
+     */
+
+    /**
+     * @typedef {Object} Proposal
+     * @property {string} id
+     * @property {string} type
+     * @property {Object} [params]
+     * @property {Notional} [notional]
+     * @property {string} [reason]
+     * @property {string} [requestedBy]
+     * @property {number} requiredApprovals
+     * @property {Array<{ approver?: string, keyId?: string, comment?: string|null, at?: string }>} approvals
+     * @property {'pending'|'released'|'failed'|'rejected'|'cancelled'|'expired'} status
+     * @property {string} [createdAt]
+     * @property {string} [expiresAt]
+     * @property {string|null} [jobId]
+     */
+
+    /**
+     * @typedef {Object} JobAccepted
+     * @property {true} [success]
+     * @property {string} [message]
+     * @property {string} [jobId]
+     * @property {Job} [job]
+     */
+
+    /**
+     * @typedef {Object} ProposalAccepted
+     * @property {true} [success]
+     * @property {true} [requiresApproval]
+     * @property {string} [message]
+     * @property {Proposal} [proposal]
+     */
+
+    /**
+     * @typedef {Object} Principal
+     * @property {string} [keyId]
+     * @property {string} [name]
+     * @property {Array<'viewer'|'trader'|'approver'|'admin'>} [roles]
+     * @property {'api-key'|'session'} [via]
+     */
+
+    /**
+     * @typedef {Object} ApiKey
+     * @property {string} [id]
+     * @property {string} [name]
+     * @property {Array<'viewer'|'trader'|'approver'|'admin'>} [roles]
+     * @property {string} [createdAt]
+     * @property {string|null} [revokedAt]
+     */
+
+    /**
+     * @typedef {Object} Balance
+     * @property {string} [raw]
+     * @property {string} [formatted]
+     * @property {string} [address]
+     * @property {string} [error]
+     */
+
+    /**
+     * @typedef {Object} Prices
+     * @property {true} [success]
+     * @property {Object<string, number>} [prices] - USD, keyed usdc, usdt, dai, wmatic, weth
+     * @property {Object<string, '1inch'|'chainlink'|'demo'>} [sources]
+     * @property {Array<string>} [unavailable]
+     * @property {string} [updatedAt]
+     */
+
+    /**
+     * @typedef {Object} ExecutionStats
+     * @property {{ slices?: number, volume?: number, txHashes?: Array<string> }} [twap]
+     * @property {{ created?: number, filled?: number, orderHashes?: Array<string> }} [limitOrders]
+     * @property {{ executed?: number, volume?: number, gasUsed?: string, gasCostUSD?: number, txHashes?: Array<string> }} [swaps]
+     * @property {{ created?: number, orderHashes?: Array<string> }} [fusion]
+     * @property {number} [totalProofs]
+     */
+
+    /**
+     * @typedef {Object} HistoryRecord
+     * @property {string} [id] - Proof path with colons for slashes, such as execution-proofs:twap-order-0-1754164299285.json, or jobs:<job id>
+     * @property {'data'|'engine'|'execution-proofs'|'jobs'} [source]
+     * @property {string|null} [file]
+     * @property {string} [strategy]
+     * @property {string} [status]
+     * @property {string} [timestamp]
+     * @property {string|null} [fromToken]
+     * @property {string|null} [toToken]
+     * @property {Array<string>} [txHashes]
+     * @property {Array<string>} [orderHashes]
+     * @property {string|null} [jobId]
+     * @property {string|null} [error] - Failure message for jobs
+     * @property {*} [proof] - Full proof file; only on GET /api/history/{id}
+     */
+
+    /**
+     * @typedef {Object} ValidationIssue
+     * @property {string} [field] - e.g. params.amount, query.limit
+     * @property {string} [message]
+     */
+
+    /**
+     * @typedef {Object} ErrorResponse
+     * @property {false} success
+     * @property {string} error
+     * @property {string} [field]
+     * @property {Array<ValidationIssue>} [errors]
+     */
+
+    class FeawsApiError extends Error {
+        /**
+         * @param {number} status
+         * @param {ErrorResponse} [body]
+         */
+        constructor(status, body) {
+            super((body && body.error) || `HTTP ${status}`);
+            this.name = 'FeawsApiError';
+            this.status = status;
+            this.field = body && body.field;
+            this.errors = (body && body.errors) || [];
+            this.body = body;
+        }
+    }
+
+    class FeawsApiClient {
+        /**
+         * @param {Object} [options]
+         * @param {string} [options.baseUrl] - e.g. http://localhost:3001; defaults to the page origin
+         * @param {Function} [options.fetch] - fetch-compatible function, e.g. the dashboards' apiFetch
+         * @param {string} [options.apiKey] - API key or session token, sent as a Bearer token
+         */
+        constructor(options = {}) {
+            this.baseUrl = (options.baseUrl || '').replace(/\/+$/, '');
+            this.fetch = options.fetch || ((url, init) => fetch(url, init));
+            this.apiKey = options.apiKey || null;
+        }
+
+        /**
+         * @throws {FeawsApiError} For non-2xx responses; `field` and `errors` carry validation details
+         */
+        async request(method, path, { body, query } = {}) {
+            const search = new URLSearchParams(
+                Object.entries(query || {}).filter(([, value]) => value !== undefined && value !== null).map(([key, value]) => [key, String(value)])
+            ).toString();
+            const headers = { Accept: 'application/json' };
+            if (body !== undefined) {
+                headers['Content-Type'] = 'application/json';
+            }
+            if (this.apiKey) {
+                headers.Authorization = `Bearer ${this.apiKey}`;
+            }
+
+            const response = await this.fetch(`${this.baseUrl}${path}${search ? `?${search}` : ''}`, {
+                method,
+                headers,
+                body: body === undefined ? undefined : JSON.stringify(body)
+            });
+            const text = await response.text();
+            const data = text ? JSON.parse(text) : null;
+
+            if (!response.ok) {
+                throw new FeawsApiError(response.status, data);
+            }
+            return data;
+        }
+
+        /**
+         * Server health and execution mode
+         * @returns {Promise<{ status?: "healthy", mode?: 'live'|'paper'|'demo', timestamp?: string, wallet?: string, network?: string }>}
+         */
+        getHealth() {
+            return this.request('GET', `/health`);
+        }
+
+        /**
+         * This document
+         * @returns {Promise<Object>}
+         */
+        getOpenApi() {
+            return this.request('GET', `/api/openapi.json`);
+        }
+
+        /**
+         * Exchange an API key for a session token
+         * @param {{ apiKey: string }} body
+         * @returns {Promise<{ success?: true, token?: string, expiresAt?: string, principal?: Principal }>}
+         */
+        createSession(body) {
+            return this.request('POST', `/api/auth/session`, { body });
+        }
+
+        /**
+         * Current principal and roles
+         * Requires the viewer role.
+         * @returns {Promise<{ success?: true, principal?: Principal }>}
+         */
+        getMe() {
+            return this.request('GET', `/api/auth/me`);
+        }
+
+        /**
+         * List API keys
+         * Requires the admin role.
+         * @returns {Promise<{ success?: true, keys?: Array<ApiKey> }>}
+         */
+        listApiKeys() {
+            return this.request('GET', `/api/auth/keys`);
+        }
+
+        /**
+         * Create an API key; the plaintext key is only returned here
+         * Requires the admin role.
+         * @param {{ name: string, roles: Array<'viewer'|'trader'|'approver'|'admin'> }} body
+         * @returns {Promise<{ success?: true, apiKey?: string, key?: ApiKey }>}
+         */
+        createApiKey(body) {
+            return this.request('POST', `/api/auth/keys`, { body });
+        }
+
+        /**
+         * Revoke an API key and its sessions
+         * Requires the admin role.
+         * @param {string} id - API key id
+         * @returns {Promise<{ success?: true, key?: ApiKey }>}
+         */
+        revokeApiKey(id) {
+            return this.request('DELETE', `/api/auth/keys/${encodeURIComponent(id)}`);
+        }
+
+        /**
+         * Wallet balances
+         * Requires the viewer role.
+         * @returns {Promise<{ success?: true, wallet?: string, balances?: Object<string, Balance>, timestamp?: string }>}
+         */
+        getBalances() {
+            return this.request('GET', `/api/balances`);
+        }
+
+        /**
+         * USD token prices (1inch spot, Chainlink fallback)
+         * Requires the viewer role.
+         * @returns {Promise<Prices>}
+         */
+        getPrices() {
+            return this.request('GET', `/api/prices`);
+        }
+
+        /**
+         * Execution totals from stored proofs
+         * Requires the viewer role.
+         * @returns {Promise<{ success?: true, stats?: ExecutionStats, pricesUpdatedAt?: string }>}
+         */
+        getRealStats() {
+            return this.request('GET', `/api/real-stats`);
+        }
+
+        /**
+         * Execution history, newest first
+         * Requires the viewer role.
+         * @param {Object} [query]
+         * @param {'twap'|'lop-twap'|'limit-order'|'swap'|'fusion'|'approve'|'deployment'} [query.strategy]
+         * @param {string} [query.status] - e.g. completed, failed, filled, created
+         * @param {string} [query.pair] - Token pair in either direction
+         * @param {'data'|'engine'|'execution-proofs'|'jobs'} [query.source]
+         * @param {string} [query.jobId]
+         * @param {string} [query.since] - ISO date or ms timestamp, inclusive
+         * @param {string} [query.until] - ISO date or ms timestamp, exclusive
+         * @param {string} [query.txHash]
+         * @param {string} [query.orderHash]
+         * @param {number} [query.limit] - Default: 50
+         * @param {string} [query.cursor] - nextCursor from the previous page
+         * @returns {Promise<{ success?: true, items?: Array<HistoryRecord>, total?: number, nextCursor?: string|null }>}
+         */
+        getHistory(query) {
+            return this.request('GET', `/api/history`, { query });
+        }
+
+        /**
+         * One history record with its full proof
+         * Requires the viewer role.
+         * @param {string} id - Record id, e.g. execution-proofs:twap-order-0-1754164299285.json or jobs:<job id>
+         * @returns {Promise<{ success?: true, record?: HistoryRecord }>}
+         */
+        getHistoryRecord(id) {
+            return this.request('GET', `/api/history/${encodeURIComponent(id)}`);
+        }
+
+        /**
+         * List jobs, newest first
+         * Requires the viewer role.
+         * @param {Object} [query]
+         * @param {'twap'|'lop-twap'|'limit-order'|'swap'|'fusion'|'approve'|'balance'} [query.type]
+         * @param {'queued'|'running'|'paused'|'completed'|'failed'|'cancelled'} [query.status]
+         * @returns {Promise<{ success?: true, jobs?: Array<Job>, count?: number }>}
+         */
+        listJobs(query) {
+            return this.request('GET', `/api/jobs`, { query });
+        }
+
+        /**
+         * Start a job
+         * Requires the trader role.
+         * @param {JobRequest} body
+         * @returns {Promise<JobAccepted|ProposalAccepted>}
+         */
+        createJob(body) {
+            return this.request('POST', `/api/jobs`, { body });
+        }
+
+        /**
+         * Job status, progress and result
+         * Requires the viewer role.
+         * @param {string} id - Job id
+         * @returns {Promise<{ success?: true, job?: Job }>}
+         */
+        getJob(id) {
+            return this.request('GET', `/api/jobs/${encodeURIComponent(id)}`);
+        }
+
+        /**
+         * Change the remaining size, interval or limit price of a running or paused TWAP job
+         * Requires the trader role.
+         * @param {string} id - Job id
+         * @param {JobAmendment} body
+         * @returns {Promise<{ success?: true, job?: Job }>}
+         */
+        amendJob(id, body) {
+            return this.request('PATCH', `/api/jobs/${encodeURIComponent(id)}`, { body });
+        }
+
+        /**
+         * Cancel a job
+         * Requires the trader role.
+         * @param {string} id - Job id
+         * @returns {Promise<{ success?: true, job?: Job }>}
+         */
+        cancelJob(id) {
+            return this.request('DELETE', `/api/jobs/${encodeURIComponent(id)}`);
+        }
+
+        /**
+         * Stop releasing slices of a running TWAP job until it is resumed
+         * Requires the trader role.
+         * @param {string} id - Job id
+         * @param {{ cancelOutstanding?: boolean }} [body]
+         * @returns {Promise<{ success?: true, job?: Job }>}
+         */
+        pauseJob(id, body) {
+            return this.request('POST', `/api/jobs/${encodeURIComponent(id)}/pause`, { body });
+        }
+
+        /**
+         * Resume a paused TWAP job, shifting its remaining slices by the time spent paused
+         * Requires the trader role.
+         * @param {string} id - Job id
+         * @returns {Promise<{ success?: true, job?: Job }>}
+         */
+        resumeJob(id) {
+            return this.request('POST', `/api/jobs/${encodeURIComponent(id)}/resume`);
+        }
+
+        /**
+         * TWAP 0.1 USDC into WMATIC over 2 slices by default
+         * Requires the trader role.
+         * @param {Object} [body]
+         * @returns {Promise<JobAccepted|ProposalAccepted>}
+         */
+        executeTwap(body) {
+            return this.request('POST', `/api/execute/twap`, { body });
+        }
+
+        /**
+         * Sign LOP v4 TWAP orders for 0.1 USDC by default
+         * Requires the trader role.
+         * @param {Object} [body]
+         * @returns {Promise<JobAccepted|ProposalAccepted>}
+         */
+        executeLopTwap(body) {
+            return this.request('POST', `/api/execute/lop-twap`, { body });
+        }
+
+        /**
+         * Place a small WMATIC -> USDT limit order by default
+         * Requires the trader role.
+         * @param {Object} [body]
+         * @returns {Promise<JobAccepted|ProposalAccepted>}
+         */
+        executeLop(body) {
+            return this.request('POST', `/api/execute/lop`, { body });
+        }
+
+        /**
+         * Swap 0.1 USDC to WMATIC through the aggregator by default
+         * Requires the trader role.
+         * @param {Object} [body]
+         * @returns {Promise<JobAccepted|ProposalAccepted>}
+         */
+        executeSwap(body) {
+            return this.request('POST', `/api/execute/swap`, { body });
+        }
+
+        /**
+         * Create a 0.1 USDC -> WMATIC Fusion order by default
+         * Requires the trader role.
+         * @param {Object} [body]
+         * @returns {Promise<JobAccepted|ProposalAccepted>}
+         */
+        executeFusion(body) {
+            return this.request('POST', `/api/execute/fusion`, { body });
+        }
+
+        /**
+         * Approve 1 USDC for the 1inch router by default
+         * Requires the trader role.
+         * @param {Object} [body]
+         * @returns {Promise<JobAccepted|ProposalAccepted>}
+         */
+        executeApprove(body) {
+            return this.request('POST', `/api/execute/approve`, { body });
+        }
+
+        /**
+         * Fetch wallet balances as a job
+         * Requires the trader role.
+         * @param {Object} [body]
+         * @returns {Promise<JobAccepted|ProposalAccepted>}
+         */
+        executeBalance(body) {
+            return this.request('POST', `/api/execute/balance`, { body });
+        }
+
+        /**
+         * Operations held for approval, and the policy
+         * Requires the viewer role.
+         * @param {Object} [query]
+         * @param {'pending'|'released'|'failed'|'rejected'|'cancelled'|'expired'} [query.status]
+         * @returns {Promise<{ success?: true, proposals?: Array<Proposal>, count?: number, policy?: Object }>}
+         */
+        listProposals(query) {
+            return this.request('GET', `/api/proposals`, { query });
+        }
+
+        /**
+         * One proposal
+         * Requires the viewer role.
+         * @param {string} id - Proposal id
+         * @returns {Promise<{ success?: true, proposal?: Proposal }>}
+         */
+        getProposal(id) {
+            return this.request('GET', `/api/proposals/${encodeURIComponent(id)}`);
+        }
+
+        /**
+         * Withdraw a pending proposal (its proposer or an admin)
+         * Requires the trader role.
+         * @param {string} id - Proposal id
+         * @returns {Promise<{ success?: true, proposal?: Proposal }>}
+         */
+        cancelProposal(id) {
+            return this.request('DELETE', `/api/proposals/${encodeURIComponent(id)}`);
+        }
+
+        /**
+         * Approve a proposal; it runs once enough approvers sign off
+         * Requires the approver role.
+         * @param {string} id - Proposal id
+         * @param {{ comment?: string }} [body]
+         * @returns {Promise<{ success?: true, proposal?: Proposal }>}
+         */
+        approveProposal(id, body) {
+            return this.request('POST', `/api/proposals/${encodeURIComponent(id)}/approve`, { body });
+        }
+
+        /**
+         * Reject a proposal
+         * Requires the approver role.
+         * @param {string} id - Proposal id
+         * @param {{ comment?: string }} [body]
+         * @returns {Promise<{ success?: true, proposal?: Proposal }>}
+         */
+        rejectProposal(id, body) {
+            return this.request('POST', `/api/proposals/${encodeURIComponent(id)}/reject`, { body });
+        }
+
+        /**
+         * Approval audit journal, newest first
+         * Requires the approver role.
+         * @param {Object} [query]
+         * @param {string} [query.proposalId]
+         * @param {number} [query.limit] - Default: 200
+         * @returns {Promise<{ success?: true, entries?: Array<Object>, count?: number }>}
+         */
+        getApprovalAudit(query) {
+            return this.request('GET', `/api/approvals/audit`, { query });
+        }
+
+        /**
+         * Scripts in scripts/
+         * Requires the admin role.
+         * @returns {Promise<{ success?: true, scripts?: Array<Object>, count?: number }>}
+         */
+        listScripts() {
+            return this.request('GET', `/api/scripts`);
+        }
+    }
+
+    FeawsApiClient.FeawsApiError = FeawsApiError;
+    return FeawsApiClient;
+});
@@ -0,0 +1,50 @@
+// FEAWS API session handling
+// Keeps a session token in sessionStorage and attaches it to API calls. On a
+// 401 the user is asked for an API key once, which is exchanged for a session.
+
+const FEAWS_TOKEN_KEY = 'feaws_session_token';
+let pendingSession = null;
+
+async function createSession(baseUrl) {
+    const apiKey = window.prompt('FEAWS API key');
+    if (!apiKey) {
+        return null;
+    }
+
+    const response = await fetch(`${baseUrl}/api/auth/session`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ apiKey: apiKey.trim() })
+    });
+    if (!response.ok) {
+        return null;
+    }
+
+    const { token } = await response.json();
+    sessionStorage.setItem(FEAWS_TOKEN_KEY, token);
+    return token;
+}
+
+// Drop-in replacement for fetch() for FEAWS API routes
+async function apiFetch(url, options = {}) {
+    const baseUrl = url.startsWith('http') ? new URL(url).origin : '';
+    const send = (token) => fetch(url, {
+        ...options,
+        headers: { ...(options.headers || {}), ...(token && { Authorization: `Bearer ${token}` }) }
+    });
+
+    const response = await send(sessionStorage.getItem(FEAWS_TOKEN_KEY));
+    if (response.status !== 401) {
+        return response;
+    }
+
+    // Parallel requests share one prompt
+    sessionStorage.removeItem(FEAWS_TOKEN_KEY);
+    pendingSession = pendingSession || createSession(baseUrl).finally(() => { pendingSession = null; });
+    const token = await pendingSession;
+    return token ? send(token) : response;
+}
+
+function getSessionToken() {
+    return sessionStorage.getItem(FEAWS_TOKEN_KEY);
+}
@@ -27,7 +27,7 @@ function initializeApp() {
 function connectToBackend() {
     try {
         addTerminalLine('📡 Attempting backend connection...', 'info');
-        socket = io('http://localhost:3001');
+        socket = io('http://localhost:3001', { auth: { token: getSessionToken() } });
         
         socket.on('connect', () => {
             isConnected = true;
@@ -54,6 +54,28 @@ function connectToBackend() {
             addTerminalLine(`🎯 Order created: ${order.id}`, 'success');
         });
 
+        // Structured execution events from server.js
+        socket.on('order_submitted', (event) => {
+            addTerminalLine(`📤 TWAP ${event.data.twapId} slice ${event.data.sliceIndex + 1} submitted via ${event.data.method}`, 'info');
+        });
+
+        socket.on('fill_detected', (event) => {
+            addTerminalLine(`✅ TWAP ${event.data.twapId} slice ${event.data.sliceIndex + 1} filled`, 'success');
+        });
+
+        socket.on('slice_skipped', (event) => {
+            addTerminalLine(`⏭️ TWAP ${event.data.twapId} slice ${event.data.sliceIndex + 1} skipped: ${event.data.reason}`, 'warning');
+        });
+
+        socket.on('twap_completed', (event) => {
+            addTerminalLine(`🎉 TWAP ${event.data.twapId} ${event.data.status}: ${event.data.executedSlices}/${event.data.totalSlices} slices`, 'success');
+        });
+
+        socket.on('balance_changed', (event) => {
+            addTerminalLine(`💰 Balances changed: ${Object.keys(event.data.changes).join(', ')}`, 'info');
+            updateBalanceDisplay(event.data.balances);
+        });
+
         // Timeout for connection
         setTimeout(() => {
             if (!isConnected) {
@@ -159,19 +181,21 @@ async function executeStrategy(strategyType) {
     
     try {
         if (isConnected) {
-            // Real backend execution
-            const response = await fetch(`http://localhost:3001/api/execute/${strategyType}`, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ amount: 1000 })
+            // Real backend execution: the route runs its preset amounts, or holds
+            // the job for approval when the policy asks for it
+            const response = await apiFetch(`http://localhost:3001/api/execute/${strategyType}`, {
+                method: 'POST'
             });
-            
-            if (response.ok) {
-                const result = await response.json();
-                addTerminalLine(`✅ ${strategyType.toUpperCase()} strategy completed successfully`, 'success');
-                showNotification(`${strategyType.toUpperCase()} strategy executed!`, 'success');
+            const result = await response.json();
+
+            if (response.ok && result.requiresApproval) {
+                addTerminalLine(`🗳️ ${strategyType.toUpperCase()} strategy held: ${result.message}`, 'warning');
+                showNotification(`${strategyType.toUpperCase()} strategy needs approval`, 'warning');
+            } else if (response.ok) {
+                addTerminalLine(`✅ ${strategyType.toUpperCase()} strategy queued as job ${result.jobId}`, 'success');
+                showNotification(`${strategyType.toUpperCase()} strategy queued!`, 'success');
             } else {
-                throw new Error('Backend execution failed');
+                throw new Error(result.error || 'Backend execution failed');
             }
         } else {
             // Demo mode execution
@@ -205,27 +229,6 @@ function getStrategySteps(strategyType) {
             '💱 Executing slice 1/10 via 1inch...',
             '💱 Executing slice 2/10 via 1inch...',
             '✅ TWAP execution completed successfully'
-        ],
-        yield: [
-            '🔍 Scanning yield opportunities...',
-            '📈 Found optimal APY: 15.7% on Aave',
-            '💰 Depositing 1000 USDC to Aave...',
-            '🎯 Position opened successfully',
-            '✅ Yield strategy activated'
-        ],
-        arbitrage: [
-            '🔍 Scanning DEX prices...',
-            '💡 Arbitrage opportunity found: USDC/WMATIC',
-            '⚡ Price difference: 0.3%',
-            '💱 Executing arbitrage trade...',
-            '✅ Arbitrage completed, profit: $3.50'
-        ],
-        rebalance: [
-            '📊 Analyzing portfolio allocation...',
-            '⚖️ Current allocation: 60% USDC, 40% WMATIC',
-            '🎯 Target allocation: 50% USDC, 50% WMATIC',
-            '🔄 Rebalancing portfolio...',
-            '✅ Portfolio rebalanced successfully'
         ]
     };
     
@@ -8,6 +8,9 @@ let realStats = {};
 let totalExecutions = 0;
 let totalVolume = 0;
 
+// Generated client (api-client.js); apiFetch adds the session token
+const api = new FeawsApiClient({ fetch: apiFetch });
+
 // Initialize the dashboard
 document.addEventListener('DOMContentLoaded', function() {
     initializeSystem();
@@ -25,7 +28,11 @@ function initializeSystem() {
     
     // Add initial log entry
     addLog('INFO', 'FEAWS Treasury Management System initialized');
-    addLog('INFO', 'Connected to Polygon Mainnet');
+    api.getHealth()
+        .then(health => addLog('INFO', health.mode === 'live'
+            ? 'Connected to Polygon Mainnet'
+            : `🧪 ${health.mode.toUpperCase()} MODE: orders fill against a simulated wallet`))
+        .catch(() => addLog('ERROR', 'Backend health check failed'));
     addLog('INFO', 'All systems operational and ready for execution');
 }
 
@@ -35,16 +42,16 @@ async function loadInitialData() {
         // Load real execution proofs from the file system
         const realProofs = await loadExecutionProofs();
         const [balances, history] = await Promise.all([
-            fetch('/api/balances').then(r => r.json()).catch(() => ({ 
+            api.getBalances().catch(() => ({ 
                 usdc: '0.0', 
                 wmatic: '0.0', 
                 wallet: '0x5756CB1C9223E109FCd0D0f0b48923b1D8B4C654' // Real wallet from memory
             })),
-            fetch('/api/history').then(r => r.json()).catch(() => [])
+            api.getHistory().catch(() => ({ items: [] }))
         ]);
         
         currentBalances = balances;
-        executionHistory = history;
+        executionHistory = history.items;
         
         // Update wallet address with REAL address
         const realWallet = '0x5756CB1C9223E109FCd0D0f0b48923b1D8B4C654';
@@ -74,13 +81,12 @@ async function loadInitialData() {
     }
 }
 
-// Load real market prices from CoinGecko
+// Load real market prices (1inch spot prices, Chainlink fallback)
 async function loadPrices() {
     try {
-        const response = await fetch('/api/prices');
-        const data = await response.json();
-        currentPrices = data;
-        addLog('SUCCESS', `Real prices loaded: WMATIC $${data.wmatic.toFixed(3)}, ETH $${data.weth.toFixed(0)}`);
+        const data = await api.getPrices();
+        currentPrices = data.prices;
+        addLog('SUCCESS', `Real prices loaded: WMATIC $${data.prices.wmatic.toFixed(3)}, ETH $${data.prices.weth.toFixed(0)}`);
     } catch (error) {
         console.error('Error loading prices:', error);
         addLog('ERROR', 'Failed to load real market prices, using fallback');
@@ -97,8 +103,7 @@ async function loadPrices() {
 // Load REAL execution statistics from actual proof files
 async function loadRealStats() {
     try {
-        const response = await fetch('/api/real-stats');
-        const stats = await response.json();
+        const { stats } = await api.getRealStats();
         realStats = stats;
         
         addLog('SUCCESS', `Real stats loaded: ${stats.twap.slices} TWAP slices, ${stats.limitOrders.created} limit orders`);
@@ -116,18 +121,15 @@ async function loadRealStats() {
 async function loadBalances() {
     try {
         // Load both balances and prices
-        const [balancesResponse, pricesResponse] = await Promise.all([
-            fetch('/api/balances'),
-            fetch('/api/prices')
+        const [balances, prices] = await Promise.all([
+            api.getBalances(),
+            api.getPrices()
         ]);
         
-        const balances = await balancesResponse.json();
-        const prices = await pricesResponse.json();
-        
         currentBalances = balances;
-        currentPrices = prices;
+        currentPrices = prices.prices;
         
-        addLog('SUCCESS', `Real prices: WMATIC $${prices.wmatic.toFixed(3)}, ETH $${prices.weth.toFixed(0)}`);
+        addLog('SUCCESS', `Real prices: WMATIC $${currentPrices.wmatic.toFixed(3)}, ETH $${currentPrices.weth.toFixed(0)}`);
         
         // Update treasury stats
         updateTreasuryStats();
@@ -193,18 +195,18 @@ function updateProvenIntegrations() {
         const details = lopCards[1].querySelector('.integration-details');
         details.innerHTML = `
             <div>${realStats.limitOrders.created} Orders Created</div>
-            <div>0 Orders Filled</div>
+            <div>${realStats.limitOrders.filled} Orders Filled</div>
             <div>${realStats.limitOrders.orderHashes.length} Real Order Hashes</div>
         `;
     }
     
-    // Update Aggregator Swaps with REAL data (currently 0)
+    // Update Aggregator Swaps with REAL data
     const readyCard = document.querySelector('.integration-card.ready');
     if (readyCard) {
         const details = readyCard.querySelector('.integration-details');
         details.innerHTML = `
             <div>${realStats.swaps.executed} Swaps Executed</div>
-            <div>$${realStats.swaps.gasSaved.toFixed(3)} Gas Saved</div>
+            <div>$${realStats.swaps.gasCostUSD.toFixed(3)} Gas Spent</div>
             <div>Ready for Demo</div>
         `;
     }
@@ -341,13 +343,63 @@ function startRealTimeUpdates() {
     // Update time elapsed every second
     setInterval(updateTimeElapsed, 1000);
     
-    // Update data every 10 seconds
-    setInterval(refreshData, 10000);
+    // Executions, fills and balance changes are pushed by the server; the
+    // slow poll only covers anything missed while disconnected
+    subscribeToEvents(handleExecutionEvent);
+    setInterval(refreshData, 60000);
     
     // Update charts every 30 seconds
     setInterval(updateCharts, 30000);
 }
 
+// Log pushed execution events and refresh when funds have moved
+function handleExecutionEvent(event) {
+    const { type, data } = event;
+    const slice = data.sliceIndex !== undefined ? `Slice ${data.sliceIndex + 1}` : '';
+
+    switch (type) {
+        case 'slice_scheduled':
+            addLog('INFO', `${slice} scheduled for ${new Date(data.executeAt).toLocaleTimeString()}`);
+            break;
+        case 'order_signed':
+            addLog('INFO', `${slice} order signed: ${data.orderHash.substring(0, 10)}...`);
+            break;
+        case 'order_submitted':
+            addLog('PENDING', `${slice} submitted via ${data.method}`, data.txHash);
+            break;
+        case 'fill_detected':
+            addLog('SUCCESS', `${slice} filled (${data.remainingAmount} remaining)`, data.txHash);
+            break;
+        case 'slice_skipped':
+            addLog('INFO', `${slice} skipped: ${data.reason}`);
+            break;
+        case 'slice_failed':
+            addLog('ERROR', `${slice} failed: ${data.error}`);
+            break;
+        case 'twap_completed':
+            addLog('SUCCESS', `TWAP ${data.status}: ${data.executedSlices}/${data.totalSlices} slices executed`);
+            break;
+        case 'balance_changed':
+            addLog('INFO', `Balances changed: ${Object.keys(data.changes).join(', ')}`);
+            refreshData();
+            break;
+        case 'job_update':
+            if (data.job.status === 'completed' && data.job.type === 'swap') {
+                addLog('SUCCESS', `Swap executed: ${data.job.result.fromAmount} ${data.job.result.fromToken} → ${data.job.result.toAmount} ${data.job.result.toToken}`, data.job.result.txHash);
+                addProof('1inch Aggregator Swap', '1inch Protocol aggregator swap with best price discovery', data.job.result.txHash);
+            } else if (data.job.status === 'completed' && data.job.type === 'fusion') {
+                addLog('SUCCESS', `Fusion order created: ${data.job.result.orderHash.substring(0, 10)}...`);
+                addProof('Fusion Protocol Execution', '1inch Fusion Protocol gasless order submitted to resolvers', null, data.job.result.orderHash);
+            } else if (data.job.status === 'failed') {
+                addLog('ERROR', `${data.job.type} job failed: ${data.job.error.message}`);
+            }
+            break;
+        case 'proposal_update':
+            addLog('PENDING', `Proposal ${data.proposal.id} ${data.proposal.status} (${data.proposal.approvals.length}/${data.proposal.requiredApprovals} approvals)`);
+            break;
+    }
+}
+
 // Update time elapsed
 function updateTimeElapsed() {
     const now = new Date();
@@ -534,26 +586,17 @@ async function executeTWAP() {
     addLog('PENDING', 'Initiating TWAP execution...');
     
     try {
-        const response = await fetch('/api/execute/twap', { 
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' }
-        });
+        const result = await api.executeTwap();
         
-        const result = await response.json();
-        
-        if (response.ok) {
-            totalExecutions++;
-            totalVolume += 10; // Mock volume
-            
-            addLog('SUCCESS', `TWAP executed successfully: ${result.message}`);
-            addProof('TWAP Execution', 'Time-Weighted Average Price strategy executed successfully', result.txHash);
-            
-            updateTreasuryStats();
-            updateStrategyMetrics();
-            refreshData();
-        } else {
-            addLog('ERROR', `TWAP execution failed: ${result.error || 'Unknown error'}`);
-        }
+        totalExecutions++;
+        totalVolume += 10; // Mock volume
+        
+        addLog('SUCCESS', `TWAP executed successfully: ${result.message}`);
+        addProof('TWAP Execution', 'Time-Weighted Average Price strategy executed successfully', result.txHash);
+        
+        updateTreasuryStats();
+        updateStrategyMetrics();
+        refreshData();
     } catch (error) {
         addLog('ERROR', `TWAP execution failed: ${error.message}`);
     }
@@ -564,26 +607,17 @@ async function executeLOPTWAP() {
     addLog('PENDING', 'Initiating Limit Order Protocol TWAP...');
     
     try {
-        const response = await fetch('/api/execute/lop-twap', { 
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' }
-        });
+        const result = await api.executeLopTwap();
         
-        const result = await response.json();
-        
-        if (response.ok) {
-            totalExecutions++;
-            totalVolume += 15; // Mock volume
-            
-            addLog('SUCCESS', `LOP TWAP executed successfully: ${result.message}`);
-            addProof('Limit Order Protocol TWAP', '1inch Limit Order Protocol v4 TWAP strategy executed', result.txHash, result.orderHash);
-            
-            updateTreasuryStats();
-            updateStrategyMetrics();
-            refreshData();
-        } else {
-            addLog('ERROR', `LOP TWAP execution failed: ${result.error || 'Unknown error'}`);
-        }
+        totalExecutions++;
+        totalVolume += 15; // Mock volume
+        
+        addLog('SUCCESS', `LOP TWAP executed successfully: ${result.message}`);
+        addProof('Limit Order Protocol TWAP', '1inch Limit Order Protocol v4 TWAP strategy executed', result.txHash, result.orderHash);
+        
+        updateTreasuryStats();
+        updateStrategyMetrics();
+        refreshData();
     } catch (error) {
         addLog('ERROR', `LOP TWAP execution failed: ${error.message}`);
     }
@@ -594,26 +628,17 @@ async function executeFusion() {
     addLog('PENDING', 'Initiating Fusion Protocol execution...');
     
     try {
-        const response = await fetch('/api/execute/fusion', { 
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' }
-        });
+        const result = await api.executeFusion();
         
-        const result = await response.json();
-        
-        if (response.ok) {
-            totalExecutions++;
-            totalVolume += 20; // Mock volume
-            
-            addLog('SUCCESS', `Fusion executed successfully: ${result.message}`);
-            addProof('Fusion Protocol Execution', '1inch Fusion Protocol advanced order execution completed', result.txHash);
-            
-            updateTreasuryStats();
-            updateStrategyMetrics();
-            refreshData();
-        } else {
-            addLog('ERROR', `Fusion execution failed: ${result.error || 'Unknown error'}`);
-        }
+        totalExecutions++;
+        totalVolume += 20; // Mock volume
+        
+        // The order hash arrives with the job_update event once the order is submitted
+        addLog('PENDING', result.requiresApproval ? result.message : `Fusion order queued as job ${result.jobId}`);
+        
+        updateTreasuryStats();
+        updateStrategyMetrics();
+        refreshData();
     } catch (error) {
         addLog('ERROR', `Fusion execution failed: ${error.message}`);
     }
@@ -623,12 +648,12 @@ async function executeFusion() {
 async function refreshData() {
     try {
         const [balances, history] = await Promise.all([
-            fetch('/api/balances').then(r => r.json()).catch(() => currentBalances),
-            fetch('/api/history').then(r => r.json()).catch(() => executionHistory)
+            api.getBalances().catch(() => currentBalances),
+            api.getHistory().catch(() => ({ items: executionHistory }))
         ]);
         
         currentBalances = balances;
-        executionHistory = history;
+        executionHistory = history.items;
         
         updateTreasuryStats();
         updateStrategyMetrics();
@@ -652,31 +677,20 @@ async function executeSwap() {
     addLog('PENDING', 'Initiating 1inch Aggregator swap...');
     
     try {
-        const response = await fetch('/api/execute/swap', { 
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-                fromToken: 'USDC',
-                toToken: 'WMATIC',
-                amount: '0.1'
-            })
+        const result = await api.executeSwap({
+            fromToken: 'USDC',
+            toToken: 'WMATIC',
+            amount: '0.1'
         });
         
-        const result = await response.json();
-        
-        if (response.ok) {
-            totalExecutions++;
-            totalVolume += 0.1;
-            
-            addLog('SUCCESS', `Swap executed: 0.1 USDC → ${result.toAmount} WMATIC`, result.txHash);
-            addProof('1inch Aggregator Swap', '1inch Protocol aggregator swap with best price discovery', result.txHash);
-            
-            updateTreasuryStats();
-            updateStrategyMetrics();
-            refreshData();
-        } else {
-            addLog('ERROR', `Swap execution failed: ${result.error || 'Unknown error'}`);
-        }
+        totalExecutions++;
+        totalVolume += 0.1;
+        
+        addLog('PENDING', result.requiresApproval ? result.message : `Swap of 0.1 USDC → WMATIC queued as job ${result.jobId}`);
+        
+        updateTreasuryStats();
+        updateStrategyMetrics();
+        refreshData();
     } catch (error) {
         addLog('ERROR', `Swap execution failed: ${error.message}`);
     }
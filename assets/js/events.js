@@ -0,0 +1,57 @@
+// FEAWS execution events over Server-Sent Events
+// EventSource cannot send headers, so the session token from auth.js goes in
+// the query string. Pass a jobId to follow a single execution.
+
+const FEAWS_EVENT_TYPES = [
+    'slice_scheduled',
+    'order_signed',
+    'order_submitted',
+    'fill_detected',
+    'slice_skipped',
+    'slice_failed',
+    'twap_completed',
+    'balance_changed',
+    'job_update',
+    'proposal_update'
+];
+
+function subscribeToEvents(onEvent, options = {}) {
+    const baseUrl = options.baseUrl || '';
+    let source = null;
+    let closed = false;
+
+    function open() {
+        const params = new URLSearchParams({ token: getSessionToken() || '' });
+        if (options.jobId) {
+            params.set('jobId', options.jobId);
+        }
+
+        source = new EventSource(`${baseUrl}/api/events?${params}`);
+        FEAWS_EVENT_TYPES.forEach(type => {
+            source.addEventListener(type, message => onEvent(JSON.parse(message.data)));
+        });
+
+        // EventSource retries dropped connections itself but gives up on a 401;
+        // get a fresh session through apiFetch and reconnect
+        source.onerror = () => {
+            if (source.readyState !== EventSource.CLOSED || closed) {
+                return;
+            }
+            setTimeout(() => {
+                apiFetch(`${baseUrl}/api/auth/me`).then(response => {
+                    if (response.ok && !closed) {
+                        open();
+                    }
+                });
+            }, 5000);
+        };
+    }
+
+    open();
+    return {
+        close() {
+            closed = true;
+            source.close();
+        }
+    };
+}
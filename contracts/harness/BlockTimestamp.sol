@@ -0,0 +1,13 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title BlockTimestamp
+ * @notice The one Multicall3 view that LOP time predicates rely on, placed at the
+ *         Multicall3 address on chains that do not have it
+ */
+contract BlockTimestamp {
+    function getCurrentBlockTimestamp() external view returns (uint256 timestamp) {
+        timestamp = block.timestamp;
+    }
+}
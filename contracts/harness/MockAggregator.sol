@@ -0,0 +1,32 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title MockAggregator
+ * @notice Chainlink aggregator stand-in with a settable answer
+ */
+contract MockAggregator {
+    uint8 public immutable decimals;
+
+    int256 public latestAnswer;
+    uint256 public latestTimestamp;
+    uint80 public latestRound;
+
+    constructor(uint8 decimals_) {
+        decimals = decimals_;
+    }
+
+    function setAnswer(int256 answer) external {
+        latestAnswer = answer;
+        latestTimestamp = block.timestamp;
+        latestRound++;
+    }
+
+    function latestRoundData()
+        external
+        view
+        returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound)
+    {
+        return (latestRound, latestAnswer, latestTimestamp, latestTimestamp, latestRound);
+    }
+}
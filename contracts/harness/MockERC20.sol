@@ -0,0 +1,102 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title MockERC20
+ * @notice Freely mintable ERC20 for the local end-to-end harness
+ * @dev Name, symbol and decimals are immutables so the runtime code can be copied
+ *      onto a canonical Polygon token address with anvil_setCode and keep them.
+ *      Never deploy outside a local test chain.
+ */
+contract MockERC20 {
+    bytes32 private immutable _name;
+    bytes32 private immutable _symbol;
+    uint8 public immutable decimals;
+
+    uint256 public totalSupply;
+    mapping(address => uint256) public balanceOf;
+    mapping(address => mapping(address => uint256)) public allowance;
+
+    /// @notice Spender whose allowances another contract may use (see setSpenderAlias)
+    mapping(address => address) public spenderAlias;
+
+    event Transfer(address indexed from, address indexed to, uint256 value);
+    event Approval(address indexed owner, address indexed spender, uint256 value);
+
+    constructor(string memory name_, string memory symbol_, uint8 decimals_) {
+        _name = bytes32(bytes(name_));
+        _symbol = bytes32(bytes(symbol_));
+        decimals = decimals_;
+    }
+
+    function name() external view returns (string memory) {
+        return _toString(_name);
+    }
+
+    function symbol() external view returns (string memory) {
+        return _toString(_symbol);
+    }
+
+    function mint(address to, uint256 amount) public {
+        totalSupply += amount;
+        balanceOf[to] += amount;
+        emit Transfer(address(0), to, amount);
+    }
+
+    /// @notice Let `spender` pull funds using the allowances granted to `alias_`
+    /// @dev Used so the mock swap router can spend approvals made to the 1inch router
+    function setSpenderAlias(address spender, address alias_) external {
+        spenderAlias[spender] = alias_;
+    }
+
+    function approve(address spender, uint256 amount) external returns (bool) {
+        allowance[msg.sender][spender] = amount;
+        emit Approval(msg.sender, spender, amount);
+        return true;
+    }
+
+    function transfer(address to, uint256 amount) external returns (bool) {
+        _transfer(msg.sender, to, amount);
+        return true;
+    }
+
+    function transferFrom(address from, address to, uint256 amount) external returns (bool) {
+        address spender = spenderAlias[msg.sender] != address(0) ? spenderAlias[msg.sender] : msg.sender;
+        uint256 allowed = allowance[from][spender];
+
+        if (allowed != type(uint256).max) {
+            require(allowed >= amount, "MockERC20: insufficient allowance");
+            allowance[from][spender] = allowed - amount;
+        }
+
+        _transfer(from, to, amount);
+        return true;
+    }
+
+    function _transfer(address from, address to, uint256 amount) internal {
+        require(balanceOf[from] >= amount, "MockERC20: insufficient balance");
+        balanceOf[from] -= amount;
+        balanceOf[to] += amount;
+        emit Transfer(from, to, amount);
+    }
+
+    function _burn(address from, uint256 amount) internal {
+        require(balanceOf[from] >= amount, "MockERC20: insufficient balance");
+        balanceOf[from] -= amount;
+        totalSupply -= amount;
+        emit Transfer(from, address(0), amount);
+    }
+
+    function _toString(bytes32 value) private pure returns (string memory) {
+        uint256 length;
+        while (length < 32 && value[length] != bytes1(0)) {
+            length++;
+        }
+
+        bytes memory out = new bytes(length);
+        for (uint256 i; i < length; i++) {
+            out[i] = value[i];
+        }
+        return string(out);
+    }
+}
@@ -0,0 +1,24 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./MockERC20.sol";
+
+/**
+ * @title MockSwapRouter
+ * @notice Settles swaps returned by the mock 1inch API: pulls the input token and
+ *         mints the quoted output, so no liquidity has to be seeded
+ */
+contract MockSwapRouter {
+    event Swapped(address indexed sender, address indexed src, address indexed dst, uint256 amount, uint256 returnAmount);
+
+    function swap(address src, address dst, uint256 amount, uint256 returnAmount, address recipient)
+        external
+        returns (uint256)
+    {
+        MockERC20(src).transferFrom(msg.sender, address(this), amount);
+        MockERC20(dst).mint(recipient, returnAmount);
+
+        emit Swapped(msg.sender, src, dst, amount, returnAmount);
+        return returnAmount;
+    }
+}
@@ -1,351 +0,0 @@
-#!/usr/bin/env node
-
-/**
- * FEAWS Demo Server
- * Enhanced backend server for the interactive demo
- */
-
-const express = require('express');
-const http = require('http');
-const socketIo = require('socket.io');
-const path = require('path');
-const cors = require('cors');
-const { ethers } = require('ethers');
-const DemoIntegration = require('./demo-integration');
-require('dotenv').config();
-
-const app = express();
-const server = http.createServer(app);
-const io = socketIo(server, {
-    cors: {
-        origin: "*",
-        methods: ["GET", "POST"]
-    }
-});
-
-// Middleware
-app.use(cors());
-app.use(express.json());
-app.use(express.static(__dirname));
-
-// Initialize demo integration
-const demoIntegration = new DemoIntegration();
-
-// Global state
-let dashboardState = {
-    isRunning: false,
-    currentExecution: null,
-    executionHistory: [],
-    walletInfo: {
-        maker: null,
-        taker: null,
-        balances: {}
-    },
-    ecosystemStatus: {
-        fusion: { available: false },
-        aggregator: { available: true },
-        limitOrders: { available: true }
-    },
-    liveOrders: [],
-    statistics: {
-        totalExecutions: 0,
-        successfulExecutions: 0,
-        totalVolume: '0',
-        protocolsUsed: {},
-        totalProfit: '0'
-    }
-};
-
-// Initialize wallets
-async function initializeWallets() {
-    try {
-        const provider = new ethers.JsonRpcProvider(process.env.POLYGON_RPC_URL || 'https://polygon-rpc.com');
-        const makerWallet = new ethers.Wallet(process.env.PRIVATE_KEY, provider);
-        const takerWallet = new ethers.Wallet(process.env.TAKER_PRIVATE_KEY || process.env.PRIVATE_KEY, provider);
-        
-        dashboardState.walletInfo.maker = makerWallet.address;
-        dashboardState.walletInfo.taker = takerWallet.address;
-        
-        console.log('✅ Wallets initialized');
-        console.log('   Maker:', makerWallet.address);
-        console.log('   Taker:', takerWallet.address);
-        
-        // Get initial balances
-        await updateBalances();
-        
-    } catch (error) {
-        console.error('❌ Wallet initialization failed:', error.message);
-        // Continue with demo mode
-    }
-}
-
-// Update wallet balances
-async function updateBalances() {
-    try {
-        const balanceResult = await demoIntegration.getWalletBalances();
-        
-        if (balanceResult.success) {
-            dashboardState.walletInfo.balances = balanceResult.balances;
-            
-            // Broadcast updated balances
-            io.emit('balances_updated', dashboardState.walletInfo.balances);
-            
-            console.log('💰 Balances updated successfully');
-        }
-        
-    } catch (error) {
-        console.error('❌ Balance update failed:', error.message);
-        
-        // Fallback to demo balances
-        dashboardState.walletInfo.balances = {
-            maker: {
-                USDC: (Math.random() * 50 + 20).toFixed(2),
-                WMATIC: (Math.random() * 20 + 10).toFixed(4),
-                POL: (Math.random() * 5 + 1).toFixed(4)
-            },
-            taker: {
-                WMATIC: (Math.random() * 10 + 5).toFixed(4),
-                POL: (Math.random() * 3 + 1).toFixed(4)
-            }
-        };
-        
-        io.emit('balances_updated', dashboardState.walletInfo.balances);
-    }
-}
-
-// API Routes
-app.get('/api/status', (req, res) => {
-    const integrationStatus = demoIntegration.getStatus();
-    res.json({
-        ...dashboardState,
-        integration: integrationStatus
-    });
-});
-
-app.get('/api/balances', async (req, res) => {
-    await updateBalances();
-    res.json(dashboardState.walletInfo.balances);
-});
-
-app.post('/api/execute/:strategy', async (req, res) => {
-    const { strategy } = req.params;
-    const { amount = 1000, slices = 10 } = req.body;
-    
-    try {
-        if (dashboardState.isRunning) {
-            return res.status(400).json({ 
-                error: 'Another strategy is currently executing' 
-            });
-        }
-        
-        dashboardState.isRunning = true;
-        dashboardState.currentExecution = {
-            id: `${strategy}_${Date.now()}`,
-            strategy: strategy,
-            startTime: new Date().toISOString(),
-            params: { amount, slices }
-        };
-        
-        // Broadcast execution start
-        io.emit('execution_started', dashboardState.currentExecution);
-        
-        // Execute strategy in background
-        executeStrategyBackground(strategy, { amount, slices });
-        
-        res.json({ 
-            success: true, 
-            executionId: dashboardState.currentExecution.id,
-            message: `${strategy.toUpperCase()} strategy execution started`
-        });
-        
-    } catch (error) {
-        dashboardState.isRunning = false;
-        dashboardState.currentExecution = null;
-        res.status(500).json({ error: error.message });
-    }
-});
-
-async function executeStrategyBackground(strategy, params) {
-    try {
-        // Emit progress updates
-        io.emit('execution_update', { 
-            message: `🚀 Starting ${strategy.toUpperCase()} execution...` 
-        });
-        
-        const result = await demoIntegration.executeStrategy(strategy, params);
-        
-        if (result.success) {
-            // Update statistics
-            dashboardState.statistics.totalExecutions++;
-            dashboardState.statistics.successfulExecutions++;
-            dashboardState.statistics.protocolsUsed[strategy] = 
-                (dashboardState.statistics.protocolsUsed[strategy] || 0) + 1;
-            
-            // Add to execution history
-            dashboardState.executionHistory.unshift({
-                id: dashboardState.currentExecution.id,
-                strategy: strategy,
-                result: result,
-                timestamp: new Date().toISOString(),
-                success: true
-            });
-            
-            // Keep only last 50 executions
-            if (dashboardState.executionHistory.length > 50) {
-                dashboardState.executionHistory = dashboardState.executionHistory.slice(0, 50);
-            }
-            
-            io.emit('execution_completed', {
-                success: true,
-                strategy: strategy,
-                result: result,
-                message: `✅ ${strategy.toUpperCase()} execution completed successfully`
-            });
-            
-            console.log(`✅ ${strategy.toUpperCase()} execution completed`);
-            
-        } else {
-            throw new Error(result.error || 'Strategy execution failed');
-        }
-        
-    } catch (error) {
-        console.error(`❌ ${strategy.toUpperCase()} execution failed:`, error.message);
-        
-        // Add failed execution to history
-        dashboardState.executionHistory.unshift({
-            id: dashboardState.currentExecution.id,
-            strategy: strategy,
-            error: error.message,
-            timestamp: new Date().toISOString(),
-            success: false
-        });
-        
-        io.emit('execution_failed', {
-            success: false,
-            strategy: strategy,
-            error: error.message,
-            message: `❌ ${strategy.toUpperCase()} execution failed: ${error.message}`
-        });
-        
-    } finally {
-        dashboardState.isRunning = false;
-        dashboardState.currentExecution = null;
-        
-        // Update balances after execution
-        setTimeout(updateBalances, 2000);
-    }
-}
-
-app.post('/api/create-limit-order', async (req, res) => {
-    const { fromToken, toToken, makingAmount, takingAmount } = req.body;
-    
-    try {
-        // Create limit order using real implementation
-        const order = {
-            id: Date.now(),
-            fromToken,
-            toToken,
-            makingAmount,
-            takingAmount,
-            status: 'created',
-            timestamp: new Date().toISOString()
-        };
-        
-        dashboardState.liveOrders.push(order);
-        
-        // Broadcast new order
-        io.emit('order_created', order);
-        
-        res.json({ success: true, order });
-        
-    } catch (error) {
-        res.status(500).json({ error: error.message });
-    }
-});
-
-app.get('/api/execution-history', (req, res) => {
-    res.json(dashboardState.executionHistory);
-});
-
-app.get('/api/statistics', (req, res) => {
-    res.json(dashboardState.statistics);
-});
-
-// Socket.IO connection handling
-io.on('connection', (socket) => {
-    console.log('📱 Dashboard client connected');
-    
-    // Send current state to new client
-    socket.emit('dashboard_state', dashboardState);
-    
-    socket.on('request_balance_update', async () => {
-        await updateBalances();
-    });
-    
-    socket.on('request_status', () => {
-        socket.emit('status_update', dashboardState);
-    });
-    
-    socket.on('emergency_stop', () => {
-        if (dashboardState.isRunning) {
-            dashboardState.isRunning = false;
-            dashboardState.currentExecution = null;
-            
-            io.emit('execution_stopped', {
-                message: '🛑 Emergency stop activated - all executions halted'
-            });
-            
-            console.log('🛑 Emergency stop activated');
-        }
-    });
-    
-    socket.on('disconnect', () => {
-        console.log('📱 Dashboard client disconnected');
-    });
-});
-
-// Initialize and start server
-async function startServer() {
-    await initializeWallets();
-    
-    const PORT = process.env.DEMO_PORT || 3002;
-    
-    server.listen(PORT, () => {
-        console.log('');
-        console.log('🚀 FEAWS INTERACTIVE DEMO SERVER STARTED');
-        console.log('');
-        console.log(`📊 Demo Dashboard: http://localhost:${PORT}/dashboard-complete.html`);
-        console.log(`🎨 Landing Page: http://localhost:${PORT}/landing.html`);
-        console.log(`🔌 WebSocket: ws://localhost:${PORT}`);
-        console.log(`📡 API: http://localhost:${PORT}/api`);
-        console.log('');
-        console.log('🎯 Available Features:');
-        console.log('   ✅ Real TWAP execution');
-        console.log('   ✅ Real yield strategies');
-        console.log('   ✅ Real arbitrage detection');
-        console.log('   ✅ Real risk management');
-        console.log('   ✅ Live balance monitoring');
-        console.log('   ✅ Interactive terminal');
-        console.log('   ✅ Real-time notifications');
-        console.log('');
-        console.log('🏦 Wallets:');
-        console.log('   Maker:', dashboardState.walletInfo.maker);
-        console.log('   Taker:', dashboardState.walletInfo.taker);
-        console.log('');
-        console.log('🎮 Ready for demo! Open the landing page to begin.');
-    });
-}
-
-// Periodic balance updates
-setInterval(updateBalances, 60000); // Update every minute
-
-// Graceful shutdown
-process.on('SIGINT', () => {
-    console.log('\n🛑 Shutting down demo server...');
-    server.close(() => {
-        console.log('✅ Demo server stopped');
-        process.exit(0);
-    });
-});
-
-startServer().catch(console.error);
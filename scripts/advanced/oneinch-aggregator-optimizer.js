@@ -5,16 +5,34 @@
  */
 
 const { ethers } = require('ethers');
-const axios = require('axios');
 const fs = require('fs').promises;
 const path = require('path');
+const { OneInchApi } = require('../core/oneinch-api');
+const TransactionQueue = require('../core/transaction-queue');
+const { GasStrategy } = require('../core/gas-strategy');
 
 class OneInchAggregatorOptimizer {
-    constructor() {
-        this.provider = new ethers.JsonRpcProvider(process.env.POLYGON_RPC_URL);
-        this.wallet = new ethers.Wallet(process.env.PRIVATE_KEY, this.provider);
-        this.apiUrl = 'https://api.1inch.dev/swap/v6.0/137';
-        this.apiKey = process.env.ONEINCH_API_KEY;
+    /**
+     * @param {Object} [options] - Pass a paper-trading backend's provider, wallet and swapApi to paper-trade
+     * @param {ethers.Provider} [options.provider] - Defaults to POLYGON_RPC_URL
+     * @param {ethers.Signer} [options.wallet] - Defaults to PRIVATE_KEY
+     * @param {OneInchApi} [options.swapApi] - Or a PaperSwapApi
+     * @param {string} [options.outputDir] - execution-proofs/ and data/tx-queue/ go under it; defaults to the repo root
+     * @param {bigint} [options.maxGasPrice] - Swaps are refused while gas costs more; default no cap
+     * @param {GasStrategy} [options.gasStrategy] - Default one on `provider`
+     * @param {TransactionQueue} [options.txQueue] - Default the shared queue for `wallet`
+     */
+    constructor(options = {}) {
+        this.provider = options.provider || new ethers.JsonRpcProvider(process.env.POLYGON_RPC_URL);
+        this.wallet = options.wallet || new ethers.Wallet(process.env.PRIVATE_KEY, this.provider);
+        this.swapApi = options.swapApi || new OneInchApi({ chainId: 137 });
+        const outputDir = options.outputDir || path.join(__dirname, '../..');
+        this.proofDir = path.join(outputDir, 'execution-proofs');
+        this.gas = options.gasStrategy || new GasStrategy({ provider: this.provider });
+        this.gas.setCap('optimizer', options.maxGasPrice);
+        this.txQueue = options.txQueue || TransactionQueue.for(this.wallet, {
+            journalDir: path.join(outputDir, 'data/tx-queue')
+        });
         
         // 1inch Router v6 on Polygon
         this.routerAddress = '0x111111125421cA6dc452d289314280a0f8842A65';
@@ -137,24 +155,20 @@ class OneInchAggregatorOptimizer {
                 gasPrice: this.config.gasPrice
             };
 
-            const response = await axios.get(`${this.apiUrl}/swap`, {
-                params: queryParams,
-                headers: {
-                    'Authorization': `Bearer ${this.apiKey}`,
-                    'accept': 'application/json'
-                }
-            });
-
-            const data = response.data;
+            const data = await this.swapApi.swap(queryParams);
+            
+            // Swap API v6 reports dstAmount and the gas limit on the transaction
+            const toAmount = data.dstAmount ?? data.toAmount;
+            const estimatedGas = data.tx.gas ?? data.estimatedGas;
             
             return {
                 success: true,
-                toAmount: data.toAmount,
-                estimatedGas: data.estimatedGas,
+                toAmount,
+                estimatedGas,
                 protocols: data.protocols,
                 tx: data.tx,
-                priceImpact: this.calculatePriceImpact(amount, data.toAmount, fromToken, toToken),
-                gasEfficiency: this.calculateGasEfficiency(data.estimatedGas, data.toAmount),
+                priceImpact: this.calculatePriceImpact(amount, toAmount, fromToken, toToken),
+                gasEfficiency: this.calculateGasEfficiency(estimatedGas, toAmount),
                 routeComplexity: params.complexityLevel || 1
             };
             
@@ -214,13 +228,6 @@ class OneInchAggregatorOptimizer {
         const delay = Math.random() * 3000;
         await new Promise(resolve => setTimeout(resolve, delay));
         
-        // Adjust gas price slightly to avoid predictable patterns
-        if (route.tx && route.tx.gasPrice) {
-            const adjustment = Math.random() * 0.1 - 0.05; // ±5%
-            const newGasPrice = BigInt(route.tx.gasPrice) * BigInt(Math.floor((1 + adjustment) * 100)) / BigInt(100);
-            route.tx.gasPrice = newGasPrice.toString();
-        }
-        
         console.log('✅ MEV protection applied');
     }
 
@@ -231,28 +238,23 @@ class OneInchAggregatorOptimizer {
         console.log('🚀 Executing optimized swap...');
         
         try {
-            // Prepare transaction
+            // Prepare transaction; EIP-1559 fees come from the gas strategy
             const tx = {
                 to: route.tx.to,
                 data: route.tx.data,
                 value: route.tx.value || '0',
-                gasLimit: route.tx.gas,
-                gasPrice: route.tx.gasPrice
+                gasLimit: route.tx.gas
             };
             
-            // Send transaction
-            const txResponse = await this.wallet.sendTransaction(tx);
-            console.log(`📝 Transaction sent: ${txResponse.hash}`);
-            
-            // Wait for confirmation
-            const receipt = await txResponse.wait();
+            // Send, speeding up or cancelling it if it gets stuck
+            const receipt = await this.gas.sendAndWait(this.txQueue, tx, { strategy: 'optimizer' });
             console.log(`✅ Transaction confirmed in block ${receipt.blockNumber}`);
             
             // Calculate actual output
             const actualOutput = await this.calculateActualOutput(receipt, route);
             
             const result = {
-                txHash: txResponse.hash,
+                txHash: receipt.hash,
                 blockNumber: receipt.blockNumber,
                 gasUsed: receipt.gasUsed.toString(),
                 expectedOutput: route.toAmount,
@@ -374,9 +376,8 @@ class OneInchAggregatorOptimizer {
      * Save execution proof
      */
     async saveExecutionProof(type, data) {
-        const proofDir = path.join(__dirname, '../../execution-proofs');
         const filename = `aggregator-${type}-${Date.now()}.json`;
-        const filepath = path.join(proofDir, filename);
+        const filepath = path.join(this.proofDir, filename);
 
         const proof = {
             type,
@@ -388,6 +389,7 @@ class OneInchAggregatorOptimizer {
         };
 
         try {
+            await fs.mkdir(this.proofDir, { recursive: true });
             await fs.writeFile(filepath, JSON.stringify(proof, null, 2));
             console.log(`📄 Optimization proof saved: ${filename}`);
         } catch (error) {
@@ -402,7 +404,9 @@ module.exports = OneInchAggregatorOptimizer;
 // CLI execution
 if (require.main === module) {
     async function main() {
-        const optimizer = new OneInchAggregatorOptimizer();
+        // --mode=paper runs against the paper ledger instead of Polygon
+        const { paperEngineOptions } = require('../core/paper-trading');
+        const optimizer = new OneInchAggregatorOptimizer(paperEngineOptions());
         
         console.log('🎯 FEAWS 1inch Aggregator Optimizer');
         console.log('===================================');
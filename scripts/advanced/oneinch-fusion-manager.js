@@ -8,12 +8,13 @@ const { ethers } = require('ethers');
 const axios = require('axios');
 const fs = require('fs').promises;
 const path = require('path');
+const { oneInchUrl } = require('../core/oneinch-api');
 
 class OneInchFusionManager {
     constructor() {
         this.provider = new ethers.JsonRpcProvider(process.env.POLYGON_RPC_URL);
         this.wallet = new ethers.Wallet(process.env.PRIVATE_KEY, this.provider);
-        this.fusionApiUrl = 'https://api.1inch.dev/fusion';
+        this.fusionApiUrl = oneInchUrl('/fusion');
         this.apiKey = process.env.ONEINCH_API_KEY;
         
         // Fusion contract addresses
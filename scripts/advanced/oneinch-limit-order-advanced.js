@@ -8,16 +8,21 @@ const { ethers } = require('ethers');
 const axios = require('axios');
 const fs = require('fs').promises;
 const path = require('path');
+const predicates = require('../core/lop-predicates');
+const LimitOrderV4 = require('../core/lop-order');
+const { oneInchUrl } = require('../core/oneinch-api');
+const { LOP_V4_ADDRESS, toOrderbookPayload } = LimitOrderV4;
 
 class OneInchLimitOrderAdvanced {
     constructor() {
         this.provider = new ethers.JsonRpcProvider(process.env.POLYGON_RPC_URL);
         this.wallet = new ethers.Wallet(process.env.PRIVATE_KEY, this.provider);
-        this.apiUrl = 'https://api.1inch.dev/orderbook/v4.0/137';
+        this.apiUrl = oneInchUrl('/orderbook/v4.0/137');
         this.apiKey = process.env.ONEINCH_API_KEY;
         
         // Limit Order Protocol v4 on Polygon
-        this.limitOrderContract = '0x94Bc2a1C732BcAd7343B25af48385Fe76E08734f';
+        this.chainId = 137;
+        this.limitOrderContract = LOP_V4_ADDRESS;
         
         // Advanced order types
         this.orderTypes = {
@@ -61,14 +66,16 @@ class OneInchLimitOrderAdvanced {
             
             // Prepare order based on strategy
             const order = await this.prepareOrderByStrategy(orderParams, strategy, strategyConfig);
+            const limitOrder = this.buildLimitOrder(order);
             
             // Sign and submit order
-            const signature = await this.signOrder(order);
-            const orderHash = await this.submitOrder(order, signature);
+            const signature = await this.signOrder(limitOrder);
+            const orderHash = await this.submitOrder(limitOrder, signature);
             
             // Store order with strategy info
             this.activeOrders.set(orderHash, {
                 ...order,
+                limitOrder,
                 signature,
                 orderHash,
                 strategy,
@@ -141,16 +148,9 @@ class OneInchLimitOrderAdvanced {
         const currentPrice = await this.getCurrentPrice(baseOrder.makerAsset, baseOrder.takerAsset);
         const stopPrice = config.stopPrice || currentPrice * 0.95; // 5% below current
         
-        // Add stop-loss logic to order data
-        const stopLossData = ethers.AbiCoder.defaultAbiCoder().encode(
-            ['uint256', 'uint256'],
-            [stopPrice, config.slippage || 300]
-        );
-        
         return {
             ...baseOrder,
-            interactions: stopLossData,
-            predicate: this.generateStopLossPredicate(stopPrice)
+            predicate: this.generateStopLossPredicate(stopPrice, config, baseOrder.expiration)
         };
     }
 
@@ -161,15 +161,9 @@ class OneInchLimitOrderAdvanced {
         const currentPrice = await this.getCurrentPrice(baseOrder.makerAsset, baseOrder.takerAsset);
         const targetPrice = config.targetPrice || currentPrice * 1.1; // 10% above current
         
-        const takeProfitData = ethers.AbiCoder.defaultAbiCoder().encode(
-            ['uint256', 'uint256'],
-            [targetPrice, config.slippage || 300]
-        );
-        
         return {
             ...baseOrder,
-            interactions: takeProfitData,
-            predicate: this.generateTakeProfitPredicate(targetPrice)
+            predicate: this.generateTakeProfitPredicate(targetPrice, config, baseOrder.expiration)
         };
     }
 
@@ -188,13 +182,7 @@ class OneInchLimitOrderAdvanced {
             stopPrice: currentPrice - trailAmount
         });
         
-        return {
-            ...baseOrder,
-            interactions: ethers.AbiCoder.defaultAbiCoder().encode(
-                ['uint256', 'uint256'],
-                [trailAmount, currentPrice]
-            )
-        };
+        return baseOrder;
     }
 
     /**
@@ -399,50 +387,47 @@ class OneInchLimitOrderAdvanced {
         }
     }
 
+    /**
+     * Build the signed LOP v4 order for prepared strategy params.
+     * `params.salt` stays a local strategy id; the order gets its own salt
+     * committing to its predicate extension.
+     */
+    buildLimitOrder(params) {
+        return LimitOrderV4.create({
+            maker: params.maker,
+            receiver: params.receiver,
+            makerAsset: params.makerAsset,
+            takerAsset: params.takerAsset,
+            makingAmount: params.makerAmount,
+            takingAmount: params.takerAmount,
+            allowedSender: params.allowedSender,
+            expiration: params.expiration,
+            predicate: params.predicate
+        });
+    }
+
     /**
      * Sign order using EIP-712
      */
     async signOrder(order) {
-        const domain = {
-            name: '1inch Limit Order Protocol',
-            version: '4',
-            chainId: 137,
-            verifyingContract: this.limitOrderContract
-        };
-
-        const types = {
-            Order: [
-                { name: 'salt', type: 'uint256' },
-                { name: 'makerAsset', type: 'address' },
-                { name: 'takerAsset', type: 'address' },
-                { name: 'makerAmount', type: 'uint256' },
-                { name: 'takerAmount', type: 'uint256' },
-                { name: 'maker', type: 'address' },
-                { name: 'receiver', type: 'address' },
-                { name: 'allowedSender', type: 'address' },
-                { name: 'expiration', type: 'uint256' }
-            ]
-        };
-
-        return await this.wallet.signTypedData(domain, types, order);
+        return order.sign(this.wallet, this.chainId);
     }
 
     /**
      * Submit order to 1inch
      */
     async submitOrder(order, signature) {
+        const payload = toOrderbookPayload(order, signature, this.chainId);
+
         try {
-            const response = await axios.post(`${this.apiUrl}/order`, {
-                ...order,
-                signature
-            }, {
+            await axios.post(this.apiUrl, payload, {
                 headers: {
                     'Authorization': `Bearer ${this.apiKey}`,
                     'Content-Type': 'application/json'
                 }
             });
             
-            return response.data.orderHash;
+            return payload.orderHash;
         } catch (error) {
             throw new Error(`Order submission failed: ${error.response?.data?.message || error.message}`);
         }
@@ -495,22 +480,40 @@ class OneInchLimitOrderAdvanced {
      * Generate unique salt for orders
      */
     generateSalt() {
-        return ethers.getBigInt(ethers.randomBytes(32)).toString();
+        return ethers.toBigInt(ethers.randomBytes(32)).toString();
     }
 
     /**
-     * Generate stop-loss predicate
+     * Generate stop-loss predicate: fillable before expiration once the
+     * Chainlink feed in config.priceFeed trades below the stop price
+     * @param {number|string|bigint} stopPrice - Human price, or raw feed answer as bigint
+     * @param {Object} config - { priceFeed, feedDecimals }
+     * @param {number} expiration - Unix timestamp
      */
-    generateStopLossPredicate(stopPrice) {
-        // Simplified predicate - in production would use more complex logic
-        return ethers.AbiCoder.defaultAbiCoder().encode(['uint256'], [stopPrice]);
+    generateStopLossPredicate(stopPrice, config = {}, expiration) {
+        if (!config.priceFeed) {
+            throw new Error('Stop-loss orders require a Chainlink priceFeed to enforce the stop on-chain');
+        }
+
+        return predicates.and(
+            predicates.chainlinkPriceBelow(config.priceFeed, stopPrice, config.feedDecimals ?? 8),
+            predicates.timestampBelow(expiration)
+        );
     }
 
     /**
-     * Generate take-profit predicate
+     * Generate take-profit predicate: fillable before expiration once the
+     * Chainlink feed in config.priceFeed trades above the target price
      */
-    generateTakeProfitPredicate(targetPrice) {
-        return ethers.AbiCoder.defaultAbiCoder().encode(['uint256'], [targetPrice]);
+    generateTakeProfitPredicate(targetPrice, config = {}, expiration) {
+        if (!config.priceFeed) {
+            throw new Error('Take-profit orders require a Chainlink priceFeed to enforce the target on-chain');
+        }
+
+        return predicates.and(
+            predicates.chainlinkPriceAbove(config.priceFeed, targetPrice, config.feedDecimals ?? 8),
+            predicates.timestampBelow(expiration)
+        );
     }
 
     /**
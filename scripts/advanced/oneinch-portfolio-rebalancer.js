@@ -5,16 +5,41 @@
  */
 
 const { ethers } = require('ethers');
-const axios = require('axios');
 const fs = require('fs').promises;
 const path = require('path');
+const { OneInchApi } = require('../core/oneinch-api');
+const { systemClock } = require('../core/clock');
+const TransactionQueue = require('../core/transaction-queue');
+const { GasStrategy, GasPriceTooHighError } = require('../core/gas-strategy');
 
 class OneInchPortfolioRebalancer {
-    constructor() {
-        this.provider = new ethers.JsonRpcProvider(process.env.POLYGON_RPC_URL);
-        this.wallet = new ethers.Wallet(process.env.PRIVATE_KEY, this.provider);
-        this.apiUrl = 'https://api.1inch.dev/swap/v6.0/137';
-        this.apiKey = process.env.ONEINCH_API_KEY;
+    /**
+     * @param {Object} [options] - Pass a paper-trading backend's provider, wallet and swapApi to paper-trade
+     * @param {ethers.Provider} [options.provider] - Defaults to POLYGON_RPC_URL
+     * @param {ethers.Signer} [options.wallet] - Defaults to PRIVATE_KEY
+     * @param {OneInchApi} [options.swapApi] - Or a PaperSwapApi
+     * @param {string} [options.outputDir] - execution-proofs/ and data/tx-queue/ go under it; defaults to the repo root
+     * @param {number} [options.rebalanceThreshold] - Allocation drift in percentage points that triggers a rebalance; default 5
+     * @param {number} [options.cooldownPeriod] - Seconds between rebalances; default 3600
+     * @param {number} [options.tradeDelayMs] - Pause between the trades of one rebalance; default 2000
+     * @param {Object} [options.clock] - Time source; a SimulatedClock in backtests
+     * @param {bigint} [options.maxGasPrice] - Rebalances wait while gas costs more; default no cap
+     * @param {GasStrategy} [options.gasStrategy] - Default one on `provider`
+     * @param {TransactionQueue} [options.txQueue] - Default the shared queue for `wallet`
+     */
+    constructor(options = {}) {
+        this.provider = options.provider || new ethers.JsonRpcProvider(process.env.POLYGON_RPC_URL);
+        this.wallet = options.wallet || new ethers.Wallet(process.env.PRIVATE_KEY, this.provider);
+        this.swapApi = options.swapApi || new OneInchApi({ chainId: 137 });
+        const outputDir = options.outputDir || path.join(__dirname, '../..');
+        this.proofDir = path.join(outputDir, 'execution-proofs');
+        this.clock = options.clock || systemClock;
+        this.gas = options.gasStrategy || new GasStrategy({ provider: this.provider, clock: this.clock });
+        this.gas.setCap('rebalancer', options.maxGasPrice);
+        this.txQueue = options.txQueue || TransactionQueue.for(this.wallet, {
+            journalDir: path.join(outputDir, 'data/tx-queue'),
+            clock: this.clock
+        });
         
         // Portfolio configuration
         this.targetAllocations = {
@@ -48,7 +73,7 @@ class OneInchPortfolioRebalancer {
         };
         
         // Rebalancing parameters
-        this.rebalanceThreshold = 5; // 5% deviation triggers rebalance
+        this.rebalanceThreshold = options.rebalanceThreshold ?? 5; // 5% deviation triggers rebalance
         this.maxSlippage = 200; // 2% max slippage
         this.minTradeSize = ethers.parseUnits('1', 6); // Minimum 1 USDC equivalent
         
@@ -61,10 +86,12 @@ class OneInchPortfolioRebalancer {
         this.riskMetrics = {
             maxDailyRebalances: 5,
             maxRebalanceSize: ethers.parseUnits('1000', 6), // 1000 USDC
-            cooldownPeriod: 3600 // 1 hour between rebalances
+            cooldownPeriod: options.cooldownPeriod ?? 3600 // 1 hour between rebalances
         };
         
+        this.tradeDelayMs = options.tradeDelayMs ?? 2000;
         this.dailyRebalanceCount = 0;
+        this.rebalanceDay = null;
         this.lastRebalanceTime = 0;
     }
 
@@ -88,7 +115,7 @@ class OneInchPortfolioRebalancer {
             const rebalanceNeeds = this.calculateRebalanceNeeds(currentAllocations);
             
             const analysis = {
-                timestamp: new Date().toISOString(),
+                timestamp: new Date(this.clock.now()).toISOString(),
                 totalValue: this.calculateTotalValue(balances, prices),
                 balances,
                 prices,
@@ -125,6 +152,15 @@ class OneInchPortfolioRebalancer {
             return { rebalanced: false, reason: 'Risk limits exceeded' };
         }
         
+        // Deferred, not recorded: the next check tries again
+        try {
+            await this.gas.fees('rebalancer');
+        } catch (error) {
+            if (!(error instanceof GasPriceTooHighError)) throw error;
+            console.log(`⛽ Rebalancing deferred: ${error.message}`);
+            return { rebalanced: false, reason: 'Gas price above cap' };
+        }
+        
         console.log('🔄 Executing portfolio rebalancing...');
         
         try {
@@ -139,16 +175,19 @@ class OneInchPortfolioRebalancer {
                 results.push(result);
                 
                 // Small delay between trades
-                await new Promise(resolve => setTimeout(resolve, 2000));
+                if (this.tradeDelayMs > 0) {
+                    await new Promise(resolve => setTimeout(resolve, this.tradeDelayMs));
+                }
             }
             
             // Update tracking
+            this.resetDailyCount();
             this.dailyRebalanceCount++;
-            this.lastRebalanceTime = Date.now();
+            this.lastRebalanceTime = this.clock.now();
             
             // Record rebalancing
             const rebalanceRecord = {
-                timestamp: new Date().toISOString(),
+                timestamp: new Date(this.clock.now()).toISOString(),
                 beforeAllocations: analysis.currentAllocations,
                 afterAllocations: await this.getCurrentAllocations(),
                 trades: results,
@@ -209,18 +248,13 @@ class OneInchPortfolioRebalancer {
             }
             
             try {
-                const response = await axios.get(`${this.apiUrl}/quote`, {
-                    params: {
-                        src: token.address,
-                        dst: this.tokens.USDC.address,
-                        amount: baseAmount
-                    },
-                    headers: {
-                        'Authorization': `Bearer ${this.apiKey}`
-                    }
+                const quote = await this.swapApi.quote({
+                    src: token.address,
+                    dst: this.tokens.USDC.address,
+                    amount: baseAmount
                 });
                 
-                prices[symbol] = parseFloat(ethers.formatUnits(response.data.dstAmount, 6));
+                prices[symbol] = parseFloat(ethers.formatUnits(quote.dstAmount, 6));
                 
             } catch (error) {
                 console.error(`Error getting ${symbol} price:`, error.message);
@@ -229,7 +263,7 @@ class OneInchPortfolioRebalancer {
         }
         
         // Store price history
-        this.priceHistory.set(Date.now(), { ...prices });
+        this.priceHistory.set(this.clock.now(), { ...prices });
         
         return prices;
     }
@@ -374,41 +408,32 @@ class OneInchPortfolioRebalancer {
     async executeTrade(trade) {
         try {
             // Get swap data from 1inch
-            const swapResponse = await axios.get(`${this.apiUrl}/swap`, {
-                params: {
-                    src: trade.fromToken,
-                    dst: trade.toToken,
-                    amount: trade.amount.toString(),
-                    from: this.wallet.address,
-                    slippage: this.maxSlippage / 100,
-                    disableEstimate: false
-                },
-                headers: {
-                    'Authorization': `Bearer ${this.apiKey}`
-                }
+            const swapData = await this.swapApi.swap({
+                src: trade.fromToken,
+                dst: trade.toToken,
+                amount: trade.amount.toString(),
+                from: this.wallet.address,
+                slippage: this.maxSlippage / 100,
+                disableEstimate: false
             });
             
-            const swapData = swapResponse.data;
-            
             // Execute transaction
             const tx = {
                 to: swapData.tx.to,
                 data: swapData.tx.data,
                 value: swapData.tx.value || '0',
-                gasLimit: swapData.tx.gas,
-                gasPrice: swapData.tx.gasPrice
+                gasLimit: swapData.tx.gas
             };
             
-            const txResponse = await this.wallet.sendTransaction(tx);
-            const receipt = await txResponse.wait();
+            const receipt = await this.gas.sendAndWait(this.txQueue, tx, { strategy: 'rebalancer' });
             
             const result = {
-                txHash: txResponse.hash,
+                txHash: receipt.hash,
                 blockNumber: receipt.blockNumber,
                 fromToken: trade.fromSymbol,
                 toToken: trade.toSymbol,
                 amountIn: trade.amount.toString(),
-                expectedAmountOut: swapData.toAmount,
+                expectedAmountOut: swapData.dstAmount ?? swapData.toAmount,
                 gasUsed: receipt.gasUsed.toString(),
                 success: true
             };
@@ -442,18 +467,30 @@ class OneInchPortfolioRebalancer {
      */
     canRebalance() {
         // Check daily limit
+        this.resetDailyCount();
         if (this.dailyRebalanceCount >= this.riskMetrics.maxDailyRebalances) {
             return false;
         }
         
         // Check cooldown period
-        if (Date.now() - this.lastRebalanceTime < this.riskMetrics.cooldownPeriod * 1000) {
+        if (this.clock.now() - this.lastRebalanceTime < this.riskMetrics.cooldownPeriod * 1000) {
             return false;
         }
         
         return true;
     }
 
+    /**
+     * Start a new daily rebalance count on each UTC day
+     */
+    resetDailyCount() {
+        const today = new Date(this.clock.now()).toISOString().slice(0, 10);
+        if (this.rebalanceDay !== today) {
+            this.rebalanceDay = today;
+            this.dailyRebalanceCount = 0;
+        }
+    }
+
     /**
      * Update target allocations
      */
@@ -526,13 +563,12 @@ class OneInchPortfolioRebalancer {
      * Save execution proof
      */
     async saveExecutionProof(type, data) {
-        const proofDir = path.join(__dirname, '../../execution-proofs');
         const filename = `rebalancer-${type}-${Date.now()}.json`;
-        const filepath = path.join(proofDir, filename);
+        const filepath = path.join(this.proofDir, filename);
 
         const proof = {
             type,
-            timestamp: new Date().toISOString(),
+            timestamp: new Date(this.clock.now()).toISOString(),
             wallet: this.wallet.address,
             chainId: 137,
             protocol: '1inch-portfolio-rebalancer',
@@ -540,7 +576,10 @@ class OneInchPortfolioRebalancer {
         };
 
         try {
-            await fs.writeFile(filepath, JSON.stringify(proof, null, 2));
+            await fs.mkdir(this.proofDir, { recursive: true });
+            await fs.writeFile(filepath, JSON.stringify(proof, (key, value) =>
+                typeof value === 'bigint' ? value.toString() : value
+            , 2));
             console.log(`📄 Rebalancing proof saved: ${filename}`);
         } catch (error) {
             console.error('Error saving proof:', error.message);
@@ -554,7 +593,9 @@ module.exports = OneInchPortfolioRebalancer;
 // CLI execution
 if (require.main === module) {
     async function main() {
-        const rebalancer = new OneInchPortfolioRebalancer();
+        // --mode=paper runs against the paper ledger instead of Polygon
+        const { paperEngineOptions } = require('../core/paper-trading');
+        const rebalancer = new OneInchPortfolioRebalancer(paperEngineOptions());
         
         console.log('⚖️ FEAWS Portfolio Rebalancer');
         console.log('=============================');
@@ -13,13 +13,19 @@ require('dotenv').config();
 const { ethers } = require('ethers');
 const fs = require('fs');
 const path = require('path');
+const { buildEvenSchedule, applyJitter, randomSeed } = require('./core/execution-schedules');
+const predicates = require('./core/lop-predicates');
+const LimitOrderV4 = require('./core/lop-order');
+const { saveOrdersFile } = LimitOrderV4;
+
+// Output directory for orders.json (FEAWS_DATA_DIR overrides)
+const DATA_DIR = process.env.FEAWS_DATA_DIR || path.join(__dirname, '../data');
 
 // Contract addresses
 const TOKENS = {
     USDC: '0x3c499c542cEF5E3811e1192ce70d8cC03d5c3359',
     WMATIC: '0x0d500B1d8E8eF31E21C99d1Db9A6444d3ADf1270'
 };
-const LOP_CONTRACT = '0x111111125421ca6dc452d289314280a0f8842a65';
 const TWAP_LOGGER = '0xA7909100B456a03703D16eD06F6B4F25D0a87971';
 
 class TWAPBuilder {
@@ -27,34 +33,7 @@ class TWAPBuilder {
         this.provider = new ethers.JsonRpcProvider(process.env.POLYGON_RPC_URL);
         this.wallet = new ethers.Wallet(process.env.PRIVATE_KEY, this.provider);
         
-        // EIP-712 Domain for 1inch LOP
-        this.domain = {
-            name: '1inch Limit Order Protocol',
-            version: '4',
-            chainId: 137,
-            verifyingContract: LOP_CONTRACT
-        };
-        
-        // EIP-712 Types for Order
-        this.types = {
-            Order: [
-                { name: 'salt', type: 'uint256' },
-                { name: 'makerAsset', type: 'address' },
-                { name: 'takerAsset', type: 'address' },
-                { name: 'maker', type: 'address' },
-                { name: 'receiver', type: 'address' },
-                { name: 'allowedSender', type: 'address' },
-                { name: 'makingAmount', type: 'uint256' },
-                { name: 'takingAmount', type: 'uint256' },
-                { name: 'makerAssetData', type: 'bytes' },
-                { name: 'takerAssetData', type: 'bytes' },
-                { name: 'getMakerAmount', type: 'bytes' },
-                { name: 'getTakerAmount', type: 'bytes' },
-                { name: 'predicate', type: 'bytes' },
-                { name: 'permit', type: 'bytes' },
-                { name: 'interaction', type: 'bytes' }
-            ]
-        };
+        this.chainId = 137;
         
         console.log('🚀 TWAP Order Builder Initialized');
         console.log(` Maker Wallet: ${this.wallet.address}`);
@@ -62,41 +41,47 @@ class TWAPBuilder {
         console.log('');
     }
     
-    async buildOrders(totalAmount, slices, intervalSeconds) {
+    /**
+     * @param {Object} options
+     * @param {Object} options.jitter - { timeJitter, sizeJitter, seed } randomises release
+     *   times and sizes; the seed is saved with the orders so the schedule can be rebuilt
+     */
+    async buildOrders(totalAmount, slices, intervalSeconds, options = {}) {
         console.log('📋 BUILDING TWAP ORDERS');
         console.log(` Total Amount: ${ethers.formatUnits(totalAmount, 6)} USDC`);
         console.log(` Slices: ${slices}`);
         console.log(` Interval: ${intervalSeconds} seconds`);
-        console.log('');
         
-        const sliceAmount = totalAmount / BigInt(slices);
         const decimals = 6; // USDC decimals
         
         // Create individual orders with time-based scheduling
         const orders = [];
         const baseTime = Math.floor(Date.now() / 1000) + 120; // Start 2 minutes from now
         
+        let schedule = buildEvenSchedule(totalAmount, slices, intervalSeconds * 1000, baseTime * 1000);
+        let jitter = null;
+        
+        if (options.jitter) {
+            jitter = { timeJitter: 0, sizeJitter: 0, seed: randomSeed(), ...options.jitter };
+            schedule = applyJitter(schedule, totalAmount, intervalSeconds * 1000, jitter);
+            console.log(` Jitter: time ±${jitter.timeJitter * 100}%, size ±${jitter.sizeJitter * 100}%, seed ${jitter.seed}`);
+        }
+        console.log('');
+        
         for (let i = 0; i < slices; i++) {
-            const executeTime = baseTime + (i * intervalSeconds);
+            const executeTime = Math.floor(schedule[i].executeAt / 1000);
+            const amount = schedule[i].amount;
             
-            // Create order with proper structure
-            const order = {
-                salt: ethers.toBigInt(ethers.hexlify(ethers.randomBytes(32))).toString(),
-                makerAsset: TOKENS.USDC,
-                takerAsset: TOKENS.WMATIC,
+            // Fillable once the slice's release time is reached
+            const order = LimitOrderV4.create({
                 maker: this.wallet.address,
                 receiver: this.wallet.address,
-                allowedSender: ethers.ZeroAddress,
-                makingAmount: sliceAmount.toString(),
-                takingAmount: this.calculateTakingAmount(sliceAmount).toString(),
-                makerAssetData: '0x',
-                takerAssetData: '0x',
-                getMakerAmount: '0x',
-                getTakerAmount: '0x',
-                predicate: this.buildTimePredicate(executeTime),
-                permit: '0x',
-                interaction: this.buildInteractionData(i, sliceAmount)
-            };
+                makerAsset: TOKENS.USDC,
+                takerAsset: TOKENS.WMATIC,
+                makingAmount: amount,
+                takingAmount: this.calculateTakingAmount(amount),
+                predicate: this.buildTimePredicate(executeTime)
+            });
             
             // Sign the order
             const signature = await this.signOrder(order);
@@ -106,12 +91,14 @@ class TWAPBuilder {
                 availableAt: executeTime,
                 availableAtISO: new Date(executeTime * 1000).toISOString(),
                 order: order,
+                orderHash: order.getOrderHash(this.chainId),
                 signature: signature,
-                makingAmount: ethers.formatUnits(sliceAmount, 6),
-                takingAmount: ethers.formatUnits(this.calculateTakingAmount(sliceAmount), 18)
+                makingAmount: ethers.formatUnits(amount, 6),
+                takingAmount: ethers.formatUnits(this.calculateTakingAmount(amount), 18)
             });
             
             console.log(`📝 Order ${i + 1}/${slices} created:`);
+            console.log(`   Amount: ${ethers.formatUnits(amount, 6)} USDC`);
             console.log(`   Available at: ${new Date(executeTime * 1000).toISOString()}`);
             console.log('');
         }
@@ -120,9 +107,9 @@ class TWAPBuilder {
         const ordersData = {
             totalUSDC: ethers.formatUnits(totalAmount, decimals),
             sliceCount: slices,
-            usdcPerSlice: ethers.formatUnits(sliceAmount, decimals),
             sliceInterval: intervalSeconds,
             startTime: baseTime,
+            jitter: jitter,
             makerAddress: this.wallet.address,
             takerAddress: process.env.TAKER_WALLET_ADDRESS || "0xD9E3dDdBaB1C375DF0D669737d70F8292802AB65",
             twapLoggerAddress: TWAP_LOGGER,
@@ -130,9 +117,9 @@ class TWAPBuilder {
             orders: orders
         };
         
-        const ordersFile = path.join(__dirname, '../data/orders.json');
+        const ordersFile = path.join(DATA_DIR, 'orders.json');
         fs.mkdirSync(path.dirname(ordersFile), { recursive: true });
-        fs.writeFileSync(ordersFile, JSON.stringify(ordersData, null, 2));
+        saveOrdersFile(ordersFile, ordersData);
         
         console.log(`✅ ${slices} TWAP orders saved to: ${ordersFile}`);
         console.log('');
@@ -150,34 +137,32 @@ class TWAPBuilder {
     }
     
     buildTimePredicate(executeTime) {
-        // Build a time-based predicate using timestamp
-        // This creates a predicate that allows execution only after the specified timestamp
-        // Format: 0x000000000000000000000000000000000000000000000000[8-byte timestamp in hex]
-        const timestampHex = executeTime.toString(16).padStart(8, '0');
-        const predicate = '0x' + '0'.repeat(56) + timestampHex;
-        return predicate;
-    }
-    
-    buildInteractionData(sliceIndex, sliceAmount) {
-        // Build simple interaction data
-        return '0x';
+        // Fillable only once block.timestamp reaches the slice's release time
+        return predicates.timestampAtOrAfter(executeTime);
     }
     
     async signOrder(order) {
         // Sign the order using EIP-712
-        const signature = await this.wallet.signTypedData(this.domain, this.types, order);
-        return signature;
+        return order.sign(this.wallet, this.chainId);
     }
 }
 
 async function main() {
     const builder = new TWAPBuilder();
     
+    // Optional jitter, e.g. TWAP_TIME_JITTER=0.2 TWAP_SIZE_JITTER=0.1 TWAP_JITTER_SEED=audit-42
+    const timeJitter = parseFloat(process.env.TWAP_TIME_JITTER || '0');
+    const sizeJitter = parseFloat(process.env.TWAP_SIZE_JITTER || '0');
+    const jitter = timeJitter > 0 || sizeJitter > 0
+        ? { timeJitter, sizeJitter, ...(process.env.TWAP_JITTER_SEED && { seed: process.env.TWAP_JITTER_SEED }) }
+        : null;
+    
     // Build TWAP orders: 1 USDC, 5 slices, 60 second intervals
     const ordersData = await builder.buildOrders(
         ethers.parseUnits('1', 6), // 1 USDC total
         5,                        // 5 slices
-        60                       // 60 second intervals
+        60,                      // 60 second intervals
+        { jitter }
     );
     
     console.log('🎉 TWAP Orders Generated Successfully!');
@@ -185,7 +170,7 @@ async function main() {
     console.log('📋 Order Summary:');
     console.log(`   Total Amount: ${ordersData.totalUSDC} USDC`);
     console.log(`   Slice Count: ${ordersData.sliceCount}`);
-    console.log(`   Amount per Slice: ${ordersData.usdcPerSlice} USDC`);
+    console.log(`   Slice Amounts: ${ordersData.orders.map(order => order.makingAmount).join(', ')} USDC`);
     console.log(`   Time Interval: ${ordersData.sliceInterval} seconds`);
     console.log(`   Generated At: ${new Date(ordersData.generatedAt).toLocaleString()}`);
     console.log('');
@@ -194,4 +179,8 @@ async function main() {
     console.log('   2. Run: npm run live-demo');
 }
 
-main().catch(console.error);
+if (require.main === module) {
+    main().catch(console.error);
+}
+
+module.exports = TWAPBuilder;
@@ -0,0 +1,99 @@
+/**
+ * @fileoverview Adaptive TWAP Slicer
+ * @description Sizes each TWAP slice from the live quote deviation against the
+ * arrival price, carrying unfilled volume forward within hard per-interval bounds
+ * @author FEAWS Development Team
+ */
+
+const RATE_SCALE = 10n ** 18n;
+const BPS = 10000n;
+
+const DEFAULT_CONFIG = {
+    sensitivity: 10,      // % change in slice size per 1% quote deviation
+    minSliceRatio: 0.25,  // Smallest slice, as a multiple of the even slice
+    maxSliceRatio: 2,     // Largest slice (participation cap per interval)
+    maxDeviation: 2,      // Adverse deviation (%) at which a slice is deferred
+    maxExtraSlices: 5     // Extra intervals allowed to finish carried-forward volume
+};
+
+/**
+ * Output-per-input rate of a quote, scaled by 1e18
+ */
+function quoteRate(fromAmount, toAmount) {
+    return BigInt(toAmount) * RATE_SCALE / BigInt(fromAmount);
+}
+
+function toBps(ratio) {
+    return BigInt(Math.round(ratio * 10000));
+}
+
+class AdaptiveSlicer {
+    constructor(config = {}) {
+        this.config = { ...DEFAULT_CONFIG, ...config };
+
+        if (this.config.minSliceRatio <= 0 || this.config.maxSliceRatio < this.config.minSliceRatio) {
+            throw new Error('Invalid adaptive slice bounds');
+        }
+    }
+
+    /**
+     * Deviation of the current rate from the arrival rate in percent.
+     * Positive means the market is paying more than at arrival.
+     */
+    deviationPercent(arrivalRate, currentRate) {
+        return Number((BigInt(currentRate) - BigInt(arrivalRate)) * 1000000n / BigInt(arrivalRate)) / 10000;
+    }
+
+    /**
+     * Size the next slice
+     * @param {Object} params
+     * @param {bigint} params.totalAmount - Parent order size
+     * @param {number} params.sliceCount - Planned number of slices
+     * @param {bigint} params.remainingAmount - Volume not yet filled or in flight
+     * @param {number} params.remainingSlices - Slices left including this one
+     * @param {number} params.deviation - Quote deviation from arrival in percent
+     * @returns {{amount: bigint, scaleBps: number, reason?: string}}
+     */
+    nextSliceAmount({ totalAmount, sliceCount, remainingAmount, remainingSlices, deviation }) {
+        if (remainingAmount <= 0n) {
+            return { amount: 0n, scaleBps: 0, reason: 'fully_allocated' };
+        }
+
+        if (deviation < -this.config.maxDeviation) {
+            return { amount: 0n, scaleBps: 0, reason: 'adverse_price' };
+        }
+
+        const evenSlice = totalAmount / BigInt(sliceCount);
+        const minAmount = evenSlice * toBps(this.config.minSliceRatio) / BPS;
+        const maxAmount = evenSlice * toBps(this.config.maxSliceRatio) / BPS;
+
+        // Spread whatever is left over the remaining intervals
+        const base = remainingAmount / BigInt(Math.max(remainingSlices, 1));
+
+        const scale = Math.min(
+            Math.max(1 + (this.config.sensitivity * deviation) / 100, this.config.minSliceRatio),
+            this.config.maxSliceRatio
+        );
+        const scaleBps = toBps(scale);
+
+        let amount = base * scaleBps / BPS;
+        if (amount < minAmount) amount = minAmount;
+        if (amount > maxAmount) amount = maxAmount;
+
+        // Last slice, or a leftover too small to trade on its own: sweep it up
+        const leftover = remainingAmount - amount;
+        if (remainingSlices <= 1 || leftover < minAmount) {
+            amount = remainingAmount < maxAmount ? remainingAmount : maxAmount;
+        }
+
+        if (amount > remainingAmount) {
+            amount = remainingAmount;
+        }
+
+        return { amount, scaleBps: Number(scaleBps) };
+    }
+}
+
+module.exports = AdaptiveSlicer;
+module.exports.quoteRate = quoteRate;
+module.exports.DEFAULT_CONFIG = DEFAULT_CONFIG;
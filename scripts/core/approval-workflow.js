@@ -0,0 +1,340 @@
+/**
+ * @fileoverview Approval Workflow
+ * @description N-of-M sign-off for treasury operations above per-token
+ * notional thresholds (per operation and per UTC day). Every decision is
+ * written to an append-only audit journal, which is also replayed on start
+ * so pending proposals survive a restart.
+ * @author FEAWS Development Team
+ */
+
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const { JobStateError } = require('./job-manager');
+
+const DEFAULT_POLICY_PATH = path.join(__dirname, '../../config/approval-policy.json');
+const DEFAULT_AUDIT_PATH = path.join(__dirname, '../../data/approval-audit.ndjson');
+
+// Token units. Tokens without an entry use `default`; "0" means every operation needs approval.
+const DEFAULT_POLICY = {
+    requiredApprovals: 2,
+    approvers: [],
+    proposalTtlHours: 24,
+    thresholds: {
+        USDC: { perOperation: '1000', perDay: '5000' },
+        'USDC.e': { perOperation: '1000', perDay: '5000' },
+        USDT: { perOperation: '1000', perDay: '5000' },
+        DAI: { perOperation: '1000', perDay: '5000' },
+        WMATIC: { perOperation: '2000', perDay: '10000' },
+        WETH: { perOperation: '0.5', perDay: '2' },
+        default: { perOperation: '0', perDay: '0' }
+    }
+};
+
+function utcDay(timestamp) {
+    return new Date(timestamp).toISOString().slice(0, 10);
+}
+
+/**
+ * The policy file over DEFAULT_POLICY. Thresholds merge per token, so a file
+ * listing only some tokens keeps the defaults (and `default`) for the rest.
+ */
+function loadPolicy(policyPath) {
+    const filePath = policyPath || process.env.FEAWS_APPROVAL_POLICY_FILE || DEFAULT_POLICY_PATH;
+    const overrides = fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, 'utf8')) : {};
+    const policy = {
+        ...DEFAULT_POLICY,
+        ...overrides,
+        thresholds: { ...DEFAULT_POLICY.thresholds, ...overrides.thresholds }
+    };
+
+    if (!Number.isInteger(policy.requiredApprovals) || policy.requiredApprovals < 1) {
+        throw new Error('Approval policy requiredApprovals must be a positive integer');
+    }
+    return policy;
+}
+
+class ApprovalWorkflow extends EventEmitter {
+    /**
+     * @param {Object} options
+     * @param {import('./job-manager')} options.jobs - Validates operations and runs released ones
+     * @param {Object} [options.policy] - Defaults to config/approval-policy.json, then DEFAULT_POLICY
+     * @param {string} [options.auditPath]
+     */
+    constructor(options) {
+        super();
+        this.jobs = options.jobs;
+        this.policy = options.policy || loadPolicy();
+        this.auditPath = options.auditPath || DEFAULT_AUDIT_PATH;
+        this.proposals = new Map();
+        this.released = [];
+
+        fs.mkdirSync(path.dirname(this.auditPath), { recursive: true });
+        this.replay();
+    }
+
+    /**
+     * Run an operation now if it is within policy, otherwise open a proposal
+     * @returns {{ job: Object }|{ proposal: Object }}
+     */
+    submit({ type, params = {}, requestedBy }) {
+        const validated = this.jobs.validate(type, params);
+        const definition = this.jobs.types.get(type);
+        const notional = definition.notional ? this.describeNotional(definition.notional(validated)) : null;
+        const reason = notional && this.check(notional);
+
+        if (!reason) {
+            const job = this.jobs.create(type, params, { requestedBy });
+            this.audit({ event: 'executed', actor: requestedBy, type, jobId: job.id, notional });
+            if (notional) this.released.push({ at: Date.now(), ...notional });
+            return { job };
+        }
+
+        const now = Date.now();
+        const proposal = {
+            id: `prop_${now}_${crypto.randomBytes(4).toString('hex')}`,
+            type,
+            params,
+            notional,
+            reason,
+            requestedBy,
+            requiredApprovals: this.policy.requiredApprovals,
+            approvals: [],
+            status: 'pending',
+            createdAt: new Date(now).toISOString(),
+            expiresAt: new Date(now + this.policy.proposalTtlHours * 3600 * 1000).toISOString(),
+            jobId: null
+        };
+
+        this.proposals.set(proposal.id, proposal);
+        this.audit({ event: 'proposed', actor: requestedBy, proposalId: proposal.id, proposal });
+        console.log(`📝 Proposal ${proposal.id}: ${type} ${notional.formatted} ${notional.token} needs ${proposal.requiredApprovals} approval(s) (${reason})`);
+        this.emit('proposal', this.snapshot(proposal));
+
+        return { proposal: this.snapshot(proposal) };
+    }
+
+    /**
+     * Why an operation needs approval, or null if it can run now. A token
+     * the policy has no thresholds for always needs approval.
+     */
+    check(notional) {
+        const { [notional.token]: token, default: fallback } = this.policy.thresholds || {};
+        const thresholds = token || fallback;
+        if (!thresholds) {
+            return `no approval thresholds for ${notional.token}`;
+        }
+
+        const amount = BigInt(notional.amount);
+        const perOperation = thresholds.perOperation !== undefined && ethers.parseUnits(thresholds.perOperation, notional.decimals);
+        if (perOperation !== false && amount > perOperation) {
+            return `exceeds ${thresholds.perOperation} ${notional.token} per operation`;
+        }
+
+        const perDay = thresholds.perDay !== undefined && ethers.parseUnits(thresholds.perDay, notional.decimals);
+        if (perDay !== false && !notional.allowance && this.usedToday(notional.token) + amount > perDay) {
+            return `exceeds ${thresholds.perDay} ${notional.token} per day`;
+        }
+
+        return null;
+    }
+
+    usedToday(token) {
+        const today = utcDay(Date.now());
+        return this.released
+            .filter(entry => entry.token === token && !entry.allowance && utcDay(entry.at) === today)
+            .reduce((sum, entry) => sum + BigInt(entry.amount), 0n);
+    }
+
+    /**
+     * @param {Object} principal - From auth; needs the approver role
+     */
+    approve(id, principal, comment) {
+        const proposal = this.requirePending(id);
+
+        if (principal.name === proposal.requestedBy) {
+            throw new JobStateError('Proposers cannot approve their own operations', 403);
+        }
+        if (this.policy.approvers.length > 0 && !this.policy.approvers.includes(principal.name)) {
+            throw new JobStateError(`${principal.name} is not on the approver list`, 403);
+        }
+        if (proposal.approvals.some(approval => approval.approver === principal.name)) {
+            throw new JobStateError(`${principal.name} already approved ${id}`);
+        }
+
+        const approval = { approver: principal.name, keyId: principal.keyId, comment: comment || null, at: new Date().toISOString() };
+        proposal.approvals.push(approval);
+        this.audit({ event: 'approved', actor: principal.name, proposalId: id, approval });
+        console.log(`✅ ${principal.name} approved ${id} (${proposal.approvals.length}/${proposal.requiredApprovals})`);
+
+        if (proposal.approvals.length >= proposal.requiredApprovals) {
+            this.release(proposal);
+        } else {
+            this.emit('proposal', this.snapshot(proposal));
+        }
+        return this.snapshot(proposal);
+    }
+
+    reject(id, principal, comment) {
+        const proposal = this.requirePending(id);
+        this.close(proposal, 'rejected', principal.name, comment);
+        return this.snapshot(proposal);
+    }
+
+    /**
+     * Withdraw a pending proposal (its proposer or an admin)
+     */
+    cancel(id, principal) {
+        const proposal = this.requirePending(id);
+        if (principal.name !== proposal.requestedBy && !principal.roles.includes('admin')) {
+            throw new JobStateError('Only the proposer or an admin can cancel a proposal', 403);
+        }
+        this.close(proposal, 'cancelled', principal.name);
+        return this.snapshot(proposal);
+    }
+
+    release(proposal) {
+        try {
+            const job = this.jobs.create(proposal.type, proposal.params, {
+                requestedBy: proposal.requestedBy,
+                proposalId: proposal.id
+            });
+            proposal.status = 'released';
+            proposal.jobId = job.id;
+            this.released.push({ at: Date.now(), ...proposal.notional });
+            this.audit({ event: 'released', actor: 'policy', proposalId: proposal.id, jobId: job.id, notional: proposal.notional });
+            console.log(`🚀 Proposal ${proposal.id} released as job ${job.id}`);
+        } catch (error) {
+            proposal.status = 'failed';
+            proposal.error = error.message;
+            this.audit({ event: 'release_failed', actor: 'policy', proposalId: proposal.id, error: error.message });
+        }
+        this.emit('proposal', this.snapshot(proposal));
+    }
+
+    close(proposal, status, actor, comment) {
+        proposal.status = status;
+        proposal.closedBy = actor;
+        proposal.closedAt = new Date().toISOString();
+        this.audit({ event: status, actor, proposalId: proposal.id, comment: comment || null });
+        this.emit('proposal', this.snapshot(proposal));
+    }
+
+    requirePending(id) {
+        const proposal = this.proposals.get(id);
+        if (!proposal) {
+            throw new JobStateError(`Proposal ${id} not found`, 404);
+        }
+        this.expire(proposal);
+        if (proposal.status !== 'pending') {
+            throw new JobStateError(`Proposal ${id} is ${proposal.status}`);
+        }
+        return proposal;
+    }
+
+    expire(proposal) {
+        if (proposal.status === 'pending' && Date.parse(proposal.expiresAt) <= Date.now()) {
+            this.close(proposal, 'expired', 'policy');
+        }
+    }
+
+    get(id) {
+        const proposal = this.proposals.get(id);
+        if (!proposal) {
+            throw new JobStateError(`Proposal ${id} not found`, 404);
+        }
+        this.expire(proposal);
+        return this.snapshot(proposal);
+    }
+
+    list(filter = {}) {
+        return [...this.proposals.values()]
+            .map(proposal => { this.expire(proposal); return proposal; })
+            .filter(proposal => !filter.status || proposal.status === filter.status)
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+            .map(proposal => this.snapshot(proposal));
+    }
+
+    /**
+     * Audit entries, newest first
+     * @param {Object} [filter]
+     * @param {string} [filter.proposalId]
+     * @param {number} [filter.limit]
+     */
+    auditTrail(filter = {}) {
+        return this.readJournal()
+            .filter(entry => !filter.proposalId || entry.proposalId === filter.proposalId)
+            .reverse()
+            .slice(0, filter.limit || 200);
+    }
+
+    describeNotional({ token, decimals, amount, allowance = false }) {
+        const formatted = BigInt(amount) === ethers.MaxUint256 ? 'unlimited' : ethers.formatUnits(amount, decimals);
+        return { token, decimals, amount: amount.toString(), formatted, allowance };
+    }
+
+    snapshot(proposal) {
+        return JSON.parse(JSON.stringify(proposal));
+    }
+
+    audit(entry) {
+        const line = JSON.stringify({ at: new Date().toISOString(), ...entry }) + '\n';
+        const fd = fs.openSync(this.auditPath, 'a');
+        try {
+            fs.writeSync(fd, line);
+            fs.fsyncSync(fd);
+        } finally {
+            fs.closeSync(fd);
+        }
+    }
+
+    readJournal() {
+        if (!fs.existsSync(this.auditPath)) {
+            return [];
+        }
+        return fs.readFileSync(this.auditPath, 'utf8').split('\n').filter(Boolean).map(line => JSON.parse(line));
+    }
+
+    /**
+     * Rebuild proposals and today's released volume from the audit journal
+     */
+    replay() {
+        for (const entry of this.readJournal()) {
+            const proposal = entry.proposalId && this.proposals.get(entry.proposalId);
+
+            switch (entry.event) {
+                case 'proposed':
+                    this.proposals.set(entry.proposalId, { ...entry.proposal });
+                    break;
+                case 'approved':
+                    if (proposal) proposal.approvals.push(entry.approval);
+                    break;
+                case 'released':
+                    if (proposal) Object.assign(proposal, { status: 'released', jobId: entry.jobId });
+                    this.released.push({ at: Date.parse(entry.at), ...entry.notional });
+                    break;
+                case 'executed':
+                    if (entry.notional) this.released.push({ at: Date.parse(entry.at), ...entry.notional });
+                    break;
+                case 'release_failed':
+                    if (proposal) Object.assign(proposal, { status: 'failed', error: entry.error });
+                    break;
+                case 'rejected':
+                case 'cancelled':
+                case 'expired':
+                    if (proposal) Object.assign(proposal, { status: entry.event, closedBy: entry.actor, closedAt: entry.at });
+                    break;
+            }
+        }
+
+        // Keep only what the daily limits can still see
+        const today = utcDay(Date.now());
+        this.released = this.released.filter(entry => utcDay(entry.at) === today);
+    }
+}
+
+module.exports = ApprovalWorkflow;
+module.exports.DEFAULT_POLICY = DEFAULT_POLICY;
+module.exports.loadPolicy = loadPolicy;
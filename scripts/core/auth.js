@@ -0,0 +1,300 @@
+/**
+ * @fileoverview Authentication and Roles
+ * @description API keys (hashed at rest), short-lived HS256 session tokens and
+ * role checks for the treasury backend
+ * @author FEAWS Development Team
+ *
+ * Roles: viewer (read-only), trader (start and cancel executions), approver
+ * (sign off large operations) and admin (everything, plus key management).
+ * Every role can read.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const ROLES = ['viewer', 'trader', 'approver', 'admin'];
+
+const ROLE_GRANTS = {
+    viewer: ['viewer'],
+    trader: ['viewer', 'trader'],
+    approver: ['viewer', 'approver'],
+    admin: ['viewer', 'trader', 'approver', 'admin']
+};
+
+const DEFAULT_KEYS_FILE = path.join(__dirname, '../../config/api-keys.json');
+const KEY_PREFIX = 'feaws_';
+
+function hashKey(apiKey) {
+    return crypto.createHash('sha256').update(apiKey).digest('hex');
+}
+
+function base64url(input) {
+    return Buffer.from(input).toString('base64url');
+}
+
+/**
+ * @param {string[]} roles
+ * @returns {string[]} Every role the given roles grant
+ */
+function effectiveRoles(roles) {
+    return [...new Set(roles.flatMap(role => ROLE_GRANTS[role] || []))];
+}
+
+function validateRoles(roles) {
+    if (!Array.isArray(roles) || roles.length === 0) {
+        throw new Error('roles must be a non-empty array');
+    }
+    const unknown = roles.filter(role => !ROLES.includes(role));
+    if (unknown.length > 0) {
+        throw new Error(`Unknown role(s): ${unknown.join(', ')}. Expected ${ROLES.join(', ')}`);
+    }
+    return [...new Set(roles)];
+}
+
+/**
+ * API keys persisted as SHA-256 hashes; the plaintext is only returned once, on creation.
+ * The file is re-read whenever it changes, so keys created or revoked by
+ * `npm run api-keys` apply to a running server.
+ */
+class ApiKeyStore {
+    constructor(options = {}) {
+        this.filePath = options.filePath || process.env.FEAWS_API_KEYS_FILE || DEFAULT_KEYS_FILE;
+        this.keys = [];
+        this.loadedVersion = null;
+        this.load();
+    }
+
+    load() {
+        if (fs.existsSync(this.filePath)) {
+            this.loadedVersion = this.fileVersion();
+            this.keys = JSON.parse(fs.readFileSync(this.filePath, 'utf8')).keys || [];
+        }
+    }
+
+    // Modification time and size: a revocation within the same millisecond still changes the size
+    fileVersion() {
+        const stats = fs.statSync(this.filePath, { throwIfNoEntry: false });
+        return stats ? `${stats.mtimeMs}:${stats.size}` : null;
+    }
+
+    /**
+     * Reload if another process has written the file since it was read
+     */
+    refresh() {
+        const version = this.fileVersion();
+        if (version && version !== this.loadedVersion) {
+            this.load();
+        }
+    }
+
+    save() {
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        fs.writeFileSync(this.filePath, JSON.stringify({ keys: this.keys }, null, 2), { mode: 0o600 });
+        this.loadedVersion = this.fileVersion();
+    }
+
+    /**
+     * Names identify principals (approvals, approver lists), so no two active
+     * keys may share one; revoke the old key before reissuing a name
+     * @returns {{ apiKey: string, key: Object }} The plaintext key and its public record
+     */
+    create({ name, roles }) {
+        if (!name || typeof name !== 'string' || !name.trim()) {
+            throw new Error('name is required');
+        }
+        name = name.trim();
+        this.refresh();
+        if (this.keys.some(key => !key.revokedAt && key.name.toLowerCase() === name.toLowerCase())) {
+            throw new Error(`An active API key is already named ${name}`);
+        }
+
+        const apiKey = KEY_PREFIX + crypto.randomBytes(32).toString('base64url');
+        const record = {
+            id: `key_${crypto.randomBytes(6).toString('hex')}`,
+            name,
+            roles: validateRoles(roles),
+            keyHash: hashKey(apiKey),
+            createdAt: new Date().toISOString(),
+            revokedAt: null
+        };
+
+        this.keys.push(record);
+        this.save();
+        return { apiKey, key: this.toPublic(record) };
+    }
+
+    revoke(id) {
+        this.refresh();
+        const record = this.keys.find(key => key.id === id);
+        if (!record) {
+            throw new Error(`API key ${id} not found`);
+        }
+        record.revokedAt = record.revokedAt || new Date().toISOString();
+        this.save();
+        return this.toPublic(record);
+    }
+
+    list() {
+        this.refresh();
+        return this.keys.map(record => this.toPublic(record));
+    }
+
+    /**
+     * Active key record for a plaintext key, or null
+     */
+    verify(apiKey) {
+        if (typeof apiKey !== 'string' || !apiKey.startsWith(KEY_PREFIX)) {
+            return null;
+        }
+        const keyHash = Buffer.from(hashKey(apiKey), 'hex');
+        this.refresh();
+        return this.keys.find(record => !record.revokedAt &&
+            crypto.timingSafeEqual(Buffer.from(record.keyHash, 'hex'), keyHash)) || null;
+    }
+
+    findActive(id) {
+        this.refresh();
+        return this.keys.find(record => record.id === id && !record.revokedAt) || null;
+    }
+
+    toPublic(record) {
+        const { keyHash, ...rest } = record;
+        return rest;
+    }
+}
+
+/**
+ * Minimal HS256 JWT used for dashboard sessions
+ */
+class SessionTokens {
+    constructor(options = {}) {
+        this.secret = options.secret;
+        this.ttlSeconds = options.ttlSeconds || 8 * 3600;
+    }
+
+    sign(claims) {
+        const now = Math.floor(Date.now() / 1000);
+        const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+        const payload = base64url(JSON.stringify({ ...claims, iat: now, exp: now + this.ttlSeconds }));
+        const signature = crypto.createHmac('sha256', this.secret).update(`${header}.${payload}`).digest('base64url');
+
+        return { token: `${header}.${payload}.${signature}`, expiresAt: new Date((now + this.ttlSeconds) * 1000).toISOString() };
+    }
+
+    /**
+     * @returns {Object|null} Claims of a valid, unexpired token
+     */
+    verify(token) {
+        const parts = typeof token === 'string' ? token.split('.') : [];
+        if (parts.length !== 3) {
+            return null;
+        }
+
+        const [header, payload, signature] = parts;
+        const expected = crypto.createHmac('sha256', this.secret).update(`${header}.${payload}`).digest();
+        const actual = Buffer.from(signature, 'base64url');
+        if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+            return null;
+        }
+
+        try {
+            if (JSON.parse(Buffer.from(header, 'base64url').toString()).alg !== 'HS256') {
+                return null;
+            }
+            const claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+            return claims.exp > Math.floor(Date.now() / 1000) ? claims : null;
+        } catch (error) {
+            return null;
+        }
+    }
+}
+
+/**
+ * Build Express middleware around a key store and session signer
+ * @param {Object} options
+ * @param {ApiKeyStore} [options.store]
+ * @param {string} [options.jwtSecret] - Defaults to FEAWS_JWT_SECRET
+ * @param {number} [options.sessionTtlSeconds]
+ */
+function createAuth(options = {}) {
+    const store = options.store || new ApiKeyStore();
+    let secret = options.jwtSecret || process.env.FEAWS_JWT_SECRET;
+
+    if (!secret) {
+        secret = crypto.randomBytes(32).toString('hex');
+        console.warn('⚠️ FEAWS_JWT_SECRET not set; sessions will not survive a restart');
+    }
+
+    const sessions = new SessionTokens({ secret, ttlSeconds: options.sessionTtlSeconds });
+
+    function principalFor(record, via) {
+        return { keyId: record.id, name: record.name, roles: effectiveRoles(record.roles), via };
+    }
+
+    /**
+     * Resolve an API key or session token to a principal, or null
+     */
+    function authenticateToken(token) {
+        const record = store.verify(token);
+        if (record) {
+            return principalFor(record, 'api-key');
+        }
+
+        // Sessions are re-checked against the store so revoking a key ends its sessions
+        const claims = sessions.verify(token);
+        const sessionKey = claims && store.findActive(claims.sub);
+        return sessionKey ? principalFor(sessionKey, 'session') : null;
+    }
+
+    function tokenFromRequest(req) {
+        const header = req.headers.authorization || '';
+        if (header.startsWith('Bearer ')) {
+            return header.slice(7).trim();
+        }
+        return req.headers['x-api-key'] || null;
+    }
+
+    function authenticate(req, res, next) {
+        const principal = authenticateToken(tokenFromRequest(req));
+        if (!principal) {
+            return res.status(401).json({ success: false, error: 'Authentication required' });
+        }
+        req.principal = principal;
+        next();
+    }
+
+    function requireRole(role) {
+        if (!ROLES.includes(role)) {
+            throw new Error(`Unknown role: ${role}`);
+        }
+        return (req, res, next) => authenticate(req, res, () => {
+            if (!req.principal.roles.includes(role)) {
+                return res.status(403).json({ success: false, error: `Requires the ${role} role` });
+            }
+            next();
+        });
+    }
+
+    /**
+     * Exchange an API key for a session token
+     */
+    function createSession(apiKey) {
+        const record = store.verify(apiKey);
+        if (!record) {
+            return null;
+        }
+        return { ...sessions.sign({ sub: record.id, name: record.name }), principal: principalFor(record, 'session') };
+    }
+
+    return { store, authenticate, authenticateToken, requireRole, createSession };
+}
+
+module.exports = {
+    ROLES,
+    ROLE_GRANTS,
+    ApiKeyStore,
+    SessionTokens,
+    createAuth,
+    effectiveRoles
+};
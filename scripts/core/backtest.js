@@ -0,0 +1,558 @@
+/**
+ * @fileoverview Backtesting
+ * @description Replays a historical price and liquidity series through
+ * ProductionTWAPEngine and OneInchPortfolioRebalancer on a SimulatedClock.
+ * Fills settle on an in-memory paper ledger at the historical price, less
+ * price impact against the recorded liquidity and the slippage model, and
+ * each run is reported as cost, fill rate and tracking error.
+ * @author FEAWS Development Team
+ *
+ * Usage:
+ *   node scripts/core/backtest.js --history=data/price-history/sample-polygon.csv \
+ *       --strategy=twap --from=USDC --to=WMATIC --amount=500 --sliceCount=6,12 --intervalMinutes=30
+ *   node scripts/core/backtest.js --history=data/price-history/sample-polygon.csv \
+ *       --strategy=rebalancer --rebalanceThreshold=2,5 --cooldownPeriod=3600,14400
+ * Comma-separated values are swept: one run per combination.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const { SimulatedClock } = require('./clock');
+const { analyzeExecution } = require('./tca');
+const { NATIVE_TOKEN, findToken, priceKey, MockQuoteSource, createPaperBackend } = require('./paper-trading');
+
+const DEFAULT_OUTPUT_DIR = path.join(__dirname, '../../data/backtests');
+
+const TWAP_PARAMS = ['sliceCount', 'intervalMinutes', 'maxSlippage'];
+const REBALANCER_PARAMS = ['rebalanceThreshold', 'cooldownPeriod', 'checkIntervalMinutes'];
+
+function parseTimestamp(value) {
+    const number = Number(value);
+    if (Number.isFinite(number)) {
+        // Unix seconds or milliseconds
+        return number < 1e12 ? number * 1000 : number;
+    }
+    const parsed = Date.parse(value);
+    if (Number.isNaN(parsed)) {
+        throw new Error(`Invalid timestamp ${value}`);
+    }
+    return parsed;
+}
+
+/**
+ * USD price and liquidity per token over time, from rows of
+ * { timestamp, token, price, liquidity }. `token` is a symbol, `price` is in
+ * USD and `liquidity` (optional) is the USD depth swaps in the token can draw
+ * on. Timestamps are ISO dates, Unix seconds or milliseconds.
+ */
+class PriceHistory {
+    /**
+     * @param {Array<Object>} rows
+     */
+    constructor(rows) {
+        this.series = new Map();
+
+        rows.forEach((row, i) => {
+            const key = priceKey(findToken(row.token ?? row.symbol));
+            const price = Number(row.price ?? row.priceUsd);
+            const liquidity = row.liquidity === undefined || row.liquidity === '' ? null : Number(row.liquidity);
+
+            if (!(price > 0) || (liquidity !== null && !(liquidity > 0))) {
+                throw new Error(`Invalid price history row ${i + 1}: ${JSON.stringify(row)}`);
+            }
+            if (!this.series.has(key)) {
+                this.series.set(key, []);
+            }
+            this.series.get(key).push({ timestamp: parseTimestamp(row.timestamp), price, liquidity });
+        });
+
+        if (this.series.size === 0) {
+            throw new Error('Price history is empty');
+        }
+
+        const timestamps = new Set();
+        for (const points of this.series.values()) {
+            points.sort((a, b) => a.timestamp - b.timestamp);
+            points.forEach(point => timestamps.add(point.timestamp));
+        }
+        this.timestamps = [...timestamps].sort((a, b) => a - b);
+        this.start = this.timestamps[0];
+        this.end = this.timestamps[this.timestamps.length - 1];
+    }
+
+    /**
+     * @param {string} filePath - .csv with a header row, or a JSON array
+     */
+    static load(filePath) {
+        const text = fs.readFileSync(filePath, 'utf8');
+        return new PriceHistory(path.extname(filePath).toLowerCase() === '.csv'
+            ? PriceHistory.parseCSV(text)
+            : JSON.parse(text));
+    }
+
+    static parseCSV(text) {
+        const lines = text.split(/\r?\n/).map(line => line.trim()).filter(line => line && !line.startsWith('#'));
+        const header = lines.shift().split(',').map(column => column.trim());
+        return lines.map(line => {
+            const cells = line.split(',');
+            return Object.fromEntries(header.map((column, i) => [column, (cells[i] ?? '').trim()]));
+        });
+    }
+
+    /**
+     * Latest point for a price key at or before `time`, or null
+     */
+    pointAt(key, time) {
+        const points = this.series.get(key) || [];
+        let low = 0;
+        let high = points.length - 1;
+        let found = null;
+
+        while (low <= high) {
+            const mid = (low + high) >> 1;
+            if (points[mid].timestamp <= time) {
+                found = points[mid];
+                low = mid + 1;
+            } else {
+                high = mid - 1;
+            }
+        }
+        return found;
+    }
+
+    pricesAt(time) {
+        const prices = {};
+        for (const key of this.series.keys()) {
+            const point = this.pointAt(key, time);
+            if (point) prices[key] = point.price;
+        }
+        return prices;
+    }
+
+    /**
+     * Output per unit of input in base units, the way TCA prices fills, at
+     * every timestamp in [from, to]
+     */
+    rates(fromToken, toToken, from, to) {
+        return this.timestamps
+            .filter(time => time >= from && time <= to)
+            .map(time => [this.pointAt(priceKey(fromToken), time), this.pointAt(priceKey(toToken), time)])
+            .filter(([fromPoint, toPoint]) => fromPoint && toPoint)
+            .map(([fromPoint, toPoint]) =>
+                (fromPoint.price / toPoint.price) * 10 ** (toToken.decimals - fromToken.decimals)
+            );
+    }
+}
+
+/**
+ * Quotes from a PriceHistory at the replay time. Swaps lose constant-product
+ * price impact against the thinner side's recorded liquidity.
+ */
+class HistoricalQuoteSource extends MockQuoteSource {
+    /**
+     * @param {Object} options
+     * @param {PriceHistory} options.history
+     * @param {Function} options.clock - Returns the replay time in ms
+     */
+    constructor(options) {
+        super({ prices: {} });
+        this.history = options.history;
+        this.clock = options.clock;
+    }
+
+    async getPrices() {
+        const time = this.clock();
+        const prices = this.history.pricesAt(time);
+        return {
+            prices,
+            sources: Object.fromEntries(Object.keys(prices).map(key => [key, 'history'])),
+            unavailable: [...this.history.series.keys()].filter(key => !(key in prices)),
+            updatedAt: new Date(time).toISOString()
+        };
+    }
+
+    async quote(src, dst, amount) {
+        const quoted = await super.quote(src, dst, amount);
+        const fromToken = findToken(src);
+        const depths = [fromToken, findToken(dst)]
+            .map(token => this.history.pointAt(priceKey(token), this.clock()))
+            .map(point => point && point.liquidity)
+            .filter(Boolean);
+
+        if (depths.length === 0) {
+            return quoted;
+        }
+
+        const depth = Math.min(...depths);
+        const tradeUsd = Number(ethers.formatUnits(amount, fromToken.decimals)) * await this.usdPrice(fromToken);
+        // In cents, to keep the arithmetic in integers
+        return quoted * BigInt(Math.round(depth * 100)) / BigInt(Math.round((depth + tradeUsd) * 100));
+    }
+}
+
+function rootMeanSquare(values) {
+    return values.length > 0 ? Math.sqrt(values.reduce((sum, v) => sum + v * v, 0) / values.length) : 0;
+}
+
+function round(value, digits = 2) {
+    const scale = 10 ** digits;
+    return Math.round(value * scale) / scale;
+}
+
+/**
+ * Every combination of the values in `grid`, merged over `base`
+ */
+function expandGrid(base, grid) {
+    return Object.entries(grid).reduce((combinations, [key, values]) =>
+        combinations.flatMap(params => values.map(value => ({ ...params, [key]: value })))
+    , [{ ...base }]);
+}
+
+class Backtester {
+    /**
+     * @param {Object} options
+     * @param {PriceHistory|string} options.history - Series, or a file PriceHistory.load() reads
+     * @param {Object<string, string>} [options.balances] - Starting balances by symbol; paper defaults otherwise
+     * @param {Object} [options.gas] - GasModel options
+     * @param {Object} [options.slippage] - SlippageModel options, on top of price impact
+     * @param {string} [options.outputDir] - One directory per run with its journal, proofs and report.json
+     */
+    constructor(options) {
+        this.history = options.history instanceof PriceHistory ? options.history : PriceHistory.load(options.history);
+        this.balances = options.balances;
+        this.gas = options.gas;
+        this.slippage = options.slippage;
+        this.outputDir = options.outputDir || DEFAULT_OUTPUT_DIR;
+        this.runs = 0;
+    }
+
+    /**
+     * Fresh clock, quote source and in-memory paper backend for one run
+     */
+    setupRun(strategy, start) {
+        const clock = new SimulatedClock(start === undefined ? this.history.start : parseTimestamp(start));
+        const quotes = new HistoricalQuoteSource({ history: this.history, clock: () => clock.now() });
+        const backend = createPaperBackend({ balances: this.balances, quotes, gas: this.gas, slippage: this.slippage });
+        const runDir = path.join(this.outputDir, `${strategy}-${Date.now()}-${++this.runs}`);
+        return { clock, quotes, backend, runDir };
+    }
+
+    /**
+     * Value of a native gas amount in USD at the replay time
+     */
+    async gasUsd(quotes, gasWei) {
+        return Number(ethers.formatEther(gasWei)) * await quotes.usdPrice(findToken('WMATIC'));
+    }
+
+    /**
+     * Run one TWAP until it finishes or the history runs out
+     * @param {Object} params - createTWAPOrder() parameters, with tokens as
+     *   symbols or addresses and `amount` in fromToken units instead of totalAmount
+     * @param {string|number} [params.start] - Replay start; the history's first timestamp by default
+     */
+    async runTWAP(params) {
+        // Required here: the engine module loads .env and logs a banner
+        const { ProductionTWAPEngine } = require('./production-twap');
+        const { fromToken, toToken, amount, sliceCount = 10, intervalMinutes = 15, maxSlippage = 0.5, start, ...orderParams } = params;
+        const from = findToken(fromToken);
+        const to = findToken(toToken);
+        const { clock, quotes, backend, runDir } = this.setupRun('twap', start);
+
+        const engine = new ProductionTWAPEngine({
+            provider: backend.provider,
+            wallet: backend.wallet,
+            swapApi: backend.swapApi,
+            clock,
+            maxSlippage,
+            outputDir: runDir,
+            journalPath: path.join(runDir, 'twap-journal.ndjson')
+        });
+
+        const twap = await engine.createTWAPOrder({
+            ...orderParams,
+            fromToken: from.address,
+            toToken: to.address,
+            totalAmount: ethers.parseUnits(String(amount), from.decimals),
+            sliceCount,
+            intervalMinutes,
+            maxSlippage
+        });
+        const schedule = twap.slices.map(slice => ({ at: slice.executeAt, amount: slice.order ? slice.order.makingAmount : twap.sliceAmount }));
+
+        await engine.executeTWAP(twap.id);
+        await engine.idle();
+        await this.replay(clock, engine, () => ['completed', 'partial'].includes(twap.status));
+        engine.clearSliceTimers(twap);
+
+        const ledgerEntries = new Map(backend.ledger.history.map(entry => [entry.hash, entry]));
+        const fills = [];
+        for (const slice of twap.slices.filter(s => s.status === 'completed')) {
+            const entry = ledgerEntries.get(slice.txHash);
+            const gasWei = BigInt(entry.gasUsed) * BigInt(entry.effectiveGasPrice);
+            fills.push({
+                slice: slice.sliceIndex + 1,
+                executedAt: slice.executedAt,
+                inputAmount: entry.amountIn.toString(),
+                outputAmount: entry.amountOut.toString(),
+                quotedOutput: entry.quotedAmount.toString(),
+                gasCost: (await quotes.quote(NATIVE_TOKEN, to.address, gasWei)).toString()
+            });
+        }
+
+        const end = twap.completedAt || clock.now();
+        const tca = analyzeExecution({
+            arrivalPrice: Number(twap.arrivalRate) / 1e18,
+            fills,
+            periodPrices: this.history.rates(from, to, twap.startedAt, end)
+        });
+
+        // Shortfall of the filled amount behind the original schedule, at each slice time and the end
+        const filledBy = time => fills
+            .filter(fill => fill.executedAt <= time)
+            .reduce((sum, fill) => sum + Number(fill.inputAmount), 0);
+        const scheduledBy = time => schedule
+            .filter(entry => entry.at <= time)
+            .reduce((sum, entry) => sum + Number(entry.amount), 0);
+        const checkpoints = [...schedule.map(entry => entry.at), clock.now()];
+        const total = Number(twap.totalAmount);
+        const gasWei = backend.ledger.history.reduce((sum, entry) => sum + BigInt(entry.gasUsed) * BigInt(entry.effectiveGasPrice), 0n);
+        const count = status => twap.slices.filter(s => s.status === status).length;
+
+        return this.saveReport(runDir, {
+            strategy: 'twap',
+            params: { fromToken: from.symbol, toToken: to.symbol, amount: String(amount), sliceCount, intervalMinutes, maxSlippage },
+            window: { start: new Date(twap.startedAt).toISOString(), end: new Date(end).toISOString() },
+            status: ['completed', 'partial'].includes(twap.status) ? twap.status : 'incomplete',
+            fillRatePct: round(fills.reduce((sum, fill) => sum + Number(fill.inputAmount), 0) / total * 100),
+            slices: {
+                total: twap.slices.length,
+                completed: count('completed'),
+                skipped: count('skipped'),
+                failed: count('failed'),
+                pending: count('pending')
+            },
+            skipReasons: twap.slices.filter(s => s.skipReason).reduce((reasons, s) =>
+                ({ ...reasons, [s.skipReason]: (reasons[s.skipReason] || 0) + 1 }), {}),
+            cost: tca && {
+                arrivalPrice: tca.arrivalPrice,
+                averagePrice: tca.averagePrice,
+                periodTWAP: tca.periodTWAP,
+                implementationShortfallBps: tca.implementationShortfallBps,
+                slippageVsQuoteBps: tca.slippageVsQuoteBps,
+                vsPeriodTWAPBps: tca.vsPeriodTWAPBps,
+                gasBps: tca.gasBps,
+                totalCostBps: tca.totalCostBps
+            },
+            gas: { transactions: backend.ledger.history.length, matic: ethers.formatEther(gasWei) },
+            trackingErrorPct: round(rootMeanSquare(checkpoints.map(time => (scheduledBy(time) - filledBy(time)) / total * 100)))
+        });
+    }
+
+    /**
+     * Run the rebalancer's check-and-rebalance loop every `checkIntervalMinutes`
+     * until `end` (the history's last timestamp by default)
+     * @param {Object} params
+     * @param {number} [params.rebalanceThreshold]
+     * @param {number} [params.cooldownPeriod] - Seconds
+     * @param {number} [params.checkIntervalMinutes] - Default 60
+     * @param {Object<string, number>} [params.targetAllocations]
+     * @param {string|number} [params.start]
+     * @param {string|number} [params.end]
+     */
+    async runRebalancer(params = {}) {
+        const OneInchPortfolioRebalancer = require('../advanced/oneinch-portfolio-rebalancer');
+        const { rebalanceThreshold = 5, cooldownPeriod = 3600, checkIntervalMinutes = 60, targetAllocations, start, end } = params;
+        const { clock, quotes, backend, runDir } = this.setupRun('rebalancer', start);
+        const endTime = end === undefined ? this.history.end : parseTimestamp(end);
+
+        const rebalancer = new OneInchPortfolioRebalancer({
+            provider: backend.provider,
+            wallet: backend.wallet,
+            swapApi: backend.swapApi,
+            clock,
+            outputDir: runDir,
+            rebalanceThreshold,
+            cooldownPeriod,
+            tradeDelayMs: 0
+        });
+        if (targetAllocations) {
+            rebalancer.updateTargetAllocations(targetAllocations);
+        }
+
+        // The live treasury keeps standing router approvals; so does the paper one
+        for (const token of Object.values(rebalancer.tokens)) {
+            backend.ledger.approve(token.address, backend.swapApi.router, ethers.MaxUint256);
+        }
+
+        const deviations = [];
+        const values = [];
+        const trades = { attempted: 0, filled: 0, failed: 0 };
+        let rebalances = 0;
+        let tradingUsd = 0;
+        let gasUsd = 0;
+        let first = null;
+        let last = null;
+
+        for (let time = clock.now(); time <= endTime; time += checkIntervalMinutes * 60 * 1000) {
+            await clock.advanceTo(time);
+            const analysis = await rebalancer.analyzePortfolio();
+            const settled = backend.ledger.history.length;
+            let allocations = analysis.currentAllocations;
+            first = first || analysis;
+            last = analysis;
+
+            if (analysis.needsRebalancing) {
+                const result = await rebalancer.executeRebalancing(analysis);
+                // A rebalance with no trade worth making still starts the cooldown, but isn't counted
+                if (result.rebalanced && result.trades.length > 0) {
+                    rebalances++;
+                    allocations = result.record.afterAllocations;
+                    trades.attempted += result.trades.length;
+                    trades.filled += result.trades.filter(trade => trade.success).length;
+                    trades.failed += result.trades.filter(trade => !trade.success).length;
+                }
+            }
+
+            // Value given up in each transaction, at the undisturbed market price
+            const { prices } = await quotes.getPrices();
+            const usd = (token, amount) => Number(ethers.formatUnits(amount, findToken(token).decimals)) * prices[priceKey(findToken(token))];
+            for (const entry of backend.ledger.history.slice(settled)) {
+                gasUsd += await this.gasUsd(quotes, BigInt(entry.gasUsed) * BigInt(entry.effectiveGasPrice));
+                if (entry.kind === 'swap' && entry.status === 1) {
+                    tradingUsd += usd(entry.src, entry.amountIn) - usd(entry.dst, entry.amountOut);
+                }
+            }
+
+            values.push(Number(ethers.formatUnits(analysis.totalValue, 6)));
+            for (const [symbol, target] of Object.entries(rebalancer.targetAllocations)) {
+                deviations.push((allocations[symbol]?.allocation || 0) - target);
+            }
+        }
+
+        const averageValue = values.reduce((sum, v) => sum + v, 0) / (values.length || 1);
+        const holdValue = last ? Number(ethers.formatUnits(rebalancer.calculateTotalValue(first.balances, last.prices), 6)) : 0;
+
+        return this.saveReport(runDir, {
+            strategy: 'rebalancer',
+            params: { rebalanceThreshold, cooldownPeriod, checkIntervalMinutes },
+            window: { start: first && first.timestamp, end: last && last.timestamp },
+            checks: values.length,
+            rebalances,
+            trades,
+            fillRatePct: trades.attempted > 0 ? round(trades.filled / trades.attempted * 100) : null,
+            cost: {
+                tradingUsd: round(tradingUsd),
+                gasUsd: round(gasUsd),
+                totalUsd: round(tradingUsd + gasUsd),
+                totalBps: averageValue > 0 ? round((tradingUsd + gasUsd) / averageValue * 10000) : 0
+            },
+            trackingErrorPct: round(rootMeanSquare(deviations)),
+            maxDeviationPct: round(Math.max(0, ...deviations.map(Math.abs))),
+            valueUsd: {
+                start: values.length > 0 ? round(values[0]) : 0,
+                end: values.length > 0 ? round(values[values.length - 1]) : 0,
+                hold: round(holdValue)
+            }
+        });
+    }
+
+    /**
+     * One run per combination of parameter values
+     * @param {string} strategy - 'twap' or 'rebalancer'
+     * @param {Object} base - Parameters shared by every run
+     * @param {Object<string, Array>} grid - Values to try, by parameter
+     * @returns {Promise<Array<Object>>} Reports
+     */
+    async sweep(strategy, base, grid) {
+        if (!['twap', 'rebalancer'].includes(strategy)) {
+            throw new Error(`Unknown backtest strategy: ${strategy}`);
+        }
+
+        const reports = [];
+        for (const params of expandGrid(base, grid)) {
+            reports.push(strategy === 'twap' ? await this.runTWAP(params) : await this.runRebalancer(params));
+        }
+        return reports;
+    }
+
+    /**
+     * Fire clock timers in order until `done()` or no timer is due within the history
+     */
+    async replay(clock, engine, done) {
+        while (!done() && clock.nextAt() !== null && clock.nextAt() <= this.history.end) {
+            await clock.advanceTo(clock.nextAt());
+            await engine.idle();
+        }
+    }
+
+    saveReport(runDir, report) {
+        fs.mkdirSync(runDir, { recursive: true });
+        const reportPath = path.join(runDir, 'report.json');
+        fs.writeFileSync(reportPath, JSON.stringify(report, null, 2));
+        return { ...report, reportPath };
+    }
+}
+
+/**
+ * --key=value arguments; numeric lists of the swept parameters become arrays
+ */
+function parseBacktestArgs(argv = process.argv.slice(2)) {
+    const args = Object.fromEntries(argv
+        .filter(arg => arg.startsWith('--'))
+        .map(arg => {
+            const [key, ...value] = arg.slice(2).split('=');
+            return [key, value.join('=')];
+        }));
+
+    const strategy = args.strategy || 'twap';
+    const swept = strategy === 'twap' ? TWAP_PARAMS : REBALANCER_PARAMS;
+    const grid = {};
+    for (const key of swept.filter(key => args[key] !== undefined)) {
+        grid[key] = args[key].split(',').map(Number);
+        delete args[key];
+    }
+    return { strategy, args, grid };
+}
+
+module.exports = Backtester;
+module.exports.PriceHistory = PriceHistory;
+module.exports.HistoricalQuoteSource = HistoricalQuoteSource;
+module.exports.parseBacktestArgs = parseBacktestArgs;
+
+if (require.main === module) {
+    (async () => {
+        const { strategy, args, grid } = parseBacktestArgs();
+        if (!args.history) {
+            console.error('❌ --history=<price history .csv or .json> is required');
+            process.exit(1);
+        }
+
+        const backtester = new Backtester({
+            history: args.history,
+            balances: args.balances && JSON.parse(args.balances),
+            gas: args.baseFeeGwei ? { baseFeeGwei: parseFloat(args.baseFeeGwei) } : undefined,
+            slippage: args.slippageBps ? { baseBps: parseFloat(args.slippageBps) } : undefined,
+            outputDir: args.outputDir
+        });
+
+        const base = strategy === 'twap'
+            ? { fromToken: args.from || 'USDC', toToken: args.to || 'WMATIC', amount: args.amount || '100', start: args.start }
+            : { start: args.start, end: args.end };
+        const reports = await backtester.sweep(strategy, base, grid);
+
+        console.log('');
+        console.log(`📈 Backtest results (${strategy})`);
+        console.table(reports.map(report => ({
+            ...report.params,
+            status: report.status ?? `${report.rebalances} rebalances`,
+            'fill %': report.fillRatePct,
+            'cost bps': strategy === 'twap' ? report.cost?.totalCostBps : report.cost.totalBps,
+            'tracking err %': report.trackingErrorPct
+        })));
+        reports.forEach(report => console.log(`📄 ${report.reportPath}`));
+    })().catch(error => {
+        console.error('❌ Backtest failed:', error.message);
+        process.exit(1);
+    });
+}
@@ -17,21 +17,30 @@ const tokens = [
     { name: 'Staked MATIC', address: '0x3a58a54c066fdc0f2d55fc9c89f0415c92ebf3c4', decimals: 18, symbol: 'stMATIC' }
 ];
 
-async function fetchTokenBalances() {
+/**
+ * Balances of the supported tokens for the env wallet, or for `wallet` on
+ * its own provider (a paper wallet reads its ledger)
+ * @param {Object} [options]
+ * @param {ethers.Signer} [options.wallet]
+ */
+async function fetchTokenBalances(options = {}) {
     console.log('💰 FEAWS Token Balance Fetcher');
     console.log('════════════════════════════════');
     
     try {
-        // Initialize provider and wallet
-        const rpcUrl = process.env.POLYGON_RPC_URL || 'https://polygon-rpc.com';
-        const privateKey = process.env.MAKER_PRIVATE_KEY || process.env.PRIVATE_KEY;
-        
-        if (!privateKey) {
-            throw new Error('No private key found in environment variables');
+        let { wallet } = options;
+        if (!wallet) {
+            // Initialize provider and wallet
+            const rpcUrl = process.env.POLYGON_RPC_URL || 'https://polygon-rpc.com';
+            const privateKey = process.env.MAKER_PRIVATE_KEY || process.env.PRIVATE_KEY;
+
+            if (!privateKey) {
+                throw new Error('No private key found in environment variables');
+            }
+
+            wallet = new Wallet(privateKey, new JsonRpcProvider(rpcUrl));
         }
-        
-        const provider = new JsonRpcProvider(rpcUrl);
-        const wallet = new Wallet(privateKey, provider);
+        const { provider } = wallet;
         
         console.log(`👤 Wallet Address: ${wallet.address}`);
         console.log('');
@@ -98,13 +107,13 @@ async function fetchTokenBalances() {
         
     } catch (error) {
         console.error('❌ Failed to fetch token balances:', error);
-        process.exit(1);
+        throw error;
     }
 }
 
 // Run if called directly
 if (require.main === module) {
-    fetchTokenBalances();
+    fetchTokenBalances().catch(() => process.exit(1));
 }
 
 module.exports = { fetchTokenBalances, tokens };
@@ -0,0 +1,111 @@
+/**
+ * @fileoverview Clocks
+ * @description Time source for the TWAP engine and portfolio rebalancer.
+ * systemClock is wall-clock time and real timers; SimulatedClock is a manual
+ * clock whose timers fire only as it is advanced, for backtests; ScaledClock
+ * runs real timers faster, for the demo server.
+ * @author FEAWS Development Team
+ */
+
+const systemClock = {
+    now: () => Date.now(),
+    setTimeout: (callback, ms) => setTimeout(callback, ms),
+    clearTimeout: timer => clearTimeout(timer)
+};
+
+/**
+ * Clock that stands still until advanced. Timers fire in due order, each
+ * with the clock set to its due time, and the clock waits for a callback's
+ * returned promise before firing the next one.
+ */
+class SimulatedClock {
+    /**
+     * @param {number} [startTime] - ms since the epoch
+     */
+    constructor(startTime = 0) {
+        this.time = startTime;
+        this.timers = [];
+        this.sequence = 0;
+    }
+
+    now() {
+        return this.time;
+    }
+
+    setTimeout(callback, ms = 0) {
+        const timer = {
+            at: this.time + Math.max(0, ms || 0),
+            sequence: this.sequence++,
+            callback,
+            // Same surface as a Node timer for callers that unref() theirs
+            unref() { return this; },
+            ref() { return this; }
+        };
+        this.timers.push(timer);
+        return timer;
+    }
+
+    clearTimeout(timer) {
+        this.timers = this.timers.filter(t => t !== timer);
+    }
+
+    /**
+     * Due time of the next timer, or null when none is pending
+     */
+    nextAt() {
+        const next = this.peek();
+        return next ? next.at : null;
+    }
+
+    peek() {
+        return this.timers.reduce((first, timer) =>
+            !first || timer.at < first.at || (timer.at === first.at && timer.sequence < first.sequence) ? timer : first
+        , null);
+    }
+
+    /**
+     * Fire every timer due by `time`, including ones scheduled along the way,
+     * then leave the clock at `time`
+     */
+    async advanceTo(time) {
+        for (let timer = this.peek(); timer && timer.at <= time; timer = this.peek()) {
+            this.clearTimeout(timer);
+            this.time = Math.max(this.time, timer.at);
+            await timer.callback();
+        }
+        this.time = Math.max(this.time, time);
+    }
+
+    async advance(ms) {
+        await this.advanceTo(this.time + ms);
+    }
+}
+
+/**
+ * Wall-clock time compressed by `timeScale` from when the clock is created:
+ * at 1/60 a one-minute timer fires after a second, and now() moves a minute
+ */
+class ScaledClock {
+    /**
+     * @param {number} timeScale - Real time per unit of clock time, e.g. 1/60
+     * @param {number} [origin] - ms since the epoch where clock and wall time agree
+     */
+    constructor(timeScale, origin = Date.now()) {
+        this.timeScale = timeScale;
+        this.origin = origin;
+    }
+
+    now() {
+        return this.origin + Math.round((Date.now() - this.origin) / this.timeScale);
+    }
+
+    setTimeout(callback, ms) {
+        return setTimeout(callback, Math.max(0, ms || 0) * this.timeScale);
+    }
+
+    clearTimeout(timer) {
+        clearTimeout(timer);
+    }
+}
+
+module.exports = { systemClock, SimulatedClock, ScaledClock };
@@ -0,0 +1,259 @@
+/**
+ * @fileoverview Execution Event Stream
+ * @description Collects TWAP engine, job, proposal and balance events into one
+ * numbered stream and fans it out over Socket.IO (per-job rooms) and
+ * Server-Sent Events
+ * @author FEAWS Development Team
+ */
+
+const EventEmitter = require('events');
+
+const EVENT_TYPES = [
+    'slice_scheduled',
+    'order_signed',
+    'order_submitted',
+    'fill_detected',
+    'slice_skipped',
+    'slice_failed',
+    'twap_completed',
+    'balance_changed',
+    'job_update',
+    'proposal_update'
+];
+
+const ALL_ROOM = 'all';
+
+function roomFor(jobId) {
+    return `job:${jobId}`;
+}
+
+function toPlain(value) {
+    return JSON.parse(JSON.stringify(value, (key, v) => typeof v === 'bigint' ? v.toString() : v));
+}
+
+/**
+ * Every event is `{ id, type, jobId, at, data }`. `id` increases monotonically
+ * so SSE clients can resume with Last-Event-ID; `jobId` is null for events that
+ * are not tied to one job (balances).
+ */
+class ExecutionEventStream extends EventEmitter {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.bufferSize] - Recent events kept for replay
+     */
+    constructor(options = {}) {
+        super();
+        this.setMaxListeners(0);
+        this.bufferSize = options.bufferSize || 500;
+        this.buffer = [];
+        this.sequence = 0;
+        this.jobStates = new Map();
+        this.balances = null;
+        this.balanceTimer = null;
+        this.balanceRefresh = null;
+    }
+
+    publish(type, payload = {}) {
+        const { jobId = null, ...data } = payload;
+        const event = { id: ++this.sequence, type, jobId, at: new Date().toISOString(), data: toPlain(data) };
+
+        this.buffer.push(event);
+        if (this.buffer.length > this.bufferSize) {
+            this.buffer.shift();
+        }
+
+        this.emit('event', event);
+        return event;
+    }
+
+    /**
+     * Relay a ProductionTWAPEngine's `execution` events
+     * @returns The engine, for use in factories
+     */
+    attachEngine(engine) {
+        engine.on('execution', ({ type, at, ...details }) => {
+            this.publish(type, details);
+            if (type === 'fill_detected' || type === 'twap_completed') {
+                this.refreshBalances();
+            }
+        });
+        return engine;
+    }
+
+    attachJobs(jobs) {
+        jobs.on('job', job => {
+            // Jobs re-report unchanged progress while they poll; only changes go out
+            const { id, ...state } = job;
+            const fingerprint = JSON.stringify(state);
+            if (this.jobStates.get(id) === fingerprint) {
+                return;
+            }
+
+            if (['completed', 'failed', 'cancelled'].includes(job.status)) {
+                this.jobStates.delete(id);
+            } else {
+                this.jobStates.set(id, fingerprint);
+            }
+
+            this.publish('job_update', { jobId: id, job });
+            if (job.status === 'completed' && job.type !== 'balance') {
+                this.refreshBalances();
+            }
+        });
+    }
+
+    attachApprovals(approvals) {
+        approvals.on('proposal', proposal => {
+            this.publish('proposal_update', { jobId: proposal.jobId, proposal });
+        });
+    }
+
+    /**
+     * Poll balances and publish `balance_changed` when any of them moves.
+     * Fills and completed jobs also trigger a check.
+     * @param {() => Promise<Object>} readBalances - Resolves to symbol -> { raw, formatted }
+     * @param {number} [intervalMs]
+     */
+    watchBalances(readBalances, intervalMs = 30000) {
+        this.readBalances = readBalances;
+        this.refreshBalances();
+        this.balanceTimer = setInterval(() => this.refreshBalances(), intervalMs);
+        this.balanceTimer.unref();
+    }
+
+    refreshBalances() {
+        if (!this.readBalances || this.balanceRefresh) {
+            return this.balanceRefresh;
+        }
+
+        this.balanceRefresh = (async () => {
+            try {
+                const balances = await this.readBalances();
+                const changes = {};
+
+                for (const [symbol, balance] of Object.entries(balances)) {
+                    const previous = this.balances?.[symbol];
+                    if (previous?.raw === undefined || balance.raw === undefined || previous.raw === balance.raw) {
+                        continue;
+                    }
+                    changes[symbol] = {
+                        before: previous.formatted,
+                        after: balance.formatted,
+                        rawDelta: (BigInt(balance.raw) - BigInt(previous.raw)).toString()
+                    };
+                }
+
+                if (Object.keys(changes).length > 0) {
+                    this.publish('balance_changed', { balances, changes });
+                }
+                this.balances = balances;
+            } catch (error) {
+                console.error('❌ Balance check failed:', error.message);
+            } finally {
+                this.balanceRefresh = null;
+            }
+        })();
+
+        return this.balanceRefresh;
+    }
+
+    matches(event, jobId) {
+        return !jobId || event.jobId === jobId;
+    }
+
+    /**
+     * Buffered events after `lastId`, optionally for one job
+     */
+    since(lastId, jobId) {
+        return this.buffer.filter(event => event.id > lastId && this.matches(event, jobId));
+    }
+
+    /**
+     * Serve the stream over Socket.IO. Clients connect with
+     * `io(url, { auth: { token, jobId? } })`: without a jobId they join the
+     * room for every event, with one only that job's room. `subscribe` and
+     * `unsubscribe` ({ jobId? }) switch rooms on an open connection.
+     * @param {import('socket.io').Server} io
+     * @param {(token: string) => Object|null} authenticateToken
+     */
+    attachSocketServer(io, authenticateToken) {
+        io.use((socket, next) => {
+            const principal = authenticateToken(socket.handshake.auth?.token);
+            if (!principal) {
+                return next(new Error('Authentication required'));
+            }
+            socket.data.principal = principal;
+            next();
+        });
+
+        io.on('connection', socket => {
+            const { jobId } = socket.handshake.auth;
+            socket.join(jobId ? roomFor(jobId) : ALL_ROOM);
+
+            socket.on('subscribe', (request = {}, ack) => {
+                socket.join(request.jobId ? roomFor(request.jobId) : ALL_ROOM);
+                if (typeof ack === 'function') {
+                    ack({ success: true, events: this.since(0, request.jobId) });
+                }
+            });
+
+            socket.on('unsubscribe', (request = {}) => {
+                socket.leave(request.jobId ? roomFor(request.jobId) : ALL_ROOM);
+            });
+
+            socket.on('request_balance_update', () => this.refreshBalances());
+        });
+
+        this.on('event', event => {
+            const target = event.jobId ? io.to(ALL_ROOM).to(roomFor(event.jobId)) : io.to(ALL_ROOM);
+            target.emit(event.type, event);
+        });
+    }
+
+    /**
+     * Express handler streaming events as Server-Sent Events. `?jobId=` limits
+     * the stream to one job; `Last-Event-ID` (or `?since=`) replays buffered
+     * events the client missed.
+     */
+    sseHandler() {
+        return (req, res) => {
+            const jobId = req.query.jobId || null;
+            const lastId = parseInt(req.get('Last-Event-ID') ?? req.query.since, 10);
+
+            res.set({
+                'Content-Type': 'text/event-stream',
+                'Cache-Control': 'no-cache',
+                Connection: 'keep-alive',
+                'X-Accel-Buffering': 'no'
+            });
+            res.flushHeaders();
+            res.write('retry: 3000\n\n');
+
+            const send = event => res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+            if (lastId >= 0) {
+                this.since(lastId, jobId).forEach(send);
+            }
+
+            const listener = event => {
+                if (this.matches(event, jobId)) {
+                    send(event);
+                }
+            };
+            const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 25000);
+
+            this.on('event', listener);
+            req.on('close', () => {
+                clearInterval(heartbeat);
+                this.off('event', listener);
+            });
+        };
+    }
+
+    stop() {
+        clearInterval(this.balanceTimer);
+        this.balanceTimer = null;
+    }
+}
+
+module.exports = ExecutionEventStream;
+module.exports.EVENT_TYPES = EVENT_TYPES;
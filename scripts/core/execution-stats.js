@@ -0,0 +1,165 @@
+/**
+ * @fileoverview Execution Statistics
+ * @description Aggregates TWAP slices, limit orders, aggregator swaps and
+ * Fusion orders from the proof files the engines write
+ * @author FEAWS Development Team
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const { tokens: KNOWN_TOKENS } = require('./balance-fetcher');
+
+const ROOT = path.join(__dirname, '../..');
+
+function readJSONFiles(dir) {
+    if (!fs.existsSync(dir)) {
+        return [];
+    }
+    return fs.readdirSync(dir)
+        .filter(file => file.endsWith('.json'))
+        .flatMap(file => {
+            try {
+                return [{ file, proof: JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8')) }];
+            } catch (error) {
+                console.log(`Could not read ${file}`);
+                return [];
+            }
+        });
+}
+
+/**
+ * USD value of a raw token amount, or null when the token or its price is unknown
+ */
+function usdValue(prices, tokenAddress, rawAmount) {
+    const token = tokenAddress && KNOWN_TOKENS.find(t => t.address.toLowerCase() === tokenAddress.toLowerCase());
+    if (!token || rawAmount === undefined || rawAmount === null) {
+        return null;
+    }
+    // Bridged USDC.e trades at the USDC price
+    const price = prices[token.symbol === 'USDC.e' ? 'usdc' : token.symbol.toLowerCase()];
+    return price === undefined ? null : Number(ethers.formatUnits(rawAmount, token.decimals)) * price;
+}
+
+/**
+ * @param {Object} [options]
+ * @param {string} [options.proofsDir] - Defaults to execution-proofs/
+ * @param {string} [options.dataDir] - Defaults to data/ (legacy TWAP proofs, taker-bot fills.csv)
+ * @param {Object<string, number>} [options.prices] - USD prices keyed by lower-case symbol
+ */
+function collectExecutionStats(options = {}) {
+    const proofsDir = options.proofsDir || path.join(ROOT, 'execution-proofs');
+    const dataDir = options.dataDir || process.env.FEAWS_DATA_DIR || path.join(ROOT, 'data');
+    const prices = options.prices || {};
+
+    const twapTxs = new Set();
+    const orderHashes = new Set();
+    const swapTxs = new Set();
+    const fusionHashes = new Set();
+    const stats = {
+        twap: { slices: 0, volume: 0, txHashes: [] },
+        limitOrders: { created: 0, filled: 0, orderHashes: [] },
+        swaps: { executed: 0, volume: 0, gasUsed: '0', gasCostUSD: 0, txHashes: [] },
+        fusion: { created: 0, orderHashes: [] },
+        totalProofs: 0
+    };
+    let swapGas = 0n;
+    let swapGasCostWei = 0n;
+    // Latest proof per TWAP slice: posted orders are re-proven as fills arrive
+    const sliceProofs = new Map();
+
+    function addTWAPSlice(txHash, volumeUSD) {
+        if (!txHash || twapTxs.has(txHash)) return;
+        twapTxs.add(txHash);
+        stats.twap.slices++;
+        stats.twap.volume += volumeUSD || 0;
+    }
+
+    for (const { proof } of readJSONFiles(proofsDir)) {
+        stats.totalProofs++;
+
+        switch (proof.type) {
+            case 'twap-slice-execution': {
+                const key = proof.slice?.id || proof.slice?.txHash;
+                if (key && !(sliceProofs.get(key)?.timestamp > proof.timestamp)) {
+                    sliceProofs.set(key, proof);
+                }
+                break;
+            }
+            case 'twap-order-filled':
+                addTWAPSlice(proof.transaction?.hash);
+                stats.limitOrders.filled++;
+                break;
+            case 'limit-order-filled':
+                stats.limitOrders.filled++;
+                break;
+            case 'aggregator-swap':
+                if (proof.txHash && !swapTxs.has(proof.txHash)) {
+                    swapTxs.add(proof.txHash);
+                    stats.swaps.volume += usdValue(prices, proof.fromToken, proof.amount) || 0;
+                    swapGas += BigInt(proof.gasUsed || 0);
+                    swapGasCostWei += BigInt(proof.gasUsed || 0) * BigInt(proof.gasPrice || 0);
+                }
+                break;
+            case 'fusion-order-created':
+                if (proof.orderHash) fusionHashes.add(proof.orderHash);
+                break;
+        }
+
+        // Signed LOP orders appear in several proof layouts
+        const candidates = [proof, proof.order, ...(Array.isArray(proof.orders) ? proof.orders : [])];
+        for (const candidate of candidates) {
+            if (proof.type !== 'fusion-order-created' && candidate?.orderHash && (candidate.order || candidate.signature)) {
+                orderHashes.add(candidate.orderHash.toLowerCase());
+            }
+        }
+    }
+
+    // Volume is what traded; proofs from before `filledAmount` count the whole slice
+    for (const { slice } of sliceProofs.values()) {
+        const filled = slice.filledAmount ?? slice.makingAmount;
+        if (slice.status === 'completed' && BigInt(filled || 0) > 0n) {
+            addTWAPSlice(slice.txHash || slice.id, usdValue(prices, slice.makerAsset, filled));
+        }
+    }
+
+    // Earlier TWAP scripts wrote one proof per run into data/; all of them sold USDC
+    for (const { proof } of readJSONFiles(dataDir)) {
+        const entries = [
+            ...(proof.swaps || []),
+            ...(proof.transactions || []),
+            ...(proof.twapExecution?.transactions || []),
+            ...(proof.executionResults || []).filter(entry => !entry.status || entry.status === 'success')
+        ];
+        if (entries.length === 0) continue;
+
+        stats.totalProofs++;
+        for (const entry of entries) {
+            const amount = parseFloat(entry.inputAmount ?? entry.amount);
+            addTWAPSlice(entry.hash, Number.isFinite(amount) ? amount * (prices.usdc ?? 1) : 0);
+        }
+    }
+
+    const fillsFile = path.join(dataDir, 'fills.csv');
+    if (fs.existsSync(fillsFile)) {
+        stats.limitOrders.filled += fs.readFileSync(fillsFile, 'utf8')
+            .split('\n')
+            .slice(1)
+            .filter(line => line.trim().endsWith(',success'))
+            .length;
+    }
+
+    stats.twap.txHashes = [...twapTxs].filter(hash => /^0x[0-9a-fA-F]{64}$/.test(hash));
+    stats.limitOrders.orderHashes = [...orderHashes];
+    stats.limitOrders.created = orderHashes.size;
+    stats.swaps.executed = swapTxs.size;
+    stats.swaps.txHashes = [...swapTxs];
+    stats.swaps.gasUsed = swapGas.toString();
+    stats.swaps.gasCostUSD = Number(ethers.formatEther(swapGasCostWei)) * (prices.wmatic ?? 0);
+    stats.fusion.orderHashes = [...fusionHashes];
+    stats.fusion.created = fusionHashes.size;
+
+    return stats;
+}
+
+module.exports = { collectExecutionStats };
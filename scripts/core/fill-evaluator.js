@@ -0,0 +1,216 @@
+/**
+ * @fileoverview Fill Evaluator
+ * @description Decides whether the taker bot should fill a signed LOP v4
+ * order now, and how much of it. The makerAsset it would receive is valued
+ * at the 1inch aggregator quote back into the takerAsset it pays, less the
+ * gas of the fill at the fees the gas strategy would send it with.
+ * @author FEAWS Development Team
+ */
+
+const { ethers } = require('ethers');
+const { encodeFillOrder, parseMakerTraits, LOP_V4_ADDRESS } = require('./lop-order');
+const { GasStrategy, GasPriceTooHighError } = require('./gas-strategy');
+
+// Gas is paid in MATIC, which the aggregator prices through WMATIC 1:1
+const WMATIC_ADDRESS = '0x0d500B1d8E8eF31E21C99d1Db9A6444d3ADf1270';
+
+const ERC20_ABI = [
+    'function allowance(address owner, address spender) view returns (uint256)',
+    'function balanceOf(address owner) view returns (uint256)'
+];
+
+// Shares of the remaining amount tried when an order allows partial fills
+const DEFAULT_FILL_FRACTIONS = [1, 0.5, 0.25];
+
+/**
+ * takingAmount owed for `fillMaking` of an order, rounded up as the LOP does
+ */
+function takingFor(order, fillMaking) {
+    return (fillMaking * order.takingAmount + order.makingAmount - 1n) / order.makingAmount;
+}
+
+function bps(numerator, denominator) {
+    return denominator > 0n ? Number((numerator * 1000000n) / denominator) / 100 : 0;
+}
+
+class FillEvaluator {
+    /**
+     * @param {Object} options
+     * @param {ethers.Provider} options.provider
+     * @param {string} options.taker - Address that sends the fill
+     * @param {Object} options.quoteApi - OneInchApi or PaperSwapApi; quote({ src, dst, amount }) resolves to { dstAmount }
+     * @param {number} [options.minProfitBps] - Net profit required, in bps of the takerAsset paid; default 10
+     * @param {number[]} [options.fillFractions] - Shares of the remaining amount to try; default 1, 0.5, 0.25
+     * @param {number} [options.gasLimitBuffer] - Multiplier on the gas estimate; default 1.2
+     * @param {GasStrategy} [options.gasStrategy] - Default one on `provider` with no cap
+     * @param {string} [options.gasSpeed] - Default 'fast'
+     * @param {number} [options.chainId]
+     */
+    constructor(options) {
+        this.provider = options.provider;
+        this.taker = options.taker;
+        this.quoteApi = options.quoteApi;
+        this.minProfitBps = options.minProfitBps ?? 10;
+        this.fillFractions = options.fillFractions || DEFAULT_FILL_FRACTIONS;
+        this.gasLimitBuffer = options.gasLimitBuffer ?? 1.2;
+        this.gas = options.gasStrategy || new GasStrategy({ provider: this.provider });
+        this.gasSpeed = options.gasSpeed || 'fast';
+        this.chainId = options.chainId || 137;
+    }
+
+    async quote(src, dst, amount) {
+        if (ethers.getAddress(src) === ethers.getAddress(dst)) {
+            return amount;
+        }
+        const response = await this.quoteApi.quote({ src, dst, amount: amount.toString() });
+        return BigInt(response.dstAmount);
+    }
+
+    /**
+     * Fill sizes to price, largest first, capped at what the taker can pay
+     */
+    candidateSizes(order, remaining, spendable) {
+        const traits = parseMakerTraits(order.makerTraits);
+        const fractions = traits.allowPartialFills ? this.fillFractions : [1];
+        const sizes = new Set();
+
+        for (const fraction of fractions) {
+            let size = fraction >= 1
+                ? remaining
+                : (remaining * BigInt(Math.round(fraction * 10000))) / 10000n;
+            if (traits.allowPartialFills && takingFor(order, size) > spendable) {
+                // Largest size the taker's balance and allowance cover
+                size = (spendable * order.makingAmount) / order.takingAmount;
+            }
+            if (size > 0n && size <= remaining && takingFor(order, size) <= spendable) {
+                sizes.add(size);
+            }
+        }
+
+        return [...sizes].sort((a, b) => (a > b ? -1 : a < b ? 1 : 0));
+    }
+
+    /**
+     * @param {Object} entry - orders.json entry (`order` is a LimitOrderV4, `signature` the maker's)
+     * @param {Object} [options]
+     * @param {bigint} [options.remaining] - makerAsset still fillable; default the whole order
+     * @param {number} [options.now] - Unix seconds; default the wall clock
+     * @returns {Promise<Object>} Decision: `action` is 'fill', 'wait' or 'skip' with a `reason`;
+     * fills carry fillMaking, fillTaking, gasLimit, fees (to send with), gasPrice (expected), data
+     * and the pricing behind them
+     */
+    async evaluate(entry, options = {}) {
+        const order = entry.order;
+        const remaining = options.remaining ?? order.makingAmount;
+        const now = options.now ?? Math.floor(Date.now() / 1000);
+        const traits = parseMakerTraits(order.makerTraits);
+
+        if (remaining <= 0n) {
+            return { action: 'skip', reason: 'nothing left to fill' };
+        }
+        if (traits.expiration && traits.expiration <= now) {
+            return { action: 'skip', reason: `expired at ${new Date(traits.expiration * 1000).toISOString()}` };
+        }
+
+        const takerAsset = new ethers.Contract(order.takerAsset, ERC20_ABI, this.provider);
+        const [balance, allowance] = await Promise.all([
+            takerAsset.balanceOf(this.taker),
+            takerAsset.allowance(this.taker, LOP_V4_ADDRESS)
+        ]);
+        const spendable = balance < allowance ? balance : allowance;
+
+        const sizes = this.candidateSizes(order, remaining, spendable);
+        if (sizes.length === 0) {
+            const limit = balance < allowance ? 'balance' : 'LOP allowance';
+            return {
+                action: 'wait',
+                reason: `taker ${limit} ${spendable} covers no ${traits.allowPartialFills ? 'part' : 'full fill'} of ${takingFor(order, remaining)} takerAsset`
+            };
+        }
+
+        // Gas barely depends on the size, so one estimate prices every candidate
+        let gasEstimate;
+        try {
+            gasEstimate = await this.provider.estimateGas({
+                from: this.taker,
+                to: LOP_V4_ADDRESS,
+                data: this.fillData(entry, sizes[0])
+            });
+        } catch (error) {
+            return { action: 'wait', reason: `fill would revert: ${error.shortMessage || error.message}` };
+        }
+
+        let fees;
+        try {
+            fees = await this.gas.fees('taker', this.gasSpeed);
+        } catch (error) {
+            if (error instanceof GasPriceTooHighError) {
+                return { action: 'wait', reason: error.message };
+            }
+            throw error;
+        }
+        const gasPrice = fees.expectedGasPrice;
+        const gasLimit = BigInt(Math.ceil(Number(gasEstimate) * this.gasLimitBuffer));
+        const gasCostWei = gasEstimate * gasPrice;
+        const gasCost = await this.quote(WMATIC_ADDRESS, order.takerAsset, gasCostWei);
+
+        let best = null;
+        for (const fillMaking of sizes) {
+            const fillTaking = takingFor(order, fillMaking);
+            const quotedTaking = await this.quote(order.makerAsset, order.takerAsset, fillMaking);
+            const netProfit = quotedTaking - fillTaking - gasCost;
+            const candidate = {
+                fillMaking,
+                fillTaking,
+                quotedTaking,
+                gasCost,
+                netProfit,
+                profitBps: bps(netProfit, fillTaking)
+            };
+            if (!best || candidate.netProfit > best.netProfit) {
+                best = candidate;
+            }
+        }
+
+        const pricing = {
+            ...best,
+            partial: best.fillMaking < remaining,
+            gasEstimate,
+            gasLimit,
+            gasPrice,
+            gasCostWei,
+            fees: { maxFeePerGas: fees.maxFeePerGas, maxPriorityFeePerGas: fees.maxPriorityFeePerGas }
+        };
+
+        if (best.profitBps < this.minProfitBps) {
+            return {
+                action: 'wait',
+                reason: `best fill nets ${best.profitBps} bps (quote ${best.quotedTaking}, pay ${best.fillTaking}, gas ${gasCost}), below ${this.minProfitBps} bps`,
+                ...pricing
+            };
+        }
+
+        return {
+            action: 'fill',
+            reason: `nets ${best.profitBps} bps (quote ${best.quotedTaking}, pay ${best.fillTaking}, gas ${gasCost})`,
+            ...pricing,
+            data: this.fillData(entry, best.fillMaking)
+        };
+    }
+
+    /**
+     * Fill `fillMaking` of makerAsset, paying at most the order's rate for it
+     */
+    fillData(entry, fillMaking) {
+        return encodeFillOrder(entry.order, entry.signature, {
+            amount: fillMaking,
+            isMakingAmount: true,
+            threshold: takingFor(entry.order, fillMaking)
+        });
+    }
+}
+
+module.exports = FillEvaluator;
+module.exports.FillEvaluator = FillEvaluator;
+module.exports.takingFor = takingFor;
+module.exports.DEFAULT_FILL_FRACTIONS = DEFAULT_FILL_FRACTIONS;
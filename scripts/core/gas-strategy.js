@@ -0,0 +1,386 @@
+/**
+ * @fileoverview Gas Strategy
+ * @description EIP-1559 fees for every transaction FEAWS sends. Fees come
+ * from eth_feeHistory (the next block's base fee plus the median recent tip
+ * at the chosen speed), each strategy can cap what it pays, and a
+ * transaction stuck below the market is re-sent on the same nonce with
+ * higher fees, or cancelled once it cannot be raised further.
+ * @author FEAWS Development Team
+ */
+
+const { ethers } = require('ethers');
+const { systemClock } = require('./clock');
+
+// Tip percentiles read from eth_feeHistory, one per speed
+const SPEEDS = ['slow', 'standard', 'fast'];
+const REWARD_PERCENTILES = [25, 50, 75];
+
+// Nodes only accept a same-nonce replacement whose fees are at least 10%
+// higher; bump by 12.5% to clear that after rounding
+const REPLACEMENT_BUMP_PERMILLE = 125n;
+
+/**
+ * Thrown when a strategy's fee cap is below what the network charges; the
+ * caller decides whether to defer, wait or skip
+ */
+class GasPriceTooHighError extends Error {
+    constructor(strategy, gasPrice, cap) {
+        super(`Gas price ${ethers.formatUnits(gasPrice, 'gwei')} gwei is above the ${strategy} cap of ${ethers.formatUnits(cap, 'gwei')} gwei`);
+        this.name = 'GasPriceTooHighError';
+        this.code = 'GAS_PRICE_TOO_HIGH';
+        this.strategy = strategy;
+        this.gasPrice = gasPrice;
+        this.cap = cap;
+    }
+}
+
+function max(...values) {
+    return values.reduce((a, b) => (a > b ? a : b));
+}
+
+function median(values) {
+    const sorted = [...values].sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+    return sorted[Math.floor(sorted.length / 2)];
+}
+
+function bump(fee) {
+    return (BigInt(fee) * (1000n + REPLACEMENT_BUMP_PERMILLE) + 999n) / 1000n;
+}
+
+/**
+ * `tx`'s fees raised by the replacement bump, EIP-1559 or legacy
+ */
+function bumpFees(tx) {
+    return tx.maxFeePerGas != null
+        ? { maxFeePerGas: bump(tx.maxFeePerGas), maxPriorityFeePerGas: bump(tx.maxPriorityFeePerGas) }
+        : { gasPrice: bump(tx.gasPrice) };
+}
+
+/**
+ * The fields needed to replace a sent transaction, as bigints. Takes an
+ * ethers TransactionResponse or one stored in a journal (bigints as strings).
+ */
+function toRequest(tx) {
+    return {
+        to: tx.to,
+        data: tx.data,
+        value: BigInt(tx.value || 0),
+        gasLimit: BigInt(tx.gasLimit),
+        nonce: Number(tx.nonce),
+        maxFeePerGas: BigInt(tx.maxFeePerGas),
+        maxPriorityFeePerGas: BigInt(tx.maxPriorityFeePerGas)
+    };
+}
+
+/**
+ * Whether a send failed because the nonce was already used: one of the
+ * transactions sharing it has been mined
+ */
+function isNonceUsed(error) {
+    return error.code === 'NONCE_EXPIRED' || /nonce too low|already known/i.test(error.message || '');
+}
+
+class GasStrategy {
+    /**
+     * @param {Object} options
+     * @param {ethers.Provider} options.provider
+     * @param {Object<string, bigint|string>} [options.caps] - Highest gas price (wei) each strategy pays, e.g. { twap: 200 gwei }
+     * @param {number} [options.historyBlocks] - Blocks of eth_feeHistory to read; default 20
+     * @param {bigint} [options.minPriorityFee] - Tip floor; default 30 gwei, the least Polygon validators accept
+     * @param {number} [options.baseFeeMultiplier] - maxFeePerGas headroom over the next base fee; default 2
+     * @param {number} [options.stuckAfterMs] - Time without a receipt before a transaction is sped up; default 60000
+     * @param {number} [options.maxReplacements] - Speed-ups before a stuck transaction is cancelled; default 3
+     * @param {number} [options.pollMs] - Receipt polling interval in sendAndWait; default 2000
+     * @param {Object} [options.clock] - Time source; default systemClock
+     */
+    constructor(options) {
+        this.provider = options.provider;
+        this.caps = new Map();
+        this.historyBlocks = options.historyBlocks || 20;
+        this.minPriorityFee = BigInt(options.minPriorityFee ?? ethers.parseUnits('30', 'gwei'));
+        this.baseFeeMultiplier = BigInt(options.baseFeeMultiplier || 2);
+        this.stuckAfterMs = options.stuckAfterMs ?? 60000;
+        this.maxReplacements = options.maxReplacements ?? 3;
+        this.pollMs = options.pollMs ?? 2000;
+        this.clock = options.clock || systemClock;
+
+        for (const [strategy, cap] of Object.entries(options.caps || {})) {
+            this.setCap(strategy, cap);
+        }
+    }
+
+    /**
+     * @param {string} strategy
+     * @param {bigint|string|null} cap - Wei; null removes the cap
+     */
+    setCap(strategy, cap) {
+        if (cap === null || cap === undefined) {
+            this.caps.delete(strategy);
+        } else {
+            this.caps.set(strategy, BigInt(cap));
+        }
+    }
+
+    capFor(strategy) {
+        return this.caps.get(strategy) ?? null;
+    }
+
+    /**
+     * Current fees for a speed
+     * @param {string} [speed] - 'slow', 'standard' or 'fast'
+     * @returns {Promise<Object>} baseFee, maxPriorityFeePerGas, maxFeePerGas and
+     * expectedGasPrice (what a transaction in the next block pays per gas)
+     */
+    async estimate(speed = 'standard') {
+        const index = SPEEDS.indexOf(speed);
+        if (index < 0) {
+            throw new Error(`Unknown gas speed "${speed}" (expected ${SPEEDS.join(', ')})`);
+        }
+
+        let baseFee;
+        let priorityFee;
+        let source;
+
+        const history = await this.feeHistory();
+        if (history) {
+            // The last base fee is the one the next block will charge
+            baseFee = BigInt(history.baseFeePerGas[history.baseFeePerGas.length - 1]);
+            // Empty blocks report a zero tip and would drag the median down
+            const tips = history.reward.map(rewards => BigInt(rewards[index])).filter(tip => tip > 0n);
+            priorityFee = tips.length > 0 ? median(tips) : 0n;
+            source = 'eth_feeHistory';
+        } else {
+            // Providers without eth_feeHistory (the paper backend) still report fee data
+            const [feeData, block] = await Promise.all([this.provider.getFeeData(), this.provider.getBlock('latest')]);
+            if (block && block.baseFeePerGas != null) {
+                baseFee = block.baseFeePerGas;
+                priorityFee = feeData.maxPriorityFeePerGas ?? 0n;
+            } else {
+                baseFee = 0n;
+                priorityFee = feeData.gasPrice ?? 0n;
+            }
+            source = 'getFeeData';
+        }
+
+        if (priorityFee < this.minPriorityFee) {
+            priorityFee = this.minPriorityFee;
+        }
+
+        return {
+            speed,
+            source,
+            baseFee,
+            maxPriorityFeePerGas: priorityFee,
+            maxFeePerGas: baseFee * this.baseFeeMultiplier + priorityFee,
+            expectedGasPrice: baseFee + priorityFee
+        };
+    }
+
+    async feeHistory() {
+        if (typeof this.provider.send !== 'function') {
+            return null;
+        }
+        try {
+            const history = await this.provider.send('eth_feeHistory', [
+                ethers.toQuantity(this.historyBlocks),
+                'latest',
+                REWARD_PERCENTILES
+            ]);
+            return history && history.baseFeePerGas?.length && history.reward?.length ? history : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Fees for a strategy's next transaction, with maxFeePerGas held to its cap
+     * @throws {GasPriceTooHighError} When the next block alone costs more than the cap
+     */
+    async fees(strategy, speed = 'standard') {
+        const estimate = await this.estimate(speed);
+        const cap = this.capFor(strategy);
+        if (cap === null) {
+            return estimate;
+        }
+        if (estimate.expectedGasPrice > cap) {
+            throw new GasPriceTooHighError(strategy, estimate.expectedGasPrice, cap);
+        }
+        return { ...estimate, maxFeePerGas: estimate.maxFeePerGas < cap ? estimate.maxFeePerGas : cap };
+    }
+
+    /**
+     * Send `tx` as an EIP-1559 transaction. The signer assigns the nonce
+     * (a TransactionQueue, to keep concurrent senders apart); the response
+     * carries it for replacement. A legacy gasPrice on `tx` (1inch swap data)
+     * is dropped.
+     * @param {ethers.Signer|TransactionQueue} signer
+     * @param {Object} tx - to, data, value, gasLimit
+     * @param {Object} [options]
+     * @param {string} [options.strategy] - Whose cap applies; none without
+     * @param {string} [options.speed] - Default 'standard'
+     * @param {Object} [options.fees] - maxFeePerGas and maxPriorityFeePerGas already chosen
+     * @param {string} [options.label] - Journal label, when `signer` is a TransactionQueue
+     * @returns {Promise<ethers.TransactionResponse>}
+     */
+    async send(signer, tx, options = {}) {
+        const fees = options.fees || await this.fees(options.strategy, options.speed);
+        const { gasPrice, gas, ...request } = tx;
+
+        return signer.sendTransaction({
+            ...request,
+            gasLimit: request.gasLimit ?? gas,
+            type: 2,
+            maxFeePerGas: fees.maxFeePerGas,
+            maxPriorityFeePerGas: fees.maxPriorityFeePerGas
+        }, { label: options.label });
+    }
+
+    /**
+     * Fees that replace `previous`: both raised by the replacement bump, and at
+     * least the current market
+     */
+    replacementFees(previous, estimate) {
+        const tip = max(bump(previous.maxPriorityFeePerGas), estimate.maxPriorityFeePerGas);
+        return {
+            maxPriorityFeePerGas: tip,
+            maxFeePerGas: max(bump(previous.maxFeePerGas), estimate.maxFeePerGas, tip)
+        };
+    }
+
+    /**
+     * Re-send a pending transaction on its nonce with higher fees
+     * @param {ethers.Signer} signer
+     * @param {Object} tx - The TransactionResponse, or toRequest() of it
+     * @param {Object} [options] - strategy and speed, as for send()
+     * @throws {GasPriceTooHighError} When the bump would cross the strategy's cap
+     */
+    async speedUp(signer, tx, options = {}) {
+        const previous = toRequest(tx);
+        const fees = this.replacementFees(previous, await this.estimate(options.speed || 'fast'));
+        const cap = this.capFor(options.strategy);
+
+        if (cap !== null) {
+            const required = max(bump(previous.maxFeePerGas), bump(previous.maxPriorityFeePerGas));
+            if (required > cap) {
+                throw new GasPriceTooHighError(options.strategy, required, cap);
+            }
+            if (fees.maxFeePerGas > cap) fees.maxFeePerGas = cap;
+            if (fees.maxPriorityFeePerGas > cap) fees.maxPriorityFeePerGas = cap;
+        }
+
+        return signer.sendTransaction({
+            to: previous.to,
+            data: previous.data,
+            value: previous.value,
+            gasLimit: previous.gasLimit,
+            nonce: previous.nonce,
+            type: 2,
+            ...fees
+        });
+    }
+
+    /**
+     * Replace a pending transaction with an empty transfer to the signer on
+     * the same nonce. Caps do not apply: a 21000-gas cancel is what frees
+     * the nonce when the original can no longer be sped up within them.
+     */
+    async cancel(signer, tx) {
+        const previous = toRequest(tx);
+        const fees = this.replacementFees(previous, await this.estimate('fast'));
+
+        return signer.sendTransaction({
+            to: await signer.getAddress(),
+            data: '0x',
+            value: 0n,
+            gasLimit: 21000n,
+            nonce: previous.nonce,
+            type: 2,
+            ...fees
+        });
+    }
+
+    /**
+     * send(), then wait for whichever transaction on its nonce is mined,
+     * speeding it up each time it goes `stuckAfterMs` without a receipt and
+     * cancelling it after `maxReplacements` speed-ups or at the cap. A stuck
+     * cancel is bumped the same way, up to `maxReplacements` times.
+     * @param {Object} [options] - As for send(), plus `confirmations` (default 1)
+     *   and `onSent`, called with each transaction sent on the nonce
+     * @returns {Promise<ethers.TransactionReceipt>}
+     * @throws When the mined transaction reverted or was a cancel, or with
+     *   code TIMEOUT when the last cancel is stuck too
+     */
+    async sendAndWait(signer, tx, options = {}) {
+        const confirmations = options.confirmations || 1;
+        const onSent = options.onSent || (() => {});
+        let latest = await this.send(signer, tx, options);
+        onSent(latest);
+        const sent = [latest];
+        const cancels = new Set();
+        let replacements = 0;
+        let sentAt = this.clock.now();
+
+        while (true) {
+            for (const attempt of sent) {
+                const receipt = await this.provider.getTransactionReceipt(attempt.hash);
+                if (!receipt) continue;
+
+                if (confirmations > 1 && (await receipt.confirmations()) < confirmations) {
+                    break;
+                }
+                if (cancels.has(receipt.hash)) {
+                    throw ethers.makeError(`transaction ${sent[0].hash} was cancelled after getting stuck`, 'TRANSACTION_REPLACED', {
+                        cancelled: true, reason: 'cancelled', hash: sent[0].hash, replacement: attempt, receipt
+                    });
+                }
+                if (receipt.status !== 1) {
+                    throw ethers.makeError(`transaction ${receipt.hash} reverted`, 'CALL_EXCEPTION', { receipt });
+                }
+                return receipt;
+            }
+
+            if (this.clock.now() - sentAt >= this.stuckAfterMs) {
+                if (cancels.size > this.maxReplacements) {
+                    throw ethers.makeError(`transaction ${sent[0].hash} is still pending after ${cancels.size} cancels`, 'TIMEOUT', {
+                        operation: 'sendAndWait', reason: 'timeout', hash: sent[0].hash, sent
+                    });
+                }
+                try {
+                    if (!cancels.size && replacements < this.maxReplacements) {
+                        try {
+                            latest = await this.speedUp(signer, latest, options);
+                            console.log(`🚀 Sped up stuck transaction ${sent[0].hash}: ${latest.hash} at ${ethers.formatUnits(latest.maxFeePerGas, 'gwei')} gwei max`);
+                        } catch (error) {
+                            if (!(error instanceof GasPriceTooHighError)) throw error;
+                            console.log(`⛽ Cannot speed up ${sent[0].hash}: ${error.message}`);
+                        }
+                    }
+                    if (latest === sent[sent.length - 1]) {
+                        // A cancel replaces the last transaction sent, earlier cancels included
+                        latest = await this.cancel(signer, latest);
+                        cancels.add(latest.hash);
+                        console.log(`🛑 Cancelling stuck transaction ${sent[0].hash}: ${latest.hash} at ${ethers.formatUnits(latest.maxFeePerGas, 'gwei')} gwei max`);
+                    }
+                    sent.push(latest);
+                    onSent(latest);
+                    replacements++;
+                } catch (error) {
+                    if (!isNonceUsed(error)) {
+                        console.warn(`⚠️ Could not replace stuck transaction ${sent[0].hash}: ${error.message}`);
+                    }
+                }
+                sentAt = this.clock.now();
+            }
+
+            await new Promise(resolve => this.clock.setTimeout(resolve, this.pollMs));
+        }
+    }
+}
+
+module.exports = GasStrategy;
+module.exports.GasStrategy = GasStrategy;
+module.exports.GasPriceTooHighError = GasPriceTooHighError;
+module.exports.toRequest = toRequest;
+module.exports.isNonceUsed = isNonceUsed;
+module.exports.bumpFees = bumpFees;
+module.exports.SPEEDS = SPEEDS;
@@ -0,0 +1,381 @@
+/**
+ * @fileoverview Execution History Store
+ * @description Indexes execution records from the proof files in data/,
+ * data/twap-orders/ and execution-proofs/, plus finished jobs, so history can
+ * be paged and filtered without re-reading every file per request. Files are
+ * re-parsed only when their size or mtime changes; finished jobs are kept in
+ * an append-only journal.
+ * @author FEAWS Development Team
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { tokens: KNOWN_TOKENS } = require('./balance-fetcher');
+
+const ROOT = path.join(__dirname, '../..');
+const DEFAULT_JOURNAL_PATH = path.join(ROOT, 'data/history-jobs.ndjson');
+const HASH = /^0x[0-9a-fA-F]{64}$/;
+const TX_KEYS = ['txHash', 'transactionHash', 'hash'];
+const TOKEN_ALIASES = { WPOL: 'WMATIC', POL: 'MATIC' };
+const UNRECORDED_JOB_TYPES = ['balance'];
+// Job types whose params don't name the tokens
+const FIXED_PAIRS = { 'lop-twap': ['USDC', 'WMATIC'] };
+
+// Record ids are a single URL path segment: the file path or jobs/<job id>
+// with ':' for '/', e.g. execution-proofs:twap-order-0-1754164299285.json
+const recordId = key => key.replace(/\//g, ':');
+
+function tokenSymbol(value) {
+    if (!value) return null;
+    if (typeof value === 'object') return tokenSymbol(value.symbol || value.address);
+
+    let text = String(value);
+    if (/^\d{20,}$/.test(text)) {
+        // LOP v4 proofs store assets as their uint256 Address encoding
+        text = '0x' + BigInt(text).toString(16).padStart(40, '0');
+    }
+    const known = KNOWN_TOKENS.find(token => token.address.toLowerCase() === text.toLowerCase());
+    if (known) return known.symbol;
+
+    const symbol = text.toUpperCase();
+    return TOKEN_ALIASES[symbol] || (text.startsWith('0x') ? text.toLowerCase() : symbol);
+}
+
+function toTimestamp(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const ms = /^\d+$/.test(String(value)) ? Number(value) : Date.parse(value);
+    return Number.isFinite(ms) ? ms : null;
+}
+
+/**
+ * Transaction and order hashes anywhere in a proof, by key name
+ */
+function collectHashes(value, found = { tx: new Set(), order: new Set() }, depth = 0) {
+    if (depth > 8 || value === null || typeof value !== 'object') {
+        return found;
+    }
+    for (const [key, item] of Object.entries(value)) {
+        if (typeof item === 'string' && HASH.test(item)) {
+            if (key === 'orderHash') found.order.add(item.toLowerCase());
+            else if (TX_KEYS.includes(key)) found.tx.add(item.toLowerCase());
+        } else if (typeof item === 'object') {
+            collectHashes(item, found, depth + 1);
+        }
+    }
+    return found;
+}
+
+/**
+ * Which strategy produced a proof, or null for diagnostics that record no execution
+ */
+function classify(proof) {
+    const type = String(proof.type || '');
+
+    if (type.startsWith('twap') || proof.twapId || (proof.slices && proof.sliceCount)) return 'twap';
+    if (type === 'aggregator-swap') return 'swap';
+    if (type.startsWith('fusion')) return 'fusion';
+    if (proof.sliceCount && proof.orders) return 'lop-twap';
+    if (proof.swaps || proof.transactions || proof.twapExecution || proof.executionResults) return 'twap';
+    if (proof.orderHash || proof.orders || proof.order) return 'limit-order';
+    if (proof.transactionHash && proof.address) return 'deployment';
+    return null;
+}
+
+function statusOf(proof, hashes) {
+    const explicit = proof.slice?.status || proof.status;
+    if (typeof explicit === 'string') return explicit.toLowerCase();
+
+    const type = String(proof.type || '');
+    if (type.includes('cancelled')) return 'cancelled';
+    if (/failed|error/.test(type) || proof.success === false) return 'failed';
+    if (type.includes('filled') || proof.ordersFilled > 0) return 'filled';
+    return hashes.tx.size > 0 ? 'completed' : 'created';
+}
+
+/**
+ * The traded pair. Legacy data/ TWAP proofs predate these fields and all sold USDC for WMATIC.
+ */
+function pairOf(proof, strategy) {
+    const order = proof.slice || proof.order || (Array.isArray(proof.orders) && (proof.orders[0]?.order || proof.orders[0])) || {};
+    // Older SDK proofs only carry amounts such as "0.002 WMATIC"
+    const unit = amount => typeof amount === 'string' && (amount.match(/^[\d.]+\s+(\S+)$/) || [])[1];
+    const from = proof.fromToken || proof.makerToken || proof.makerAsset || order.makerAsset || proof.token || unit(order.makingAmount);
+    const to = proof.toToken || proof.takerToken || proof.takerAsset || order.takerAsset || unit(order.takingAmount);
+
+    if (!from && !to && strategy === 'twap') {
+        return { fromToken: 'USDC', toToken: 'WMATIC' };
+    }
+    return { fromToken: tokenSymbol(from), toToken: tokenSymbol(to) };
+}
+
+function invalidFilter(field, message) {
+    const error = new Error(`${field}: ${message}`);
+    error.statusCode = 400;
+    error.field = field;
+    return error;
+}
+
+function compareRecords(a, b) {
+    return b.timestamp.localeCompare(a.timestamp) || b.id.localeCompare(a.id);
+}
+
+class HistoryStore {
+    /**
+     * @param {Object} [options]
+     * @param {string[]} [options.dirs] - Proof directories, relative to the repo root
+     * @param {string} [options.root] - Base for `dirs` and record ids
+     * @param {string} [options.journalPath] - Finished-job journal
+     * @param {number} [options.rescanMs] - Minimum time between directory scans
+     */
+    constructor(options = {}) {
+        this.root = options.root || ROOT;
+        this.dirs = options.dirs || ['data', 'data/twap-orders', 'execution-proofs'];
+        this.journalPath = options.journalPath || DEFAULT_JOURNAL_PATH;
+        this.rescanMs = options.rescanMs ?? 5000;
+
+        this.records = new Map();
+        this.files = new Map();
+        this.byTx = new Map();
+        this.byOrder = new Map();
+        this.sorted = null;
+        this.lastScan = 0;
+
+        this.loadJournal();
+    }
+
+    /**
+     * Re-index files that were added, changed or removed since the last scan
+     */
+    refresh(force = false) {
+        if (!force && Date.now() - this.lastScan < this.rescanMs) {
+            return;
+        }
+        this.lastScan = Date.now();
+        const seen = new Set();
+
+        for (const dir of this.dirs) {
+            const absolute = path.join(this.root, dir);
+            if (!fs.existsSync(absolute)) continue;
+
+            for (const name of fs.readdirSync(absolute).filter(file => file.endsWith('.json'))) {
+                const file = `${dir}/${name}`;
+                const stat = fs.statSync(path.join(absolute, name));
+                const version = `${stat.size}:${stat.mtimeMs}`;
+                seen.add(file);
+
+                if (this.files.get(file)?.version !== version) {
+                    this.indexFile(file, stat, version);
+                }
+            }
+        }
+
+        for (const file of [...this.files.keys()].filter(file => !seen.has(file))) {
+            this.remove(recordId(file));
+            this.files.delete(file);
+        }
+    }
+
+    indexFile(file, stat, version) {
+        this.remove(recordId(file));
+        this.files.set(file, { version });
+
+        let proof;
+        try {
+            proof = JSON.parse(fs.readFileSync(path.join(this.root, file), 'utf8'));
+        } catch (error) {
+            console.log(`Could not read ${file}`);
+            return;
+        }
+
+        const strategy = proof && !Array.isArray(proof) && classify(proof);
+        if (!strategy) return;
+
+        const hashes = collectHashes(proof);
+        this.add({
+            id: recordId(file),
+            source: file.startsWith('data/twap-orders/') ? 'engine' : file.split('/')[0],
+            file,
+            strategy,
+            status: statusOf(proof, hashes),
+            timestamp: new Date(toTimestamp(proof.timestamp ?? proof.createdAt ?? proof.generatedAt) ?? stat.mtimeMs).toISOString(),
+            ...pairOf(proof, strategy),
+            txHashes: [...hashes.tx],
+            orderHashes: [...hashes.order],
+            jobId: proof.jobId || null
+        });
+    }
+
+    /**
+     * Record a finished job. Wire to JobManager's 'job' event.
+     */
+    recordJob(job) {
+        if (!['completed', 'failed', 'cancelled'].includes(job.status) || UNRECORDED_JOB_TYPES.includes(job.type)) {
+            return;
+        }
+
+        const record = this.jobRecord(job);
+        fs.mkdirSync(path.dirname(this.journalPath), { recursive: true });
+        const fd = fs.openSync(this.journalPath, 'a');
+        try {
+            fs.writeSync(fd, JSON.stringify(record) + '\n');
+            fs.fsyncSync(fd);
+        } finally {
+            fs.closeSync(fd);
+        }
+        this.add(record);
+    }
+
+    jobRecord(job) {
+        const hashes = collectHashes({ result: job.result, refs: job.refs });
+        const params = job.params || {};
+        const [from, to] = FIXED_PAIRS[job.type] || [params.fromToken || params.makerToken || params.token, params.toToken || params.takerToken];
+        return {
+            id: recordId(`jobs/${job.id}`),
+            source: 'jobs',
+            file: null,
+            strategy: job.type,
+            status: job.status,
+            timestamp: job.finishedAt || job.createdAt,
+            fromToken: tokenSymbol(from),
+            toToken: tokenSymbol(to),
+            txHashes: [...hashes.tx],
+            orderHashes: [...hashes.order],
+            jobId: job.id,
+            error: job.error?.message || null
+        };
+    }
+
+    loadJournal() {
+        if (!fs.existsSync(this.journalPath)) return;
+
+        for (const line of fs.readFileSync(this.journalPath, 'utf8').split('\n')) {
+            if (!line.trim()) continue;
+            try {
+                const record = JSON.parse(line);
+                // Journals written before ids were slash-free
+                this.add({ ...record, id: recordId(record.id) });
+            } catch (error) {
+                console.warn(`⚠️ Ignoring unreadable history journal entry: ${error.message}`);
+            }
+        }
+    }
+
+    add(record) {
+        this.remove(record.id);
+        this.records.set(record.id, record);
+        for (const hash of record.txHashes) this.link(this.byTx, hash, record.id);
+        for (const hash of record.orderHashes) this.link(this.byOrder, hash, record.id);
+        this.sorted = null;
+    }
+
+    remove(id) {
+        const record = this.records.get(id);
+        if (!record) return;
+
+        this.records.delete(id);
+        for (const hash of record.txHashes) this.byTx.get(hash)?.delete(id);
+        for (const hash of record.orderHashes) this.byOrder.get(hash)?.delete(id);
+        this.sorted = null;
+    }
+
+    link(index, hash, id) {
+        if (!index.has(hash)) index.set(hash, new Set());
+        index.get(hash).add(id);
+    }
+
+    /**
+     * @param {Object} [filter]
+     * @param {string} [filter.strategy] - twap, lop-twap, limit-order, swap, fusion, approve, deployment
+     * @param {string} [filter.status]
+     * @param {string} [filter.pair] - 'USDC-WMATIC'; matches either direction
+     * @param {string} [filter.source] - data, engine, execution-proofs, jobs
+     * @param {string} [filter.jobId]
+     * @param {string} [filter.since] - ISO date or ms timestamp, inclusive
+     * @param {string} [filter.until] - ISO date or ms timestamp, exclusive
+     * @param {string} [filter.txHash]
+     * @param {string} [filter.orderHash]
+     * @param {number} [filter.limit] - Page size (default 50, at most 500)
+     * @param {string} [filter.cursor] - `nextCursor` from the previous page
+     * @returns {{ items: Object[], total: number, nextCursor: string|null }}
+     */
+    query(filter = {}) {
+        this.refresh();
+
+        let candidates;
+        if (filter.txHash || filter.orderHash) {
+            // Hash lookups go straight to the index
+            const ids = filter.txHash ? this.byTx.get(filter.txHash.toLowerCase()) : this.byOrder.get(filter.orderHash.toLowerCase());
+            candidates = [...(ids || [])].map(id => this.records.get(id)).sort(compareRecords);
+            if (filter.txHash && filter.orderHash) {
+                candidates = candidates.filter(record => record.orderHashes.includes(filter.orderHash.toLowerCase()));
+            }
+        } else {
+            this.sorted = this.sorted || [...this.records.values()].sort(compareRecords);
+            candidates = this.sorted;
+        }
+
+        const pair = filter.pair && filter.pair.split('-').map(tokenSymbol);
+        const since = toTimestamp(filter.since);
+        const until = toTimestamp(filter.until);
+        if (filter.since && since === null) throw invalidFilter('query.since', 'must be an ISO date or ms timestamp');
+        if (filter.until && until === null) throw invalidFilter('query.until', 'must be an ISO date or ms timestamp');
+
+        const matches = candidates.filter(record =>
+            (!filter.strategy || record.strategy === filter.strategy) &&
+            (!filter.status || record.status === filter.status) &&
+            (!filter.source || record.source === filter.source) &&
+            (!filter.jobId || record.jobId === filter.jobId) &&
+            (!pair || pair.every(symbol => symbol === record.fromToken || symbol === record.toToken)) &&
+            (since === null || Date.parse(record.timestamp) >= since) &&
+            (until === null || Date.parse(record.timestamp) < until)
+        );
+
+        const limit = Math.min(Number(filter.limit) || 50, 500);
+        const start = filter.cursor ? this.cursorStart(matches, filter.cursor) : 0;
+        const items = matches.slice(start, start + limit);
+        const last = items[items.length - 1];
+
+        return {
+            items,
+            total: matches.length,
+            nextCursor: last && start + limit < matches.length
+                ? Buffer.from(JSON.stringify([last.timestamp, last.id])).toString('base64url')
+                : null
+        };
+    }
+
+    /**
+     * Keyset cursor: the page continues after the last record served, so
+     * records indexed in the meantime don't shift later pages
+     */
+    cursorStart(matches, cursor) {
+        let position;
+        try {
+            const [timestamp, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+            position = { timestamp: timestamp.toString(), id: id.toString() };
+        } catch (error) {
+            throw invalidFilter('query.cursor', 'is not a cursor returned by this API');
+        }
+
+        const index = matches.findIndex(record => compareRecords(position, record) < 0);
+        return index === -1 ? matches.length : index;
+    }
+
+    /**
+     * A record with its full proof (or job snapshot), or null
+     */
+    get(id) {
+        this.refresh();
+        const record = this.records.get(id);
+        if (!record) return null;
+
+        if (!record.file) return { ...record };
+        try {
+            return { ...record, proof: JSON.parse(fs.readFileSync(path.join(this.root, record.file), 'utf8')) };
+        } catch (error) {
+            return { ...record, proof: null };
+        }
+    }
+}
+
+module.exports = HistoryStore;
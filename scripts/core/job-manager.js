@@ -0,0 +1,292 @@
+/**
+ * @fileoverview Job Manager
+ * @description Runs engine operations in-process as background jobs with
+ * validated parameters, structured progress and results, and cancellation
+ * @author FEAWS Development Team
+ */
+
+const crypto = require('crypto');
+const EventEmitter = require('events');
+
+const FINAL_STATUSES = ['completed', 'failed', 'cancelled'];
+
+class JobValidationError extends Error {
+    /**
+     * @param {string} field - Offending parameter, e.g. 'params.amount'
+     * @param {string} message
+     */
+    constructor(field, message) {
+        super(`${field}: ${message}`);
+        this.name = 'JobValidationError';
+        this.field = field;
+        this.statusCode = 400;
+    }
+}
+
+class JobStateError extends Error {
+    constructor(message, statusCode = 409) {
+        super(message);
+        this.name = 'JobStateError';
+        this.statusCode = statusCode;
+    }
+}
+
+function toPlain(value) {
+    return JSON.parse(JSON.stringify(value, (key, v) => typeof v === 'bigint' ? v.toString() : v));
+}
+
+/**
+ * A job type is `{ validate(params) => params, run(job, context) => result, cancel?(job, context) }`.
+ * `run` reports progress through `context.progress()` and should stop early
+ * once `context.isCancelled()` returns true. Types that move funds also
+ * define `notional(params) => { token, decimals, amount, allowance? }` for
+ * approval policies. Long-running types may add `pause(job, context, options)`,
+ * `resume(job, context)` and `amend(job, changes, context)`.
+ */
+class JobManager extends EventEmitter {
+    /**
+     * @param {Object} options
+     * @param {Object<string, Object>} options.types - Job types keyed by name
+     * @param {Object} [options.services] - Passed to every job as part of its context
+     * @param {number} [options.maxFinishedJobs] - Finished jobs kept in memory
+     */
+    constructor(options = {}) {
+        super();
+        this.types = new Map(Object.entries(options.types || {}));
+        this.services = options.services || {};
+        this.maxFinishedJobs = options.maxFinishedJobs || 500;
+        this.jobs = new Map();
+    }
+
+    register(type, definition) {
+        this.types.set(type, definition);
+    }
+
+    /**
+     * Validate and start a job. Returns as soon as the job is queued.
+     * @param {Object} [meta]
+     * @param {string} [meta.requestedBy] - Principal recorded on the job
+     * @param {string} [meta.proposalId] - Approval proposal that released the job
+     * @param {string} [meta.id] - Id of a job whose work was recovered after a restart
+     * @param {Object} [meta.refs] - Engine ids the job takes over, e.g. a recovered twapId
+     */
+    create(type, params = {}, meta = {}) {
+        const definition = this.types.get(type);
+        const validated = this.validate(type, params);
+        if (meta.id && this.jobs.has(meta.id)) {
+            throw new JobStateError(`Job ${meta.id} already exists`);
+        }
+
+        const job = {
+            id: meta.id || `job_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`,
+            type,
+            status: 'queued',
+            params: validated,
+            progress: { completed: 0, total: null, percent: 0, message: 'Queued' },
+            result: null,
+            error: null,
+            refs: { ...meta.refs },
+            requestedBy: meta.requestedBy || null,
+            proposalId: meta.proposalId || null,
+            cancelRequested: false,
+            createdAt: new Date().toISOString(),
+            startedAt: null,
+            finishedAt: null
+        };
+
+        this.jobs.set(job.id, job);
+        this.prune();
+        this.emitUpdate(job);
+
+        setImmediate(() => this.run(job, definition));
+        return this.snapshot(job);
+    }
+
+    /**
+     * Check parameters for a job type without starting anything
+     * @returns {Object} Normalised parameters
+     */
+    validate(type, params = {}) {
+        const definition = this.types.get(type);
+        if (!definition) {
+            throw new JobValidationError('type', `unknown job type '${type}', expected one of ${[...this.types.keys()].join(', ')}`);
+        }
+        if (params === null || typeof params !== 'object' || Array.isArray(params)) {
+            throw new JobValidationError('params', 'must be an object');
+        }
+        return definition.validate(params);
+    }
+
+    async run(job, definition) {
+        if (job.cancelRequested) {
+            this.finish(job, 'cancelled');
+            return;
+        }
+
+        job.status = 'running';
+        job.startedAt = new Date().toISOString();
+        job.progress.message = 'Running';
+        this.emitUpdate(job);
+
+        const context = {
+            ...this.services,
+            progress: (update) => {
+                Object.assign(job.progress, update);
+                if (job.progress.total) {
+                    job.progress.percent = Math.min(100, Math.round(job.progress.completed / job.progress.total * 100));
+                }
+                this.emitUpdate(job);
+            },
+            isCancelled: () => job.cancelRequested,
+            // For work that can be paused outside pause()/resume(), e.g. a TWAP recovered paused
+            setPaused: (paused) => {
+                const status = paused ? 'paused' : 'running';
+                if (job.status !== status) {
+                    job.status = status;
+                    job.progress.message = paused ? 'Paused' : 'Running';
+                    this.emitUpdate(job);
+                }
+            }
+        };
+
+        try {
+            job.result = toPlain(await definition.run(job, context));
+            this.finish(job, job.cancelRequested ? 'cancelled' : 'completed');
+        } catch (error) {
+            console.error(`❌ Job ${job.id} (${job.type}) failed:`, error.message);
+            job.error = { message: error.message, code: error.code };
+            this.finish(job, job.cancelRequested ? 'cancelled' : 'failed');
+        }
+    }
+
+    finish(job, status) {
+        job.status = status;
+        job.finishedAt = new Date().toISOString();
+        if (status === 'completed') {
+            job.progress.percent = 100;
+        }
+        job.progress.message = status.charAt(0).toUpperCase() + status.slice(1);
+        this.emitUpdate(job);
+    }
+
+    /**
+     * Request cancellation. Queued jobs stop immediately; running jobs need a
+     * type-level `cancel` hook.
+     */
+    async cancel(id) {
+        const job = this.require(id);
+
+        if (FINAL_STATUSES.includes(job.status)) {
+            throw new JobStateError(`Job ${id} is already ${job.status}`);
+        }
+
+        const definition = this.types.get(job.type);
+        const started = ['running', 'paused'].includes(job.status);
+        if (started && !definition.cancel) {
+            throw new JobStateError(`${job.type} jobs cannot be cancelled once running`);
+        }
+
+        job.cancelRequested = true;
+        job.progress.message = 'Cancelling';
+        this.emitUpdate(job);
+
+        if (started) {
+            await definition.cancel(job, { ...this.services });
+        }
+
+        return this.snapshot(job);
+    }
+
+    /**
+     * Stop a running job without ending it, through its type's `pause` hook
+     * @param {Object} [options] - Passed on to the hook
+     */
+    async pause(id, options = {}) {
+        const { job, definition } = this.requireControl(id, 'pause', ['running']);
+
+        await definition.pause(job, { ...this.services }, options);
+        job.status = 'paused';
+        job.progress.message = 'Paused';
+        this.emitUpdate(job);
+        return this.snapshot(job);
+    }
+
+    async resume(id) {
+        const { job, definition } = this.requireControl(id, 'resume', ['paused']);
+
+        await definition.resume(job, { ...this.services });
+        job.status = 'running';
+        job.progress.message = 'Running';
+        this.emitUpdate(job);
+        return this.snapshot(job);
+    }
+
+    /**
+     * Change a running or paused job through its type's `amend` hook
+     */
+    async amend(id, changes = {}) {
+        const { job, definition } = this.requireControl(id, 'amend', ['running', 'paused']);
+
+        await definition.amend(job, changes, { ...this.services });
+        this.emitUpdate(job);
+        return this.snapshot(job);
+    }
+
+    requireControl(id, action, allowedStatuses) {
+        const job = this.require(id);
+        const definition = this.types.get(job.type);
+
+        if (!definition[action]) {
+            throw new JobStateError(`${job.type} jobs do not support ${action}`);
+        }
+        if (job.cancelRequested || !allowedStatuses.includes(job.status)) {
+            throw new JobStateError(`Job ${id} is ${job.cancelRequested ? 'being cancelled' : job.status}, expected ${allowedStatuses.join(' or ')}`);
+        }
+        return { job, definition };
+    }
+
+    get(id) {
+        return this.snapshot(this.require(id));
+    }
+
+    /**
+     * @param {Object} [filter]
+     * @param {string} [filter.type]
+     * @param {string} [filter.status]
+     */
+    list(filter = {}) {
+        return [...this.jobs.values()]
+            .filter(job => (!filter.type || job.type === filter.type) && (!filter.status || job.status === filter.status))
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+            .map(job => this.snapshot(job));
+    }
+
+    require(id) {
+        const job = this.jobs.get(id);
+        if (!job) {
+            throw new JobStateError(`Job ${id} not found`, 404);
+        }
+        return job;
+    }
+
+    snapshot(job) {
+        const { cancelRequested, ...state } = job;
+        return toPlain(state);
+    }
+
+    emitUpdate(job) {
+        this.emit('job', this.snapshot(job));
+    }
+
+    prune() {
+        const finished = [...this.jobs.values()].filter(job => FINAL_STATUSES.includes(job.status));
+        for (const job of finished.slice(0, Math.max(0, finished.length - this.maxFinishedJobs))) {
+            this.jobs.delete(job.id);
+        }
+    }
+}
+
+module.exports = JobManager;
+module.exports.JobValidationError = JobValidationError;
+module.exports.JobStateError = JobStateError;
+module.exports.FINAL_STATUSES = FINAL_STATUSES;
@@ -0,0 +1,584 @@
+/**
+ * @fileoverview Job Types
+ * @description Parameter validation and in-process runners for the jobs the
+ * backend exposes: TWAP execution, LOP TWAP order building, limit orders,
+ * aggregator swaps, Fusion orders, token approvals and balance checks
+ * @author FEAWS Development Team
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const { JobValidationError, JobStateError } = require('./job-manager');
+const { fetchTokenBalances, tokens: KNOWN_TOKENS } = require('./balance-fetcher');
+const { LOP_V4_ADDRESS } = require('./lop-order');
+const { OneInchApi } = require('./oneinch-api');
+const TransactionQueue = require('./transaction-queue');
+
+const ERC20_ABI = [
+    'function approve(address spender, uint256 amount) returns (bool)',
+    'function allowance(address owner, address spender) view returns (uint256)',
+    'function balanceOf(address owner) view returns (uint256)'
+];
+
+const PROOFS_DIR = path.join(__dirname, '../../execution-proofs');
+
+const TOKEN_ALIASES = { WPOL: 'WMATIC' };
+const TWAP_POLL_MS = 2000;
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Resolve a token symbol (USDC, WMATIC/WPOL, ...) or a known ERC-20 address
+ */
+function resolveToken(value, field) {
+    if (typeof value !== 'string' || value.length === 0) {
+        throw new JobValidationError(field, 'token symbol or address is required');
+    }
+
+    const symbol = TOKEN_ALIASES[value.toUpperCase()] || value.toUpperCase();
+    const token = KNOWN_TOKENS.find(t =>
+        t.address !== ethers.ZeroAddress &&
+        (t.symbol.toUpperCase() === symbol || t.address.toLowerCase() === value.toLowerCase())
+    );
+
+    if (!token) {
+        const supported = KNOWN_TOKENS.filter(t => t.address !== ethers.ZeroAddress).map(t => t.symbol);
+        throw new JobValidationError(field, `unsupported token '${value}', expected one of ${supported.join(', ')}`);
+    }
+
+    return { symbol: token.symbol, address: ethers.getAddress(token.address), decimals: token.decimals };
+}
+
+/**
+ * Parse a human-readable token amount ("12.5") into base units
+ */
+function parseAmount(value, decimals, field) {
+    const text = typeof value === 'number' ? String(value) : value;
+
+    if (typeof text !== 'string' || !/^\d+(\.\d+)?$/.test(text)) {
+        throw new JobValidationError(field, 'must be a positive decimal amount');
+    }
+    if ((text.split('.')[1] || '').length > decimals) {
+        throw new JobValidationError(field, `has more than ${decimals} decimal places`);
+    }
+
+    const amount = ethers.parseUnits(text, decimals);
+    if (amount <= 0n) {
+        throw new JobValidationError(field, 'must be greater than zero');
+    }
+    return amount;
+}
+
+function parseInteger(value, field, { min, max }) {
+    if (!Number.isInteger(value) || value < min || value > max) {
+        throw new JobValidationError(field, `must be an integer between ${min} and ${max}`);
+    }
+    return value;
+}
+
+function parseNumber(value, field, { min, max, exclusiveMin = false }) {
+    if (typeof value !== 'number' || !Number.isFinite(value) ||
+        (exclusiveMin ? value <= min : value < min) || value > max) {
+        throw new JobValidationError(field, `must be a number ${exclusiveMin ? '>' : '>='} ${min} and <= ${max}`);
+    }
+    return value;
+}
+
+function parseEnum(value, field, allowed) {
+    if (!allowed.includes(value)) {
+        throw new JobValidationError(field, `must be one of ${allowed.join(', ')}`);
+    }
+    return value;
+}
+
+/**
+ * fromToken/toToken/amount/slippage, shared by the swap and Fusion jobs
+ */
+function parsePair(params) {
+    const fromToken = resolveToken(params.fromToken ?? 'USDC', 'params.fromToken');
+    const toToken = resolveToken(params.toToken ?? 'WMATIC', 'params.toToken');
+    if (fromToken.address === toToken.address) {
+        throw new JobValidationError('params.toToken', 'must differ from fromToken');
+    }
+
+    return {
+        fromToken,
+        toToken,
+        amount: parseAmount(params.amount, fromToken.decimals, 'params.amount'),
+        slippage: parseNumber(params.slippage ?? 1, 'params.slippage', { min: 0, max: 50, exclusiveMin: true })
+    };
+}
+
+/**
+ * Write a proof to execution-proofs/, under `outputDir` when the server runs
+ * on a paper backend so simulated proofs stay out of the live ones
+ */
+function saveProof(name, proof, outputDir) {
+    const dir = outputDir ? path.join(outputDir, 'execution-proofs') : PROOFS_DIR;
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(
+        path.join(dir, `${name}-${Date.now()}.json`),
+        JSON.stringify(proof, (key, value) => typeof value === 'bigint' ? value.toString() : value, 2)
+    );
+}
+
+function rejectUnknown(params, allowed, prefix = 'params.') {
+    const unknown = Object.keys(params).filter(key => !allowed.includes(key));
+    if (unknown.length > 0) {
+        throw new JobValidationError(`${prefix}${unknown[0]}`, 'is not a recognised parameter');
+    }
+}
+
+/**
+ * Run a control on the job's TWAP; the engine's refusals (wrong status,
+ * nothing left to amend) become 409s
+ */
+async function controlTWAP(job, context, action) {
+    if (!job.refs.twapId) {
+        throw new JobStateError(`Job ${job.id} has not created its TWAP yet`);
+    }
+    try {
+        return await action(context.getEngine('twap'), job.refs.twapId);
+    } catch (error) {
+        throw error instanceof JobValidationError ? error : new JobStateError(error.message);
+    }
+}
+
+function summarizeTWAP(twap) {
+    return {
+        twapId: twap.id,
+        status: twap.status,
+        strategy: twap.strategy,
+        executedSlices: twap.executedSlices,
+        failedSlices: twap.failedSlices || 0,
+        skippedSlices: twap.skippedSlices || 0,
+        totalSlices: twap.slices.length,
+        filledAmount: twap.filledAmount,
+        totalAmount: twap.totalAmount,
+        slices: twap.slices.map(slice => ({
+            index: slice.sliceIndex,
+            status: slice.status,
+            amount: slice.order ? slice.order.makingAmount : slice.amount,
+            orderHash: slice.orderHash,
+            txHash: slice.txHash,
+            method: slice.method,
+            error: slice.error || slice.skipReason
+        })),
+        tca: twap.tca
+    };
+}
+
+const twap = {
+    description: 'Time-weighted execution through ProductionTWAPEngine',
+
+    validate(params) {
+        rejectUnknown(params, ['fromToken', 'toToken', 'amount', 'slices', 'intervalMinutes', 'maxSlippage', 'strategy', 'limitPrice']);
+
+        const fromToken = resolveToken(params.fromToken ?? 'USDC', 'params.fromToken');
+        const toToken = resolveToken(params.toToken ?? 'WMATIC', 'params.toToken');
+        if (fromToken.address === toToken.address) {
+            throw new JobValidationError('params.toToken', 'must differ from fromToken');
+        }
+
+        return {
+            fromToken,
+            toToken,
+            amount: parseAmount(params.amount, fromToken.decimals, 'params.amount'),
+            slices: parseInteger(params.slices ?? 5, 'params.slices', { min: 1, max: 100 }),
+            intervalMinutes: parseNumber(params.intervalMinutes ?? 15, 'params.intervalMinutes', { min: 0, max: 1440, exclusiveMin: true }),
+            maxSlippage: parseNumber(params.maxSlippage ?? 0.5, 'params.maxSlippage', { min: 0, max: 50, exclusiveMin: true }),
+            strategy: parseEnum(params.strategy ?? 'twap', 'params.strategy', ['twap', 'vwap']),
+            limitPrice: params.limitPrice === undefined
+                ? undefined
+                : parseNumber(params.limitPrice, 'params.limitPrice', { min: 0, max: Number.MAX_SAFE_INTEGER, exclusiveMin: true })
+        };
+    },
+
+    notional(params) {
+        return { token: params.fromToken.symbol, decimals: params.fromToken.decimals, amount: params.amount };
+    },
+
+    async run(job, context) {
+        const engine = context.getEngine('twap');
+        const { fromToken, toToken, amount, slices, intervalMinutes, maxSlippage, strategy, limitPrice } = job.params;
+
+        // A TWAP recovered after a restart is followed, not created again
+        let twapOrder = job.refs.twapId && engine.activeOrders.get(job.refs.twapId);
+        if (!twapOrder) {
+            twapOrder = await engine.createTWAPOrder({
+                fromToken: fromToken.address,
+                toToken: toToken.address,
+                totalAmount: BigInt(amount),
+                sliceCount: slices,
+                intervalMinutes,
+                maxSlippage,
+                strategy,
+                limitPrice,
+                jobId: job.id
+            });
+            job.refs.twapId = twapOrder.id;
+
+            if (context.isCancelled()) {
+                await engine.cancelTWAP(twapOrder.id, { invalidateUnsubmitted: true });
+                return summarizeTWAP(twapOrder);
+            }
+
+            await engine.executeTWAP(twapOrder.id);
+        }
+
+        while (!['completed', 'partial', 'cancelled'].includes(twapOrder.status)) {
+            context.setPaused(twapOrder.status === 'paused');
+            const done = twapOrder.slices.filter(s => !['pending', 'executing'].includes(s.status)).length;
+            context.progress({
+                completed: done,
+                total: twapOrder.slices.length,
+                message: `${twapOrder.executedSlices || 0}/${twapOrder.slices.length} slices executed`
+            });
+            await sleep(TWAP_POLL_MS);
+        }
+
+        // A partial TWAP still completes the job; result.status says how much filled
+        if (twapOrder.status !== 'cancelled') {
+            context.progress({ completed: twapOrder.slices.length, total: twapOrder.slices.length });
+        }
+        return summarizeTWAP(twapOrder);
+    },
+
+    async cancel(job, context) {
+        if (job.refs.twapId) {
+            await context.getEngine('twap').cancelTWAP(job.refs.twapId, { invalidateUnsubmitted: true });
+        }
+    },
+
+    /**
+     * @param {Object} options
+     * @param {boolean} [options.cancelOutstanding] - Also cancel posted orderbook orders on-chain
+     */
+    async pause(job, context, options) {
+        await controlTWAP(job, context, (engine, twapId) =>
+            engine.pauseTWAP(twapId, { cancelOutstanding: options.cancelOutstanding === true }));
+    },
+
+    async resume(job, context) {
+        await controlTWAP(job, context, (engine, twapId) => engine.resumeTWAP(twapId));
+    },
+
+    /**
+     * @param {Object} changes - remainingAmount (token units, no more than is
+     *   left, so an amendment cannot grow past what was approved),
+     *   intervalMinutes and/or limitPrice (null removes it)
+     */
+    async amend(job, changes, context) {
+        rejectUnknown(changes, ['remainingAmount', 'intervalMinutes', 'limitPrice'], '');
+        if (Object.keys(changes).length === 0) {
+            throw new JobValidationError('body', 'needs remainingAmount, intervalMinutes or limitPrice');
+        }
+
+        const { fromToken } = job.params;
+        const amendment = {};
+        if (changes.remainingAmount !== undefined) {
+            amendment.remainingAmount = parseAmount(changes.remainingAmount, fromToken.decimals, 'remainingAmount');
+        }
+        if (changes.intervalMinutes !== undefined) {
+            amendment.intervalMinutes = parseNumber(changes.intervalMinutes, 'intervalMinutes', { min: 0, max: 1440, exclusiveMin: true });
+        }
+        if (changes.limitPrice !== undefined) {
+            amendment.limitPrice = changes.limitPrice === null
+                ? null
+                : parseNumber(changes.limitPrice, 'limitPrice', { min: 0, max: Number.MAX_SAFE_INTEGER, exclusiveMin: true });
+        }
+
+        await controlTWAP(job, context, (engine, twapId) => {
+            const twapOrder = engine.activeOrders.get(twapId);
+            const left = twapOrder ? twapOrder.totalAmount - engine.getCommittedAmount(twapOrder) : 0n;
+            if (amendment.remainingAmount > left) {
+                throw new JobValidationError('remainingAmount',
+                    `must not exceed the ${ethers.formatUnits(left, fromToken.decimals)} ${fromToken.symbol} left; start a new job for more`);
+            }
+            return engine.amendTWAP(twapId, amendment);
+        });
+    }
+};
+
+/**
+ * Parameters and meta that hand a TWAP the engine recovered after a restart
+ * back to a twap job, under its original job id
+ * @returns {{ params: Object, meta: Object }}
+ */
+function recoveredTWAPJob(twapOrder) {
+    const { decimals } = resolveToken(twapOrder.fromToken, 'params.fromToken');
+    return {
+        params: {
+            fromToken: twapOrder.fromToken,
+            toToken: twapOrder.toToken,
+            amount: ethers.formatUnits(twapOrder.totalAmount, decimals),
+            slices: twapOrder.sliceCount,
+            intervalMinutes: twapOrder.intervalMs / 60000,
+            maxSlippage: twapOrder.maxSlippage,
+            strategy: twapOrder.strategy,
+            ...(twapOrder.limitPrice !== undefined && { limitPrice: Number(twapOrder.limitPrice) })
+        },
+        meta: { id: twapOrder.jobId || undefined, requestedBy: 'recovery', refs: { twapId: twapOrder.id } }
+    };
+}
+
+const lopTwap = {
+    description: 'Sign time-gated LOP v4 USDC → WMATIC slice orders for the taker bot',
+
+    validate(params) {
+        rejectUnknown(params, ['amount', 'slices', 'intervalSeconds']);
+
+        return {
+            amount: parseAmount(params.amount, 6, 'params.amount'),
+            slices: parseInteger(params.slices ?? 5, 'params.slices', { min: 1, max: 100 }),
+            intervalSeconds: parseInteger(params.intervalSeconds ?? 60, 'params.intervalSeconds', { min: 1, max: 86400 })
+        };
+    },
+
+    notional(params) {
+        return { token: 'USDC', decimals: 6, amount: params.amount };
+    },
+
+    async run(job, context) {
+        const { amount, slices, intervalSeconds } = job.params;
+        const ordersData = await context.getEngine('orderBuilder').buildOrders(BigInt(amount), slices, intervalSeconds);
+
+        return {
+            totalUSDC: ordersData.totalUSDC,
+            sliceCount: ordersData.sliceCount,
+            makerAddress: ordersData.makerAddress,
+            orders: ordersData.orders.map(order => ({
+                sliceIndex: order.sliceIndex,
+                orderHash: order.orderHash,
+                availableAt: order.availableAtISO,
+                makingAmount: order.makingAmount,
+                takingAmount: order.takingAmount
+            }))
+        };
+    }
+};
+
+const limitOrder = {
+    description: 'Create and submit a single LOP v4 limit order to the 1inch orderbook',
+
+    validate(params) {
+        rejectUnknown(params, ['makerToken', 'takerToken', 'makingAmount', 'takingAmount', 'expiresInSeconds', 'strategy', 'strategyConfig']);
+
+        const makerToken = resolveToken(params.makerToken, 'params.makerToken');
+        const takerToken = resolveToken(params.takerToken, 'params.takerToken');
+        if (makerToken.address === takerToken.address) {
+            throw new JobValidationError('params.takerToken', 'must differ from makerToken');
+        }
+        if (params.strategyConfig !== undefined && (typeof params.strategyConfig !== 'object' || params.strategyConfig === null)) {
+            throw new JobValidationError('params.strategyConfig', 'must be an object');
+        }
+
+        return {
+            makerToken,
+            takerToken,
+            makingAmount: parseAmount(params.makingAmount, makerToken.decimals, 'params.makingAmount'),
+            takingAmount: parseAmount(params.takingAmount, takerToken.decimals, 'params.takingAmount'),
+            expiresInSeconds: parseInteger(params.expiresInSeconds ?? 86400, 'params.expiresInSeconds', { min: 60, max: 30 * 86400 }),
+            strategy: parseEnum(params.strategy ?? 'standard', 'params.strategy', ['standard', 'stop_loss', 'take_profit']),
+            strategyConfig: params.strategyConfig || {}
+        };
+    },
+
+    notional(params) {
+        return { token: params.makerToken.symbol, decimals: params.makerToken.decimals, amount: params.makingAmount };
+    },
+
+    async run(job, context) {
+        const { makerToken, takerToken, makingAmount, takingAmount, expiresInSeconds, strategy, strategyConfig } = job.params;
+
+        const { orderHash } = await context.getEngine('limitOrders').createAdvancedOrder({
+            makerAsset: makerToken.address,
+            takerAsset: takerToken.address,
+            makerAmount: BigInt(makingAmount),
+            takerAmount: BigInt(takingAmount),
+            expiration: Math.floor(Date.now() / 1000) + expiresInSeconds
+        }, strategy, strategyConfig);
+
+        return { orderHash, strategy };
+    }
+};
+
+const approve = {
+    description: 'Approve the 1inch router (LOP v4) to spend a token',
+
+    validate(params) {
+        rejectUnknown(params, ['token', 'amount']);
+
+        const token = resolveToken(params.token ?? 'USDC', 'params.token');
+        return {
+            token,
+            amount: params.amount === 'max'
+                ? ethers.MaxUint256
+                : parseAmount(params.amount, token.decimals, 'params.amount')
+        };
+    },
+
+    // An allowance is checked per operation but does not use up the daily limit
+    notional(params) {
+        return { token: params.token.symbol, decimals: params.token.decimals, amount: params.amount, allowance: true };
+    },
+
+    async run(job, context) {
+        const { token, amount } = job.params;
+        const contract = new ethers.Contract(token.address, ERC20_ABI, context.wallet);
+
+        // Sent through the wallet's queue so it cannot take a nonce from a running TWAP
+        const tx = await contract.connect(TransactionQueue.for(context.wallet)).approve(LOP_V4_ADDRESS, BigInt(amount));
+        context.progress({ message: `Approval sent: ${tx.hash}` });
+        const receipt = await tx.wait();
+
+        return {
+            token: token.symbol,
+            spender: LOP_V4_ADDRESS,
+            amount,
+            txHash: tx.hash,
+            blockNumber: receipt.blockNumber,
+            allowance: await contract.allowance(context.wallet.address, LOP_V4_ADDRESS)
+        };
+    }
+};
+
+const swap = {
+    description: 'Single 1inch aggregator swap (Swap API v6) from the backend wallet',
+
+    validate(params) {
+        rejectUnknown(params, ['fromToken', 'toToken', 'amount', 'slippage']);
+        return parsePair(params);
+    },
+
+    notional(params) {
+        return { token: params.fromToken.symbol, decimals: params.fromToken.decimals, amount: params.amount };
+    },
+
+    async run(job, context) {
+        const { fromToken, toToken, amount, slippage } = job.params;
+        const owner = context.wallet.address;
+        const source = new ethers.Contract(fromToken.address, ERC20_ABI, context.provider);
+        const destination = new ethers.Contract(toToken.address, ERC20_ABI, context.provider);
+
+        // Router v6 shares its address with LOP v4, so the approve job covers swaps too
+        const allowance = await source.allowance(owner, LOP_V4_ADDRESS);
+        if (allowance < BigInt(amount)) {
+            throw new Error(`${fromToken.symbol} allowance for the 1inch router is ${ethers.formatUnits(allowance, fromToken.decimals)}; run an approve job first`);
+        }
+
+        // The server passes PaperSwapApi in paper and demo modes
+        const swapApi = context.swapApi || new OneInchApi();
+        const data = await swapApi.swap({ src: fromToken.address, dst: toToken.address, amount: amount.toString(), from: owner, slippage });
+        const expectedAmount = data.dstAmount ?? data.toAmount;
+
+        const before = await destination.balanceOf(owner);
+        const tx = await TransactionQueue.for(context.wallet).sendTransaction({
+            to: data.tx.to,
+            data: data.tx.data,
+            value: data.tx.value || '0',
+            gasLimit: data.tx.gas
+        });
+        context.progress({ message: `Swap sent: ${tx.hash}` });
+        const receipt = await tx.wait();
+        const receivedAmount = await destination.balanceOf(owner) - before;
+
+        saveProof('aggregator-swap', {
+            type: 'aggregator-swap',
+            timestamp: new Date().toISOString(),
+            wallet: owner,
+            chainId: 137,
+            fromToken: fromToken.address,
+            toToken: toToken.address,
+            amount,
+            expectedAmount,
+            receivedAmount,
+            txHash: tx.hash,
+            gasUsed: receipt.gasUsed,
+            gasPrice: receipt.gasPrice
+        }, context.outputDir);
+
+        return {
+            fromToken: fromToken.symbol,
+            toToken: toToken.symbol,
+            amount,
+            fromAmount: ethers.formatUnits(amount, fromToken.decimals),
+            expectedAmount,
+            receivedAmount,
+            toAmount: ethers.formatUnits(receivedAmount, toToken.decimals),
+            txHash: tx.hash,
+            blockNumber: receipt.blockNumber,
+            gasUsed: receipt.gasUsed
+        };
+    }
+};
+
+const fusion = {
+    description: 'Gasless 1inch Fusion order through OneInchFusionManager',
+
+    validate(params) {
+        rejectUnknown(params, ['fromToken', 'toToken', 'amount', 'slippage', 'preset']);
+        return {
+            ...parsePair(params),
+            preset: parseEnum(params.preset ?? 'fast', 'params.preset', ['fast', 'medium', 'slow'])
+        };
+    },
+
+    notional(params) {
+        return { token: params.fromToken.symbol, decimals: params.fromToken.decimals, amount: params.amount };
+    },
+
+    async run(job, context) {
+        const { fromToken, toToken, amount, slippage, preset } = job.params;
+        const { orderHash, expectedOutput } = await context.getEngine('fusion').createFusionOrder(
+            fromToken.address,
+            toToken.address,
+            amount.toString(),
+            { slippage, preset }
+        );
+        job.refs.orderHash = orderHash;
+
+        return {
+            orderHash,
+            fromToken: fromToken.symbol,
+            toToken: toToken.symbol,
+            amount,
+            expectedAmount: expectedOutput,
+            preset
+        };
+    }
+};
+
+const balance = {
+    description: 'Fetch wallet balances for the supported Polygon tokens',
+
+    validate(params) {
+        rejectUnknown(params, []);
+        return {};
+    },
+
+    async run(job, context) {
+        const balances = await fetchTokenBalances({ wallet: context.wallet });
+        return { balances };
+    }
+};
+
+const JOB_TYPES = {
+    twap,
+    'lop-twap': lopTwap,
+    'limit-order': limitOrder,
+    swap,
+    fusion,
+    approve,
+    balance
+};
+
+module.exports = {
+    JOB_TYPES,
+    recoveredTWAPJob,
+    resolveToken,
+    parseAmount
+};
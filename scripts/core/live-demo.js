@@ -112,7 +112,7 @@ async function main() {
     console.log('\n📋 TWAP STRATEGY DETAILS:');
     console.log(`   Total Amount:    ${ordersData.totalUSDC} USDC`);
     console.log(`   Slice Count:     ${ordersData.sliceCount}`);
-    console.log(`   Amount per Slice: ${ordersData.usdcPerSlice} USDC`);
+    console.log(`   Slice Amounts:   ${ordersData.orders.map(order => order.makingAmount).join(', ')} USDC`);
     console.log(`   Time Interval:   ${ordersData.sliceInterval} seconds`);
     console.log(`   Generated At:    ${new Date(ordersData.generatedAt).toLocaleString()}`);
 
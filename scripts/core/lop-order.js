@@ -0,0 +1,479 @@
+/**
+ * @fileoverview LOP v4 Order Model
+ * @description Single encoding of 1inch Limit Order Protocol v4 orders:
+ * build, hash, sign, serialise to data/orders.json and encode fill calldata
+ * @author FEAWS Development Team
+ *
+ * LOP v4 ships inside the Aggregation Router v6. An order is eight words
+ * (salt, maker, receiver, makerAsset, takerAsset, makingAmount, takingAmount,
+ * makerTraits); everything optional, such as the predicate, lives in a
+ * separate extension whose hash is committed to in the low 160 bits of salt.
+ */
+
+const { ethers } = require('ethers');
+const fs = require('fs');
+
+const LOP_V4_ADDRESS = '0x111111125421cA6dc452d289314280a0f8842A65';
+
+const ORDER_TUPLE = '(uint256 salt, uint256 maker, uint256 receiver, uint256 makerAsset, uint256 takerAsset, uint256 makingAmount, uint256 takingAmount, uint256 makerTraits)';
+
+const LOP_V4_ABI = [
+    `function fillOrder(${ORDER_TUPLE} order, bytes32 r, bytes32 vs, uint256 amount, uint256 takerTraits) payable returns (uint256 makingAmount, uint256 takingAmount, bytes32 orderHash)`,
+    `function fillOrderArgs(${ORDER_TUPLE} order, bytes32 r, bytes32 vs, uint256 amount, uint256 takerTraits, bytes args) payable returns (uint256 makingAmount, uint256 takingAmount, bytes32 orderHash)`,
+    `function hashOrder(${ORDER_TUPLE} order) view returns (bytes32)`,
+    'function cancelOrder(uint256 makerTraits, bytes32 orderHash)',
+    'function remainingInvalidatorForOrder(address maker, bytes32 orderHash) view returns (uint256)',
+    'function bitInvalidatorForOrder(address maker, uint256 slot) view returns (uint256)',
+    'function checkPredicate(bytes predicate) view returns (bool)',
+    'event OrderFilled(bytes32 orderHash, uint256 remainingAmount)',
+    'event OrderCancelled(bytes32 orderHash)'
+];
+
+const ORDER_TYPES = {
+    Order: [
+        { name: 'salt', type: 'uint256' },
+        { name: 'maker', type: 'address' },
+        { name: 'receiver', type: 'address' },
+        { name: 'makerAsset', type: 'address' },
+        { name: 'takerAsset', type: 'address' },
+        { name: 'makingAmount', type: 'uint256' },
+        { name: 'takingAmount', type: 'uint256' },
+        { name: 'makerTraits', type: 'uint256' }
+    ]
+};
+
+// MakerTraits: flags in the high bits, packed fields in the low 200 bits
+const MAKER_FLAGS = {
+    NO_PARTIAL_FILLS: 255n,
+    ALLOW_MULTIPLE_FILLS: 254n,
+    PRE_INTERACTION_CALL: 252n,
+    POST_INTERACTION_CALL: 251n,
+    NEED_CHECK_EPOCH_MANAGER: 250n,
+    HAS_EXTENSION: 249n,
+    USE_PERMIT2: 248n,
+    UNWRAP_WETH: 247n
+};
+
+const UINT40_MASK = (1n << 40n) - 1n;
+const UINT80_MASK = (1n << 80n) - 1n;
+const UINT160_MASK = (1n << 160n) - 1n;
+
+// TakerTraits
+const TAKER_MAKER_AMOUNT_FLAG = 1n << 255n;
+const TAKER_ARGS_EXTENSION_LENGTH_OFFSET = 224n;
+const TAKER_ARGS_INTERACTION_LENGTH_OFFSET = 200n;
+const TAKER_ARGS_LENGTH_MASK = (1n << 24n) - 1n;
+const TAKER_ARGS_HAS_TARGET_FLAG = 1n << 251n;
+const TAKER_THRESHOLD_MASK = (1n << 185n) - 1n;
+
+// Extension fields in on-chain order; anything after the last is custom data
+const EXTENSION_FIELDS = [
+    'makerAssetSuffix',
+    'takerAssetSuffix',
+    'makingAmountData',
+    'takingAmountData',
+    'predicate',
+    'makerPermit',
+    'preInteraction',
+    'postInteraction'
+];
+
+function getDomain(chainId = 137, verifyingContract = LOP_V4_ADDRESS) {
+    return {
+        name: '1inch Aggregation Router',
+        version: '6',
+        chainId,
+        verifyingContract
+    };
+}
+
+/**
+ * @param {Object} traits
+ * @param {string} [traits.allowedSender] - Only this taker may fill (zero address for anyone)
+ * @param {number|bigint} [traits.expiration] - Unix timestamp, 0 for no expiry
+ * @param {number|bigint} [traits.nonce] - Nonce or epoch (uint40)
+ * @param {number|bigint} [traits.series] - Epoch series (uint40)
+ * @param {boolean} [traits.allowPartialFills]
+ * @param {boolean} [traits.allowMultipleFills] - Track the order by remaining amount rather than a nonce bit
+ * @param {boolean} [traits.hasExtension]
+ * @returns {bigint}
+ */
+function buildMakerTraits(traits = {}) {
+    const {
+        allowedSender = ethers.ZeroAddress,
+        expiration = 0,
+        nonce = 0,
+        series = 0,
+        allowPartialFills = true,
+        allowMultipleFills = true,
+        hasExtension = false,
+        unwrapWeth = false
+    } = traits;
+
+    let value = (BigInt(allowedSender) & UINT80_MASK)
+        | ((BigInt(expiration) & UINT40_MASK) << 80n)
+        | ((BigInt(nonce) & UINT40_MASK) << 120n)
+        | ((BigInt(series) & UINT40_MASK) << 160n);
+
+    if (!allowPartialFills) value |= 1n << MAKER_FLAGS.NO_PARTIAL_FILLS;
+    if (allowMultipleFills) value |= 1n << MAKER_FLAGS.ALLOW_MULTIPLE_FILLS;
+    if (hasExtension) value |= 1n << MAKER_FLAGS.HAS_EXTENSION;
+    if (unwrapWeth) value |= 1n << MAKER_FLAGS.UNWRAP_WETH;
+
+    return value;
+}
+
+function parseMakerTraits(makerTraits) {
+    const value = BigInt(makerTraits);
+    const flag = bit => ((value >> bit) & 1n) === 1n;
+
+    return {
+        allowedSenderSuffix: ethers.toBeHex(value & UINT80_MASK, 10),
+        expiration: Number((value >> 80n) & UINT40_MASK),
+        nonce: (value >> 120n) & UINT40_MASK,
+        series: (value >> 160n) & UINT40_MASK,
+        allowPartialFills: !flag(MAKER_FLAGS.NO_PARTIAL_FILLS),
+        allowMultipleFills: flag(MAKER_FLAGS.ALLOW_MULTIPLE_FILLS),
+        hasExtension: flag(MAKER_FLAGS.HAS_EXTENSION),
+        unwrapWeth: flag(MAKER_FLAGS.UNWRAP_WETH)
+    };
+}
+
+/**
+ * @param {Object} fields - Any of EXTENSION_FIELDS as hex, plus customData
+ * @returns {string} Hex extension, '0x' when every field is empty
+ */
+function buildExtension(fields = {}) {
+    const parts = EXTENSION_FIELDS.map(name => fields[name] || '0x');
+    const customData = fields.customData || '0x';
+
+    if (parts.every(p => p === '0x') && customData === '0x') {
+        return '0x';
+    }
+
+    let offsets = 0n;
+    let end = 0;
+    parts.forEach((part, i) => {
+        end += ethers.dataLength(part);
+        offsets |= BigInt(end) << BigInt(32 * i);
+    });
+
+    return ethers.concat([ethers.toBeHex(offsets, 32), ...parts, customData]);
+}
+
+function parseExtension(extension) {
+    const fields = {};
+    EXTENSION_FIELDS.forEach(name => { fields[name] = '0x'; });
+    fields.customData = '0x';
+
+    if (!extension || extension === '0x') {
+        return fields;
+    }
+
+    const bytes = ethers.getBytes(extension);
+    const offsets = BigInt(ethers.hexlify(bytes.slice(0, 32)));
+    const body = bytes.slice(32);
+    let previous = 0;
+
+    EXTENSION_FIELDS.forEach((name, i) => {
+        const current = Number((offsets >> BigInt(32 * i)) & 0xffffffffn);
+        fields[name] = ethers.hexlify(body.slice(previous, current));
+        previous = current;
+    });
+    fields.customData = ethers.hexlify(body.slice(previous));
+
+    return fields;
+}
+
+function randomSalt(extension) {
+    const random = BigInt(ethers.hexlify(ethers.randomBytes(12)));
+
+    return extension === '0x'
+        ? (random << 160n) | BigInt(ethers.hexlify(ethers.randomBytes(20)))
+        : (random << 160n) | (BigInt(ethers.keccak256(extension)) & UINT160_MASK);
+}
+
+function randomNonce() {
+    return BigInt(ethers.hexlify(ethers.randomBytes(5)));
+}
+
+class LimitOrderV4 {
+    /**
+     * Wrap already-built order fields (e.g. loaded from disk or the orderbook)
+     */
+    constructor(fields) {
+        this.salt = BigInt(fields.salt);
+        this.maker = ethers.getAddress(fields.maker);
+        this.receiver = ethers.getAddress(fields.receiver || ethers.ZeroAddress);
+        this.makerAsset = ethers.getAddress(fields.makerAsset);
+        this.takerAsset = ethers.getAddress(fields.takerAsset);
+        this.makingAmount = BigInt(fields.makingAmount);
+        this.takingAmount = BigInt(fields.takingAmount);
+        this.makerTraits = BigInt(fields.makerTraits);
+        this.extension = fields.extension || '0x';
+
+        if (this.extension !== '0x' &&
+            (BigInt(ethers.keccak256(this.extension)) & UINT160_MASK) !== (this.salt & UINT160_MASK)) {
+            throw new Error('Order salt does not commit to its extension');
+        }
+    }
+
+    /**
+     * Build a new order
+     * @param {Object} params
+     * @param {string} params.maker
+     * @param {string} [params.receiver] - Defaults to the maker
+     * @param {string} params.makerAsset
+     * @param {string} params.takerAsset
+     * @param {bigint|string} params.makingAmount
+     * @param {bigint|string} params.takingAmount
+     * @param {string} [params.predicate] - LOP predicate calldata (see lop-predicates.js)
+     * @param {number} [params.expiration] - Unix timestamp, 0 for none
+     * @param {bigint} [params.nonce] - Random uint40 by default
+     * @param {string} [params.allowedSender]
+     * @param {boolean} [params.allowPartialFills]
+     * @param {boolean} [params.allowMultipleFills]
+     */
+    static create(params) {
+        const extension = buildExtension({ predicate: params.predicate });
+        const makerTraits = buildMakerTraits({
+            allowedSender: params.allowedSender,
+            expiration: params.expiration || 0,
+            nonce: params.nonce ?? randomNonce(),
+            allowPartialFills: params.allowPartialFills,
+            allowMultipleFills: params.allowMultipleFills,
+            hasExtension: extension !== '0x'
+        });
+
+        return new LimitOrderV4({
+            salt: params.salt ?? randomSalt(extension),
+            maker: params.maker,
+            receiver: params.receiver || params.maker,
+            makerAsset: params.makerAsset,
+            takerAsset: params.takerAsset,
+            makingAmount: params.makingAmount,
+            takingAmount: params.takingAmount,
+            makerTraits,
+            extension
+        });
+    }
+
+    get traits() {
+        return parseMakerTraits(this.makerTraits);
+    }
+
+    get predicate() {
+        return parseExtension(this.extension).predicate;
+    }
+
+    /**
+     * EIP-712 message (addresses as addresses, numbers as decimal strings)
+     */
+    build() {
+        return {
+            salt: this.salt.toString(),
+            maker: this.maker,
+            receiver: this.receiver,
+            makerAsset: this.makerAsset,
+            takerAsset: this.takerAsset,
+            makingAmount: this.makingAmount.toString(),
+            takingAmount: this.takingAmount.toString(),
+            makerTraits: this.makerTraits.toString()
+        };
+    }
+
+    /**
+     * On-chain struct, where addresses are uint256-wrapped
+     */
+    toTuple() {
+        return [
+            this.salt,
+            BigInt(this.maker),
+            BigInt(this.receiver),
+            BigInt(this.makerAsset),
+            BigInt(this.takerAsset),
+            this.makingAmount,
+            this.takingAmount,
+            this.makerTraits
+        ];
+    }
+
+    getTypedData(chainId = 137, verifyingContract) {
+        return { domain: getDomain(chainId, verifyingContract), types: ORDER_TYPES, message: this.build() };
+    }
+
+    getOrderHash(chainId = 137, verifyingContract) {
+        const { domain, types, message } = this.getTypedData(chainId, verifyingContract);
+        return ethers.TypedDataEncoder.hash(domain, types, message);
+    }
+
+    /**
+     * @param {ethers.Signer} signer - Must be the maker
+     * @returns {Promise<string>} 65-byte signature
+     */
+    async sign(signer, chainId = 137, verifyingContract) {
+        const { domain, types, message } = this.getTypedData(chainId, verifyingContract);
+        return signer.signTypedData(domain, types, message);
+    }
+
+    toJSON() {
+        return { ...this.build(), extension: this.extension };
+    }
+
+    static fromJSON(json) {
+        return new LimitOrderV4(json);
+    }
+}
+
+/**
+ * Calldata for filling `order` on LOP v4. Orders with an extension go through
+ * fillOrderArgs so the contract can verify and run their predicate.
+ * @param {LimitOrderV4} order
+ * @param {string} signature - Maker's 65-byte EIP-712 signature
+ * @param {Object} [options]
+ * @param {bigint} [options.amount] - Amount to fill; defaults to the full order
+ * @param {boolean} [options.isMakingAmount] - `amount` is in makerAsset (default) or takerAsset units
+ * @param {bigint} [options.threshold] - Max taking amount (or min making amount); 0 disables the check
+ * @param {string} [options.interaction] - Taker interaction data
+ * @returns {string}
+ */
+function encodeFillOrder(order, signature, options = {}) {
+    const {
+        amount = order.makingAmount,
+        isMakingAmount = true,
+        threshold = 0n,
+        interaction = '0x'
+    } = options;
+
+    const { r, yParityAndS: vs } = ethers.Signature.from(signature);
+    const iface = new ethers.Interface(LOP_V4_ABI);
+
+    let takerTraits = BigInt(threshold) & TAKER_THRESHOLD_MASK;
+    if (isMakingAmount) {
+        takerTraits |= TAKER_MAKER_AMOUNT_FLAG;
+    }
+
+    if (order.extension === '0x' && interaction === '0x') {
+        return iface.encodeFunctionData('fillOrder', [order.toTuple(), r, vs, amount, takerTraits]);
+    }
+
+    takerTraits |= BigInt(ethers.dataLength(order.extension)) << TAKER_ARGS_EXTENSION_LENGTH_OFFSET;
+    takerTraits |= BigInt(ethers.dataLength(interaction)) << TAKER_ARGS_INTERACTION_LENGTH_OFFSET;
+
+    return iface.encodeFunctionData('fillOrderArgs', [
+        order.toTuple(), r, vs, amount, takerTraits, ethers.concat([order.extension, interaction])
+    ]);
+}
+
+/**
+ * Order and maker signature back out of fillOrder/fillOrderArgs calldata,
+ * e.g. from a fill transaction found on chain
+ * @param {string} data
+ * @returns {{ order: LimitOrderV4, signature: string, amount: bigint, takerTraits: bigint, interaction: string }}
+ */
+function decodeFillOrder(data) {
+    const iface = new ethers.Interface(LOP_V4_ABI);
+    let parsed = null;
+    try {
+        parsed = iface.parseTransaction({ data });
+    } catch (error) {
+        // Not LOP calldata
+    }
+    if (!parsed || !['fillOrder', 'fillOrderArgs'].includes(parsed.name)) {
+        throw new Error('Not a LOP v4 fillOrder or fillOrderArgs call');
+    }
+
+    const [tuple, r, vs, amount, takerTraits] = parsed.args;
+    let extension = '0x';
+    let interaction = '0x';
+
+    if (parsed.name === 'fillOrderArgs') {
+        // args = [target (20 bytes, if flagged)] [extension] [interaction]
+        const args = ethers.getBytes(parsed.args[5]);
+        const start = takerTraits & TAKER_ARGS_HAS_TARGET_FLAG ? 20 : 0;
+        const extensionLength = Number((takerTraits >> TAKER_ARGS_EXTENSION_LENGTH_OFFSET) & TAKER_ARGS_LENGTH_MASK);
+        const interactionLength = Number((takerTraits >> TAKER_ARGS_INTERACTION_LENGTH_OFFSET) & TAKER_ARGS_LENGTH_MASK);
+        extension = ethers.hexlify(args.slice(start, start + extensionLength));
+        interaction = ethers.hexlify(args.slice(start + extensionLength, start + extensionLength + interactionLength));
+    }
+
+    const [salt, maker, receiver, makerAsset, takerAsset, makingAmount, takingAmount, makerTraits] = tuple;
+    const address = value => ethers.getAddress(ethers.toBeHex(value & UINT160_MASK, 20));
+
+    return {
+        order: new LimitOrderV4({
+            salt,
+            maker: address(maker),
+            receiver: address(receiver),
+            makerAsset: address(makerAsset),
+            takerAsset: address(takerAsset),
+            makingAmount,
+            takingAmount,
+            makerTraits,
+            extension
+        }),
+        signature: ethers.Signature.from({ r, yParityAndS: vs }).serialized,
+        amount,
+        takerTraits,
+        interaction
+    };
+}
+
+/**
+ * Body for POST https://api.1inch.dev/orderbook/v4.0/{chainId}
+ */
+function toOrderbookPayload(order, signature, chainId = 137) {
+    return {
+        orderHash: order.getOrderHash(chainId),
+        signature,
+        data: order.toJSON()
+    };
+}
+
+/**
+ * Write an orders file (data/orders.json). Each entry's `order` is a LimitOrderV4.
+ */
+function saveOrdersFile(filePath, ordersData) {
+    const serialised = {
+        ...ordersData,
+        orderFormat: 'lop-v4',
+        orders: ordersData.orders.map(entry => ({ ...entry, order: entry.order.toJSON() }))
+    };
+
+    fs.writeFileSync(filePath, JSON.stringify(serialised, (key, value) =>
+        typeof value === 'bigint' ? value.toString() : value, 2));
+}
+
+/**
+ * Read an orders file back into LimitOrderV4 instances. Files written before
+ * the v4 model (15-field v3 structs) cannot be filled and are rejected.
+ */
+function loadOrdersFile(filePath) {
+    const ordersData = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+    if (ordersData.orderFormat !== 'lop-v4') {
+        throw new Error(`${filePath} uses the legacy v3 order format. Rebuild it with: npm run build-orders`);
+    }
+
+    return {
+        ...ordersData,
+        orders: ordersData.orders.map(entry => ({ ...entry, order: LimitOrderV4.fromJSON(entry.order) }))
+    };
+}
+
+module.exports = LimitOrderV4;
+module.exports.LimitOrderV4 = LimitOrderV4;
+module.exports.LOP_V4_ADDRESS = LOP_V4_ADDRESS;
+module.exports.LOP_V4_ABI = LOP_V4_ABI;
+module.exports.ORDER_TYPES = ORDER_TYPES;
+module.exports.getDomain = getDomain;
+module.exports.buildMakerTraits = buildMakerTraits;
+module.exports.parseMakerTraits = parseMakerTraits;
+module.exports.buildExtension = buildExtension;
+module.exports.parseExtension = parseExtension;
+module.exports.randomNonce = randomNonce;
+module.exports.encodeFillOrder = encodeFillOrder;
+module.exports.decodeFillOrder = decodeFillOrder;
+module.exports.toOrderbookPayload = toOrderbookPayload;
+module.exports.saveOrdersFile = saveOrdersFile;
+module.exports.loadOrdersFile = loadOrdersFile;
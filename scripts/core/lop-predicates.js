@@ -0,0 +1,276 @@
+/**
+ * @fileoverview LOP v4 Predicates
+ * @description Builder and decoder for 1inch Limit Order Protocol v4 order
+ * predicates: time windows, Chainlink price conditions and and/or/not trees
+ * @author FEAWS Development Team
+ *
+ * A predicate is calldata the LOP contract static-calls on itself before a
+ * fill; the order is only fillable while it returns true. Comparisons read
+ * their left-hand side from another self-call, normally `arbitraryStaticCall`,
+ * so `lt(value, call)` means `call() < value`.
+ *
+ * LOP v4 dropped the v3 `timestampBelow` helper (expiry lives in MakerTraits),
+ * so time conditions read block.timestamp through Multicall3.
+ */
+
+const { ethers } = require('ethers');
+
+// Deterministic Multicall3 deployment, present on Polygon and most EVM chains
+const MULTICALL3 = '0xcA11bde05977b3631167028862bE2a173976CA11';
+
+// PredicateHelper surface of the LOP v4 contract
+const PREDICATE_ABI = [
+    'function and(uint256 offsets, bytes data) view returns (bool)',
+    'function or(uint256 offsets, bytes data) view returns (bool)',
+    'function not(bytes data) view returns (bool)',
+    'function eq(uint256 value, bytes data) view returns (bool)',
+    'function lt(uint256 value, bytes data) view returns (bool)',
+    'function gt(uint256 value, bytes data) view returns (bool)',
+    'function arbitraryStaticCall(address target, bytes data) view returns (uint256)'
+];
+
+const MULTICALL3_ABI = ['function getCurrentBlockTimestamp() view returns (uint256 timestamp)'];
+const AGGREGATOR_ABI = ['function latestAnswer() view returns (int256)'];
+
+const lop = new ethers.Interface(PREDICATE_ABI);
+const multicall = new ethers.Interface(MULTICALL3_ABI);
+const aggregator = new ethers.Interface(AGGREGATOR_ABI);
+
+// and/or pack the end offset of each operand into 32-bit lanes of a uint256
+const MAX_OPERANDS = 8;
+
+function arbitraryStaticCall(target, data) {
+    return lop.encodeFunctionData('arbitraryStaticCall', [ethers.getAddress(target), data]);
+}
+
+function eq(value, call) {
+    return lop.encodeFunctionData('eq', [value, call]);
+}
+
+function lt(value, call) {
+    return lop.encodeFunctionData('lt', [value, call]);
+}
+
+function gt(value, call) {
+    return lop.encodeFunctionData('gt', [value, call]);
+}
+
+function not(predicate) {
+    return lop.encodeFunctionData('not', [predicate]);
+}
+
+function join(method, predicates) {
+    if (predicates.length === 0 || predicates.length > MAX_OPERANDS) {
+        throw new Error(`${method}() takes between 1 and ${MAX_OPERANDS} predicates`);
+    }
+    if (predicates.length === 1) {
+        return predicates[0];
+    }
+
+    let offsets = 0n;
+    let end = 0;
+    predicates.forEach((predicate, i) => {
+        end += ethers.dataLength(predicate);
+        offsets |= BigInt(end) << BigInt(32 * i);
+    });
+
+    return lop.encodeFunctionData(method, [offsets, ethers.concat(predicates)]);
+}
+
+function and(...predicates) {
+    return join('and', predicates);
+}
+
+function or(...predicates) {
+    return join('or', predicates);
+}
+
+/**
+ * Static call that returns block.timestamp
+ */
+function blockTimestamp() {
+    return arbitraryStaticCall(MULTICALL3, multicall.encodeFunctionData('getCurrentBlockTimestamp'));
+}
+
+/**
+ * Fillable while block.timestamp < timestamp
+ */
+function timestampBelow(timestamp) {
+    return lt(BigInt(timestamp), blockTimestamp());
+}
+
+/**
+ * Fillable once block.timestamp >= timestamp
+ */
+function timestampAtOrAfter(timestamp) {
+    return gt(BigInt(timestamp) - 1n, blockTimestamp());
+}
+
+/**
+ * Fillable during [start, end)
+ */
+function timeWindow(start, end) {
+    if (end !== undefined && end !== null && Number(end) <= Number(start)) {
+        throw new Error('Time window must end after it starts');
+    }
+
+    return end === undefined || end === null
+        ? timestampAtOrAfter(start)
+        : and(timestampAtOrAfter(start), timestampBelow(end));
+}
+
+function toFeedUnits(price, decimals) {
+    if (typeof price === 'bigint') {
+        return price;
+    }
+    return ethers.parseUnits(typeof price === 'number' ? price.toFixed(decimals) : price, decimals);
+}
+
+/**
+ * Static call that returns a Chainlink aggregator's latest answer
+ */
+function chainlinkAnswer(feed) {
+    return arbitraryStaticCall(feed, aggregator.encodeFunctionData('latestAnswer'));
+}
+
+/**
+ * Fillable while the feed answer is strictly below `price`
+ * @param {string} feed - Chainlink aggregator address
+ * @param {bigint|number|string} price - Raw answer (bigint) or a human price
+ * @param {number} [decimals] - Feed decimals used to scale a human price (USD feeds use 8)
+ */
+function chainlinkPriceBelow(feed, price, decimals = 8) {
+    return lt(toFeedUnits(price, decimals), chainlinkAnswer(feed));
+}
+
+/**
+ * Fillable while the feed answer is strictly above `price`
+ */
+function chainlinkPriceAbove(feed, price, decimals = 8) {
+    return gt(toFeedUnits(price, decimals), chainlinkAnswer(feed));
+}
+
+function splitOperands(offsets, data) {
+    const bytes = ethers.getBytes(data);
+    const operands = [];
+    let previous = 0;
+
+    for (let lanes = BigInt(offsets); lanes !== 0n; lanes >>= 32n) {
+        const current = Number(lanes & 0xffffffffn);
+        if (current === 0) break;
+        operands.push(ethers.hexlify(bytes.slice(previous, current)));
+        previous = current;
+    }
+
+    return operands;
+}
+
+function decodeStaticCall(target, data) {
+    const selector = ethers.dataLength(data) >= 4 ? ethers.dataSlice(data, 0, 4) : data;
+
+    if (ethers.getAddress(target) === ethers.getAddress(MULTICALL3) &&
+        selector === multicall.getFunction('getCurrentBlockTimestamp').selector) {
+        return { op: 'blockTimestamp' };
+    }
+
+    if (selector === aggregator.getFunction('latestAnswer').selector) {
+        return { op: 'chainlinkAnswer', feed: ethers.getAddress(target) };
+    }
+
+    return { op: 'arbitraryStaticCall', target: ethers.getAddress(target), data };
+}
+
+/**
+ * Decode predicate calldata into a tree of { op, ... } nodes.
+ * Calldata this module does not recognise decodes to { op: 'unknown' }.
+ * @param {string} predicate - Hex calldata
+ * @returns {Object}
+ */
+function decodePredicate(predicate) {
+    if (!predicate || predicate === '0x') {
+        return { op: 'none' };
+    }
+
+    let parsed;
+    try {
+        parsed = lop.parseTransaction({ data: predicate });
+    } catch (error) {
+        parsed = null;
+    }
+
+    if (!parsed) {
+        return { op: 'unknown', data: predicate };
+    }
+
+    switch (parsed.name) {
+        case 'and':
+        case 'or':
+            return { op: parsed.name, args: splitOperands(parsed.args.offsets, parsed.args.data).map(decodePredicate) };
+        case 'not':
+            return { op: 'not', arg: decodePredicate(parsed.args.data) };
+        case 'eq':
+        case 'lt':
+        case 'gt':
+            return { op: parsed.name, value: parsed.args.value, call: decodePredicate(parsed.args.data) };
+        case 'arbitraryStaticCall':
+            return decodeStaticCall(parsed.args.target, parsed.args.data);
+        default:
+            return { op: 'unknown', data: predicate };
+    }
+}
+
+const COMPARATORS = { eq: '==', lt: '<', gt: '>' };
+
+/**
+ * Human-readable form of a decoded predicate
+ * @param {Object} node - Output of decodePredicate
+ * @returns {string}
+ */
+function describePredicate(node) {
+    switch (node.op) {
+        case 'none':
+            return 'always fillable';
+        case 'and':
+        case 'or':
+            return `(${node.args.map(describePredicate).join(` ${node.op.toUpperCase()} `)})`;
+        case 'not':
+            return `NOT ${describePredicate(node.arg)}`;
+        case 'eq':
+        case 'lt':
+        case 'gt': {
+            const value = node.call.op === 'blockTimestamp'
+                ? `${node.value} (${new Date(Number(node.value) * 1000).toISOString()})`
+                : node.value.toString();
+            return `${describePredicate(node.call)} ${COMPARATORS[node.op]} ${value}`;
+        }
+        case 'blockTimestamp':
+            return 'block.timestamp';
+        case 'chainlinkAnswer':
+            return `chainlink(${node.feed}).latestAnswer`;
+        case 'arbitraryStaticCall':
+            return `staticcall(${node.target}, ${node.data})`;
+        default:
+            return `unknown(${node.data})`;
+    }
+}
+
+module.exports = {
+    MULTICALL3,
+    PREDICATE_ABI,
+    arbitraryStaticCall,
+    eq,
+    lt,
+    gt,
+    not,
+    and,
+    or,
+    blockTimestamp,
+    timestampBelow,
+    timestampAtOrAfter,
+    timeWindow,
+    chainlinkAnswer,
+    chainlinkPriceBelow,
+    chainlinkPriceAbove,
+    decodePredicate,
+    describePredicate
+};
@@ -0,0 +1,80 @@
+/**
+ * @fileoverview 1inch API Endpoint
+ * @description Base URL of the 1inch Developer Portal API and the client the
+ * engines quote, swap and post orders through. Override the URL with
+ * ONEINCH_API_URL to point scripts at a stand-in such as the local test harness;
+ * swap the client for PaperSwapApi to trade against a paper ledger.
+ * @author FEAWS Development Team
+ */
+
+const axios = require('axios');
+
+const DEFAULT_ONEINCH_API_URL = 'https://api.1inch.dev';
+
+/**
+ * @param {string} [apiPath] - e.g. '/swap/v6.0/137/quote'
+ * @returns {string}
+ */
+function oneInchUrl(apiPath = '') {
+    const base = (process.env.ONEINCH_API_URL || DEFAULT_ONEINCH_API_URL).replace(/\/+$/, '');
+    return `${base}${apiPath}`;
+}
+
+/**
+ * Swap API v6 and Orderbook v4 calls, returning the response bodies as-is
+ */
+class OneInchApi {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.chainId]
+     * @param {string} [options.apiKey]
+     */
+    constructor(options = {}) {
+        this.chainId = options.chainId || 137;
+        this.apiKey = options.apiKey || process.env.ONEINCH_API_KEY;
+    }
+
+    get headers() {
+        return { Authorization: `Bearer ${this.apiKey}`, accept: 'application/json' };
+    }
+
+    async tokens() {
+        return (await axios.get(oneInchUrl(`/swap/v6.0/${this.chainId}/tokens`), { headers: this.headers })).data;
+    }
+
+    /**
+     * @param {Object} params - src, dst, amount and optional quote parameters
+     * @returns {Promise<Object>} Includes dstAmount
+     */
+    async quote(params) {
+        return (await axios.get(oneInchUrl(`/swap/v6.0/${this.chainId}/quote`), { params, headers: this.headers })).data;
+    }
+
+    /**
+     * @param {Object} params - src, dst, amount, from, slippage (percent) and optional routing parameters
+     * @returns {Promise<Object>} Includes dstAmount and the router transaction as `tx`
+     */
+    async swap(params) {
+        return (await axios.get(oneInchUrl(`/swap/v6.0/${this.chainId}/swap`), { params, headers: this.headers })).data;
+    }
+
+    /**
+     * @param {Object} payload - Signed order, see LimitOrderV4.toOrderbookPayload
+     */
+    async submitOrder(payload) {
+        return (await axios.post(oneInchUrl(`/orderbook/v4.0/${this.chainId}`), payload, { headers: this.headers })).data;
+    }
+
+    /**
+     * Orders on the orderbook, each { orderHash, signature, data, remainingMakerAmount, ... }
+     * @param {Object} [params] - page, limit, statuses, makerAsset, takerAsset
+     * @param {string} [maker] - Only this maker's orders
+     * @returns {Promise<Object[]>}
+     */
+    async orders(params = {}, maker) {
+        const apiPath = maker ? `/address/${maker}` : '/all';
+        return (await axios.get(oneInchUrl(`/orderbook/v4.0/${this.chainId}${apiPath}`), { params, headers: this.headers })).data;
+    }
+}
+
+module.exports = { DEFAULT_ONEINCH_API_URL, oneInchUrl, OneInchApi };
@@ -0,0 +1,768 @@
+/**
+ * @fileoverview OpenAPI Document
+ * @description OpenAPI 3.1 description of the server.js API, the same in
+ * live, paper and demo modes. The server validates requests against it with
+ * request-validator.js and serves it at /api/openapi.json;
+ * scripts/generate-api-client.js builds assets/js/api-client.js from it.
+ * @author FEAWS Development Team
+ */
+
+const { ROLES } = require('./auth');
+const { SERVER_MODES } = require('./simulation');
+
+const JOB_STATUSES = ['queued', 'running', 'paused', 'completed', 'failed', 'cancelled'];
+const PROPOSAL_STATUSES = ['pending', 'released', 'failed', 'rejected', 'cancelled', 'expired'];
+const HISTORY_STRATEGIES = ['twap', 'lop-twap', 'limit-order', 'swap', 'fusion', 'approve', 'deployment'];
+const HISTORY_SOURCES = ['data', 'engine', 'execution-proofs', 'jobs'];
+const HASH_PATTERN = '^0x[0-9a-fA-F]{64}$';
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+
+// 'lop-twap' -> 'LopTwapJobRequest'
+const jobRequestName = type => `${type.replace(/(^|-)(\w)/g, (match, dash, c) => c.toUpperCase())}JobRequest`;
+
+const PARAMS = {
+    TwapParams: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['amount'],
+        properties: {
+            amount: ref('Amount'),
+            fromToken: { ...ref('Token'), default: 'USDC' },
+            toToken: { ...ref('Token'), default: 'WMATIC' },
+            slices: { type: 'integer', minimum: 1, maximum: 100, default: 5 },
+            intervalMinutes: { type: 'number', exclusiveMinimum: 0, maximum: 1440, default: 15 },
+            maxSlippage: { type: 'number', exclusiveMinimum: 0, maximum: 50, default: 0.5, description: 'Percent' },
+            strategy: { type: 'string', enum: ['twap', 'vwap'], default: 'twap' },
+            limitPrice: { type: 'number', exclusiveMinimum: 0, description: 'Defer slices priced worse than this (toToken per fromToken) and retry them until the price recovers' }
+        }
+    },
+    LopTwapParams: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['amount'],
+        properties: {
+            amount: { ...ref('Amount'), description: 'USDC' },
+            slices: { type: 'integer', minimum: 1, maximum: 100, default: 5 },
+            intervalSeconds: { type: 'integer', minimum: 1, maximum: 86400, default: 60 }
+        }
+    },
+    LimitOrderParams: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['makerToken', 'takerToken', 'makingAmount', 'takingAmount'],
+        properties: {
+            makerToken: ref('Token'),
+            takerToken: ref('Token'),
+            makingAmount: ref('Amount'),
+            takingAmount: ref('Amount'),
+            expiresInSeconds: { type: 'integer', minimum: 60, maximum: 2592000, default: 86400 },
+            strategy: { type: 'string', enum: ['standard', 'stop_loss', 'take_profit'], default: 'standard' },
+            strategyConfig: { type: 'object' }
+        }
+    },
+    SwapParams: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['amount'],
+        properties: {
+            amount: ref('Amount'),
+            fromToken: { ...ref('Token'), default: 'USDC' },
+            toToken: { ...ref('Token'), default: 'WMATIC' },
+            slippage: { type: 'number', exclusiveMinimum: 0, maximum: 50, default: 1, description: 'Percent' }
+        }
+    },
+    FusionParams: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['amount'],
+        properties: {
+            amount: ref('Amount'),
+            fromToken: { ...ref('Token'), default: 'USDC' },
+            toToken: { ...ref('Token'), default: 'WMATIC' },
+            slippage: { type: 'number', exclusiveMinimum: 0, maximum: 50, default: 1, description: 'Percent' },
+            preset: { type: 'string', enum: ['fast', 'medium', 'slow'], default: 'fast' }
+        }
+    },
+    ApproveParams: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['amount'],
+        properties: {
+            token: { ...ref('Token'), default: 'USDC' },
+            amount: {
+                type: ['string', 'number'],
+                pattern: '^(\\d+(\\.\\d+)?|max)$',
+                exclusiveMinimum: 0,
+                description: 'Token units, or "max" for an unlimited allowance',
+                'x-pattern-message': 'must be a positive decimal amount or "max"'
+            }
+        }
+    },
+    BalanceParams: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {}
+    }
+};
+
+// Job type -> parameter schema
+const JOB_PARAMS = {
+    twap: 'TwapParams',
+    'lop-twap': 'LopTwapParams',
+    'limit-order': 'LimitOrderParams',
+    swap: 'SwapParams',
+    fusion: 'FusionParams',
+    approve: 'ApproveParams',
+    balance: 'BalanceParams'
+};
+
+// /api/execute/<name> routes and the job types they start
+const EXECUTE_OPERATIONS = {
+    twap: { operationId: 'executeTwap', type: 'twap', summary: 'TWAP 0.1 USDC into WMATIC over 2 slices by default' },
+    'lop-twap': { operationId: 'executeLopTwap', type: 'lop-twap', summary: 'Sign LOP v4 TWAP orders for 0.1 USDC by default' },
+    lop: { operationId: 'executeLop', type: 'limit-order', summary: 'Place a small WMATIC -> USDT limit order by default' },
+    swap: { operationId: 'executeSwap', type: 'swap', summary: 'Swap 0.1 USDC to WMATIC through the aggregator by default' },
+    fusion: { operationId: 'executeFusion', type: 'fusion', summary: 'Create a 0.1 USDC -> WMATIC Fusion order by default' },
+    approve: { operationId: 'executeApprove', type: 'approve', summary: 'Approve 1 USDC for the 1inch router by default' },
+    balance: { operationId: 'executeBalance', type: 'balance', summary: 'Fetch wallet balances as a job' }
+};
+
+const SCHEMAS = {
+    Amount: {
+        type: ['string', 'number'],
+        pattern: '^\\d+(\\.\\d+)?$',
+        exclusiveMinimum: 0,
+        description: 'Decimal amount in token units, e.g. "12.5"',
+        'x-pattern-message': 'must be a positive decimal amount'
+    },
+    Token: {
+        type: 'string',
+        minLength: 1,
+        description: 'Symbol (USDC, USDC.e, USDT, DAI, WMATIC/WPOL, WETH) or token address'
+    },
+    ...PARAMS,
+    JobRequest: {
+        oneOf: Object.keys(JOB_PARAMS).map(type => ref(jobRequestName(type))),
+        discriminator: {
+            propertyName: 'type',
+            mapping: Object.fromEntries(Object.keys(JOB_PARAMS).map(type => [type, ref(jobRequestName(type)).$ref]))
+        }
+    },
+    ...Object.fromEntries(Object.entries(JOB_PARAMS).map(([type, params]) => [
+        jobRequestName(type),
+        {
+            type: 'object',
+            additionalProperties: false,
+            required: params === 'BalanceParams' ? ['type'] : ['type', 'params'],
+            properties: { type: { const: type }, params: ref(params) }
+        }
+    ])),
+    Job: {
+        type: 'object',
+        required: ['id', 'type', 'status', 'params', 'progress', 'createdAt'],
+        properties: {
+            id: { type: 'string' },
+            type: { type: 'string', enum: Object.keys(JOB_PARAMS) },
+            status: { type: 'string', enum: JOB_STATUSES },
+            params: { type: 'object', description: 'Validated parameters; amounts in base units' },
+            progress: {
+                type: 'object',
+                properties: {
+                    completed: { type: 'integer' },
+                    total: { type: ['integer', 'null'] },
+                    percent: { type: 'integer' },
+                    message: { type: 'string' }
+                }
+            },
+            result: { type: ['object', 'null'] },
+            error: { type: ['object', 'null'], properties: { message: { type: 'string' }, code: { type: ['string', 'null'] } } },
+            refs: { type: 'object', description: 'Engine ids (twapId, orderHash) for the running job' },
+            requestedBy: { type: ['string', 'null'] },
+            proposalId: { type: ['string', 'null'] },
+            createdAt: { type: 'string', format: 'date-time' },
+            startedAt: { type: ['string', 'null'], format: 'date-time' },
+            finishedAt: { type: ['string', 'null'], format: 'date-time' }
+        }
+    },
+    JobAmendment: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+            remainingAmount: { ...ref('Amount'), description: 'Unfilled fromToken volume, at most what is left; spread over the pending slices' },
+            intervalMinutes: { type: 'number', exclusiveMinimum: 0, maximum: 1440 },
+            limitPrice: { type: ['number', 'null'], exclusiveMinimum: 0, description: 'toToken per fromToken; null removes the limit' }
+        }
+    },
+    Notional: {
+        type: 'object',
+        properties: {
+            token: { type: 'string' },
+            decimals: { type: 'integer' },
+            amount: { type: 'string', description: 'Base units' },
+            formatted: { type: 'string' },
+            allowance: { type: 'boolean' }
+        }
+    },
+    Proposal: {
+        type: 'object',
+        required: ['id', 'type', 'status', 'requiredApprovals', 'approvals'],
+        properties: {
+            id: { type: 'string' },
+            type: { type: 'string' },
+            params: { type: 'object' },
+            notional: ref('Notional'),
+            reason: { type: 'string' },
+            requestedBy: { type: 'string' },
+            requiredApprovals: { type: 'integer' },
+            approvals: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    properties: {
+                        approver: { type: 'string' },
+                        keyId: { type: 'string' },
+                        comment: { type: ['string', 'null'] },
+                        at: { type: 'string', format: 'date-time' }
+                    }
+                }
+            },
+            status: { type: 'string', enum: PROPOSAL_STATUSES },
+            createdAt: { type: 'string', format: 'date-time' },
+            expiresAt: { type: 'string', format: 'date-time' },
+            jobId: { type: ['string', 'null'] }
+        }
+    },
+    JobAccepted: {
+        type: 'object',
+        properties: {
+            success: { const: true },
+            message: { type: 'string' },
+            jobId: { type: 'string' },
+            job: ref('Job')
+        }
+    },
+    ProposalAccepted: {
+        type: 'object',
+        properties: {
+            success: { const: true },
+            requiresApproval: { const: true },
+            message: { type: 'string' },
+            proposal: ref('Proposal')
+        }
+    },
+    Principal: {
+        type: 'object',
+        properties: {
+            keyId: { type: 'string' },
+            name: { type: 'string' },
+            roles: { type: 'array', items: { type: 'string', enum: ROLES } },
+            via: { type: 'string', enum: ['api-key', 'session'] }
+        }
+    },
+    ApiKey: {
+        type: 'object',
+        properties: {
+            id: { type: 'string' },
+            name: { type: 'string' },
+            roles: { type: 'array', items: { type: 'string', enum: ROLES } },
+            createdAt: { type: 'string', format: 'date-time' },
+            revokedAt: { type: ['string', 'null'], format: 'date-time' }
+        }
+    },
+    Balance: {
+        type: 'object',
+        properties: {
+            raw: { type: 'string' },
+            formatted: { type: 'string' },
+            address: { type: 'string' },
+            error: { type: 'string' }
+        }
+    },
+    Prices: {
+        type: 'object',
+        properties: {
+            success: { const: true },
+            prices: { type: 'object', additionalProperties: { type: 'number' }, description: 'USD, keyed usdc, usdt, dai, wmatic, weth' },
+            sources: { type: 'object', additionalProperties: { type: 'string', enum: ['1inch', 'chainlink', 'demo'] } },
+            unavailable: { type: 'array', items: { type: 'string' } },
+            updatedAt: { type: 'string', format: 'date-time' }
+        }
+    },
+    ExecutionStats: {
+        type: 'object',
+        properties: {
+            twap: {
+                type: 'object',
+                properties: { slices: { type: 'integer' }, volume: { type: 'number' }, txHashes: { type: 'array', items: { type: 'string' } } }
+            },
+            limitOrders: {
+                type: 'object',
+                properties: { created: { type: 'integer' }, filled: { type: 'integer' }, orderHashes: { type: 'array', items: { type: 'string' } } }
+            },
+            swaps: {
+                type: 'object',
+                properties: {
+                    executed: { type: 'integer' },
+                    volume: { type: 'number' },
+                    gasUsed: { type: 'string' },
+                    gasCostUSD: { type: 'number' },
+                    txHashes: { type: 'array', items: { type: 'string' } }
+                }
+            },
+            fusion: {
+                type: 'object',
+                properties: { created: { type: 'integer' }, orderHashes: { type: 'array', items: { type: 'string' } } }
+            },
+            totalProofs: { type: 'integer' }
+        }
+    },
+    HistoryRecord: {
+        type: 'object',
+        properties: {
+            id: { type: 'string', description: 'Proof path with colons for slashes, such as execution-proofs:twap-order-0-1754164299285.json, or jobs:<job id>' },
+            source: { type: 'string', enum: HISTORY_SOURCES },
+            file: { type: ['string', 'null'] },
+            strategy: { type: 'string' },
+            status: { type: 'string' },
+            timestamp: { type: 'string', format: 'date-time' },
+            fromToken: { type: ['string', 'null'] },
+            toToken: { type: ['string', 'null'] },
+            txHashes: { type: 'array', items: { type: 'string' } },
+            orderHashes: { type: 'array', items: { type: 'string' } },
+            jobId: { type: ['string', 'null'] },
+            error: { type: ['string', 'null'], description: 'Failure message for jobs' },
+            proof: { description: 'Full proof file; only on GET /api/history/{id}' }
+        }
+    },
+    ValidationIssue: {
+        type: 'object',
+        properties: {
+            field: { type: 'string', description: 'e.g. params.amount, query.limit' },
+            message: { type: 'string' }
+        }
+    },
+    ErrorResponse: {
+        type: 'object',
+        required: ['success', 'error'],
+        properties: {
+            success: { const: false },
+            error: { type: 'string' },
+            field: { type: 'string' },
+            errors: { type: 'array', items: ref('ValidationIssue') }
+        }
+    }
+};
+
+const jsonBody = (schema, required = true) => ({ required, content: { 'application/json': { schema } } });
+const jsonResponse = (description, schema) => ({ description, content: { 'application/json': { schema } } });
+const errorResponse = description => ({ $ref: `#/components/responses/${description}` });
+
+const idParam = description => ({ name: 'id', in: 'path', required: true, description, schema: { type: 'string', minLength: 1 } });
+
+/**
+ * @param {string} role - Minimum role; documented and listed under x-feaws-role
+ */
+function operation(role, spec) {
+    const responses = { ...spec.responses };
+    if (role) {
+        responses['401'] = errorResponse('Unauthorized');
+        responses['403'] = errorResponse('Forbidden');
+    }
+    if (spec.requestBody || spec.parameters) {
+        responses['400'] = errorResponse('BadRequest');
+    }
+    return {
+        ...spec,
+        ...(role ? { security: [{ bearerAuth: [] }, { apiKeyHeader: [] }], 'x-feaws-role': role } : { security: [] }),
+        responses
+    };
+}
+
+const JOB_OR_PROPOSAL = {
+    202: {
+        description: 'Job queued, or held as a proposal when it needs approval (requiresApproval: true)',
+        content: { 'application/json': { schema: { oneOf: [ref('JobAccepted'), ref('ProposalAccepted')] } } }
+    }
+};
+
+const JOB_CONTROL_RESPONSES = {
+    200: jsonResponse('Updated job', { type: 'object', properties: { success: { const: true }, job: ref('Job') } }),
+    404: errorResponse('NotFound'),
+    409: errorResponse('Conflict')
+};
+
+const PATHS = {
+    '/health': {
+        get: operation(null, {
+            operationId: 'getHealth',
+            summary: 'Server health and execution mode',
+            responses: {
+                200: jsonResponse('Healthy', {
+                    type: 'object',
+                    properties: {
+                        status: { const: 'healthy' },
+                        mode: { type: 'string', enum: SERVER_MODES, description: 'live sends transactions; paper and demo fill against a simulated wallet' },
+                        timestamp: { type: 'string', format: 'date-time' },
+                        wallet: { type: 'string' },
+                        network: { type: 'string' }
+                    }
+                })
+            }
+        })
+    },
+    '/api/openapi.json': {
+        get: operation(null, {
+            operationId: 'getOpenApi',
+            summary: 'This document',
+            responses: { 200: jsonResponse('OpenAPI document', { type: 'object' }) }
+        })
+    },
+    '/api/auth/session': {
+        post: operation(null, {
+            operationId: 'createSession',
+            summary: 'Exchange an API key for a session token',
+            requestBody: jsonBody({
+                type: 'object',
+                additionalProperties: false,
+                required: ['apiKey'],
+                properties: { apiKey: { type: 'string', minLength: 1 } }
+            }),
+            responses: {
+                200: jsonResponse('Session', {
+                    type: 'object',
+                    properties: {
+                        success: { const: true },
+                        token: { type: 'string' },
+                        expiresAt: { type: 'string', format: 'date-time' },
+                        principal: ref('Principal')
+                    }
+                }),
+                401: errorResponse('Unauthorized')
+            }
+        })
+    },
+    '/api/auth/me': {
+        get: operation('viewer', {
+            operationId: 'getMe',
+            summary: 'Current principal and roles',
+            responses: { 200: jsonResponse('Principal', { type: 'object', properties: { success: { const: true }, principal: ref('Principal') } }) }
+        })
+    },
+    '/api/auth/keys': {
+        get: operation('admin', {
+            operationId: 'listApiKeys',
+            summary: 'List API keys',
+            responses: { 200: jsonResponse('Keys', { type: 'object', properties: { success: { const: true }, keys: { type: 'array', items: ref('ApiKey') } } }) }
+        }),
+        post: operation('admin', {
+            operationId: 'createApiKey',
+            summary: 'Create an API key; the plaintext key is only returned here',
+            requestBody: jsonBody({
+                type: 'object',
+                additionalProperties: false,
+                required: ['name', 'roles'],
+                properties: {
+                    name: { type: 'string', minLength: 1, maxLength: 100 },
+                    roles: { type: 'array', minItems: 1, items: { type: 'string', enum: ROLES } }
+                }
+            }),
+            responses: {
+                201: jsonResponse('Created', { type: 'object', properties: { success: { const: true }, apiKey: { type: 'string' }, key: ref('ApiKey') } })
+            }
+        })
+    },
+    '/api/auth/keys/{id}': {
+        delete: operation('admin', {
+            operationId: 'revokeApiKey',
+            summary: 'Revoke an API key and its sessions',
+            parameters: [idParam('API key id')],
+            responses: {
+                200: jsonResponse('Revoked', { type: 'object', properties: { success: { const: true }, key: ref('ApiKey') } }),
+                404: errorResponse('NotFound')
+            }
+        })
+    },
+    '/api/balances': {
+        get: operation('viewer', {
+            operationId: 'getBalances',
+            summary: 'Wallet balances',
+            responses: {
+                200: jsonResponse('Balances', {
+                    type: 'object',
+                    properties: {
+                        success: { const: true },
+                        wallet: { type: 'string' },
+                        balances: { type: 'object', additionalProperties: ref('Balance') },
+                        timestamp: { type: 'string', format: 'date-time' }
+                    }
+                })
+            }
+        })
+    },
+    '/api/prices': {
+        get: operation('viewer', {
+            operationId: 'getPrices',
+            summary: 'USD token prices (1inch spot, Chainlink fallback)',
+            responses: { 200: jsonResponse('Prices', ref('Prices')) }
+        })
+    },
+    '/api/real-stats': {
+        get: operation('viewer', {
+            operationId: 'getRealStats',
+            summary: 'Execution totals from stored proofs',
+            responses: {
+                200: jsonResponse('Statistics', {
+                    type: 'object',
+                    properties: { success: { const: true }, stats: ref('ExecutionStats'), pricesUpdatedAt: { type: 'string', format: 'date-time' } }
+                })
+            }
+        })
+    },
+    '/api/history': {
+        get: operation('viewer', {
+            operationId: 'getHistory',
+            summary: 'Execution history, newest first',
+            description: 'Indexed from data/, data/twap-orders/, execution-proofs/ and finished jobs. Filters combine; page with `cursor`.',
+            parameters: [
+                { name: 'strategy', in: 'query', schema: { type: 'string', enum: HISTORY_STRATEGIES } },
+                { name: 'status', in: 'query', schema: { type: 'string', minLength: 1 }, description: 'e.g. completed, failed, filled, created' },
+                { name: 'pair', in: 'query', schema: { type: 'string', pattern: '^[A-Za-z0-9.]+-[A-Za-z0-9.]+$', 'x-pattern-message': 'must look like USDC-WMATIC' }, description: 'Token pair in either direction' },
+                { name: 'source', in: 'query', schema: { type: 'string', enum: HISTORY_SOURCES } },
+                { name: 'jobId', in: 'query', schema: { type: 'string', minLength: 1 } },
+                { name: 'since', in: 'query', schema: { type: 'string', minLength: 1 }, description: 'ISO date or ms timestamp, inclusive' },
+                { name: 'until', in: 'query', schema: { type: 'string', minLength: 1 }, description: 'ISO date or ms timestamp, exclusive' },
+                { name: 'txHash', in: 'query', schema: { type: 'string', pattern: HASH_PATTERN, 'x-pattern-message': 'must be a 32-byte hex hash' } },
+                { name: 'orderHash', in: 'query', schema: { type: 'string', pattern: HASH_PATTERN, 'x-pattern-message': 'must be a 32-byte hex hash' } },
+                { name: 'limit', in: 'query', schema: { type: 'integer', minimum: 1, maximum: 500, default: 50 } },
+                { name: 'cursor', in: 'query', schema: { type: 'string', minLength: 1 }, description: 'nextCursor from the previous page' }
+            ],
+            responses: {
+                200: jsonResponse('History page', {
+                    type: 'object',
+                    properties: {
+                        success: { const: true },
+                        items: { type: 'array', items: ref('HistoryRecord') },
+                        total: { type: 'integer', description: 'Records matching the filters' },
+                        nextCursor: { type: ['string', 'null'] }
+                    }
+                })
+            }
+        })
+    },
+    '/api/history/{id}': {
+        get: operation('viewer', {
+            operationId: 'getHistoryRecord',
+            summary: 'One history record with its full proof',
+            parameters: [idParam('Record id, e.g. execution-proofs:twap-order-0-1754164299285.json or jobs:<job id>')],
+            responses: {
+                200: jsonResponse('History record', { type: 'object', properties: { success: { const: true }, record: ref('HistoryRecord') } }),
+                404: errorResponse('NotFound')
+            }
+        })
+    },
+    '/api/jobs': {
+        post: operation('trader', {
+            operationId: 'createJob',
+            summary: 'Start a job',
+            requestBody: jsonBody(ref('JobRequest')),
+            responses: JOB_OR_PROPOSAL
+        }),
+        get: operation('viewer', {
+            operationId: 'listJobs',
+            summary: 'List jobs, newest first',
+            parameters: [
+                { name: 'type', in: 'query', schema: { type: 'string', enum: Object.keys(JOB_PARAMS) } },
+                { name: 'status', in: 'query', schema: { type: 'string', enum: JOB_STATUSES } }
+            ],
+            responses: {
+                200: jsonResponse('Jobs', { type: 'object', properties: { success: { const: true }, jobs: { type: 'array', items: ref('Job') }, count: { type: 'integer' } } })
+            }
+        })
+    },
+    '/api/jobs/{id}': {
+        get: operation('viewer', {
+            operationId: 'getJob',
+            summary: 'Job status, progress and result',
+            parameters: [idParam('Job id')],
+            responses: {
+                200: jsonResponse('Job', { type: 'object', properties: { success: { const: true }, job: ref('Job') } }),
+                404: errorResponse('NotFound')
+            }
+        }),
+        delete: operation('trader', {
+            operationId: 'cancelJob',
+            summary: 'Cancel a job',
+            parameters: [idParam('Job id')],
+            responses: {
+                200: jsonResponse('Cancellation requested', { type: 'object', properties: { success: { const: true }, job: ref('Job') } }),
+                404: errorResponse('NotFound'),
+                409: errorResponse('Conflict')
+            }
+        }),
+        patch: operation('trader', {
+            operationId: 'amendJob',
+            summary: 'Change the remaining size, interval or limit price of a running or paused TWAP job',
+            parameters: [idParam('Job id')],
+            requestBody: jsonBody(ref('JobAmendment')),
+            responses: JOB_CONTROL_RESPONSES
+        })
+    },
+    '/api/jobs/{id}/pause': {
+        post: operation('trader', {
+            operationId: 'pauseJob',
+            summary: 'Stop releasing slices of a running TWAP job until it is resumed',
+            parameters: [idParam('Job id')],
+            requestBody: jsonBody({
+                type: 'object',
+                additionalProperties: false,
+                properties: {
+                    cancelOutstanding: { type: 'boolean', default: false, description: 'Also cancel slices already posted to the orderbook on-chain' }
+                }
+            }, false),
+            responses: JOB_CONTROL_RESPONSES
+        })
+    },
+    '/api/jobs/{id}/resume': {
+        post: operation('trader', {
+            operationId: 'resumeJob',
+            summary: 'Resume a paused TWAP job, shifting its remaining slices by the time spent paused',
+            parameters: [idParam('Job id')],
+            responses: JOB_CONTROL_RESPONSES
+        })
+    },
+    ...Object.fromEntries(Object.entries(EXECUTE_OPERATIONS).map(([name, { operationId, type, summary }]) => [
+        `/api/execute/${name}`,
+        {
+            post: operation('trader', {
+                operationId,
+                summary,
+                description: `Queues a ${type} job with these fixed parameters; POST /api/jobs takes your own.`,
+                // Presets only: a body with fields is refused rather than ignored
+                requestBody: jsonBody({ type: 'object', additionalProperties: false, properties: {} }, false),
+                responses: JOB_OR_PROPOSAL
+            })
+        }
+    ])),
+    '/api/proposals': {
+        get: operation('viewer', {
+            operationId: 'listProposals',
+            summary: 'Operations held for approval, and the policy',
+            parameters: [{ name: 'status', in: 'query', schema: { type: 'string', enum: PROPOSAL_STATUSES } }],
+            responses: {
+                200: jsonResponse('Proposals', {
+                    type: 'object',
+                    properties: {
+                        success: { const: true },
+                        proposals: { type: 'array', items: ref('Proposal') },
+                        count: { type: 'integer' },
+                        policy: { type: 'object' }
+                    }
+                })
+            }
+        })
+    },
+    '/api/proposals/{id}': {
+        get: operation('viewer', {
+            operationId: 'getProposal',
+            summary: 'One proposal',
+            parameters: [idParam('Proposal id')],
+            responses: {
+                200: jsonResponse('Proposal', { type: 'object', properties: { success: { const: true }, proposal: ref('Proposal') } }),
+                404: errorResponse('NotFound')
+            }
+        }),
+        delete: operation('trader', {
+            operationId: 'cancelProposal',
+            summary: 'Withdraw a pending proposal (its proposer or an admin)',
+            parameters: [idParam('Proposal id')],
+            responses: {
+                200: jsonResponse('Cancelled', { type: 'object', properties: { success: { const: true }, proposal: ref('Proposal') } }),
+                404: errorResponse('NotFound'),
+                409: errorResponse('Conflict')
+            }
+        })
+    },
+    ...Object.fromEntries(['approve', 'reject'].map(action => [
+        `/api/proposals/{id}/${action}`,
+        {
+            post: operation('approver', {
+                operationId: `${action}Proposal`,
+                summary: action === 'approve' ? 'Approve a proposal; it runs once enough approvers sign off' : 'Reject a proposal',
+                parameters: [idParam('Proposal id')],
+                requestBody: jsonBody({
+                    type: 'object',
+                    additionalProperties: false,
+                    properties: { comment: { type: 'string', maxLength: 1000 } }
+                }, false),
+                responses: {
+                    200: jsonResponse('Proposal', { type: 'object', properties: { success: { const: true }, proposal: ref('Proposal') } }),
+                    404: errorResponse('NotFound'),
+                    409: errorResponse('Conflict')
+                }
+            })
+        }
+    ])),
+    '/api/approvals/audit': {
+        get: operation('approver', {
+            operationId: 'getApprovalAudit',
+            summary: 'Approval audit journal, newest first',
+            parameters: [
+                { name: 'proposalId', in: 'query', schema: { type: 'string' } },
+                { name: 'limit', in: 'query', schema: { type: 'integer', minimum: 1, maximum: 1000, default: 200 } }
+            ],
+            responses: {
+                200: jsonResponse('Entries', { type: 'object', properties: { success: { const: true }, entries: { type: 'array', items: { type: 'object' } }, count: { type: 'integer' } } })
+            }
+        })
+    },
+    '/api/events': {
+        get: operation('viewer', {
+            operationId: 'streamEvents',
+            summary: 'Execution events as Server-Sent Events',
+            parameters: [
+                { name: 'jobId', in: 'query', schema: { type: 'string' } },
+                { name: 'since', in: 'query', description: 'Replay buffered events after this id (or send Last-Event-ID)', schema: { type: 'integer', minimum: 0 } },
+                { name: 'token', in: 'query', description: 'Session token; EventSource cannot set headers', schema: { type: 'string' } }
+            ],
+            responses: { 200: { description: 'Event stream', content: { 'text/event-stream': { schema: { type: 'string' } } } } }
+        })
+    },
+    '/api/scripts': {
+        get: operation('admin', {
+            operationId: 'listScripts',
+            summary: 'Scripts in scripts/',
+            responses: { 200: jsonResponse('Scripts', { type: 'object', properties: { success: { const: true }, scripts: { type: 'array', items: { type: 'object' } }, count: { type: 'integer' } } }) }
+        })
+    }
+};
+
+const spec = {
+    openapi: '3.1.0',
+    info: {
+        title: 'FEAWS Treasury API',
+        version: require('../../package.json').version,
+        description: 'Jobs, approvals, balances and execution data for the FEAWS treasury backend (server.js). ' +
+            'Authenticate with an API key or session token as a Bearer token (or X-API-Key). x-feaws-role is the minimum role.'
+    },
+    servers: [{ url: 'http://localhost:3001' }],
+    paths: PATHS,
+    components: {
+        securitySchemes: {
+            bearerAuth: { type: 'http', scheme: 'bearer', description: 'API key or session token' },
+            apiKeyHeader: { type: 'apiKey', in: 'header', name: 'X-API-Key' }
+        },
+        schemas: SCHEMAS,
+        responses: {
+            BadRequest: jsonResponse('Invalid parameters; `field` names the first offending one', ref('ErrorResponse')),
+            Unauthorized: jsonResponse('Missing or invalid credentials', ref('ErrorResponse')),
+            Forbidden: jsonResponse('Authenticated but lacking the role', ref('ErrorResponse')),
+            NotFound: jsonResponse('Not found', ref('ErrorResponse')),
+            Conflict: jsonResponse('Not allowed in the current state', ref('ErrorResponse'))
+        }
+    }
+};
+
+module.exports = spec;
+module.exports.EXECUTE_OPERATIONS = EXECUTE_OPERATIONS;
+module.exports.JOB_PARAMS = JOB_PARAMS;
@@ -0,0 +1,336 @@
+/**
+ * @fileoverview Taker Order Sources
+ * @description Where the taker bot finds signed LOP v4 orders: the orders
+ * file build-orders.js writes, a drop directory of JSON/NDJSON files, the
+ * 1inch orderbook and fill transactions on chain. OrderDiscovery merges them
+ * by order hash and reads what is left of each order from the LOP.
+ * @author FEAWS Development Team
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const LimitOrderV4 = require('./lop-order');
+
+const { LOP_V4_ADDRESS, LOP_V4_ABI, loadOrdersFile, decodeFillOrder, parseMakerTraits } = LimitOrderV4;
+
+const LOP = new ethers.Interface(LOP_V4_ABI);
+
+/**
+ * The orders file written by build-orders.js (data/orders.json). Its entries
+ * carry sliceIndex and availableAt.
+ */
+class OrdersFileSource {
+    /**
+     * @param {Object} options
+     * @param {string} options.path
+     */
+    constructor(options) {
+        this.name = 'file';
+        this.path = options.path;
+        // Nothing is added to the file while the bot runs
+        this.finite = true;
+        this.ordersData = null;
+    }
+
+    async fetch() {
+        if (!fs.existsSync(this.path)) {
+            return [];
+        }
+        this.ordersData = loadOrdersFile(this.path);
+        return this.ordersData.orders;
+    }
+}
+
+/**
+ * Directory other makers drop orders into. *.json files hold one entry, an
+ * array of entries or an orders file; *.ndjson files hold one entry per line.
+ * Entries are in orders.json form ({ order, signature }) or orderbook form
+ * ({ orderHash, signature, data }).
+ */
+class DropDirectorySource {
+    /**
+     * @param {Object} options
+     * @param {string} options.dir
+     */
+    constructor(options) {
+        this.name = 'drop';
+        this.dir = options.dir;
+        this.finite = false;
+    }
+
+    async fetch() {
+        if (!fs.existsSync(this.dir)) {
+            return [];
+        }
+
+        const entries = [];
+        for (const file of fs.readdirSync(this.dir).sort()) {
+            const filePath = path.join(this.dir, file);
+
+            if (file.endsWith('.ndjson')) {
+                fs.readFileSync(filePath, 'utf8').split('\n').forEach((line, i) => {
+                    if (line.trim()) {
+                        entries.push(parseJson(line, `${file}:${i + 1}`));
+                    }
+                });
+            } else if (file.endsWith('.json')) {
+                const parsed = parseJson(fs.readFileSync(filePath, 'utf8'), file);
+                const list = Array.isArray(parsed.value) ? parsed.value : (parsed.value && parsed.value.orders) || [parsed];
+                entries.push(...list.map(entry => (entry === parsed ? parsed : { value: entry, origin: file })));
+            }
+        }
+
+        return entries.map(({ value, origin, error }) => (error ? { origin, error } : { ...value, origin }));
+    }
+}
+
+// Unparseable input travels as an entry carrying its error, so one bad file
+// does not hide the rest
+function parseJson(text, origin) {
+    try {
+        return { value: JSON.parse(text), origin };
+    } catch (error) {
+        return { origin, error: `${origin}: ${error.message}` };
+    }
+}
+
+/**
+ * Open orders on the 1inch orderbook (/orderbook/v4.0/{chainId}), for the
+ * given makers or for everyone
+ */
+class OrderbookSource {
+    /**
+     * @param {Object} options
+     * @param {Object} options.api - OneInchApi
+     * @param {string[]} [options.makers] - Empty for every maker's orders
+     * @param {string} [options.makerAsset] - Only orders selling this token
+     * @param {string} [options.takerAsset] - Only orders buying this token
+     * @param {number} [options.limit] - Page size; default 100
+     * @param {number} [options.maxPages] - Per maker and poll; default 5
+     * @param {number} [options.maxOrders] - Orders taken per poll without a maker filter; default 100
+     */
+    constructor(options) {
+        this.name = 'orderbook';
+        this.api = options.api;
+        this.makers = options.makers || [];
+        this.makerAsset = options.makerAsset;
+        this.takerAsset = options.takerAsset;
+        this.limit = options.limit || 100;
+        this.maxPages = options.maxPages || 5;
+        this.maxOrders = options.maxOrders || 100;
+        this.finite = false;
+    }
+
+    async fetch() {
+        // statuses=1: orders the orderbook still considers valid
+        const filter = {
+            statuses: '1',
+            ...(this.makerAsset && { makerAsset: this.makerAsset }),
+            ...(this.takerAsset && { takerAsset: this.takerAsset })
+        };
+        const entries = [];
+        for (const maker of this.makers.length ? this.makers : [undefined]) {
+            // Every order on the book is a candidate the bot prices on-chain, so an
+            // unfiltered poll stops at maxOrders
+            const cap = maker ? this.maxPages * this.limit : this.maxOrders;
+            let taken = 0;
+            for (let page = 1; page <= this.maxPages && taken < cap; page++) {
+                const orders = await this.api.orders({ page, limit: this.limit, ...filter }, maker);
+                const kept = orders.slice(0, cap - taken);
+                entries.push(...kept);
+                taken += kept.length;
+                if (orders.length < this.limit) break;
+            }
+        }
+        return entries;
+    }
+}
+
+/**
+ * Orders found in LOP fill transactions: every OrderFilled log that leaves
+ * something to fill points at a transaction whose calldata carries the
+ * signed order. Fills routed through another contract cannot be decoded and
+ * are passed over.
+ */
+class ChainLogSource {
+    /**
+     * @param {Object} options
+     * @param {ethers.Provider} options.provider
+     * @param {number} [options.fromBlock] - First block to scan; default lookbackBlocks before the head
+     * @param {number} [options.lookbackBlocks] - Default 5000
+     * @param {number} [options.maxBlockRange] - Blocks per getLogs call; default 2000
+     */
+    constructor(options) {
+        this.name = 'chain';
+        this.provider = options.provider;
+        this.nextBlock = options.fromBlock ?? null;
+        this.lookbackBlocks = options.lookbackBlocks ?? 5000;
+        this.maxBlockRange = options.maxBlockRange || 2000;
+        this.finite = false;
+    }
+
+    async fetch() {
+        const head = await this.provider.getBlockNumber();
+        const from = this.nextBlock ?? Math.max(0, head - this.lookbackBlocks);
+        const open = new Map();
+
+        for (let start = from; start <= head; start += this.maxBlockRange) {
+            const end = Math.min(head, start + this.maxBlockRange - 1);
+            const logs = await this.provider.getLogs({
+                address: LOP_V4_ADDRESS,
+                topics: [LOP.getEvent('OrderFilled').topicHash],
+                fromBlock: start,
+                toBlock: end
+            });
+            for (const log of logs) {
+                const { orderHash, remainingAmount } = LOP.parseLog(log).args;
+                // Later fills of the same order overwrite earlier ones
+                open.set(orderHash, remainingAmount > 0n ? log.transactionHash : null);
+            }
+        }
+        this.nextBlock = head + 1;
+
+        const entries = [];
+        for (const [orderHash, txHash] of open) {
+            if (!txHash) continue;
+
+            const tx = await this.provider.getTransaction(txHash);
+            if (!tx || !tx.to || ethers.getAddress(tx.to) !== LOP_V4_ADDRESS) continue;
+            try {
+                const { order, signature } = decodeFillOrder(tx.data);
+                entries.push({ orderHash, order, signature, origin: txHash });
+            } catch (error) {
+                // Not a direct fill of this order
+            }
+        }
+        return entries;
+    }
+}
+
+/**
+ * Orders from every source, keyed by order hash. The first source to report
+ * an order wins; later copies are ignored.
+ */
+class OrderDiscovery {
+    /**
+     * @param {Object} options
+     * @param {Object[]} options.sources
+     * @param {ethers.Provider} options.provider
+     * @param {string[]} [options.makers] - Only keep these makers' orders
+     * @param {number} [options.chainId]
+     * @param {ethers.Contract} [options.lop] - Defaults to the LOP on `provider`
+     */
+    constructor(options) {
+        this.sources = options.sources;
+        this.makers = (options.makers || []).map(maker => ethers.getAddress(maker));
+        this.chainId = options.chainId || 137;
+        this.lop = options.lop || new ethers.Contract(LOP_V4_ADDRESS, LOP_V4_ABI, options.provider);
+        this.orders = new Map();
+    }
+
+    /**
+     * Whether every source is done once read (only the orders file)
+     */
+    get finite() {
+        return this.sources.every(source => source.finite);
+    }
+
+    /**
+     * Read every source once
+     * @returns {Promise<{ added: Object[], errors: string[] }>} New entries, and
+     * sources or entries that could not be read
+     */
+    async poll() {
+        const added = [];
+        const errors = [];
+
+        for (const source of this.sources) {
+            let raw;
+            try {
+                raw = await source.fetch();
+            } catch (error) {
+                errors.push(`${source.name}: ${error.message}`);
+                continue;
+            }
+
+            for (const item of raw) {
+                let entry;
+                try {
+                    entry = this.toEntry(item, source.name);
+                } catch (error) {
+                    errors.push(`${source.name}: ${error.message}`);
+                    continue;
+                }
+                if (this.orders.has(entry.orderHash)) continue;
+                if (this.makers.length && !this.makers.includes(entry.order.maker)) continue;
+
+                this.orders.set(entry.orderHash, entry);
+                added.push(entry);
+            }
+        }
+
+        return { added, errors };
+    }
+
+    /**
+     * Normalise an orders.json, drop-file, orderbook or on-chain entry, checking
+     * its hash and the maker's signature
+     */
+    toEntry(item, sourceName) {
+        if (item.error) {
+            throw new Error(item.error);
+        }
+
+        const fields = item.order || item.data;
+        if (!fields || !item.signature) {
+            throw new Error(`${item.origin || 'entry'} has no order or signature`);
+        }
+        const order = fields instanceof LimitOrderV4 ? fields : LimitOrderV4.fromJSON(fields);
+        const orderHash = order.getOrderHash(this.chainId);
+
+        if (item.orderHash && item.orderHash.toLowerCase() !== orderHash.toLowerCase()) {
+            throw new Error(`${item.orderHash} does not match its order data`);
+        }
+        if (ethers.recoverAddress(orderHash, item.signature) !== order.maker) {
+            throw new Error(`${orderHash} is not signed by its maker ${order.maker}`);
+        }
+
+        return {
+            ...item,
+            source: sourceName,
+            order,
+            orderHash,
+            availableAt: item.availableAt ?? 0
+        };
+    }
+
+    /**
+     * makerAsset still fillable according to the LOP: 0 once the order is
+     * filled or cancelled. Orders that allow partial and multiple fills are
+     * tracked by remainingInvalidatorForOrder, all others by a bit of the
+     * maker's bit invalidator.
+     * @returns {Promise<bigint>}
+     */
+    async remaining(entry) {
+        const { order, orderHash } = entry;
+        const traits = parseMakerTraits(order.makerTraits);
+
+        if (!traits.allowPartialFills || !traits.allowMultipleFills) {
+            const slot = await this.lop.bitInvalidatorForOrder(order.maker, traits.nonce >> 8n);
+            return (slot >> (traits.nonce & 0xffn)) & 1n ? 0n : order.makingAmount;
+        }
+
+        // 0 means never filled; otherwise the bitwise complement of what is left
+        const invalidator = await this.lop.remainingInvalidatorForOrder(order.maker, orderHash);
+        return invalidator === 0n ? order.makingAmount : ethers.MaxUint256 ^ invalidator;
+    }
+}
+
+module.exports = {
+    OrdersFileSource,
+    DropDirectorySource,
+    OrderbookSource,
+    ChainLogSource,
+    OrderDiscovery
+};
@@ -0,0 +1,116 @@
+/**
+ * @fileoverview Pair Volume Tracker
+ * @description Measures recent on-chain swap volume of a token across a set of
+ * DEX pools, used to size percentage-of-volume (POV) slices
+ * @author FEAWS Development Team
+ */
+
+const { ethers } = require('ethers');
+
+const V2_POOL_ABI = [
+    'function token0() view returns (address)',
+    'function token1() view returns (address)',
+    'event Swap(address indexed sender, uint256 amount0In, uint256 amount1In, uint256 amount0Out, uint256 amount1Out, address indexed to)'
+];
+
+const V3_POOL_ABI = [
+    'function token0() view returns (address)',
+    'function token1() view returns (address)',
+    'event Swap(address indexed sender, address indexed recipient, int256 amount0, int256 amount1, uint160 sqrtPriceX96, uint128 liquidity, int24 tick)'
+];
+
+function abs(value) {
+    return value < 0n ? -value : value;
+}
+
+class PairVolumeTracker {
+    /**
+     * @param {ethers.Provider} provider
+     * @param {Array<{address: string, type?: 'v2'|'v3'}>} pools - Pools trading the pair
+     * @param {Object} options
+     * @param {number} options.blockTimeSeconds - Average block time used to turn a lookback into blocks
+     */
+    constructor(provider, pools, options = {}) {
+        if (!pools || pools.length === 0) {
+            throw new Error('At least one pool is required to track pair volume');
+        }
+
+        this.provider = provider;
+        this.blockTimeSeconds = options.blockTimeSeconds || 2;
+        this.pools = pools.map(pool => ({
+            type: pool.type || 'v2',
+            contract: new ethers.Contract(pool.address, pool.type === 'v3' ? V3_POOL_ABI : V2_POOL_ABI, provider)
+        }));
+        this.tokenCache = new Map();
+    }
+
+    /**
+     * @returns {Promise<string[]>} The pool's [token0, token1], lower-cased
+     */
+    async getTokens(pool) {
+        const address = await pool.contract.getAddress();
+        if (!this.tokenCache.has(address)) {
+            const tokens = await Promise.all([pool.contract.token0(), pool.contract.token1()]);
+            this.tokenCache.set(address, tokens.map(token => token.toLowerCase()));
+        }
+        return this.tokenCache.get(address);
+    }
+
+    /**
+     * Whether `token` is the pool's token0
+     * @throws When the pool does not trade `token` at all
+     */
+    async isToken0(pool, token) {
+        const tokens = await this.getTokens(pool);
+        const side = tokens.indexOf(token.toLowerCase());
+        if (side === -1) {
+            throw new Error(`Pool ${await pool.contract.getAddress()} trades ${tokens.join('/')}, not ${token}`);
+        }
+        return side === 0;
+    }
+
+    /**
+     * @throws When a tracked pool does not trade `token`
+     */
+    async assertTrades(token) {
+        await Promise.all(this.pools.map(pool => this.isToken0(pool, token)));
+    }
+
+    /**
+     * Volume of `token` swapped through the tracked pools over the lookback window
+     * @param {string} token - Token address whose side of the swaps is summed
+     * @param {number} lookbackMs - Window length in milliseconds
+     * @returns {Promise<bigint>} Volume in token base units
+     * @throws When a tracked pool does not trade `token`
+     */
+    async getRecentVolume(token, lookbackMs) {
+        const toBlock = await this.provider.getBlockNumber();
+        const lookbackBlocks = Math.ceil(lookbackMs / 1000 / this.blockTimeSeconds);
+        const fromBlock = Math.max(0, toBlock - lookbackBlocks);
+
+        // Every pool must trade the token before any volume is counted
+        const sides = await Promise.all(this.pools.map(pool => this.isToken0(pool, token)));
+        let volume = 0n;
+
+        for (const [i, pool] of this.pools.entries()) {
+            const isToken0 = sides[i];
+            const events = await pool.contract.queryFilter(pool.contract.filters.Swap(), fromBlock, toBlock);
+
+            for (const event of events) {
+                const args = event.args;
+
+                if (pool.type === 'v3') {
+                    volume += abs(isToken0 ? args.amount0 : args.amount1);
+                } else {
+                    volume += isToken0
+                        ? args.amount0In + args.amount0Out
+                        : args.amount1In + args.amount1Out;
+                }
+            }
+        }
+
+        return volume;
+    }
+}
+
+module.exports = PairVolumeTracker;
@@ -0,0 +1,873 @@
+/**
+ * @fileoverview Paper Trading
+ * @description Runs strategies without spending real funds. PaperProvider is an
+ * ethers provider whose chain state is a PaperLedger, a virtual balance sheet
+ * persisted between runs: engines keep signing and sending transactions through
+ * an ethers Wallet, and approvals, swaps and gas settle against the ledger.
+ * PaperSwapApi stands in for OneInchApi, pricing swaps from mocked, recorded or
+ * live 1inch quotes; GasModel and SlippageModel decide what each fill costs.
+ * @author FEAWS Development Team
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const { tokens: KNOWN_TOKENS } = require('./balance-fetcher');
+const { LOP_V4_ADDRESS, LOP_V4_ABI } = require('./lop-order');
+const { OneInchApi } = require('./oneinch-api');
+
+const DEFAULT_LEDGER_PATH = path.join(__dirname, '../../data/simulation/paper/ledger.json');
+
+// Throwaway key the paper wallet signs with unless another is configured
+const PAPER_PRIVATE_KEY = ethers.id('feaws-simulation');
+
+const NATIVE_TOKEN = ethers.ZeroAddress;
+// 1inch's placeholder for the native token in swap parameters
+const ONEINCH_NATIVE_TOKEN = '0xeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeee';
+
+// USD prices the mock quote source uses by default, keyed like PriceService
+const DEMO_PRICES = { usdc: 1, usdt: 1, dai: 1, wmatic: 0.5, weth: 2500 };
+
+const DEFAULT_BALANCES = { USDC: '1000', WMATIC: '2000', MATIC: '10' };
+
+// Native MATIC is priced as WMATIC, USDC.e as USDC
+const PRICE_KEYS = { MATIC: 'wmatic', 'USDC.E': 'usdc' };
+
+const GAS_USAGE = { transfer: 21000, approve: 46000, tokenTransfer: 52000, swap: 180000, call: 80000 };
+
+// Ledger keeps the most recent transactions for receipts and inspection
+const HISTORY_LIMIT = 1000;
+
+const ERC20 = new ethers.Interface([
+    'function balanceOf(address owner) view returns (uint256)',
+    'function allowance(address owner, address spender) view returns (uint256)',
+    'function decimals() view returns (uint8)',
+    'function symbol() view returns (string)',
+    'function approve(address spender, uint256 amount) returns (bool)',
+    'function transfer(address to, uint256 amount) returns (bool)'
+]);
+
+// Calldata PaperSwapApi puts in its router transactions for PaperProvider to settle
+const PAPER_ROUTER = new ethers.Interface([
+    'function swap(address src, address dst, uint256 amount, uint256 minReturn)'
+]);
+
+const LOP = new ethers.Interface(LOP_V4_ABI);
+
+function findToken(value) {
+    const token = KNOWN_TOKENS.find(t =>
+        t.address.toLowerCase() === tokenKey(value) || t.symbol.toUpperCase() === String(value).toUpperCase()
+    );
+    if (!token) {
+        throw new Error(`Unknown token ${value}`);
+    }
+    return token;
+}
+
+/**
+ * Ledger key for a token address; 1inch's native placeholder maps to the zero address
+ */
+function tokenKey(address) {
+    const key = String(address).toLowerCase();
+    return key === ONEINCH_NATIVE_TOKEN ? NATIVE_TOKEN : key;
+}
+
+function tokenLabel(address) {
+    const token = KNOWN_TOKENS.find(t => t.address.toLowerCase() === tokenKey(address));
+    return token ? token.symbol : address;
+}
+
+function sameAddress(a, b) {
+    return Boolean(a && b) && a.toLowerCase() === b.toLowerCase();
+}
+
+/**
+ * PriceService key a token is priced under
+ */
+function priceKey(token) {
+    return PRICE_KEYS[token.symbol.toUpperCase()] || token.symbol.toLowerCase();
+}
+
+function blockHash(number) {
+    return ethers.id(`feaws-paper-block-${number}`);
+}
+
+class PaperLedger {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.path] - JSON file the balance sheet is saved to; in memory only without one
+     * @param {string} [options.address] - Account the ledger holds; defaults to the paper wallet
+     * @param {Object<string, string>} [options.balances] - Starting balances in token units, by symbol, for a new ledger
+     */
+    constructor(options = {}) {
+        this.path = options.path || null;
+        const saved = this.path && fs.existsSync(this.path) ? JSON.parse(fs.readFileSync(this.path, 'utf8')) : null;
+        const address = options.address || (saved && saved.address) || new ethers.Wallet(PAPER_PRIVATE_KEY).address;
+
+        if (saved && !sameAddress(saved.address, address)) {
+            throw new Error(`Paper ledger ${this.path} belongs to ${saved.address}, not ${address}`);
+        }
+
+        this.address = ethers.getAddress(address);
+        this.balances = new Map();
+        this.allowances = new Map();
+        this.nonce = 0;
+        this.blockNumber = 0;
+        this.history = [];
+
+        if (saved) {
+            for (const [token, amount] of Object.entries(saved.balances)) this.balances.set(token, BigInt(amount));
+            for (const [key, amount] of Object.entries(saved.allowances)) this.allowances.set(key, BigInt(amount));
+            this.nonce = saved.nonce;
+            this.blockNumber = saved.blockNumber;
+            this.history = saved.history;
+        } else {
+            for (const [symbol, amount] of Object.entries(options.balances || DEFAULT_BALANCES)) {
+                const token = findToken(symbol);
+                this.balances.set(tokenKey(token.address), ethers.parseUnits(String(amount), token.decimals));
+            }
+        }
+    }
+
+    balanceOf(tokenAddress) {
+        return this.balances.get(tokenKey(tokenAddress)) || 0n;
+    }
+
+    credit(tokenAddress, amount) {
+        this.balances.set(tokenKey(tokenAddress), this.balanceOf(tokenAddress) + BigInt(amount));
+    }
+
+    debit(tokenAddress, amount) {
+        const balance = this.balanceOf(tokenAddress);
+        if (balance < BigInt(amount)) {
+            const label = tokenLabel(tokenAddress);
+            const formatted = label === tokenAddress ? balance.toString() : ethers.formatUnits(balance, findToken(tokenAddress).decimals);
+            throw new Error(`Insufficient ${label} balance: ${formatted} available`);
+        }
+        this.balances.set(tokenKey(tokenAddress), balance - BigInt(amount));
+    }
+
+    allowance(tokenAddress, spender) {
+        return this.allowances.get(`${tokenKey(tokenAddress)}:${spender.toLowerCase()}`) || 0n;
+    }
+
+    approve(tokenAddress, spender, amount) {
+        this.allowances.set(`${tokenKey(tokenAddress)}:${spender.toLowerCase()}`, BigInt(amount));
+    }
+
+    /**
+     * Balances in the shape fetchTokenBalances() returns
+     */
+    getBalances() {
+        return KNOWN_TOKENS.map(token => {
+            const balance = this.balanceOf(token.address);
+            const formattedBalance = ethers.formatUnits(balance, token.decimals);
+            return {
+                symbol: token.symbol,
+                name: token.name,
+                address: token.address,
+                rawBalance: balance.toString(),
+                formattedBalance,
+                balance: parseFloat(formattedBalance)
+            };
+        });
+    }
+
+    /**
+     * Close a block around the changes made since the last one, log the
+     * transaction that made them and save the ledger
+     * @param {Object} entry - Transaction details; `hash` identifies it for receipts
+     * @returns {Object} The logged entry with its blockNumber
+     */
+    commit(entry) {
+        this.blockNumber += 1;
+        const record = { ...entry, blockNumber: this.blockNumber, at: new Date().toISOString() };
+        this.history.push(record);
+        if (this.history.length > HISTORY_LIMIT) {
+            this.history.splice(0, this.history.length - HISTORY_LIMIT);
+        }
+        this.save();
+        return record;
+    }
+
+    toJSON() {
+        return {
+            address: this.address,
+            nonce: this.nonce,
+            blockNumber: this.blockNumber,
+            balances: Object.fromEntries(this.balances),
+            allowances: Object.fromEntries(this.allowances),
+            history: this.history
+        };
+    }
+
+    save() {
+        if (!this.path) return;
+
+        const tmpPath = `${this.path}.tmp`;
+        fs.mkdirSync(path.dirname(this.path), { recursive: true });
+        fs.writeFileSync(tmpPath, JSON.stringify(this, (key, value) =>
+            typeof value === 'bigint' ? value.toString() : value
+        , 2));
+        fs.renameSync(tmpPath, this.path);
+    }
+}
+
+/**
+ * Quotes from USD prices: live ones from a PriceService, or fixed ones
+ */
+class MockQuoteSource {
+    /**
+     * @param {Object} [options]
+     * @param {PriceService} [options.priceService] - Live prices; `prices` are used without one
+     * @param {Object<string, number>} [options.prices] - USD prices keyed like PriceService, default DEMO_PRICES
+     */
+    constructor(options = {}) {
+        this.priceService = options.priceService || null;
+        this.prices = options.prices || DEMO_PRICES;
+    }
+
+    /**
+     * Same shape as PriceService.getPrices()
+     */
+    async getPrices() {
+        if (this.priceService) {
+            return this.priceService.getPrices();
+        }
+        return {
+            prices: { ...this.prices },
+            sources: Object.fromEntries(Object.keys(this.prices).map(key => [key, 'demo'])),
+            unavailable: [],
+            updatedAt: new Date().toISOString()
+        };
+    }
+
+    async usdPrice(token) {
+        const key = priceKey(token);
+        const { prices } = await this.getPrices();
+        if (!(prices[key] > 0)) {
+            throw new Error(`No ${token.symbol} price available for simulated fills`);
+        }
+        return prices[key];
+    }
+
+    /**
+     * Output amount for `amount` of `src` at current prices
+     * @returns {Promise<bigint>}
+     */
+    async quote(src, dst, amount) {
+        const fromToken = findToken(src);
+        const toToken = findToken(dst);
+        // Prices to 8 decimals keep the arithmetic in integers
+        const fromPrice = BigInt(Math.round(await this.usdPrice(fromToken) * 1e8));
+        const toPrice = BigInt(Math.round(await this.usdPrice(toToken) * 1e8));
+        return BigInt(amount) * fromPrice * 10n ** BigInt(toToken.decimals) / (toPrice * 10n ** BigInt(fromToken.decimals));
+    }
+}
+
+/**
+ * Replays recorded 1inch quotes: the NDJSON OneInchQuoteSource writes, or a
+ * JSON array of the same { timestamp, src, dst, amount, dstAmount } entries.
+ * Each quote scales the latest recording of the pair (or inverts the reverse
+ * pair's) linearly; with a `clock`, only recordings up to its time count.
+ */
+class RecordedQuoteSource {
+    /**
+     * @param {Object} options
+     * @param {string} [options.path] - Recording file
+     * @param {Array<Object>} [options.recordings] - Entries instead of a file
+     * @param {Function} [options.clock] - Returns the replay time in ms
+     */
+    constructor(options) {
+        const entries = options.recordings || RecordedQuoteSource.read(options.path);
+        this.clock = options.clock || null;
+        this.recordings = entries.map(entry => ({
+            timestamp: typeof entry.timestamp === 'string' ? Date.parse(entry.timestamp) : Number(entry.timestamp || 0),
+            src: tokenKey(entry.src),
+            dst: tokenKey(entry.dst),
+            amount: BigInt(entry.amount),
+            dstAmount: BigInt(entry.dstAmount ?? entry.toAmount)
+        }));
+    }
+
+    static read(filePath) {
+        const text = fs.readFileSync(filePath, 'utf8').trim();
+        if (text.startsWith('[')) {
+            return JSON.parse(text);
+        }
+        return text.split('\n').filter(line => line.trim()).map(line => JSON.parse(line));
+    }
+
+    async quote(src, dst, amount) {
+        const from = tokenKey(src);
+        const to = tokenKey(dst);
+        const now = this.clock ? this.clock() : Infinity;
+
+        let latest = null;
+        for (const recording of this.recordings) {
+            const matches = (recording.src === from && recording.dst === to) || (recording.src === to && recording.dst === from);
+            if (matches && recording.timestamp <= now && (!latest || recording.timestamp >= latest.timestamp)) {
+                latest = recording;
+            }
+        }
+
+        if (!latest) {
+            throw new Error(`No recorded 1inch quote for ${tokenLabel(src)} → ${tokenLabel(dst)}`);
+        }
+        return latest.src === from
+            ? BigInt(amount) * latest.dstAmount / latest.amount
+            : BigInt(amount) * latest.amount / latest.dstAmount;
+    }
+}
+
+/**
+ * Live 1inch quotes, optionally appended to an NDJSON file that
+ * RecordedQuoteSource can replay later
+ */
+class OneInchQuoteSource {
+    /**
+     * @param {Object} [options]
+     * @param {OneInchApi} [options.api]
+     * @param {string} [options.recordPath]
+     */
+    constructor(options = {}) {
+        this.api = options.api || new OneInchApi(options);
+        this.recordPath = options.recordPath || null;
+    }
+
+    async quote(src, dst, amount) {
+        const apiToken = address => tokenKey(address) === NATIVE_TOKEN ? ONEINCH_NATIVE_TOKEN : address;
+        const response = await this.api.quote({ src: apiToken(src), dst: apiToken(dst), amount: amount.toString() });
+        const dstAmount = BigInt(response.dstAmount ?? response.toAmount);
+
+        if (this.recordPath) {
+            fs.mkdirSync(path.dirname(this.recordPath), { recursive: true });
+            fs.appendFileSync(this.recordPath, JSON.stringify({
+                timestamp: Date.now(),
+                src: tokenKey(src),
+                dst: tokenKey(dst),
+                amount: amount.toString(),
+                dstAmount: dstAmount.toString()
+            }) + '\n');
+        }
+        return dstAmount;
+    }
+}
+
+/**
+ * EIP-1559 fees at a fixed base fee and tip, and fixed gas usage per kind of
+ * transaction (transfer, approve, tokenTransfer, swap, call)
+ */
+class GasModel {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.baseFeeGwei] - Default 30
+     * @param {number} [options.priorityFeeGwei] - Tip wallets are offered; default 30
+     * @param {Object<string, number>} [options.usage] - Gas used, by kind
+     */
+    constructor(options = {}) {
+        this.baseFee = ethers.parseUnits(String(options.baseFeeGwei ?? 30), 'gwei');
+        this.priorityFee = ethers.parseUnits(String(options.priorityFeeGwei ?? 30), 'gwei');
+        this.usage = { ...GAS_USAGE, ...options.usage };
+    }
+
+    gasPrice() {
+        return this.baseFee + this.priorityFee;
+    }
+
+    estimate(kind) {
+        return BigInt(this.usage[kind] ?? this.usage.call);
+    }
+
+    /**
+     * Price per gas a transaction pays: its legacy gasPrice, or the base fee
+     * plus its tip, capped at its max fee
+     */
+    effectivePrice(tx) {
+        if (tx.maxFeePerGas == null) {
+            return tx.gasPrice ?? this.gasPrice();
+        }
+        if (tx.maxFeePerGas < this.baseFee) {
+            throw ethers.makeError('max fee per gas less than block base fee', 'UNKNOWN_ERROR', { transaction: tx });
+        }
+        const price = this.baseFee + (tx.maxPriorityFeePerGas ?? 0n);
+        return price < tx.maxFeePerGas ? price : tx.maxFeePerGas;
+    }
+}
+
+/**
+ * How far fills land below their quote
+ */
+class SlippageModel {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.baseBps] - Every fill loses this much; default 10
+     * @param {number} [options.randomBps] - Plus up to this much more, uniformly; default 0
+     * @param {Function} [options.random] - [0, 1) draws, for reproducible runs
+     */
+    constructor(options = {}) {
+        this.baseBps = options.baseBps ?? 10;
+        this.randomBps = options.randomBps ?? 0;
+        this.random = options.random || Math.random;
+    }
+
+    /**
+     * @param {bigint} quoted
+     * @returns {bigint}
+     */
+    apply(quoted) {
+        const bps = this.baseBps + this.random() * this.randomBps;
+        // Hundredths of a basis point
+        return BigInt(quoted) * BigInt(Math.round((10000 - bps) * 100)) / 1000000n;
+    }
+}
+
+/**
+ * OneInchApi's interface over a quote source. swap() returns a router
+ * transaction PaperProvider settles; there is no paper orderbook, so
+ * submitOrder() rejects and the TWAP engine falls back to swaps.
+ */
+class PaperSwapApi {
+    /**
+     * @param {Object} options
+     * @param {Object} options.quotes - MockQuoteSource, RecordedQuoteSource or OneInchQuoteSource
+     * @param {GasModel} [options.gasModel]
+     */
+    constructor(options) {
+        this.quotes = options.quotes;
+        this.gasModel = options.gasModel || new GasModel();
+        this.router = LOP_V4_ADDRESS;
+    }
+
+    async tokens() {
+        return {
+            tokens: Object.fromEntries(KNOWN_TOKENS.map(token => [token.address.toLowerCase(), {
+                address: token.address,
+                symbol: token.symbol,
+                name: token.name,
+                decimals: token.decimals
+            }]))
+        };
+    }
+
+    async quote({ src, dst, amount }) {
+        const dstAmount = await this.quotes.quote(src, dst, BigInt(amount));
+        return { dstAmount: dstAmount.toString(), gas: Number(this.gasModel.estimate('swap')) };
+    }
+
+    async swap({ src, dst, amount, from, slippage = 1 }) {
+        const dstAmount = await this.quotes.quote(src, dst, BigInt(amount));
+        const minReturn = dstAmount * BigInt(Math.round((100 - Number(slippage)) * 100)) / 10000n;
+
+        return {
+            dstAmount: dstAmount.toString(),
+            protocols: [],
+            tx: {
+                from,
+                to: this.router,
+                data: PAPER_ROUTER.encodeFunctionData('swap', [src, dst, BigInt(amount), minReturn]),
+                value: tokenKey(src) === NATIVE_TOKEN ? String(amount) : '0',
+                gas: Number(this.gasModel.estimate('swap')),
+                gasPrice: this.gasModel.gasPrice().toString()
+            }
+        };
+    }
+
+    async submitOrder() {
+        throw new Error('Paper trading has no orderbook; orders fill through aggregator swaps');
+    }
+}
+
+/**
+ * ethers provider backed by a PaperLedger. Signed transactions settle
+ * immediately in their own block: native transfers, ERC20 approve and
+ * transfer, PaperSwapApi swaps at the quote less slippage, and other contract
+ * calls as no-ops that only burn gas. ERC20 reads of the ledger account are
+ * answered from the ledger; other reads go to `upstream` when there is one.
+ */
+class PaperProvider extends ethers.AbstractProvider {
+    /**
+     * @param {Object} options
+     * @param {PaperLedger} options.ledger
+     * @param {Object} options.quotes - Prices swaps
+     * @param {GasModel} [options.gasModel]
+     * @param {SlippageModel} [options.slippageModel]
+     * @param {ethers.Provider} [options.upstream] - Real chain for price feeds, pool logs and other reads
+     * @param {number} [options.chainId]
+     */
+    constructor(options) {
+        // A bare network: the named Polygon one would fetch fees from the gas station
+        const network = new ethers.Network('feaws-paper', options.chainId || 137);
+        super(network, { cacheTimeout: -1 });
+
+        this.paperNetwork = network;
+        this.ledger = options.ledger;
+        this.quotes = options.quotes;
+        this.gasModel = options.gasModel || new GasModel();
+        this.slippageModel = options.slippageModel || new SlippageModel();
+        this.upstream = options.upstream || null;
+        this.router = LOP_V4_ADDRESS;
+        this.settling = Promise.resolve();
+    }
+
+    async _detectNetwork() {
+        return this.paperNetwork;
+    }
+
+    async _perform(req) {
+        switch (req.method) {
+            case 'getBlockNumber':
+                return this.ledger.blockNumber;
+            case 'getBlock':
+                return this.block(req.blockTag);
+            case 'getGasPrice':
+                return this.gasModel.gasPrice();
+            case 'getPriorityFee':
+                return this.gasModel.priorityFee;
+            case 'getBalance':
+                return this.isHolder(req.address) ? this.ledger.balanceOf(NATIVE_TOKEN) : 0n;
+            case 'getTransactionCount':
+                return this.isHolder(req.address) ? this.ledger.nonce : 0;
+            case 'estimateGas':
+                return this.gasModel.estimate(this.classify(req.transaction).kind);
+            case 'call':
+                return this.answerCall(req.transaction);
+            case 'broadcastTransaction': {
+                // One transaction settles at a time, as in a block
+                const result = this.settling.then(() => this.settle(req.signedTransaction));
+                this.settling = result.catch(() => {});
+                return result;
+            }
+            case 'getTransactionReceipt':
+                return this.receipt(req.hash);
+            case 'getTransaction':
+                return null;
+            case 'getCode':
+                if (this.upstream) return this.upstream.getCode(req.address);
+                break;
+            case 'getLogs':
+                if (this.upstream) return this.upstream.getLogs(req.filter);
+                break;
+        }
+        return super._perform(req);
+    }
+
+    isHolder(address) {
+        return sameAddress(address, this.ledger.address);
+    }
+
+    block(blockTag) {
+        const number = typeof blockTag === 'string' && blockTag.startsWith('0x') ? Number(blockTag) : this.ledger.blockNumber;
+        return {
+            hash: blockHash(number),
+            parentHash: blockHash(number - 1),
+            number,
+            timestamp: Math.floor(Date.now() / 1000),
+            nonce: '0x0000000000000000',
+            difficulty: 0,
+            gasLimit: 30000000,
+            gasUsed: 0,
+            miner: ethers.ZeroAddress,
+            extraData: '0x',
+            baseFeePerGas: this.gasModel.baseFee,
+            transactions: []
+        };
+    }
+
+    async answerCall(tx) {
+        let parsed = null;
+        try {
+            parsed = tx.data ? ERC20.parseTransaction({ data: tx.data }) : null;
+        } catch (error) {
+            // Not an ERC20 read
+        }
+
+        if (parsed && parsed.name === 'balanceOf' && this.isHolder(parsed.args[0])) {
+            return ERC20.encodeFunctionResult('balanceOf', [this.ledger.balanceOf(tx.to)]);
+        }
+        if (parsed && parsed.name === 'allowance' && this.isHolder(parsed.args[0])) {
+            return ERC20.encodeFunctionResult('allowance', [this.ledger.allowance(tx.to, parsed.args[1])]);
+        }
+        const known = KNOWN_TOKENS.find(token => sameAddress(token.address, tx.to));
+        if (parsed && known && ['decimals', 'symbol'].includes(parsed.name)) {
+            return ERC20.encodeFunctionResult(parsed.name, [known[parsed.name]]);
+        }
+
+        if (this.upstream) {
+            return this.upstream.call(tx);
+        }
+        throw ethers.makeError(`Paper trading cannot answer this call to ${tx.to} without an upstream provider`, 'UNSUPPORTED_OPERATION', { operation: 'call' });
+    }
+
+    /**
+     * What a transaction does to the ledger
+     * @returns {{ kind: string }} kind plus the decoded arguments
+     */
+    classify(tx) {
+        if (!tx.data || tx.data === '0x') {
+            return { kind: 'transfer' };
+        }
+
+        if (sameAddress(tx.to, this.router)) {
+            try {
+                const [src, dst, amount, minReturn] = PAPER_ROUTER.decodeFunctionData('swap', tx.data);
+                return { kind: 'swap', src, dst, amount, minReturn };
+            } catch (error) {
+                // The router is also the LOP; its calls (cancelOrder) change nothing here
+                return LOP.parseTransaction({ data: tx.data })
+                    ? { kind: 'call' }
+                    : { kind: 'call', revert: 'Only PaperSwapApi swaps settle on the paper router' };
+            }
+        }
+
+        try {
+            const parsed = ERC20.parseTransaction({ data: tx.data });
+            if (parsed && parsed.name === 'approve') {
+                return { kind: 'approve', spender: parsed.args[0], amount: parsed.args[1] };
+            }
+            if (parsed && parsed.name === 'transfer') {
+                return { kind: 'tokenTransfer', recipient: parsed.args[0], amount: parsed.args[1] };
+            }
+        } catch (error) {
+            // Some other contract call
+        }
+        return { kind: 'call' };
+    }
+
+    /**
+     * Apply a signed transaction to the ledger. Failed execution reverts
+     * (status 0) and still pays for gas, as on chain.
+     * @returns {Promise<string>} Transaction hash
+     */
+    async settle(signedTransaction) {
+        const tx = ethers.Transaction.from(signedTransaction);
+
+        if (!this.isHolder(tx.from)) {
+            throw ethers.makeError(`Paper ledger holds ${this.ledger.address}, not ${tx.from}`, 'UNSUPPORTED_OPERATION', { operation: 'broadcastTransaction' });
+        }
+        if (tx.nonce !== this.ledger.nonce) {
+            throw ethers.makeError(`nonce ${tx.nonce} does not match the paper account nonce ${this.ledger.nonce}`, 'NONCE_EXPIRED', { transaction: tx });
+        }
+
+        const gasPrice = this.gasModel.effectivePrice(tx);
+        if (this.ledger.balanceOf(NATIVE_TOKEN) < tx.gasLimit * gasPrice + tx.value) {
+            throw ethers.makeError('insufficient funds for gas * price + value', 'INSUFFICIENT_FUNDS', { transaction: tx });
+        }
+
+        const action = this.classify(tx);
+        const gasNeeded = this.gasModel.estimate(action.kind);
+        let gasUsed = gasNeeded;
+        let status = 1;
+        let details = {};
+
+        if (tx.gasLimit < gasNeeded) {
+            gasUsed = tx.gasLimit;
+            status = 0;
+            details = { revertReason: 'out of gas' };
+        } else {
+            try {
+                details = await this.execute(action, tx);
+            } catch (error) {
+                status = 0;
+                details = { revertReason: error.message };
+            }
+        }
+
+        this.ledger.debit(NATIVE_TOKEN, gasUsed * gasPrice);
+        this.ledger.nonce += 1;
+        this.ledger.commit({
+            hash: tx.hash,
+            from: tx.from,
+            to: tx.to,
+            kind: action.kind,
+            status,
+            type: tx.type,
+            gasUsed,
+            effectiveGasPrice: gasPrice,
+            ...details
+        });
+
+        console.log(status === 1
+            ? `🧪 Paper ${action.kind} ${tx.hash} settled`
+            : `🧪 Paper ${action.kind} ${tx.hash} reverted: ${details.revertReason}`);
+        return tx.hash;
+    }
+
+    async execute(action, tx) {
+        if (action.revert) {
+            throw new Error(action.revert);
+        }
+
+        switch (action.kind) {
+            case 'transfer':
+                this.ledger.debit(NATIVE_TOKEN, tx.value);
+                return { value: tx.value };
+            case 'approve':
+                this.ledger.approve(tx.to, action.spender, action.amount);
+                return { token: tx.to, spender: action.spender, amount: action.amount };
+            case 'tokenTransfer':
+                this.ledger.debit(tx.to, action.amount);
+                return { token: tx.to, recipient: action.recipient, amount: action.amount };
+            case 'swap':
+                return this.swap(action, tx);
+            default:
+                return {};
+        }
+    }
+
+    async swap({ src, dst, amount, minReturn }, tx) {
+        const native = tokenKey(src) === NATIVE_TOKEN;
+        const allowance = this.ledger.allowance(src, tx.to);
+
+        if (native && tx.value !== amount) {
+            throw new Error('Transaction value does not match the swap amount');
+        }
+        if (!native && allowance < amount) {
+            throw new Error(`${tokenLabel(src)} allowance for the 1inch router is too low`);
+        }
+
+        const quotedAmount = await this.quotes.quote(src, dst, amount);
+        const filledAmount = this.slippageModel.apply(quotedAmount);
+        if (filledAmount < minReturn) {
+            throw new Error(`Return amount is not enough: ${filledAmount} < ${minReturn}`);
+        }
+
+        this.ledger.debit(src, amount);
+        this.ledger.credit(dst, filledAmount);
+        if (!native && allowance !== ethers.MaxUint256) {
+            this.ledger.approve(src, tx.to, allowance - amount);
+        }
+
+        return { src: tokenKey(src), dst: tokenKey(dst), amountIn: amount, quotedAmount, amountOut: filledAmount };
+    }
+
+    receipt(hash) {
+        const entry = this.ledger.history.find(record => record.hash === hash);
+        if (!entry) {
+            return null;
+        }
+        return {
+            transactionHash: hash,
+            blockHash: blockHash(entry.blockNumber),
+            blockNumber: entry.blockNumber,
+            transactionIndex: 0,
+            from: entry.from,
+            to: entry.to,
+            contractAddress: null,
+            gasUsed: entry.gasUsed,
+            cumulativeGasUsed: entry.gasUsed,
+            effectiveGasPrice: entry.effectiveGasPrice,
+            status: entry.status,
+            type: entry.type,
+            logsBloom: null,
+            logs: []
+        };
+    }
+}
+
+/**
+ * Ledger, provider, wallet and swap API wired together. Pass `provider`,
+ * `wallet` and `swapApi` to ProductionTWAPEngine, OneInchPortfolioRebalancer
+ * or OneInchAggregatorOptimizer to paper-trade them.
+ * @param {Object} [options]
+ * @param {string} [options.ledgerPath] - Persist the balance sheet here; in memory without one
+ * @param {Object<string, string>} [options.balances] - Seed balances for a new ledger
+ * @param {string} [options.privateKey] - Key the paper wallet signs with
+ * @param {Object} [options.quotes] - Quote source; MockQuoteSource at demo prices by default
+ * @param {Object} [options.gas] - GasModel options
+ * @param {Object} [options.slippage] - SlippageModel options
+ * @param {ethers.Provider} [options.upstream]
+ * @param {number} [options.chainId]
+ */
+function createPaperBackend(options = {}) {
+    const signer = new ethers.Wallet(options.privateKey || PAPER_PRIVATE_KEY);
+    const ledger = new PaperLedger({ path: options.ledgerPath, address: signer.address, balances: options.balances });
+    const quotes = options.quotes || new MockQuoteSource();
+    const gasModel = new GasModel(options.gas);
+    const slippageModel = new SlippageModel(options.slippage);
+    const provider = new PaperProvider({ ledger, quotes, gasModel, slippageModel, upstream: options.upstream, chainId: options.chainId });
+
+    return {
+        ledger,
+        quotes,
+        gasModel,
+        slippageModel,
+        provider,
+        wallet: signer.connect(provider),
+        swapApi: new PaperSwapApi({ quotes, gasModel })
+    };
+}
+
+/**
+ * GasModel and SlippageModel options from FEAWS_PAPER_BASE_FEE_GWEI and
+ * FEAWS_PAPER_SLIPPAGE_BPS
+ */
+function paperModelOptions(env = process.env) {
+    return {
+        gas: env.FEAWS_PAPER_BASE_FEE_GWEI ? { baseFeeGwei: parseFloat(env.FEAWS_PAPER_BASE_FEE_GWEI) } : {},
+        slippage: env.FEAWS_PAPER_SLIPPAGE_BPS ? { baseBps: parseFloat(env.FEAWS_PAPER_SLIPPAGE_BPS) } : {}
+    };
+}
+
+/**
+ * createPaperBackend() configured from the environment for `--mode=paper` runs:
+ * FEAWS_PAPER_LEDGER (default data/simulation/paper/ledger.json),
+ * FEAWS_PAPER_QUOTES to replay recorded quotes (else live 1inch quotes with
+ * ONEINCH_API_KEY, recorded to FEAWS_PAPER_RECORD if set, else demo prices),
+ * FEAWS_SIM_BALANCES, the paperModelOptions() variables and POLYGON_RPC_URL
+ * for upstream reads
+ */
+function paperBackendFromEnv(env = process.env) {
+    const quotes = env.FEAWS_PAPER_QUOTES
+        ? new RecordedQuoteSource({ path: env.FEAWS_PAPER_QUOTES })
+        : env.ONEINCH_API_KEY
+            ? new OneInchQuoteSource({ apiKey: env.ONEINCH_API_KEY, recordPath: env.FEAWS_PAPER_RECORD })
+            : new MockQuoteSource();
+
+    return createPaperBackend({
+        ledgerPath: env.FEAWS_PAPER_LEDGER || DEFAULT_LEDGER_PATH,
+        balances: env.FEAWS_SIM_BALANCES && JSON.parse(env.FEAWS_SIM_BALANCES),
+        quotes,
+        ...paperModelOptions(env),
+        upstream: env.POLYGON_RPC_URL && new ethers.JsonRpcProvider(env.POLYGON_RPC_URL)
+    });
+}
+
+/**
+ * Options for ProductionTWAPEngine, OneInchPortfolioRebalancer and
+ * OneInchAggregatorOptimizer CLI runs: the paper backend when started with
+ * --mode=paper (or FEAWS_MODE=paper), writing its journal and proofs under
+ * data/simulation/paper; empty in live mode
+ */
+function paperEngineOptions(argv = process.argv, env = process.env) {
+    // Required here: simulation.js builds on this module
+    const { parseServerMode } = require('./simulation');
+    if (parseServerMode(argv, env) === 'live') {
+        return {};
+    }
+
+    const { provider, wallet, swapApi } = paperBackendFromEnv(env);
+    const outputDir = path.dirname(env.FEAWS_PAPER_LEDGER || DEFAULT_LEDGER_PATH);
+    console.log(`🧪 Paper trading as ${wallet.address}; nothing is sent to Polygon`);
+    return { provider, wallet, swapApi, outputDir, journalPath: path.join(outputDir, 'twap-journal.ndjson') };
+}
+
+module.exports = {
+    DEFAULT_LEDGER_PATH,
+    DEMO_PRICES,
+    NATIVE_TOKEN,
+    findToken,
+    priceKey,
+    PaperLedger,
+    MockQuoteSource,
+    RecordedQuoteSource,
+    OneInchQuoteSource,
+    GasModel,
+    SlippageModel,
+    PaperSwapApi,
+    PaperProvider,
+    createPaperBackend,
+    paperModelOptions,
+    paperBackendFromEnv,
+    paperEngineOptions
+};
@@ -0,0 +1,103 @@
+/**
+ * @fileoverview Price Guard
+ * @description Reference-oracle price band for TWAP slices, backed by
+ * Chainlink aggregators
+ * @author FEAWS Development Team
+ */
+
+const { ethers } = require('ethers');
+const { systemClock } = require('./clock');
+
+// Chainlink USD feeds on Polygon mainnet
+const POLYGON_FEEDS = {
+    MATIC_USD: '0xAB594600376Ec9fD91F8e885dADF0CE036862dE0',
+    USDC_USD: '0xfE4A8cc5b5B2366C1B58Bea3858e81843581b2F7',
+    USDT_USD: '0x0A6513e40db6EB1b165753AD52E80663aeA50545',
+    ETH_USD: '0xF9680D99D6C9589e2a93a78A04A279e509205945'
+};
+
+const AGGREGATOR_ABI = [
+    'function decimals() view returns (uint8)',
+    'function latestRoundData() view returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound)'
+];
+
+class ChainlinkOracle {
+    /**
+     * Price of fromToken in toToken, derived from two USD feeds.
+     * Omit `toFeed` when toToken is a USD stablecoin.
+     * @param {ethers.Provider} provider
+     * @param {Object} config
+     * @param {string} config.fromFeed - fromToken/USD aggregator
+     * @param {string} [config.toFeed] - toToken/USD aggregator
+     * @param {number} [config.maxStalenessSeconds] - Oldest acceptable round
+     * @param {Object} [options]
+     * @param {Object} [options.clock] - Measures round age; the engine's clock in backtests
+     */
+    constructor(provider, config, options = {}) {
+        if (!config || !config.fromFeed) {
+            throw new Error('Price oracle requires a fromFeed aggregator address');
+        }
+
+        this.fromFeed = new ethers.Contract(config.fromFeed, AGGREGATOR_ABI, provider);
+        this.toFeed = config.toFeed ? new ethers.Contract(config.toFeed, AGGREGATOR_ABI, provider) : null;
+        this.maxStalenessSeconds = config.maxStalenessSeconds || 3600;
+        this.clock = options.clock || systemClock;
+    }
+
+    async readFeed(feed) {
+        const [decimals, round] = await Promise.all([feed.decimals(), feed.latestRoundData()]);
+        const age = Math.floor(this.clock.now() / 1000) - Number(round.updatedAt);
+
+        return {
+            price: Number(ethers.formatUnits(round.answer, decimals)),
+            stale: round.answer <= 0n || age > this.maxStalenessSeconds
+        };
+    }
+
+    async getPrice() {
+        const from = await this.readFeed(this.fromFeed);
+        const to = this.toFeed ? await this.readFeed(this.toFeed) : { price: 1, stale: false };
+
+        return {
+            price: from.price / to.price,
+            stale: from.stale || to.stale
+        };
+    }
+}
+
+class PriceGuard {
+    /**
+     * @param {ethers.Provider} provider
+     * @param {Object} band
+     * @param {Object} band.oracle - ChainlinkOracle config
+     * @param {number} [band.maxDeviationPercent] - Allowed distance of the market from the oracle
+     * @param {Object} [options] - Passed to the ChainlinkOracle (`clock`)
+     */
+    constructor(provider, band, options = {}) {
+        this.oracle = new ChainlinkOracle(provider, band.oracle, options);
+        this.maxDeviationPercent = band.maxDeviationPercent ?? 1;
+    }
+
+    /**
+     * @param {number} marketPrice - Executable price in toToken per fromToken
+     * @returns {Promise<{ok: boolean, reason?: string, oraclePrice: number, deviation: number}>}
+     */
+    async check(marketPrice) {
+        const { price: oraclePrice, stale } = await this.oracle.getPrice();
+        const deviation = ((marketPrice - oraclePrice) / oraclePrice) * 100;
+
+        if (stale) {
+            return { ok: false, reason: 'oracle_stale', oraclePrice, deviation };
+        }
+
+        if (Math.abs(deviation) > this.maxDeviationPercent) {
+            return { ok: false, reason: 'price_band', oraclePrice, deviation };
+        }
+
+        return { ok: true, oraclePrice, deviation };
+    }
+}
+
+module.exports = PriceGuard;
+module.exports.ChainlinkOracle = ChainlinkOracle;
+module.exports.POLYGON_FEEDS = POLYGON_FEEDS;
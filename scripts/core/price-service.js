@@ -0,0 +1,112 @@
+/**
+ * @fileoverview Price Service
+ * @description USD prices for the treasury tokens from the 1inch spot price
+ * API, falling back to Chainlink feeds, with a short cache
+ * @author FEAWS Development Team
+ */
+
+const axios = require('axios');
+const { oneInchUrl } = require('./oneinch-api');
+const { ChainlinkOracle, POLYGON_FEEDS } = require('./price-guard');
+
+// Keys are the lower-case symbols the dashboards use
+const PRICE_TOKENS = {
+    usdc: { symbol: 'USDC', address: '0x3c499c542cEF5E3811e1192ce70d8cC03d5c3359', decimals: 6, feed: POLYGON_FEEDS.USDC_USD },
+    usdt: { symbol: 'USDT', address: '0xc2132D05D31c914a87C6611C10748AEb04B58e8F', decimals: 6, feed: POLYGON_FEEDS.USDT_USD },
+    dai: { symbol: 'DAI', address: '0x8f3Cf7ad23Cd3CaDbD9735AFf958023239c6A063', decimals: 18 },
+    wmatic: { symbol: 'WMATIC', address: '0x0d500B1d8E8eF31E21C99d1Db9A6444d3ADf1270', decimals: 18, feed: POLYGON_FEEDS.MATIC_USD },
+    weth: { symbol: 'WETH', address: '0x7ceB23fD6bC0adD59E62ac25578270cFf1b9f619', decimals: 18, feed: POLYGON_FEEDS.ETH_USD }
+};
+
+class PriceService {
+    /**
+     * @param {Object} options
+     * @param {ethers.Provider} options.provider - For the Chainlink fallback
+     * @param {string} [options.apiKey] - Defaults to ONEINCH_API_KEY
+     * @param {number} [options.ttlMs] - How long a price snapshot is reused
+     */
+    constructor(options = {}) {
+        this.provider = options.provider;
+        this.apiKey = options.apiKey || process.env.ONEINCH_API_KEY;
+        this.ttlMs = options.ttlMs ?? 30000;
+        this.tokens = options.tokens || PRICE_TOKENS;
+        this.snapshot = null;
+        this.pending = null;
+    }
+
+    /**
+     * @returns {Promise<{ prices: Object<string, number>, sources: Object<string, string>, unavailable: string[], updatedAt: string }>}
+     */
+    async getPrices() {
+        if (this.snapshot && Date.now() - Date.parse(this.snapshot.updatedAt) < this.ttlMs) {
+            return this.snapshot;
+        }
+
+        // Concurrent callers share one refresh
+        this.pending = this.pending || this.refresh().finally(() => { this.pending = null; });
+        return this.pending;
+    }
+
+    async refresh() {
+        const prices = {};
+        const sources = {};
+        const spot = await this.fetchSpotPrices();
+
+        for (const [key, token] of Object.entries(this.tokens)) {
+            const price = spot[token.address.toLowerCase()];
+            if (price > 0) {
+                prices[key] = price;
+                sources[key] = '1inch';
+                continue;
+            }
+
+            const oracle = await this.fetchOraclePrice(token);
+            if (oracle !== null) {
+                prices[key] = oracle;
+                sources[key] = 'chainlink';
+            }
+        }
+
+        this.snapshot = {
+            prices,
+            sources,
+            unavailable: Object.keys(this.tokens).filter(key => !(key in prices)),
+            updatedAt: new Date().toISOString()
+        };
+        return this.snapshot;
+    }
+
+    async fetchSpotPrices() {
+        const addresses = Object.values(this.tokens).map(token => token.address);
+
+        try {
+            const response = await axios.get(oneInchUrl(`/price/v1.1/137/${addresses.join(',')}`), {
+                params: { currency: 'USD' },
+                headers: { Authorization: `Bearer ${this.apiKey}` },
+                timeout: 10000
+            });
+
+            return Object.fromEntries(Object.entries(response.data).map(([address, price]) => [address.toLowerCase(), parseFloat(price)]));
+        } catch (error) {
+            console.warn(`⚠️ 1inch price API unavailable: ${error.message}`);
+            return {};
+        }
+    }
+
+    async fetchOraclePrice(token) {
+        if (!token.feed || !this.provider) {
+            return null;
+        }
+
+        try {
+            const { price, stale } = await new ChainlinkOracle(this.provider, { fromFeed: token.feed }).getPrice();
+            return stale ? null : price;
+        } catch (error) {
+            console.warn(`⚠️ Chainlink ${token.symbol}/USD unavailable: ${error.message}`);
+            return null;
+        }
+    }
+}
+
+module.exports = PriceService;
+module.exports.PRICE_TOKENS = PRICE_TOKENS;
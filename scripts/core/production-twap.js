@@ -1,39 +1,93 @@
 const { Wallet, JsonRpcProvider, Contract, MaxUint256, parseUnits, formatUnits } = require("ethers");
-const {
-  LimitOrder,
-  MakerTraits,
-  Address,
-  Api,
-  getLimitOrderV4Domain,
-  randBigInt,
-} = require("@1inch/limit-order-sdk");
-const axios = require('axios');
 const dotenv = require('dotenv');
 const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+const TWAPJobStore = require('./twap-job-store');
+const AdaptiveSlicer = require('./adaptive-slicer');
+const { quoteRate } = AdaptiveSlicer;
+const PairVolumeTracker = require('./pair-volume');
+const {
+    buildEvenSchedule,
+    buildVWAPSchedule,
+    loadVolumeProfile,
+    applyJitter,
+    randomSeed
+} = require('./execution-schedules');
+const { analyzeExecution } = require('./tca');
+const PriceGuard = require('./price-guard');
+const LimitOrderV4 = require('./lop-order');
+const { OneInchApi } = require('./oneinch-api');
+const { systemClock } = require('./clock');
+const { GasStrategy, GasPriceTooHighError } = require('./gas-strategy');
+const TransactionQueue = require('./transaction-queue');
+const { LOP_V4_ADDRESS, LOP_V4_ABI, toOrderbookPayload } = LimitOrderV4;
 
 dotenv.config();
 
+const WRAPPED_NATIVE = '0x0d500b1d8e8ef31e21c99d1db9a6444d3adf1270'; // WMATIC, prices gas in TCA
+
+// Transaction queue label for a slice's fallback swap
+const swapLabel = slice => `twap slice ${slice.id}`;
+
+/**
+ * Maker volume a completed slice has traded: all of it for swaps, what the
+ * LOP has reported filled for orders posted to the orderbook
+ */
+function filledAmountOf(slice) {
+    if (slice.filledAmount !== undefined) {
+        return BigInt(slice.filledAmount);
+    }
+    return slice.method === 'orderbook' ? 0n : slice.order.makingAmount;
+}
+
 console.log('🌊 PRODUCTION TWAP ENGINE');
 console.log('═══════════════════════════');
 console.log('🏭 Enterprise-grade time-weighted execution');
 console.log('');
 
-class ProductionTWAPEngine {
+/**
+ * Emits `execution` events ({ type, twapId, jobId, at, ...details }) as slices
+ * are scheduled, signed, submitted, filled or skipped and when a TWAP finishes
+ */
+class ProductionTWAPEngine extends EventEmitter {
     constructor(config) {
+        super();
         this.config = {
             rpcUrl: config.rpcUrl || process.env.POLYGON_RPC_URL,
             privateKey: config.privateKey || process.env.PRIVATE_KEY,
             apiKey: config.apiKey || process.env.ONEINCH_API_KEY,
             chainId: config.chainId || 137,
             maxSlippage: config.maxSlippage || 0.5, // 0.5%
-            maxGasPrice: config.maxGasPrice || parseUnits('50', 'gwei'),
+            // Slices defer while the next block costs more than this per gas
+            maxGasPrice: config.maxGasPrice || parseUnits(process.env.TWAP_MAX_GAS_GWEI || '200', 'gwei'),
+            fillPollMs: config.fillPollMs || 15000,
+            outputDir: config.outputDir || '.', // execution-proofs/ and data/twap-orders/ go under it
             ...config
         };
 
-        this.provider = new JsonRpcProvider(this.config.rpcUrl);
-        this.wallet = new Wallet(this.config.privateKey, this.provider);
+        // A paper-trading backend (see paper-trading.js) can stand in for all three
+        this.provider = this.config.provider || new JsonRpcProvider(this.config.rpcUrl);
+        this.wallet = this.config.wallet || new Wallet(this.config.privateKey, this.provider);
+        this.swapApi = this.config.swapApi || new OneInchApi({ chainId: this.config.chainId, apiKey: this.config.apiKey });
+        // Backtests pass a SimulatedClock to replay schedules against historical prices
+        this.clock = this.config.clock || systemClock;
+        this.gas = this.config.gasStrategy || new GasStrategy({ provider: this.provider, clock: this.clock });
+        this.gas.setCap('twap', this.config.maxGasPrice);
+        // Slices, approvals and cancels share the key's nonces with every other engine
+        this.txQueue = this.config.txQueue || TransactionQueue.for(this.wallet, {
+            journalDir: path.join(this.config.outputDir, 'data/tx-queue'),
+            clock: this.clock
+        });
         this.activeOrders = new Map();
+        this.issuedIds = new Set();
         this.executionHistory = [];
+        this.jobStore = new TWAPJobStore({ journalPath: this.config.journalPath });
+        this.sliceTimers = new Map();
+        this.sliceRuns = new Set();
+        this.fillWatchers = new Map();
+        this.tokenDecimals = new Map();
+        this.priceGuards = new Map();
         
         console.log('👤 Wallet:', this.wallet.address);
         console.log('🔗 Network:', this.config.chainId);
@@ -56,14 +110,7 @@ class ProductionTWAPEngine {
             }
 
             // Validate API key
-            const testResponse = await axios.get(
-                `https://api.1inch.dev/swap/v6.0/${this.config.chainId}/tokens`,
-                {
-                    headers: {
-                        'Authorization': `Bearer ${this.config.apiKey}`
-                    }
-                }
-            );
+            await this.swapApi.tokens();
             console.log('✅ API key validated');
 
             return true;
@@ -73,6 +120,21 @@ class ProductionTWAPEngine {
         }
     }
 
+    /**
+     * `twap_<ms>` on the engine clock, suffixed when TWAPs start in the same
+     * millisecond here or in another engine writing to the same outputDir
+     */
+    nextTWAPId() {
+        const base = `twap_${this.clock.now()}`;
+        let id = base;
+        for (let n = 2; this.issuedIds.has(id) || this.activeOrders.has(id) ||
+            fs.existsSync(path.join(this.config.outputDir, 'data/twap-orders', `${id}.json`)); n++) {
+            id = `${base}_${n}`;
+        }
+        this.issuedIds.add(id);
+        return id;
+    }
+
     async createTWAPOrder(params) {
         console.log('📋 Creating TWAP order...');
         
@@ -82,7 +144,17 @@ class ProductionTWAPEngine {
             totalAmount,
             sliceCount = 10,
             intervalMinutes = 15,
-            maxSlippage = this.config.maxSlippage
+            maxSlippage = this.config.maxSlippage,
+            strategy = 'twap',
+            sizing = 'fixed',
+            adaptive = {},
+            volumeProfile,
+            pov = {},
+            limitPrice,
+            priceBand,
+            deferral = {},
+            jitter,
+            jobId = null
         } = params;
 
         // Validate parameters
@@ -90,6 +162,18 @@ class ProductionTWAPEngine {
             throw new Error('Invalid TWAP parameters');
         }
 
+        if (!['twap', 'vwap', 'pov'].includes(strategy)) {
+            throw new Error(`Unknown execution strategy: ${strategy}`);
+        }
+
+        if (!['fixed', 'adaptive'].includes(sizing)) {
+            throw new Error(`Unknown TWAP sizing mode: ${sizing}`);
+        }
+
+        if (sizing === 'adaptive' && strategy !== 'twap') {
+            throw new Error('Adaptive sizing is only available for the twap strategy');
+        }
+
         const sliceAmount = BigInt(totalAmount) / BigInt(sliceCount);
         const intervalMs = intervalMinutes * 60 * 1000;
 
@@ -98,9 +182,12 @@ class ProductionTWAPEngine {
         console.log(`Slice Count: ${sliceCount}`);
         console.log(`Slice Amount: ${sliceAmount.toString()}`);
         console.log(`Interval: ${intervalMinutes} minutes`);
+        console.log(`Strategy: ${strategy}`);
+        console.log(`Sizing: ${sizing}`);
 
         const twapOrder = {
-            id: `twap_${Date.now()}`,
+            id: this.nextTWAPId(),
+            jobId,
             fromToken,
             toToken,
             totalAmount: BigInt(totalAmount),
@@ -108,30 +195,98 @@ class ProductionTWAPEngine {
             sliceCount,
             intervalMs,
             maxSlippage,
-            createdAt: Date.now(),
+            strategy,
+            sizing,
+            deferral: { recheckSeconds: 60, maxDeferralMinutes: null, ...deferral },
+            createdAt: this.clock.now(),
             status: 'created',
             executedSlices: 0,
+            filledAmount: 0n,
             slices: []
         };
 
         // Pre-approve tokens if needed
         await this.ensureTokenApproval(fromToken, totalAmount);
 
-        // Create individual slice orders
-        for (let i = 0; i < sliceCount; i++) {
-            const slice = await this.createSliceOrder({
-                fromToken,
-                toToken,
-                amount: sliceAmount,
-                sliceIndex: i,
-                twapId: twapOrder.id,
-                executeAt: Date.now() + (i * intervalMs)
+        if (limitPrice !== undefined) {
+            await this.setLimitPrice(twapOrder, limitPrice);
+        }
+
+        if (priceBand) {
+            // Validates the oracle config up front
+            this.priceGuards.set(twapOrder.id, new PriceGuard(this.provider, priceBand, { clock: this.clock }));
+            twapOrder.priceBand = priceBand;
+        }
+
+        // Arrival price benchmark for adaptive sizing and post-trade TCA
+        const arrivalQuote = await this.getQuote(fromToken, toToken, sliceAmount);
+        twapOrder.arrivalRate = quoteRate(sliceAmount, arrivalQuote.toAmount);
+
+        const startTime = this.clock.now();
+
+        let schedule = strategy === 'vwap'
+            ? buildVWAPSchedule(totalAmount, sliceCount, intervalMs, startTime,
+                volumeProfile || loadVolumeProfile(fromToken, toToken))
+            : buildEvenSchedule(totalAmount, sliceCount, intervalMs, startTime);
+
+        if (jitter) {
+            // The seed is kept on the order so the schedule can be rebuilt for audits
+            twapOrder.jitter = { timeJitter: 0, sizeJitter: 0, seed: randomSeed(), ...jitter };
+            schedule = applyJitter(schedule, totalAmount, intervalMs, twapOrder.jitter);
+            console.log(`Jitter: time ±${twapOrder.jitter.timeJitter * 100}%, size ±${twapOrder.jitter.sizeJitter * 100}%, seed ${twapOrder.jitter.seed}`);
+        }
+
+        if (strategy === 'pov') {
+            // Slices are sized at execution time from recent on-chain volume in the pair
+            twapOrder.pov = {
+                participationRate: 0.1,
+                pools: [],
+                blockTimeSeconds: 2,
+                maxSliceRatio: 2,
+                maxExtraSlices: sliceCount * 2,
+                ...pov
+            };
+
+            if (twapOrder.pov.pools.length === 0) {
+                throw new Error('POV strategy requires at least one pool to measure volume');
+            }
+            if (!(twapOrder.pov.participationRate > 0 && twapOrder.pov.participationRate <= 1)) {
+                throw new Error('POV participationRate must be in (0, 1]');
+            }
+            await new PairVolumeTracker(this.provider, twapOrder.pov.pools, { blockTimeSeconds: twapOrder.pov.blockTimeSeconds })
+                .assertTrades(fromToken);
+
+            // Only release times come from the schedule; sizes are decided live
+            schedule.forEach((entry, i) => {
+                twapOrder.slices.push(this.createSlicePlaceholder(twapOrder, i, entry.executeAt));
             });
-            
-            twapOrder.slices.push(slice);
+        } else if (sizing === 'adaptive') {
+            // Slices are sized and signed at execution time, against the arrival price
+            twapOrder.adaptive = new AdaptiveSlicer(adaptive).config;
+
+            schedule.forEach((entry, i) => {
+                twapOrder.slices.push(this.createSlicePlaceholder(twapOrder, i, entry.executeAt));
+            });
+        } else {
+            // Create individual slice orders
+            for (const [i, entry] of schedule.entries()) {
+                const slice = await this.createSliceOrder({
+                    fromToken,
+                    toToken,
+                    amount: entry.amount,
+                    sliceIndex: i,
+                    twapId: twapOrder.id,
+                    executeAt: entry.executeAt
+                });
+
+                twapOrder.slices.push(slice);
+                this.emitSliceSigned(twapOrder, slice);
+            }
         }
 
         this.activeOrders.set(twapOrder.id, twapOrder);
+        this.persistTWAP(twapOrder);
+        twapOrder.slices.forEach(slice => this.persistSlice(slice));
         await this.saveTWAPOrder(twapOrder);
 
         console.log('✅ TWAP order created:', twapOrder.id);
@@ -144,30 +299,22 @@ class ProductionTWAPEngine {
         console.log(`📝 Creating slice ${sliceIndex + 1}...`);
 
         // Get current market price for the slice
-        const quote = await this.getQuote(fromToken, toToken, amount);
+        const quote = params.quote || await this.getQuote(fromToken, toToken, amount);
         
         const expiration = Math.floor(executeAt / 1000) + 3600; // 1 hour from execution time
-        const nonce = randBigInt((1n << 40n) - 1n);
-
-        const makerTraits = MakerTraits.default()
-            .withExpiration(BigInt(expiration))
-            .withNonce(nonce);
-
-        const order = new LimitOrder({
-            makerAsset: new Address(fromToken),
-            takerAsset: new Address(toToken),
-            makingAmount: BigInt(amount),
-            takingAmount: BigInt(quote.toAmount),
-            maker: new Address(this.wallet.address),
-            receiver: new Address(this.wallet.address),
-            salt: BigInt(Math.floor(Math.random() * 1e8)),
-            makerTraits: makerTraits.value.value,
+        const order = LimitOrderV4.create({
+            makerAsset: fromToken,
+            takerAsset: toToken,
+            makingAmount: amount,
+            takingAmount: quote.toAmount,
+            maker: this.wallet.address,
+            receiver: this.wallet.address,
+            expiration
         });
 
         // Sign the order
-        const domain = getLimitOrderV4Domain(this.config.chainId);
-        const signature = await this.wallet.signTypedData(domain, order.getTypedData(), order.build());
-        const orderHash = order.getOrderHash(domain);
+        const signature = await order.sign(this.wallet, this.config.chainId);
+        const orderHash = order.getOrderHash(this.config.chainId);
 
         const slice = {
             id: `${twapId}_slice_${sliceIndex}`,
@@ -178,7 +325,7 @@ class ProductionTWAPEngine {
             signature,
             executeAt,
             status: 'pending',
-            createdAt: Date.now(),
+            createdAt: this.clock.now(),
             quote
         };
 
@@ -186,6 +333,167 @@ class ProductionTWAPEngine {
         return slice;
     }
 
+    createSlicePlaceholder(twapOrder, sliceIndex, executeAt) {
+        return {
+            id: `${twapOrder.id}_slice_${sliceIndex}`,
+            twapId: twapOrder.id,
+            sliceIndex,
+            executeAt,
+            status: 'pending',
+            createdAt: this.clock.now()
+        };
+    }
+
+    /**
+     * Size and sign an adaptive slice against the live quote.
+     * Returns false when the slice is deferred; its volume carries forward.
+     */
+    async prepareAdaptiveSlice(slice) {
+        const twapOrder = this.activeOrders.get(slice.twapId);
+        const slicer = new AdaptiveSlicer(twapOrder.adaptive);
+
+        const remainingAmount = twapOrder.totalAmount - this.getCommittedAmount(twapOrder);
+        const remainingSlices = twapOrder.slices.filter(s => s.status === 'pending').length + 1;
+
+        const probeAmount = remainingAmount < twapOrder.sliceAmount ? remainingAmount : twapOrder.sliceAmount;
+        const probeQuote = probeAmount > 0n
+            ? await this.getQuote(twapOrder.fromToken, twapOrder.toToken, probeAmount)
+            : null;
+        const deviation = probeQuote
+            ? slicer.deviationPercent(twapOrder.arrivalRate, quoteRate(probeAmount, probeQuote.toAmount))
+            : 0;
+
+        const { amount, scaleBps, reason } = slicer.nextSliceAmount({
+            totalAmount: twapOrder.totalAmount,
+            sliceCount: twapOrder.sliceCount,
+            remainingAmount,
+            remainingSlices,
+            deviation
+        });
+
+        slice.deviation = deviation;
+        slice.scaleBps = scaleBps;
+
+        console.log(`📐 Slice ${slice.sliceIndex + 1} adaptive sizing: deviation ${deviation.toFixed(2)}%, size ${amount.toString()}`);
+
+        if (amount === 0n) {
+            console.log(`⏸️ Slice ${slice.sliceIndex + 1} deferred (${reason}), volume carried forward`);
+            slice.status = 'skipped';
+            slice.skipReason = reason;
+            this.emitExecution('slice_skipped', twapOrder, { sliceIndex: slice.sliceIndex, reason });
+            return false;
+        }
+
+        await this.signSlice(slice, twapOrder, amount, amount === probeAmount ? probeQuote : undefined);
+        return true;
+    }
+
+    /**
+     * Size and sign a POV slice as a share of the pair volume traded on-chain
+     * over the last interval. Returns false when there was nothing to join.
+     */
+    async preparePOVSlice(slice) {
+        const twapOrder = this.activeOrders.get(slice.twapId);
+        const { participationRate, pools, blockTimeSeconds, maxSliceRatio } = twapOrder.pov;
+
+        const remainingAmount = twapOrder.totalAmount - this.getCommittedAmount(twapOrder);
+        const tracker = new PairVolumeTracker(this.provider, pools, { blockTimeSeconds });
+        const marketVolume = await tracker.getRecentVolume(twapOrder.fromToken, twapOrder.intervalMs);
+
+        const maxAmount = twapOrder.sliceAmount * BigInt(Math.round(maxSliceRatio * 10000)) / 10000n;
+        let amount = marketVolume * BigInt(Math.round(participationRate * 10000)) / 10000n;
+        if (amount > maxAmount) amount = maxAmount;
+        if (amount > remainingAmount) amount = remainingAmount;
+
+        slice.marketVolume = marketVolume;
+
+        console.log(`📐 Slice ${slice.sliceIndex + 1} POV sizing: market volume ${marketVolume.toString()}, size ${amount.toString()}`);
+
+        if (amount <= 0n) {
+            console.log(`⏸️ Slice ${slice.sliceIndex + 1} deferred (no_market_volume), volume carried forward`);
+            slice.status = 'skipped';
+            slice.skipReason = 'no_market_volume';
+            this.emitExecution('slice_skipped', twapOrder, { sliceIndex: slice.sliceIndex, reason: slice.skipReason });
+            return false;
+        }
+
+        await this.signSlice(slice, twapOrder, amount);
+        return true;
+    }
+
+    /**
+     * Size a slice created without an order (adaptive or POV) at execution time
+     */
+    async prepareSlice(slice) {
+        const twapOrder = this.activeOrders.get(slice.twapId);
+        return twapOrder.strategy === 'pov'
+            ? this.preparePOVSlice(slice)
+            : this.prepareAdaptiveSlice(slice);
+    }
+
+    /**
+     * Sign (or re-sign) a slice order for `amount` at the slice's executeAt
+     */
+    async signSlice(slice, twapOrder, amount, quote) {
+        const signed = await this.createSliceOrder({
+            fromToken: twapOrder.fromToken,
+            toToken: twapOrder.toToken,
+            amount,
+            sliceIndex: slice.sliceIndex,
+            twapId: twapOrder.id,
+            executeAt: slice.executeAt,
+            quote
+        });
+
+        slice.order = signed.order;
+        slice.orderHash = signed.orderHash;
+        slice.signature = signed.signature;
+        slice.quote = signed.quote;
+        this.emitSliceSigned(twapOrder, slice);
+    }
+
+    /**
+     * Volume already filled or currently in flight, including swaps a
+     * restart could not confirm either way
+     */
+    getCommittedAmount(twapOrder) {
+        return twapOrder.slices
+            .filter(s => s.order && (['executing', 'completed'].includes(s.status) || s.unconfirmed))
+            .reduce((sum, s) => sum + s.order.makingAmount, 0n);
+    }
+
+    /**
+     * Append one more interval when an adaptive or POV order ran out of slices
+     * with volume still uncommitted
+     */
+    extendSchedule(twapOrder, committedAmount) {
+        const limits = twapOrder.strategy === 'pov' ? twapOrder.pov : twapOrder.adaptive;
+        const remainingAmount = twapOrder.totalAmount - committedAmount;
+        const extraSlices = twapOrder.slices.length - twapOrder.sliceCount;
+
+        if (!limits || remainingAmount <= 0n || extraSlices >= limits.maxExtraSlices) {
+            return false;
+        }
+
+        const lastExecuteAt = Math.max(...twapOrder.slices.map(s => s.executeAt));
+        const slice = this.createSlicePlaceholder(
+            twapOrder,
+            twapOrder.slices.length,
+            Math.max(lastExecuteAt, this.clock.now()) + twapOrder.intervalMs
+        );
+
+        twapOrder.slices.push(slice);
+        this.persistSlice(slice);
+        this.scheduleSliceExecution(slice);
+
+        console.log(`➕ TWAP ${twapOrder.id}: ${remainingAmount.toString()} unfilled, added slice ${slice.sliceIndex + 1}`);
+        return true;
+    }
+
+    buildLimitOrder(fields) {
+        return LimitOrderV4.fromJSON(fields);
+    }
+
     async executeTWAP(twapId) {
         console.log('🚀 Starting TWAP execution:', twapId);
         
@@ -195,7 +503,8 @@ class ProductionTWAPEngine {
         }
 
         twapOrder.status = 'executing';
-        twapOrder.startedAt = Date.now();
+        twapOrder.startedAt = this.clock.now();
+        this.persistTWAP(twapOrder);
 
         // Schedule slice executions
         for (const slice of twapOrder.slices) {
@@ -207,39 +516,188 @@ class ProductionTWAPEngine {
     }
 
     scheduleSliceExecution(slice) {
-        const delay = slice.executeAt - Date.now();
+        const delay = slice.executeAt - this.clock.now();
+        this.emitExecution('slice_scheduled', this.activeOrders.get(slice.twapId) || { id: slice.twapId }, {
+            sliceIndex: slice.sliceIndex,
+            executeAt: slice.executeAt,
+            deferred: Boolean(slice.deferredSince)
+        });
         
         if (delay <= 0) {
             // Execute immediately if time has passed
-            this.executeSlice(slice);
+            this.runSlice(slice);
         } else {
             // Schedule for future execution
-            setTimeout(() => {
-                this.executeSlice(slice);
+            const timer = this.clock.setTimeout(() => {
+                this.sliceTimers.delete(slice.id);
+                return this.runSlice(slice);
             }, delay);
+            this.sliceTimers.set(slice.id, timer);
             
             console.log(`⏰ Slice ${slice.sliceIndex + 1} scheduled for ${new Date(slice.executeAt).toISOString()}`);
         }
     }
 
+    /**
+     * Execute a slice, tracked until it settles so idle() can wait for it
+     */
+    runSlice(slice) {
+        const run = this.executeSlice(slice).finally(() => this.sliceRuns.delete(run));
+        this.sliceRuns.add(run);
+        return run;
+    }
+
+    /**
+     * Resolves once no slice is executing, including slices released meanwhile
+     */
+    async idle() {
+        while (this.sliceRuns.size > 0) {
+            await Promise.allSettled([...this.sliceRuns]);
+        }
+    }
+
+    clearSliceTimers(twapOrder) {
+        for (const slice of twapOrder.slices) {
+            const timer = this.sliceTimers.get(slice.id);
+            if (timer) {
+                this.clock.clearTimeout(timer);
+                this.sliceTimers.delete(slice.id);
+            }
+        }
+    }
+
+    emitExecution(type, twapOrder, details = {}) {
+        this.emit('execution', { type, twapId: twapOrder.id, jobId: twapOrder.jobId || null, at: this.clock.now(), ...details });
+    }
+
+    emitSliceSigned(twapOrder, slice) {
+        this.emitExecution('order_signed', twapOrder, {
+            sliceIndex: slice.sliceIndex,
+            orderHash: slice.orderHash,
+            makingAmount: slice.order.makingAmount.toString(),
+            takingAmount: slice.order.takingAmount.toString()
+        });
+    }
+
+    /**
+     * Poll the LOP for fills of a slice posted to the orderbook until it is
+     * filled, cancelled or its order expires
+     */
+    watchSliceFill(slice) {
+        const twapOrder = this.activeOrders.get(slice.twapId);
+        const expiresAt = slice.executeAt + 3600 * 1000;
+        let lastRemaining = slice.order.makingAmount;
+
+        const poll = async () => {
+            this.fillWatchers.delete(slice.id);
+            if (slice.status !== 'completed' || slice.cancelTxHash) {
+                return;
+            }
+
+            try {
+                const remaining = await this.getOrderRemaining(slice);
+                if (remaining < lastRemaining) {
+                    lastRemaining = remaining;
+                    this.emitExecution('fill_detected', twapOrder, {
+                        sliceIndex: slice.sliceIndex,
+                        method: 'orderbook',
+                        orderHash: slice.orderHash,
+                        filledAmount: (slice.order.makingAmount - remaining).toString(),
+                        remainingAmount: remaining.toString()
+                    });
+                    await this.recordSliceFill(slice, remaining);
+                }
+                if (remaining === 0n) {
+                    return;
+                }
+            } catch (error) {
+                console.error(`❌ Fill check for slice ${slice.sliceIndex + 1} failed:`, error.message);
+            }
+
+            if (this.clock.now() < expiresAt) {
+                this.scheduleFillCheck(slice, poll);
+            }
+        };
+
+        this.scheduleFillCheck(slice, poll);
+    }
+
+    /**
+     * Book what the LOP reports filled on a posted slice, at the order's
+     * price, and refresh the TWAP's filled amount and a finished TWAP's TCA
+     */
+    async recordSliceFill(slice, remaining) {
+        const filled = slice.order.makingAmount - remaining;
+        slice.filledAmount = filled;
+        slice.actualAmount = (slice.order.takingAmount * filled / slice.order.makingAmount).toString();
+        this.persistSlice(slice);
+        await this.saveSliceExecution(slice);
+
+        const twapOrder = this.activeOrders.get(slice.twapId);
+        await this.updateTWAPStatus(slice.twapId);
+        if (twapOrder && ['completed', 'partial'].includes(twapOrder.status)) {
+            await this.refreshTCA(twapOrder);
+            this.persistTWAP(twapOrder);
+            await this.saveTWAPOrder(twapOrder);
+        }
+    }
+
+    scheduleFillCheck(slice, poll) {
+        // Fill checks alone should not keep a CLI run alive
+        const timer = this.clock.setTimeout(poll, this.config.fillPollMs);
+        timer.unref();
+        this.fillWatchers.set(slice.id, timer);
+    }
+
     async executeSlice(slice) {
+        const twapOrder = this.activeOrders.get(slice.twapId);
+        if (slice.status !== 'pending' || (twapOrder && twapOrder.status !== 'executing')) {
+            console.log(`⏭️ Slice ${slice.sliceIndex + 1} not released (slice ${slice.status}, TWAP ${twapOrder?.status})`);
+            return;
+        }
+
         console.log(`⚡ Executing slice ${slice.sliceIndex + 1}...`);
         
         try {
             slice.status = 'executing';
-            slice.executedAt = Date.now();
+            slice.executedAt = this.clock.now();
+            this.persistSlice(slice);
+
+            if (!slice.order && !(await this.prepareSlice(slice))) {
+                this.persistSlice(slice);
+                await this.updateTWAPStatus(slice.twapId);
+                return;
+            }
 
             // Check market conditions before execution
             const currentQuote = await this.getQuote(
-                slice.order.makerAsset.value,
-                slice.order.takerAsset.value,
+                slice.order.makerAsset,
+                slice.order.takerAsset,
                 slice.order.makingAmount.toString()
             );
 
+            // Limit price and oracle band: defer, don't skip, while the market is outside
+            const guard = await this.checkPriceGuards(twapOrder, slice.order.makingAmount, currentQuote.toAmount);
+            if (!guard.ok) {
+                await this.deferSlice(slice, twapOrder, guard);
+                return;
+            }
+
+            if (slice.deferredSince) {
+                // Back inside the guards: re-sign at the current market before releasing.
+                // Gas is only re-checked when sending, so a gas deferral runs on until then.
+                if (slice.deferReason !== 'gas_price') {
+                    console.log(`▶️ Slice ${slice.sliceIndex + 1} back within price guards after ${slice.deferrals} deferral(s)`);
+                    delete slice.deferredSince;
+                }
+                await this.signSlice(slice, twapOrder, slice.order.makingAmount, currentQuote);
+            }
+
             // Calculate slippage
             const expectedAmount = BigInt(slice.quote.toAmount);
             const currentAmount = BigInt(currentQuote.toAmount);
             const slippage = Number((expectedAmount - currentAmount) * 100n / expectedAmount);
+            slice.executionQuote = currentQuote.toAmount;
 
             console.log(`📊 Slice ${slice.sliceIndex + 1} market check:`);
             console.log(`Expected: ${slice.quote.toAmount}`);
@@ -247,69 +705,94 @@ class ProductionTWAPEngine {
             console.log(`Slippage: ${slippage.toFixed(2)}%`);
 
             // Check if slippage is acceptable
-            if (Math.abs(slippage) > this.config.maxSlippage) {
+            if (Math.abs(slippage) > twapOrder.maxSlippage) {
                 console.log(`⚠️ Slippage too high (${slippage.toFixed(2)}%), skipping slice`);
                 slice.status = 'skipped';
                 slice.skipReason = 'high_slippage';
+                this.emitExecution('slice_skipped', twapOrder, { sliceIndex: slice.sliceIndex, reason: slice.skipReason, slippage });
+                this.persistSlice(slice);
+                await this.updateTWAPStatus(slice.twapId);
                 return;
             }
 
+            // Mark submission so a restart never re-sends a slice that may have landed
+            slice.submittedAt = this.clock.now();
+            this.persistSlice(slice);
+
             // Submit order to 1inch
             const result = await this.submitSliceOrder(slice);
+
+            if (result.deferred) {
+                // Nothing was sent, so the slice can be released again later
+                delete slice.submittedAt;
+                await this.deferSlice(slice, twapOrder, result.deferred);
+                return;
+            }
+            delete slice.deferredSince;
             
             if (result.success) {
                 slice.status = 'completed';
                 slice.txHash = result.txHash;
-                slice.actualAmount = result.actualAmount;
+                slice.gasUsed = result.gasUsed;
+                slice.gasPrice = result.gasPrice;
+                slice.method = result.method || 'orderbook';
+                // A posted order has traded nothing until the LOP reports fills
+                slice.filledAmount = slice.method === 'orderbook' ? 0n : slice.order.makingAmount;
+                slice.actualAmount = slice.method === 'orderbook' ? '0' : result.actualAmount;
                 console.log(`✅ Slice ${slice.sliceIndex + 1} completed:`, result.txHash);
+
+                this.emitExecution('order_submitted', twapOrder, {
+                    sliceIndex: slice.sliceIndex,
+                    orderHash: slice.orderHash,
+                    method: slice.method,
+                    txHash: slice.txHash || null
+                });
+                if (slice.method === 'orderbook') {
+                    this.watchSliceFill(slice);
+                } else {
+                    // Aggregator swaps settle in the transaction we just sent
+                    this.emitExecution('fill_detected', twapOrder, {
+                        sliceIndex: slice.sliceIndex,
+                        method: slice.method,
+                        txHash: slice.txHash,
+                        filledAmount: slice.order.makingAmount.toString(),
+                        remainingAmount: '0',
+                        receivedAmount: slice.actualAmount
+                    });
+                }
             } else {
                 slice.status = 'failed';
                 slice.error = result.error;
                 console.log(`❌ Slice ${slice.sliceIndex + 1} failed:`, result.error);
             }
 
-            // Update TWAP order status
-            await this.updateTWAPStatus(slice.twapId);
-
         } catch (error) {
             console.error(`❌ Slice ${slice.sliceIndex + 1} execution failed:`, error);
             slice.status = 'failed';
             slice.error = error.message;
         }
 
+        if (slice.status === 'failed') {
+            this.emitExecution('slice_failed', twapOrder || { id: slice.twapId }, { sliceIndex: slice.sliceIndex, error: slice.error });
+        }
+
         // Save execution result
+        this.persistSlice(slice);
         await this.saveSliceExecution(slice);
+
+        // Update TWAP order status
+        await this.updateTWAPStatus(slice.twapId);
     }
 
     async submitSliceOrder(slice) {
         try {
-            const api = new Api({
-                networkId: this.config.chainId,
-                authKey: this.config.apiKey
-            });
-
-            const submissionPayload = {
-                orderHash: slice.orderHash,
-                signature: slice.signature,
-                data: {
-                    makerAsset: slice.order.makerAsset.value,
-                    takerAsset: slice.order.takerAsset.value,
-                    maker: slice.order.maker.value,
-                    receiver: slice.order.receiver.value,
-                    makingAmount: slice.order.makingAmount.toString(),
-                    takingAmount: slice.order.takingAmount.toString(),
-                    salt: slice.order.salt.toString(),
-                    extension: "0x0000000000000000000000000000000000000000",
-                    makerTraits: slice.order.makerTraits.toString()
-                }
-            };
-
-            const result = await api.submitOrder(submissionPayload);
+            const result = await this.swapApi.submitOrder(
+                toOrderbookPayload(slice.order, slice.signature, this.config.chainId)
+            );
             
             return {
                 success: true,
-                txHash: result.txHash,
-                actualAmount: result.actualAmount || slice.order.takingAmount.toString()
+                txHash: result.txHash
             };
 
         } catch (error) {
@@ -320,6 +803,12 @@ class ProductionTWAPEngine {
                 const fallbackResult = await this.executeFallbackSwap(slice);
                 return fallbackResult;
             } catch (fallbackError) {
+                if (fallbackError instanceof GasPriceTooHighError) {
+                    return {
+                        success: false,
+                        deferred: { reason: 'gas_price', gasPrice: fallbackError.gasPrice, cap: fallbackError.cap }
+                    };
+                }
                 return {
                     success: false,
                     error: error.message
@@ -330,33 +819,44 @@ class ProductionTWAPEngine {
 
     async executeFallbackSwap(slice) {
         console.log('🔄 Attempting fallback swap...');
-        
+
+        // The swap tolerates the TWAP's own slippage, not the engine default
+        const { maxSlippage } = this.activeOrders.get(slice.twapId);
         const swapParams = {
-            src: slice.order.makerAsset.value,
-            dst: slice.order.takerAsset.value,
+            src: slice.order.makerAsset,
+            dst: slice.order.takerAsset,
             amount: slice.order.makingAmount.toString(),
             from: this.wallet.address,
-            slippage: this.config.maxSlippage,
+            slippage: maxSlippage,
             disableEstimate: false
         };
 
-        const swapResponse = await axios.get(
-            `https://api.1inch.dev/swap/v6.0/${this.config.chainId}/swap`,
-            {
-                params: swapParams,
-                headers: {
-                    'Authorization': `Bearer ${this.config.apiKey}`
-                }
+        const swapData = await this.swapApi.swap(swapParams);
+
+        // Fees from the gas strategy replace the swap API's legacy gasPrice.
+        // Each hash is journaled on the slice, and the queue journals the
+        // signed swap under the slice's label before broadcasting it, so a
+        // restart can tell whether it landed.
+        const receipt = await this.gas.sendAndWait(this.txQueue, {
+            to: swapData.tx.to,
+            data: swapData.tx.data,
+            value: swapData.tx.value || '0',
+            gasLimit: swapData.tx.gas
+        }, {
+            strategy: 'twap',
+            label: swapLabel(slice),
+            onSent: tx => {
+                slice.swapTxHashes = [...(slice.swapTxHashes || []), tx.hash];
+                this.persistSlice(slice);
             }
-        );
-
-        const tx = await this.wallet.sendTransaction(swapResponse.data.tx);
-        const receipt = await tx.wait();
+        });
 
         return {
             success: true,
             txHash: receipt.hash,
-            actualAmount: swapResponse.data.toAmount,
+            actualAmount: swapData.dstAmount ?? swapData.toAmount,
+            gasUsed: receipt.gasUsed.toString(),
+            gasPrice: receipt.gasPrice.toString(),
             method: 'fallback_swap'
         };
     }
@@ -368,17 +868,10 @@ class ProductionTWAPEngine {
             amount: amount.toString()
         };
 
-        const response = await axios.get(
-            `https://api.1inch.dev/swap/v6.0/${this.config.chainId}/quote`,
-            {
-                params,
-                headers: {
-                    'Authorization': `Bearer ${this.config.apiKey}`
-                }
-            }
-        );
+        const quote = await this.swapApi.quote(params);
 
-        return response.data;
+        // Swap API v6 reports the output as dstAmount
+        return { ...quote, toAmount: quote.dstAmount ?? quote.toAmount };
     }
 
     async ensureTokenApproval(tokenAddress, amount) {
@@ -394,8 +887,10 @@ class ProductionTWAPEngine {
 
         if (currentAllowance < BigInt(amount)) {
             console.log('🔑 Approving tokens...');
-            const approveTx = await tokenContract.approve(spender, MaxUint256);
-            await approveTx.wait();
+            await this.gas.sendAndWait(this.txQueue, {
+                to: tokenAddress,
+                data: tokenContract.interface.encodeFunctionData('approve', [spender, MaxUint256])
+            }, { strategy: 'twap' });
             console.log('✅ Token approval confirmed');
         } else {
             console.log('✅ Token already approved');
@@ -408,28 +903,653 @@ class ProductionTWAPEngine {
 
         const completedSlices = twapOrder.slices.filter(s => s.status === 'completed').length;
         const failedSlices = twapOrder.slices.filter(s => s.status === 'failed').length;
+        const skippedSlices = twapOrder.slices.filter(s => s.status === 'skipped').length;
         const totalSlices = twapOrder.slices.length;
+        const completed = twapOrder.slices.filter(s => s.status === 'completed');
+        // Released volume decides completion; fills can reach posted orders later
+        const executedAmount = completed.reduce((sum, s) => sum + s.order.makingAmount, 0n);
+        const filledAmount = completed.reduce((sum, s) => sum + filledAmountOf(s), 0n);
 
         twapOrder.executedSlices = completedSlices;
         twapOrder.failedSlices = failedSlices;
-
-        if (completedSlices + failedSlices === totalSlices) {
-            twapOrder.status = completedSlices === totalSlices ? 'completed' : 'partial';
-            twapOrder.completedAt = Date.now();
+        twapOrder.skippedSlices = skippedSlices;
+        twapOrder.filledAmount = filledAmount;
+
+        // Paused and cancelled TWAPs keep their status until resumed
+        const finished = twapOrder.status === 'executing' &&
+            completedSlices + failedSlices + skippedSlices === totalSlices;
+        const extended = finished && this.extendSchedule(twapOrder, this.getCommittedAmount(twapOrder));
+
+        if (finished && !extended) {
+            const fullyFilled = twapOrder.sizing === 'adaptive' || twapOrder.strategy !== 'twap'
+                ? executedAmount >= twapOrder.totalAmount
+                : completedSlices === totalSlices;
+            twapOrder.status = fullyFilled ? 'completed' : 'partial';
+            twapOrder.completedAt = this.clock.now();
             console.log(`🎉 TWAP ${twapId} ${twapOrder.status}: ${completedSlices}/${totalSlices} slices executed`);
+            this.emitExecution('twap_completed', twapOrder, {
+                status: twapOrder.status,
+                executedSlices: completedSlices,
+                skippedSlices,
+                failedSlices,
+                totalSlices,
+                filledAmount: filledAmount.toString(),
+                totalAmount: twapOrder.totalAmount.toString()
+            });
+
+            await this.refreshTCA(twapOrder);
         }
 
+        this.persistTWAP(twapOrder);
+        if (finished && !extended) {
+            this.compactJournal();
+        }
         await this.saveTWAPOrder(twapOrder);
     }
 
-    async saveTWAPOrder(twapOrder) {
-        const filePath = `data/twap-orders/${twapOrder.id}.json`;
-        const dir = 'data/twap-orders';
-        
-        if (!fs.existsSync(dir)) {
-            fs.mkdirSync(dir, { recursive: true });
+    requireTWAP(twapId, allowedStatuses) {
+        const twapOrder = this.activeOrders.get(twapId);
+        if (!twapOrder) {
+            throw new Error('TWAP order not found');
+        }
+        if (!allowedStatuses.includes(twapOrder.status)) {
+            throw new Error(`TWAP ${twapId} is ${twapOrder.status}, expected ${allowedStatuses.join(' or ')}`);
+        }
+        return twapOrder;
+    }
+
+    /**
+     * Stop releasing slices. Slices already in flight finish normally.
+     * @param {Object} options
+     * @param {boolean} options.cancelOutstanding - Also cancel submitted orderbook orders on-chain
+     */
+    async pauseTWAP(twapId, options = {}) {
+        const twapOrder = this.requireTWAP(twapId, ['executing']);
+
+        this.clearSliceTimers(twapOrder);
+        twapOrder.status = 'paused';
+        twapOrder.pausedAt = this.clock.now();
+
+        if (options.cancelOutstanding) {
+            await this.cancelOutstandingOrders(twapOrder);
         }
 
+        this.persistTWAP(twapOrder);
+        await this.saveTWAPOrder(twapOrder);
+
+        console.log(`⏸️ TWAP ${twapId} paused`);
+        return twapOrder;
+    }
+
+    /**
+     * Resume a paused TWAP, shifting the remaining schedule by the time spent paused
+     */
+    async resumeTWAP(twapId) {
+        const twapOrder = this.requireTWAP(twapId, ['paused']);
+        const pausedFor = this.clock.now() - twapOrder.pausedAt;
+
+        twapOrder.status = 'executing';
+        delete twapOrder.pausedAt;
+
+        const pending = twapOrder.slices.filter(s => s.status === 'pending');
+        for (const slice of pending) {
+            slice.executeAt += pausedFor;
+            if (slice.order) {
+                // Signed expiry follows executeAt, so shifted slices need fresh orders
+                await this.signSlice(slice, twapOrder, slice.order.makingAmount);
+            }
+            this.persistSlice(slice);
+        }
+
+        this.persistTWAP(twapOrder);
+        pending.forEach(slice => this.scheduleSliceExecution(slice));
+        await this.updateTWAPStatus(twapId);
+
+        console.log(`▶️ TWAP ${twapId} resumed, ${pending.length} slices re-scheduled`);
+        return twapOrder;
+    }
+
+    /**
+     * Cancel a TWAP: pending slices are dropped and submitted orderbook orders
+     * are cancelled on-chain via the LOP cancelOrder
+     * @param {Object} options
+     * @param {boolean} options.invalidateUnsubmitted - Also cancel on-chain the
+     *   signed orders of slices that were never submitted
+     */
+    async cancelTWAP(twapId, options = {}) {
+        const twapOrder = this.requireTWAP(twapId, ['created', 'executing', 'paused']);
+
+        this.clearSliceTimers(twapOrder);
+        twapOrder.status = 'cancelled';
+        twapOrder.cancelledAt = this.clock.now();
+
+        const pending = twapOrder.slices.filter(s => s.status === 'pending');
+        if (options.invalidateUnsubmitted) {
+            for (const slice of pending.filter(s => s.order)) {
+                await this.cancelSliceOrder(slice);
+            }
+        }
+        pending.forEach(slice => {
+            slice.status = 'cancelled';
+            this.persistSlice(slice);
+        });
+
+        await this.cancelOutstandingOrders(twapOrder);
+        await this.updateTWAPStatus(twapId);
+        this.compactJournal();
+
+        console.log(`🛑 TWAP ${twapId} cancelled, ${pending.length} pending slices dropped`);
+        return twapOrder;
+    }
+
+    /**
+     * Change the remaining size, interval or limit price of a running TWAP.
+     * Every change is validated before the schedule is touched.
+     * @param {Object} changes
+     * @param {string|bigint} changes.remainingAmount - New unfilled volume, split over the pending slices in proportion to their current sizes
+     * @param {number} changes.intervalMinutes - New spacing between the pending slices
+     * @param {number|string|null} changes.limitPrice - New limit (toToken per fromToken), null to remove
+     */
+    async amendTWAP(twapId, changes = {}) {
+        const twapOrder = this.requireTWAP(twapId, ['executing', 'paused']);
+        const { remainingAmount, intervalMinutes, limitPrice } = changes;
+
+        const pending = twapOrder.slices.filter(s => s.status === 'pending');
+        if (pending.length === 0 && remainingAmount !== undefined) {
+            throw new Error(`TWAP ${twapId} has no pending slices to amend`);
+        }
+        if (intervalMinutes !== undefined && !(intervalMinutes > 0)) {
+            throw new Error('intervalMinutes must be positive');
+        }
+
+        let amounts = pending.map(s => s.order?.makingAmount);
+        if (remainingAmount !== undefined) {
+            const remaining = BigInt(remainingAmount);
+            if (remaining <= 0n) {
+                throw new Error('remainingAmount must be positive; use cancelTWAP to stop');
+            }
+            amounts = this.splitRemaining(remaining, pending);
+            await this.ensureTokenApproval(twapOrder.fromToken, remaining);
+        }
+
+        const limit = limitPrice === undefined ? undefined : await this.parseLimitPrice(twapOrder, limitPrice);
+
+        this.clearSliceTimers(twapOrder);
+        try {
+            if (limitPrice === null) {
+                delete twapOrder.limitPrice;
+                delete twapOrder.limitRate;
+            } else if (limit) {
+                Object.assign(twapOrder, limit);
+            }
+
+            if (intervalMinutes !== undefined) {
+                twapOrder.intervalMs = intervalMinutes * 60 * 1000;
+                const firstAt = Math.max(pending[0]?.executeAt || this.clock.now(), this.clock.now());
+                pending.forEach((slice, i) => {
+                    slice.executeAt = firstAt + (i * twapOrder.intervalMs);
+                });
+            }
+
+            if (remainingAmount !== undefined) {
+                twapOrder.totalAmount = this.getCommittedAmount(twapOrder) + BigInt(remainingAmount);
+            }
+
+            // Pre-signed slices carry amount and expiry, so re-sign them on any change
+            for (const [i, slice] of pending.entries()) {
+                if (slice.order) {
+                    await this.signSlice(slice, twapOrder, amounts[i]);
+                }
+                this.persistSlice(slice);
+            }
+
+            twapOrder.amendments = twapOrder.amendments || [];
+            twapOrder.amendments.push({ at: this.clock.now(), remainingAmount, intervalMinutes, limitPrice });
+        } finally {
+            // Whatever was applied is journaled and the pending slices run again
+            this.persistTWAP(twapOrder);
+            if (twapOrder.status === 'executing') {
+                pending.forEach(slice => this.scheduleSliceExecution(slice));
+            }
+        }
+
+        await this.saveTWAPOrder(twapOrder);
+
+        console.log(`✏️ TWAP ${twapId} amended:`, JSON.stringify({ remainingAmount: remainingAmount?.toString(), intervalMinutes, limitPrice }));
+        return twapOrder;
+    }
+
+    /**
+     * Split new remaining volume over the pending slices, keeping the
+     * schedule's shape (VWAP weights, jittered sizes) when the slices are
+     * already sized, else evenly. The last slice takes the rounding.
+     */
+    splitRemaining(remaining, pending) {
+        const sizes = pending.map(slice => slice.order?.makingAmount || 0n);
+        const weights = sizes.every(size => size > 0n) ? sizes : sizes.map(() => 1n);
+        const weightTotal = weights.reduce((sum, weight) => sum + weight, 0n);
+
+        const amounts = weights.map(weight => remaining * weight / weightTotal);
+        amounts[amounts.length - 1] += remaining - amounts.reduce((sum, amount) => sum + amount, 0n);
+        return amounts;
+    }
+
+    /**
+     * Check a quote against the TWAP's hard limit price and oracle price band
+     */
+    async checkPriceGuards(twapOrder, makingAmount, toAmount) {
+        const rate = quoteRate(makingAmount, toAmount);
+
+        if (twapOrder.limitRate && rate < twapOrder.limitRate) {
+            return { ok: false, reason: 'limit_price' };
+        }
+
+        if (twapOrder.priceBand) {
+            if (!this.priceGuards.has(twapOrder.id)) {
+                this.priceGuards.set(twapOrder.id, new PriceGuard(this.provider, twapOrder.priceBand, { clock: this.clock }));
+            }
+
+            const fromDecimals = await this.getTokenDecimals(twapOrder.fromToken);
+            const toDecimals = await this.getTokenDecimals(twapOrder.toToken);
+            const marketPrice = (Number(rate) / 1e18) * 10 ** (fromDecimals - toDecimals);
+
+            return this.priceGuards.get(twapOrder.id).check(marketPrice);
+        }
+
+        return { ok: true };
+    }
+
+    /**
+     * Hold a slice back and re-check it after `deferral.recheckSeconds`.
+     * Gives up only when the TWAP sets `deferral.maxDeferralMinutes`.
+     */
+    async deferSlice(slice, twapOrder, guard) {
+        const { recheckSeconds = 60, maxDeferralMinutes } = twapOrder.deferral || {};
+        slice.deferredSince = slice.deferredSince || this.clock.now();
+
+        if (maxDeferralMinutes && this.clock.now() - slice.deferredSince > maxDeferralMinutes * 60 * 1000) {
+            console.log(`⚠️ Slice ${slice.sliceIndex + 1} deferred too long (${guard.reason}), skipping slice`);
+            slice.status = 'skipped';
+            slice.skipReason = `${guard.reason}_timeout`;
+            this.emitExecution('slice_skipped', twapOrder, { sliceIndex: slice.sliceIndex, reason: slice.skipReason });
+            this.persistSlice(slice);
+            await this.updateTWAPStatus(slice.twapId);
+            return;
+        }
+
+        slice.status = 'pending';
+        slice.deferrals = (slice.deferrals || 0) + 1;
+        slice.deferReason = guard.reason;
+        slice.executeAt = this.clock.now() + recheckSeconds * 1000;
+        this.persistSlice(slice);
+
+        let detail = '';
+        if (guard.oraclePrice !== undefined) {
+            detail = ` (oracle ${guard.oraclePrice.toFixed(6)}, deviation ${guard.deviation.toFixed(2)}%)`;
+        } else if (guard.gasPrice !== undefined) {
+            detail = ` (${formatUnits(guard.gasPrice, 'gwei')} gwei, cap ${formatUnits(guard.cap, 'gwei')} gwei)`;
+        }
+        console.log(`⏸️ Slice ${slice.sliceIndex + 1} deferred: ${guard.reason}${detail}, re-checking in ${recheckSeconds}s`);
+
+        this.scheduleSliceExecution(slice);
+    }
+
+    async setLimitPrice(twapOrder, limitPrice) {
+        if (limitPrice === null) {
+            delete twapOrder.limitPrice;
+            delete twapOrder.limitRate;
+            return;
+        }
+        Object.assign(twapOrder, await this.parseLimitPrice(twapOrder, limitPrice));
+    }
+
+    /**
+     * @returns {Promise<{ limitPrice: string, limitRate: bigint }|null>} null removes the limit
+     */
+    async parseLimitPrice(twapOrder, limitPrice) {
+        if (limitPrice === null) {
+            return null;
+        }
+
+        const fromDecimals = await this.getTokenDecimals(twapOrder.fromToken);
+        const toDecimals = await this.getTokenDecimals(twapOrder.toToken);
+
+        // Same scale as quoteRate: raw output per raw input, times 1e18
+        return {
+            limitPrice: String(limitPrice),
+            limitRate: parseUnits(String(limitPrice), toDecimals) * (10n ** 18n) / (10n ** BigInt(fromDecimals))
+        };
+    }
+
+    async getTokenDecimals(token) {
+        const key = token.toLowerCase();
+        if (!this.tokenDecimals.has(key)) {
+            const contract = new Contract(token, ["function decimals() view returns (uint8)"], this.provider);
+            this.tokenDecimals.set(key, Number(await contract.decimals()));
+        }
+        return this.tokenDecimals.get(key);
+    }
+
+    getLOPContract() {
+        return new Contract(LOP_V4_ADDRESS, LOP_V4_ABI, this.wallet);
+    }
+
+    /**
+     * Making amount still fillable for a slice order, per the LOP remaining invalidator
+     */
+    async getOrderRemaining(slice) {
+        const raw = await this.getLOPContract().remainingInvalidatorForOrder(this.wallet.address, slice.orderHash);
+        // 0 means the order was never touched; otherwise the contract stores ~remaining
+        return raw === 0n ? slice.order.makingAmount : (~raw) & MaxUint256;
+    }
+
+    async cancelSliceOrder(slice) {
+        try {
+            // No cap: an order we no longer want must come off the book whatever gas costs
+            const receipt = await this.gas.sendAndWait(this.txQueue, {
+                to: LOP_V4_ADDRESS,
+                data: this.getLOPContract().interface.encodeFunctionData('cancelOrder', [slice.order.makerTraits, slice.orderHash])
+            }, { speed: 'fast' });
+            slice.cancelTxHash = receipt.hash;
+            console.log(`🛑 Slice ${slice.sliceIndex + 1} order cancelled on-chain:`, receipt.hash);
+            return true;
+        } catch (error) {
+            console.error(`❌ Failed to cancel slice ${slice.sliceIndex + 1} order:`, error.message);
+            slice.cancelError = error.message;
+            return false;
+        }
+    }
+
+    /**
+     * Cancel orderbook orders that were submitted but not fully filled
+     */
+    async cancelOutstandingOrders(twapOrder) {
+        const submitted = twapOrder.slices.filter(s => s.status === 'completed' && s.method === 'orderbook');
+
+        for (const slice of submitted) {
+            const remaining = await this.getOrderRemaining(slice);
+            if (remaining === 0n) continue;
+
+            if (await this.cancelSliceOrder(slice)) {
+                if (remaining === slice.order.makingAmount) {
+                    slice.status = 'cancelled';
+                } else {
+                    slice.cancelledRemaining = remaining;
+                }
+                this.persistSlice(slice);
+            }
+        }
+    }
+
+    /**
+     * Post-trade cost analysis against the arrival price, per-slice quotes and period TWAP
+     */
+    async analyzeTWAP(twapOrder) {
+        const fills = [];
+
+        for (const slice of twapOrder.slices.filter(s => s.status === 'completed')) {
+            // Only what actually traded: posted orders count their detected fills
+            const filled = filledAmountOf(slice);
+            if (filled === 0n) continue;
+
+            const gasWei = slice.gasUsed ? BigInt(slice.gasUsed) * BigInt(slice.gasPrice) : 0n;
+            const quoted = BigInt(slice.executionQuote || slice.quote.toAmount);
+
+            fills.push({
+                slice: slice.sliceIndex + 1,
+                inputAmount: filled.toString(),
+                outputAmount: slice.actualAmount,
+                quotedOutput: (quoted * filled / slice.order.makingAmount).toString(),
+                gasCost: gasWei > 0n ? (await this.getNativeValue(twapOrder.toToken, gasWei)).toString() : 0
+            });
+        }
+
+        const tca = analyzeExecution({
+            arrivalPrice: Number(twapOrder.arrivalRate) / 1e18,
+            fills
+        });
+
+        if (tca) {
+            console.log(`📐 TWAP ${twapOrder.id} TCA: shortfall ${tca.implementationShortfallBps} bps, ` +
+                `slippage ${tca.slippageVsQuoteBps} bps, timing ${tca.timingCostBps} bps, gas ${tca.gasBps} bps`);
+        }
+
+        return tca;
+    }
+
+    /**
+     * Value of a native (gas) amount expressed in `token` base units
+     */
+    async getNativeValue(token, amountWei) {
+        if (token.toLowerCase() === WRAPPED_NATIVE) {
+            return amountWei;
+        }
+
+        const quote = await this.getQuote(WRAPPED_NATIVE, token, amountWei);
+        return BigInt(quote.toAmount);
+    }
+
+    /**
+     * Analyze a finished TWAP into `twapOrder.tca`, stored with the TWAP's
+     * record in data/twap-orders/ when it is next saved
+     */
+    async refreshTCA(twapOrder) {
+        try {
+            twapOrder.tca = await this.analyzeTWAP(twapOrder);
+        } catch (error) {
+            console.error(`❌ TCA for TWAP ${twapOrder.id} failed:`, error.message);
+        }
+    }
+
+    persistTWAP(twapOrder) {
+        try {
+            this.jobStore.recordTWAP(twapOrder);
+        } catch (error) {
+            console.error(`❌ Failed to journal TWAP ${twapOrder.id}:`, error.message);
+        }
+    }
+
+    persistSlice(slice) {
+        try {
+            const { order, ...state } = slice;
+            this.jobStore.recordSlice({ ...state, orderData: order ? order.toJSON() : null });
+        } catch (error) {
+            console.error(`❌ Failed to journal slice ${slice.id}:`, error.message);
+        }
+    }
+
+    /**
+     * Drop finished TWAPs and superseded states from the journal so restarts
+     * replay only what is still running
+     */
+    compactJournal() {
+        try {
+            this.jobStore.compact();
+        } catch (error) {
+            console.error('❌ Failed to compact the TWAP journal:', error.message);
+        }
+    }
+
+    /**
+     * Rehydrate TWAPs that were executing when the process stopped and
+     * re-schedule their remaining slices
+     */
+    async recoverTWAPs() {
+        const recoverable = this.jobStore.getRecoverableTWAPs()
+            .filter(state => !this.activeOrders.has(state.id));
+
+        // Swaps the queue journaled for interrupted slices, read before its
+        // recovery settles the ones that were mined
+        const journaledSwaps = new Map();
+        for (const state of recoverable) {
+            for (const slice of state.slices.filter(s => s.status === 'executing' && s.submittedAt)) {
+                journaledSwaps.set(slice.id, this.txQueue.sent(swapLabel(slice)).map(tx => tx.hash));
+            }
+        }
+
+        // Fallback swaps and cancels left in the mempool go back out first
+        await this.txQueue.ready();
+        this.compactJournal();
+
+        if (recoverable.length === 0) {
+            console.log('✅ No interrupted TWAPs to recover');
+            return [];
+        }
+
+        console.log(`♻️ Recovering ${recoverable.length} interrupted TWAP(s)...`);
+
+        const recovered = [];
+        for (const state of recoverable) {
+            const twapOrder = {
+                ...state,
+                totalAmount: BigInt(state.totalAmount),
+                sliceAmount: BigInt(state.sliceAmount),
+                filledAmount: BigInt(state.filledAmount || 0),
+                arrivalRate: state.arrivalRate ? BigInt(state.arrivalRate) : undefined,
+                limitRate: state.limitRate ? BigInt(state.limitRate) : undefined,
+                slices: state.slices.map(({ orderData, ...slice }) => ({
+                    ...slice,
+                    order: orderData ? this.buildLimitOrder(orderData) : undefined
+                }))
+            };
+
+            this.activeOrders.set(twapOrder.id, twapOrder);
+
+            for (const slice of twapOrder.slices) {
+                if (slice.status === 'executing') {
+                    if (slice.submittedAt) {
+                        // The order may already be live or filled; never send it twice
+                        await this.reconcileSlice(slice, journaledSwaps.get(slice.id));
+                    } else {
+                        slice.status = 'pending';
+                    }
+                    this.persistSlice(slice);
+                }
+            }
+
+            if (twapOrder.status === 'executing') {
+                await this.respaceOverdueSlices(twapOrder);
+                twapOrder.slices
+                    .filter(slice => slice.status === 'pending')
+                    .forEach(slice => this.scheduleSliceExecution(slice));
+            }
+
+            const pending = twapOrder.slices.filter(s => s.status === 'pending').length;
+            console.log(`♻️ TWAP ${twapOrder.id} (${twapOrder.status}): ${pending}/${twapOrder.slices.length} slices pending`);
+
+            await this.updateTWAPStatus(twapOrder.id);
+            recovered.push(twapOrder);
+        }
+
+        return recovered;
+    }
+
+    /**
+     * Settle a slice interrupted after submission from the chain: by its
+     * fallback swap's receipt if one was sent, else by what the LOP has left
+     * of its order. Carry-forward only re-sells a slice found not to have
+     * traded; one whose swap is still unconfirmed counts as committed.
+     * @param {Object} slice
+     * @param {string[]} [journaledSwaps] - Hashes the transaction queue sent under the slice's label
+     */
+    async reconcileSlice(slice, journaledSwaps = []) {
+        const twapOrder = this.activeOrders.get(slice.twapId);
+        const hashes = [...new Set([...(slice.swapTxHashes || []), ...journaledSwaps])];
+
+        if (hashes.length > 0) {
+            const receipts = await Promise.all(hashes.map(hash => this.provider.getTransactionReceipt(hash)));
+            const mined = receipts.find(receipt => receipt && receipt.status === 1);
+            if (mined) {
+                Object.assign(slice, {
+                    status: 'completed',
+                    method: 'fallback_swap',
+                    txHash: mined.hash,
+                    filledAmount: slice.order.makingAmount,
+                    gasUsed: mined.gasUsed.toString(),
+                    gasPrice: mined.gasPrice.toString()
+                });
+                console.log(`🔎 Slice ${slice.sliceIndex + 1}: fallback swap ${mined.hash} landed before the restart`);
+                this.emitExecution('fill_detected', twapOrder, {
+                    sliceIndex: slice.sliceIndex,
+                    method: slice.method,
+                    txHash: slice.txHash,
+                    filledAmount: slice.order.makingAmount.toString(),
+                    remainingAmount: '0'
+                });
+            } else if (receipts.every(Boolean)) {
+                slice.status = 'failed';
+                slice.error = 'Fallback swap reverted before the restart';
+            } else {
+                slice.status = 'failed';
+                slice.unconfirmed = true;
+                slice.error = `Fallback swap ${hashes[hashes.length - 1]} unconfirmed at restart, reconcile on-chain`;
+            }
+            return;
+        }
+
+        let remaining;
+        try {
+            remaining = await this.getOrderRemaining(slice);
+        } catch (error) {
+            slice.status = 'failed';
+            slice.unconfirmed = true;
+            slice.error = `Interrupted after submission and the LOP could not be read (${error.message}), reconcile on-chain`;
+            return;
+        }
+
+        // Filled in part, or still able to fill: the order reached the
+        // orderbook and is followed like any posted slice
+        const expired = this.clock.now() >= slice.executeAt + 3600 * 1000;
+        if (remaining < slice.order.makingAmount || (remaining > 0n && !expired)) {
+            slice.status = 'completed';
+            slice.method = 'orderbook';
+            slice.filledAmount = slice.order.makingAmount - remaining;
+            slice.actualAmount = (slice.order.takingAmount * slice.filledAmount / slice.order.makingAmount).toString();
+            console.log(`🔎 Slice ${slice.sliceIndex + 1}: order ${slice.orderHash} has ${remaining} of ${slice.order.makingAmount} left on the LOP`);
+            if (remaining > 0n) {
+                this.watchSliceFill(slice);
+            }
+            return;
+        }
+
+        slice.status = 'failed';
+        slice.error = 'Interrupted after submission; the order expired unfilled';
+    }
+
+    /**
+     * Slices that came due while the process was down are spread out from now
+     * at the TWAP's interval rather than fired together: adaptive and POV
+     * slices size against what is left uncommitted, so simultaneous ones
+     * would over-commit
+     */
+    async respaceOverdueSlices(twapOrder) {
+        const pending = twapOrder.slices
+            .filter(slice => slice.status === 'pending')
+            .sort((a, b) => a.executeAt - b.executeAt);
+
+        let earliest = this.clock.now();
+        let moved = 0;
+        for (const slice of pending) {
+            if (slice.executeAt < earliest) {
+                slice.executeAt = earliest;
+                if (slice.order) {
+                    // Signed expiry follows executeAt
+                    await this.signSlice(slice, twapOrder, slice.order.makingAmount);
+                }
+                this.persistSlice(slice);
+                moved++;
+            }
+            earliest = slice.executeAt + twapOrder.intervalMs;
+        }
+
+        if (moved > 0) {
+            console.log(`⏩ TWAP ${twapOrder.id}: ${moved} overdue slice(s) re-spaced from now at ${twapOrder.intervalMs / 60000} min`);
+        }
+    }
+
+    async saveTWAPOrder(twapOrder) {
+        const filePath = this.outputPath('data/twap-orders', `${twapOrder.id}.json`);
+
         // Convert BigInt values to strings for JSON serialization
         const serializable = JSON.parse(JSON.stringify(twapOrder, (key, value) =>
             typeof value === 'bigint' ? value.toString() : value
@@ -438,12 +1558,19 @@ class ProductionTWAPEngine {
         fs.writeFileSync(filePath, JSON.stringify(serializable, null, 2));
     }
 
+    outputPath(dir, fileName) {
+        const fullDir = path.join(this.config.outputDir, dir);
+        fs.mkdirSync(fullDir, { recursive: true });
+        return path.join(fullDir, fileName);
+    }
+
     async saveSliceExecution(slice) {
-        const filePath = `execution-proofs/slice-${slice.id}-${Date.now()}.json`;
+        const filePath = this.outputPath('execution-proofs', `slice-${slice.id}-${Date.now()}.json`);
         
         const proof = {
-            timestamp: Date.now(),
+            timestamp: this.clock.now(),
             type: 'twap-slice-execution',
+            jobId: this.activeOrders.get(slice.twapId)?.jobId || null,
             slice: {
                 id: slice.id,
                 twapId: slice.twapId,
@@ -451,6 +1578,14 @@ class ProductionTWAPEngine {
                 status: slice.status,
                 orderHash: slice.orderHash,
                 txHash: slice.txHash,
+                method: slice.method,
+                makerAsset: slice.order?.makerAsset,
+                takerAsset: slice.order?.takerAsset,
+                makingAmount: slice.order?.makingAmount.toString(),
+                filledAmount: slice.order && slice.status === 'completed' ? filledAmountOf(slice).toString() : undefined,
+                actualAmount: slice.actualAmount,
+                gasUsed: slice.gasUsed,
+                gasPrice: slice.gasPrice,
                 error: slice.error
             }
         };
@@ -473,16 +1608,21 @@ class ProductionTWAPEngine {
     }
 }
 
-// Example usage
+// Example usage; `--mode=paper` runs it against the paper ledger instead of Polygon
 async function demonstrateProductionTWAP() {
     try {
+        const { paperEngineOptions } = require('./paper-trading');
         const twapEngine = new ProductionTWAPEngine({
             maxSlippage: 1.0, // 1% max slippage
-            maxGasPrice: parseUnits('100', 'gwei')
+            maxGasPrice: parseUnits('100', 'gwei'),
+            ...paperEngineOptions()
         });
 
         await twapEngine.validateConfiguration();
 
+        // Resume anything a previous run left executing
+        await twapEngine.recoverTWAPs();
+
         // Create a TWAP order: 0.1 WMATIC -> USDT over 5 slices, 10 minutes apart
         const twapOrder = await twapEngine.createTWAPOrder({
             fromToken: "0x0d500b1d8e8ef31e21c99d1db9a6444d3adf1270", // WMATIC
@@ -545,3 +1685,4 @@ class ProductionTWAP {
 }
 
 module.exports = ProductionTWAP;
+module.exports.ProductionTWAPEngine = ProductionTWAPEngine;
@@ -0,0 +1,291 @@
+/**
+ * @fileoverview Request Validator
+ * @description Checks path parameters, query strings and JSON bodies against
+ * an OpenAPI 3.1 document and rejects invalid requests with a 400 naming
+ * every offending field. Supports the JSON Schema keywords the FEAWS
+ * document uses.
+ * @author FEAWS Development Team
+ */
+
+const METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+function describeType(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+function matchesType(type, value) {
+    switch (type) {
+        case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+        case 'array': return Array.isArray(value);
+        case 'integer': return Number.isInteger(value);
+        case 'number': return typeof value === 'number' && Number.isFinite(value);
+        case 'null': return value === null;
+        default: return typeof value === type;
+    }
+}
+
+function join(field, key) {
+    return field ? `${field}.${key}` : key;
+}
+
+/**
+ * Query and path values arrive as strings; convert them to the schema's type
+ * where that is unambiguous, otherwise leave them for the type check to reject
+ */
+function coerce(schema, value) {
+    const types = [].concat(schema.type || []);
+    if (typeof value !== 'string') {
+        return value;
+    }
+    if (types.includes('integer') && /^-?\d+$/.test(value)) {
+        return Number(value);
+    }
+    if (types.includes('number') && value.trim() !== '' && Number.isFinite(Number(value))) {
+        return Number(value);
+    }
+    if (types.includes('boolean') && (value === 'true' || value === 'false')) {
+        return value === 'true';
+    }
+    return value;
+}
+
+class RequestValidator {
+    /**
+     * @param {Object} spec - OpenAPI 3.1 document
+     */
+    constructor(spec) {
+        this.spec = spec;
+        this.routes = [];
+
+        for (const [template, item] of Object.entries(spec.paths)) {
+            const names = [];
+            const pattern = template.replace(/[.*+?^$()|[\]\\]/g, '\\$&').replace(/\{(\w+)\}/g, (match, name) => {
+                names.push(name);
+                return '([^/]+)';
+            });
+
+            for (const method of METHODS.filter(m => item[m])) {
+                this.routes.push({ method, template, regex: new RegExp(`^${pattern}/?$`), names, operation: item[method] });
+            }
+        }
+
+        // Literal paths win over templated ones
+        this.routes.sort((a, b) => a.names.length - b.names.length);
+    }
+
+    /**
+     * @returns {{ operation: Object, pathParams: Object }|null}
+     */
+    findOperation(method, path) {
+        for (const route of this.routes) {
+            const match = route.method === method.toLowerCase() && route.regex.exec(path);
+            if (match) {
+                const pathParams = Object.fromEntries(route.names.map((name, i) => [name, decodeURIComponent(match[i + 1])]));
+                return { operation: route.operation, pathParams };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * @param {Object} request
+     * @param {string} request.method
+     * @param {string} request.path
+     * @param {Object} [request.query]
+     * @param {*} [request.body]
+     * @returns {{ field: string, message: string }[]} Empty when the request is valid
+     */
+    validateRequest({ method, path, query = {}, body }) {
+        const found = this.findOperation(method, path);
+        if (!found) {
+            return [];
+        }
+
+        const { operation, pathParams } = found;
+        const issues = [];
+
+        for (const parameter of operation.parameters || []) {
+            const source = parameter.in === 'path' ? pathParams : query;
+            const field = `${parameter.in}.${parameter.name}`;
+            const value = source[parameter.name];
+
+            if (value === undefined || value === '') {
+                if (parameter.required) {
+                    issues.push({ field, message: 'is required' });
+                }
+                continue;
+            }
+            if (Array.isArray(value)) {
+                issues.push({ field, message: 'must be given once' });
+                continue;
+            }
+            this.check(parameter.schema, coerce(this.resolve(parameter.schema), value), field, issues);
+        }
+
+        if (operation.requestBody) {
+            const schema = operation.requestBody.content['application/json'].schema;
+            if (body === undefined) {
+                if (operation.requestBody.required) {
+                    issues.push({ field: 'body', message: 'JSON body is required' });
+                }
+            } else {
+                this.check(schema, body, '', issues);
+            }
+        }
+
+        return issues;
+    }
+
+    /**
+     * Express middleware; routes the document doesn't describe pass through
+     */
+    middleware() {
+        return (req, res, next) => {
+            const issues = this.validateRequest({
+                method: req.method,
+                path: req.baseUrl + req.path,
+                query: req.query,
+                body: req.body
+            });
+
+            if (issues.length === 0) {
+                return next();
+            }
+            res.status(400).json({
+                success: false,
+                error: `${issues[0].field}: ${issues[0].message}`,
+                field: issues[0].field,
+                errors: issues
+            });
+        };
+    }
+
+    resolve(schema) {
+        if (!schema || !schema.$ref) {
+            return schema || {};
+        }
+        const { $ref, ...overrides } = schema;
+        const target = $ref.replace(/^#\//, '').split('/').reduce((node, key) => node && node[key], this.spec);
+        if (!target) {
+            throw new Error(`Unresolved schema reference ${$ref}`);
+        }
+        return { ...this.resolve(target), ...overrides };
+    }
+
+    /**
+     * Validate `value` against `schema`, appending problems to `issues`
+     * @param {string} field - Dotted path of `value`, '' for the body itself
+     */
+    check(rawSchema, value, field, issues) {
+        const schema = this.resolve(rawSchema);
+        const name = field || 'body';
+
+        if (schema.oneOf) {
+            return this.checkOneOf(schema, value, field, issues);
+        }
+        if ('const' in schema && value !== schema.const) {
+            return issues.push({ field: name, message: `must be ${JSON.stringify(schema.const)}` });
+        }
+        if (schema.enum && !schema.enum.includes(value)) {
+            return issues.push({ field: name, message: `must be one of ${schema.enum.join(', ')}` });
+        }
+        if (schema.type) {
+            const types = [].concat(schema.type);
+            if (!types.some(type => matchesType(type, value))) {
+                return issues.push({ field: name, message: `must be ${types.join(' or ')}, got ${describeType(value)}` });
+            }
+        }
+
+        if (typeof value === 'string') {
+            if (schema.minLength !== undefined && value.length < schema.minLength) {
+                issues.push({ field: name, message: schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters` });
+            }
+            if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+                issues.push({ field: name, message: `must be at most ${schema.maxLength} characters` });
+            }
+            if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+                issues.push({ field: name, message: schema['x-pattern-message'] || `must match ${schema.pattern}` });
+            }
+        }
+
+        if (typeof value === 'number') {
+            if (schema.minimum !== undefined && value < schema.minimum) {
+                issues.push({ field: name, message: `must be >= ${schema.minimum}` });
+            }
+            if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+                issues.push({ field: name, message: `must be > ${schema.exclusiveMinimum}` });
+            }
+            if (schema.maximum !== undefined && value > schema.maximum) {
+                issues.push({ field: name, message: `must be <= ${schema.maximum}` });
+            }
+        }
+
+        if (matchesType('object', value)) {
+            const properties = schema.properties || {};
+            for (const key of schema.required || []) {
+                if (value[key] === undefined) {
+                    issues.push({ field: join(field, key), message: 'is required' });
+                }
+            }
+            for (const [key, item] of Object.entries(value)) {
+                if (properties[key]) {
+                    this.check(properties[key], item, join(field, key), issues);
+                } else if (schema.additionalProperties === false) {
+                    issues.push({ field: join(field, key), message: 'is not a recognised parameter' });
+                } else if (typeof schema.additionalProperties === 'object') {
+                    this.check(schema.additionalProperties, item, join(field, key), issues);
+                }
+            }
+        }
+
+        if (Array.isArray(value)) {
+            if (schema.minItems !== undefined && value.length < schema.minItems) {
+                issues.push({ field: name, message: `must have at least ${schema.minItems} item(s)` });
+            }
+            if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+                issues.push({ field: name, message: `must have at most ${schema.maxItems} item(s)` });
+            }
+            if (schema.items) {
+                value.forEach((item, i) => this.check(schema.items, item, `${name}[${i}]`, issues));
+            }
+        }
+    }
+
+    /**
+     * With a discriminator the branch is picked by name so errors point into
+     * it; otherwise the branch with the fewest problems is reported
+     */
+    checkOneOf(schema, value, field, issues) {
+        const { discriminator } = schema;
+
+        if (discriminator && matchesType('object', value)) {
+            const key = value[discriminator.propertyName];
+            const choices = Object.keys(discriminator.mapping);
+            if (key === undefined) {
+                return issues.push({ field: join(field, discriminator.propertyName), message: 'is required' });
+            }
+            if (!discriminator.mapping[key]) {
+                return issues.push({ field: join(field, discriminator.propertyName), message: `must be one of ${choices.join(', ')}` });
+            }
+            return this.check({ $ref: discriminator.mapping[key] }, value, field, issues);
+        }
+
+        const attempts = schema.oneOf.map(branch => {
+            const found = [];
+            this.check(branch, value, field, found);
+            return found;
+        });
+        const matches = attempts.filter(found => found.length === 0).length;
+
+        if (matches === 0) {
+            issues.push(...attempts.reduce((best, found) => found.length < best.length ? found : best));
+        } else if (matches > 1) {
+            issues.push({ field: field || 'body', message: 'matches more than one allowed form' });
+        }
+    }
+}
+
+module.exports = RequestValidator;
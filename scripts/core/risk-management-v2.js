@@ -2,6 +2,7 @@ const { fetchTokenBalances, tokens } = require('./balance-fetcher');
 const axios = require('axios');
 const dotenv = require('dotenv');
 const fs = require('fs');
+const { oneInchUrl } = require('./oneinch-api');
 
 dotenv.config();
 
@@ -120,7 +121,7 @@ class RiskManagementSystem {
       
       try {
         const response = await axios.get(
-          `https://api.1inch.dev/price/v1.1/137/${tokenAddress}?currency=USD`,
+          oneInchUrl(`/price/v1.1/137/${tokenAddress}?currency=USD`),
           { headers: { 'Authorization': `Bearer ${this.apiKey}` } }
         );
         
@@ -132,7 +133,7 @@ class RiskManagementSystem {
         // If USD currency fails, try without it
         try {
           const response = await axios.get(
-            `https://api.1inch.dev/price/v1.1/137/${tokenAddress}`,
+            oneInchUrl(`/price/v1.1/137/${tokenAddress}`),
             { headers: { 'Authorization': `Bearer ${this.apiKey}` } }
           );
           
@@ -0,0 +1,56 @@
+/**
+ * @fileoverview Simulated Execution
+ * @description Server modes. Paper and demo modes run the live engines and
+ * job types over a paper backend (see paper-trading.js): jobs validate
+ * exactly as in live mode, and every fill, approval and TWAP slice settles
+ * against a PaperLedger, paying gas and slippage per the paper-trading
+ * models. Paper mode prices fills from the live 1inch/Chainlink feeds and
+ * keeps its ledger between runs; demo mode uses fixed prices, starts fresh
+ * and needs no RPC endpoint, API key or private key.
+ * @author FEAWS Development Team
+ */
+
+const { JobValidationError } = require('./job-manager');
+
+const SERVER_MODES = ['live', 'paper', 'demo'];
+
+// Job types that rest orders on the 1inch orderbook or with Fusion resolvers;
+// the paper backend has neither
+const ORDERBOOK_JOB_TYPES = ['lop-twap', 'limit-order', 'fusion'];
+
+/**
+ * JOB_TYPES for a paper backend: the rest run unchanged against the paper
+ * wallet and swap API, orderbook types are refused when submitted
+ */
+function simulateJobTypes(types, mode) {
+    return Object.fromEntries(Object.entries(types).map(([name, type]) => [
+        name,
+        ORDERBOOK_JOB_TYPES.includes(name)
+            ? {
+                ...type,
+                validate() {
+                    throw new JobValidationError('type', `${name} jobs need live mode; ${mode} trading has no orderbook`);
+                }
+            }
+            : type
+    ]));
+}
+
+/**
+ * `--mode=live|paper|demo` from argv, else FEAWS_MODE, else live
+ */
+function parseServerMode(argv = process.argv, env = process.env) {
+    const flag = argv.find(arg => arg.startsWith('--mode='));
+    const mode = (flag ? flag.slice('--mode='.length) : env.FEAWS_MODE || 'live').toLowerCase();
+    if (!SERVER_MODES.includes(mode)) {
+        throw new Error(`Unknown server mode '${mode}', expected one of ${SERVER_MODES.join(', ')}`);
+    }
+    return mode;
+}
+
+module.exports = {
+    SERVER_MODES,
+    ORDERBOOK_JOB_TYPES,
+    simulateJobTypes,
+    parseServerMode
+};
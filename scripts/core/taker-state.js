@@ -0,0 +1,211 @@
+/**
+ * @fileoverview Taker Order State
+ * @description Per-order state machine for the taker bot, keyed by order
+ * hash and kept in an append-only journal so a restarted bot neither refills
+ * a confirmed order nor resends a fill that is still in flight
+ * @author FEAWS Development Team
+ *
+ * pending → ready → submitted → confirmed
+ *    ↑        |          |
+ *    └────────┴──────────┘  send error, revert or dropped tx: retried with backoff,
+ *                           then failed; a confirmed partial fill also returns here
+ * pending → expired          expired, skipped, or filled/cancelled by someone else
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const { toRequest } = require('./gas-strategy');
+
+const DEFAULT_JOURNAL_PATH = path.join(__dirname, '../../data/taker-journal.ndjson');
+
+const TRANSITIONS = {
+    pending: ['ready', 'expired'],
+    ready: ['submitted', 'pending', 'failed'],
+    submitted: ['confirmed', 'pending', 'failed'],
+    confirmed: [],
+    failed: [],
+    expired: []
+};
+
+const TERMINAL = ['confirmed', 'failed', 'expired'];
+
+class TakerStateMachine {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.journalPath] - Default data/taker-journal.ndjson
+     * @param {string} [options.legacyProcessedPath] - processed-orders.json to import into a new journal
+     * @param {number} [options.maxAttempts] - Failed sends before an order fails; default 3
+     * @param {number} [options.backoffSeconds] - First retry delay, doubled per attempt; default 30
+     * @param {number} [options.maxBackoffSeconds] - Default 600
+     * @param {boolean} [options.fsync] - Default true
+     * @param {TransactionQueue} [options.txQueue] - The queue fills are sent through, labelled
+     *   with their order hash; read on load, so pass it before the queue's `ready()`
+     */
+    constructor(options = {}) {
+        this.journalPath = options.journalPath || DEFAULT_JOURNAL_PATH;
+        this.txQueue = options.txQueue || null;
+        this.maxAttempts = options.maxAttempts || 3;
+        this.backoffSeconds = options.backoffSeconds ?? 30;
+        this.maxBackoffSeconds = options.maxBackoffSeconds ?? 600;
+        this.fsync = options.fsync !== false;
+        this.orders = new Map();
+
+        fs.mkdirSync(path.dirname(this.journalPath), { recursive: true });
+
+        if (fs.existsSync(this.journalPath)) {
+            this.load();
+        } else if (options.legacyProcessedPath && fs.existsSync(options.legacyProcessedPath)) {
+            for (const orderHash of JSON.parse(fs.readFileSync(options.legacyProcessedPath, 'utf8'))) {
+                this.write({ orderHash, status: 'confirmed', attempts: 0, fills: [], reason: 'imported from processed-orders.json' });
+            }
+        }
+    }
+
+    load() {
+        const lines = fs.readFileSync(this.journalPath, 'utf8').split('\n');
+
+        lines.forEach((line, index) => {
+            if (!line.trim()) return;
+
+            let entry;
+            try {
+                entry = JSON.parse(line);
+            } catch (error) {
+                // Only the final line can be torn by a crash mid-write
+                if (index < lines.length - 2) {
+                    throw new Error(`Corrupt taker journal at line ${index + 1}: ${error.message}`);
+                }
+                console.warn(`⚠️ Ignoring truncated taker journal entry at line ${index + 1}`);
+                return;
+            }
+            this.orders.set(entry.state.orderHash, entry.state);
+        });
+
+        // An order caught between deciding and sending is retried, unless the
+        // queue journaled its fill before the crash: that one is followed up
+        for (const record of this.orders.values()) {
+            if (record.status !== 'ready') continue;
+
+            const [tx] = this.txQueue ? this.txQueue.sent(record.orderHash).slice(-1) : [];
+            if (tx) {
+                const sentAt = Math.floor(tx.sentAt / 1000);
+                this.write({
+                    ...record,
+                    status: 'submitted',
+                    reason: 'restarted after sending',
+                    txHash: tx.hash,
+                    txHashes: [tx.hash],
+                    gasRequest: tx.raw ? toRequest(ethers.Transaction.from(tx.raw)) : null,
+                    submittedAt: sentAt,
+                    lastSentAt: sentAt,
+                    replacements: 0,
+                    cancelTxHash: null
+                });
+            } else {
+                this.write({ ...record, status: 'pending', reason: 'restarted before sending' });
+            }
+        }
+    }
+
+    write(record) {
+        const state = { ...record, updatedAt: Date.now() };
+        const line = JSON.stringify({ at: state.updatedAt, state }, (key, value) =>
+            typeof value === 'bigint' ? value.toString() : value
+        ) + '\n';
+
+        const fd = fs.openSync(this.journalPath, 'a');
+        try {
+            fs.writeSync(fd, line);
+            if (this.fsync) {
+                fs.fsyncSync(fd);
+            }
+        } finally {
+            fs.closeSync(fd);
+        }
+
+        this.orders.set(state.orderHash, state);
+        return state;
+    }
+
+    get(orderHash) {
+        return this.orders.get(orderHash);
+    }
+
+    records() {
+        return [...this.orders.values()];
+    }
+
+    isTerminal(record) {
+        return TERMINAL.includes(record.status);
+    }
+
+    /**
+     * Start tracking a discovered order; known orders keep their state
+     * @param {Object} entry - Discovered order (orderHash, source, sliceIndex)
+     */
+    track(entry) {
+        return this.orders.get(entry.orderHash) || this.write({
+            orderHash: entry.orderHash,
+            status: 'pending',
+            source: entry.source,
+            sliceIndex: entry.sliceIndex,
+            attempts: 0,
+            fills: []
+        });
+    }
+
+    /**
+     * @param {string} orderHash
+     * @param {string} status
+     * @param {Object} [fields] - Merged into the record
+     */
+    transition(orderHash, status, fields = {}) {
+        const record = this.orders.get(orderHash);
+        if (!record) {
+            throw new Error(`Order ${orderHash} is not tracked`);
+        }
+        if (!TRANSITIONS[record.status].includes(status)) {
+            throw new Error(`Order ${orderHash} cannot go from ${record.status} to ${status}`);
+        }
+        return this.write({ ...record, ...fields, status });
+    }
+
+    /**
+     * Merge fields into a record without changing its status
+     */
+    update(orderHash, fields) {
+        return this.write({ ...this.orders.get(orderHash), ...fields });
+    }
+
+    /**
+     * A send, revert or drop: back to pending after a backoff, or failed
+     * once the attempts run out
+     * @param {number} now - Unix seconds
+     */
+    retry(orderHash, reason, now) {
+        const record = this.orders.get(orderHash);
+        const attempts = (record.attempts || 0) + 1;
+
+        if (attempts >= this.maxAttempts) {
+            return this.transition(orderHash, 'failed', { attempts, reason, txHash: null });
+        }
+
+        const delay = Math.min(this.backoffSeconds * 2 ** (attempts - 1), this.maxBackoffSeconds);
+        return this.transition(orderHash, 'pending', { attempts, reason, txHash: null, nextAttemptAt: now + delay });
+    }
+
+    /**
+     * Pending and past any backoff
+     * @param {Object} record
+     * @param {number} now - Unix seconds
+     */
+    isDue(record, now) {
+        return record.status === 'pending' && (record.nextAttemptAt || 0) <= now;
+    }
+}
+
+module.exports = TakerStateMachine;
+module.exports.TakerStateMachine = TakerStateMachine;
+module.exports.TRANSITIONS = TRANSITIONS;
+module.exports.DEFAULT_JOURNAL_PATH = DEFAULT_JOURNAL_PATH;
@@ -0,0 +1,86 @@
+/**
+ * @fileoverview Transaction Cost Analysis
+ * @description Post-trade benchmarking of a sliced execution against the
+ * arrival price, the per-slice quotes and the period TWAP
+ * @author FEAWS Development Team
+ *
+ * Prices are output per unit of input, so a higher price is better for the
+ * trader. Every cost below is in basis points and positive when it hurt.
+ * Amounts may be human units or raw base units as long as they are consistent.
+ */
+
+function toNumber(value) {
+    return typeof value === 'number' ? value : Number(value);
+}
+
+function bps(cost, reference) {
+    return reference > 0 ? Math.round((cost / reference) * 1e6) / 100 : 0;
+}
+
+/**
+ * @param {Object} params
+ * @param {number|string} params.arrivalPrice - Quoted price when the parent order was created
+ * @param {Array<Object>} params.fills - One entry per executed slice:
+ *   { slice, inputAmount, outputAmount, quotedOutput, gasCost }
+ *   where gasCost is already expressed in output units
+ * @param {Array<number>} [params.periodPrices] - Market prices sampled over the
+ *   execution window; defaults to the per-slice quote prices
+ * @returns {Object|null} TCA report, or null when nothing was executed
+ */
+function analyzeExecution({ arrivalPrice, fills, periodPrices = [] }) {
+    const executed = fills.filter(fill =>
+        toNumber(fill.inputAmount) > 0 && fill.outputAmount !== undefined && fill.outputAmount !== null
+    );
+
+    if (executed.length === 0) {
+        return null;
+    }
+
+    const arrival = toNumber(arrivalPrice);
+    const totalInput = executed.reduce((sum, f) => sum + toNumber(f.inputAmount), 0);
+    const totalOutput = executed.reduce((sum, f) => sum + toNumber(f.outputAmount), 0);
+    const totalQuoted = executed.reduce((sum, f) => sum + toNumber(f.quotedOutput ?? f.outputAmount), 0);
+    const totalGas = executed.reduce((sum, f) => sum + toNumber(f.gasCost || 0), 0);
+
+    const averagePrice = totalOutput / totalInput;
+    const averageQuotedPrice = totalQuoted / totalInput;
+
+    const samples = periodPrices.length > 0
+        ? periodPrices.map(toNumber)
+        : executed.map(f => toNumber(f.quotedOutput ?? f.outputAmount) / toNumber(f.inputAmount));
+    const periodTWAP = samples.reduce((sum, p) => sum + p, 0) / samples.length;
+
+    const implementationShortfallBps = bps(arrival - averagePrice, arrival);
+    const gasBps = bps(totalGas, totalInput * arrival);
+
+    return {
+        slicesAnalyzed: executed.length,
+        totalInput,
+        totalOutput,
+        arrivalPrice: arrival,
+        averagePrice,
+        averageQuotedPrice,
+        periodTWAP,
+        implementationShortfallBps,
+        slippageVsQuoteBps: bps(totalQuoted - totalOutput, totalQuoted),
+        timingCostBps: bps(arrival - averageQuotedPrice, arrival),
+        vsPeriodTWAPBps: bps(periodTWAP - averagePrice, periodTWAP),
+        gasCost: totalGas,
+        gasBps,
+        totalCostBps: Math.round((implementationShortfallBps + gasBps) * 100) / 100,
+        slices: executed.map(f => {
+            const price = toNumber(f.outputAmount) / toNumber(f.inputAmount);
+            const quoted = toNumber(f.quotedOutput ?? f.outputAmount);
+
+            return {
+                slice: f.slice,
+                price,
+                quotedPrice: quoted / toNumber(f.inputAmount),
+                slippageVsQuoteBps: bps(quoted - toNumber(f.outputAmount), quoted),
+                vsArrivalBps: bps(arrival - price, arrival)
+            };
+        })
+    };
+}
+
+module.exports = { analyzeExecution };
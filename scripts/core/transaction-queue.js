@@ -0,0 +1,355 @@
+/**
+ * @fileoverview Transaction Queue
+ * @description One queue per signer that every engine sends through, so
+ * TWAP slices, approvals, rebalancer trades and fallback swaps on the same
+ * key never race for a nonce. Transactions are signed and broadcast one at
+ * a time with nonces tracked locally, and each signed transaction is
+ * journaled before it is broadcast so a restarted process can put pending
+ * ones back in the mempool.
+ * @author FEAWS Development Team
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const { systemClock } = require('./clock');
+const { bumpFees } = require('./gas-strategy');
+
+const DEFAULT_JOURNAL_DIR = path.join(__dirname, '../../data/tx-queue');
+
+// Queues by provider, then by signer address: engines sharing a provider
+// and key share a queue, while separate paper ledgers (same throwaway key)
+// keep their own
+const queues = new WeakMap();
+
+function isNonceTooLow(error) {
+    return error.code === 'NONCE_EXPIRED' || /nonce too low|nonce has already been used/i.test(error.message || '');
+}
+
+function isUnderpriced(error) {
+    return error.code === 'REPLACEMENT_UNDERPRICED' || /replacement (transaction )?underpriced/i.test(error.message || '');
+}
+
+class TransactionQueue {
+    /**
+     * The queue for `signer`'s address on its provider, created on first use.
+     * Options only apply to the call that creates it.
+     * @param {ethers.Signer} signer
+     * @param {Object} [options] - As for the constructor
+     * @returns {TransactionQueue}
+     */
+    static for(signer, options = {}) {
+        if (signer instanceof TransactionQueue) {
+            return signer;
+        }
+        if (!queues.has(signer.provider)) {
+            queues.set(signer.provider, new Map());
+        }
+        const byAddress = queues.get(signer.provider);
+        const key = signer.address.toLowerCase();
+        if (!byAddress.has(key)) {
+            byAddress.set(key, new TransactionQueue({ ...options, signer }));
+        }
+        return byAddress.get(key);
+    }
+
+    /**
+     * @param {Object} options
+     * @param {ethers.Signer} options.signer - Must be connected to a provider
+     * @param {string} [options.journalDir] - Default data/tx-queue; the journal is <address>.ndjson
+     * @param {string|null} [options.journalPath] - Overrides journalDir; null keeps the queue in memory
+     * @param {number} [options.maxRetries] - Re-sends after nonce and underpricing errors; default 3
+     * @param {number} [options.staleAfterMs] - A dropped transaction older than this is not re-broadcast
+     *   on recovery; its nonce is filled with an empty transfer instead. Default 600000
+     * @param {boolean} [options.fsync] - Default true
+     * @param {Object} [options.clock]
+     */
+    constructor(options) {
+        this.signer = options.signer;
+        this.provider = options.signer.provider;
+        this.address = options.signer.address;
+        this.journalPath = options.journalPath !== undefined
+            ? options.journalPath
+            : path.join(options.journalDir || DEFAULT_JOURNAL_DIR, `${this.address.toLowerCase()}.ndjson`);
+        this.maxRetries = options.maxRetries ?? 3;
+        this.staleAfterMs = options.staleAfterMs ?? 600000;
+        this.fsync = options.fsync !== false;
+        this.clock = options.clock || systemClock;
+
+        // In-flight transactions by hash; replacements share their original's nonce
+        this.transactions = new Map();
+        this.nextNonce = null;
+        this.tail = Promise.resolve();
+        this.recovery = null;
+
+        if (this.journalPath) {
+            fs.mkdirSync(path.dirname(this.journalPath), { recursive: true });
+            if (fs.existsSync(this.journalPath)) {
+                this.load();
+            }
+        }
+    }
+
+    load() {
+        const lines = fs.readFileSync(this.journalPath, 'utf8').split('\n');
+
+        lines.forEach((line, index) => {
+            if (!line.trim()) return;
+            try {
+                this.remember(JSON.parse(line).tx);
+            } catch (error) {
+                // A crash mid-append can only tear the last line
+                if (index < lines.length - 2) {
+                    throw new Error(`Corrupt transaction journal at line ${index + 1}: ${error.message}`);
+                }
+                console.warn(`⚠️ Ignoring truncated transaction journal entry at line ${index + 1}`);
+            }
+        });
+
+        // Start the file over with only what is still in flight
+        const temporary = `${this.journalPath}.tmp`;
+        fs.writeFileSync(temporary, [...this.transactions.values()].map(tx => JSON.stringify({ at: tx.updatedAt, tx }) + '\n').join(''));
+        fs.renameSync(temporary, this.journalPath);
+    }
+
+    // Only transactions still in flight are kept in memory
+    remember(tx) {
+        if (tx.status === 'sent') {
+            this.transactions.set(tx.hash, tx);
+        } else {
+            this.transactions.delete(tx.hash);
+        }
+    }
+
+    write(tx) {
+        const entry = { ...tx, updatedAt: this.clock.now() };
+        this.remember(entry);
+        if (!this.journalPath) {
+            return entry;
+        }
+
+        const fd = fs.openSync(this.journalPath, 'a');
+        try {
+            fs.writeSync(fd, JSON.stringify({ at: entry.updatedAt, tx: entry }) + '\n');
+            if (this.fsync) {
+                fs.fsyncSync(fd);
+            }
+        } finally {
+            fs.closeSync(fd);
+        }
+        return entry;
+    }
+
+    async getAddress() {
+        return this.address;
+    }
+
+    /**
+     * The nonce the next queued transaction gets
+     */
+    async getNonce() {
+        return this.enqueue(async () => {
+            await this.ready();
+            return this.nextNonce;
+        });
+    }
+
+    /**
+     * Transactions broadcast and not yet known to be mined, oldest nonce first
+     */
+    pending() {
+        return [...this.transactions.values()]
+            .filter(tx => tx.status === 'sent')
+            .sort((a, b) => a.nonce - b.nonce);
+    }
+
+    /**
+     * Pending transactions sent with `label`, oldest first. Read before
+     * `ready()` after a restart, this includes any mined while the process
+     * was down.
+     */
+    sent(label) {
+        return this.pending().filter(tx => tx.label === label);
+    }
+
+    // Run tasks one at a time, in the order they were queued
+    enqueue(task) {
+        const run = this.tail.then(task);
+        this.tail = run.catch(() => {});
+        return run;
+    }
+
+    /**
+     * Recover on first use after a restart
+     */
+    ready() {
+        if (!this.recovery) {
+            this.recovery = this.recover().catch(error => {
+                this.recovery = null;
+                throw error;
+            });
+        }
+        return this.recovery;
+    }
+
+    /**
+     * Line the local nonce up with the chain: nonces below the mined count are
+     * settled, and the next nonce follows both the node's pending count and
+     * anything still in flight from this queue
+     */
+    async sync() {
+        const [mined, pendingCount] = await Promise.all([
+            this.provider.getTransactionCount(this.address, 'latest'),
+            this.provider.getTransactionCount(this.address, 'pending')
+        ]);
+
+        for (const tx of this.pending()) {
+            if (tx.nonce < mined) {
+                this.write({ ...tx, status: 'settled' });
+            }
+        }
+
+        const inFlight = this.pending();
+        const afterInFlight = inFlight.length > 0 ? inFlight[inFlight.length - 1].nonce + 1 : 0;
+        this.nextNonce = Math.max(pendingCount, afterInFlight);
+        return this.nextNonce;
+    }
+
+    /**
+     * Put transactions journaled as sent back in the mempool: any the node
+     * still knows are left alone, recent ones it lost are re-broadcast and
+     * stale ones have their nonce filled with an empty transfer, so later
+     * nonces are not held up
+     * @returns {Promise<Object[]>} { nonce, hash, action } per in-flight nonce
+     */
+    async recover() {
+        await this.sync();
+
+        const byNonce = new Map();
+        for (const tx of this.pending()) {
+            byNonce.set(tx.nonce, [...(byNonce.get(tx.nonce) || []), tx]);
+        }
+
+        const results = [];
+        for (const [nonce, sent] of byNonce) {
+            const known = await Promise.all(sent.map(tx => this.provider.getTransaction(tx.hash)));
+            if (known.some(Boolean)) {
+                results.push({ nonce, hash: sent[known.findIndex(Boolean)].hash, action: 'pending' });
+                continue;
+            }
+
+            // The latest replacement has the highest fees
+            const latest = sent[sent.length - 1];
+            const stale = this.clock.now() - latest.sentAt > this.staleAfterMs;
+            try {
+                let hash;
+                if (stale || !latest.raw) {
+                    const response = await this.broadcast({ to: this.address, value: 0n, gasLimit: 21000n, nonce }, { label: `fill nonce ${nonce}` });
+                    hash = response.hash;
+                    results.push({ nonce, hash, action: 'filled' });
+                } else {
+                    hash = (await this.provider.broadcastTransaction(latest.raw)).hash;
+                    results.push({ nonce, hash, action: 'rebroadcast' });
+                }
+                sent.filter(tx => tx.hash !== hash).forEach(tx => this.write({ ...tx, status: 'replaced' }));
+            } catch (error) {
+                if (!isNonceTooLow(error)) throw error;
+                sent.forEach(tx => this.write({ ...tx, status: 'settled' }));
+                results.push({ nonce, hash: latest.hash, action: 'settled' });
+            }
+        }
+
+        if (results.length > 0) {
+            console.log(`♻️ Recovered ${results.length} in-flight transaction(s) for ${this.address}: ${results.map(r => `nonce ${r.nonce} ${r.action}`).join(', ')}`);
+        }
+        await this.sync();
+        return results;
+    }
+
+    /**
+     * Queue a transaction. Without a nonce it gets the next local one; with
+     * one (a speed-up or cancel) it replaces what was sent on that nonce.
+     * @param {Object} tx - ethers TransactionRequest
+     * @param {Object} [options]
+     * @param {string} [options.label] - Journaled with the transaction, to find it after a restart
+     * @returns {Promise<ethers.TransactionResponse>}
+     */
+    sendTransaction(tx, options = {}) {
+        return this.enqueue(async () => {
+            await this.ready();
+            // Settle what has been mined since the last send
+            if (this.pending().length > 0) {
+                await this.sync();
+            }
+            return this.broadcast(tx, options);
+        });
+    }
+
+    /**
+     * Sign, journal and broadcast. "nonce too low" on a fresh nonce re-syncs
+     * and retries on the next one. "replacement underpriced" on a fresh nonce
+     * means another sender on this key holds it in the mempool, so that is
+     * skipped too; on a deliberate replacement the fees are raised again.
+     */
+    async broadcast(tx, options = {}) {
+        const replacing = tx.nonce !== undefined && tx.nonce !== null;
+        let request = { ...tx };
+
+        for (let attempt = 0; ; attempt++) {
+            const nonce = replacing ? Number(tx.nonce) : this.nextNonce;
+            const populated = await this.signer.populateTransaction({ ...request, nonce });
+
+            let entry = null;
+            let response;
+            try {
+                if (typeof this.signer.signTransaction === 'function') {
+                    const raw = await this.signer.signTransaction(populated);
+                    entry = this.write({
+                        hash: ethers.Transaction.from(raw).hash,
+                        nonce,
+                        raw,
+                        label: options.label || null,
+                        status: 'sent',
+                        sentAt: this.clock.now()
+                    });
+                    response = await this.provider.broadcastTransaction(raw);
+                } else {
+                    // Signers that only send (a node-managed account): journaled once accepted
+                    response = await this.signer.sendTransaction(populated);
+                    entry = this.write({ hash: response.hash, nonce, raw: null, label: options.label || null, status: 'sent', sentAt: this.clock.now() });
+                }
+            } catch (error) {
+                if (entry) {
+                    this.write({ ...entry, status: 'failed', error: error.message });
+                }
+                if (attempt >= this.maxRetries) throw error;
+
+                if (isNonceTooLow(error)) {
+                    // A replacement whose nonce is mined has nothing left to replace
+                    if (replacing) throw error;
+                    await this.sync();
+                    continue;
+                }
+                if (isUnderpriced(error)) {
+                    if (!replacing) {
+                        await this.sync();
+                        this.nextNonce = Math.max(this.nextNonce, nonce + 1);
+                        continue;
+                    }
+                    request = { ...request, ...bumpFees(populated) };
+                    continue;
+                }
+                throw error;
+            }
+
+            if (!replacing && nonce >= this.nextNonce) {
+                this.nextNonce = nonce + 1;
+            }
+            return response;
+        }
+    }
+}
+
+module.exports = TransactionQueue;
+module.exports.TransactionQueue = TransactionQueue;
+module.exports.DEFAULT_JOURNAL_DIR = DEFAULT_JOURNAL_DIR;
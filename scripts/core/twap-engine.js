@@ -1,5 +1,7 @@
 const { ethers } = require('ethers');
 const axios = require('axios');
+const { analyzeExecution } = require('./tca');
+const { oneInchUrl } = require('./oneinch-api');
 require('dotenv').config();
 
 async function main() {
@@ -76,6 +78,16 @@ async function main() {
         console.log('');
     }
     
+    // Arrival price: WPOL per USDC at decision time, quoted on one slice so the
+    // whole order's price impact does not lower the benchmark
+    const arrivalQuote = await axios.get(
+        oneInchUrl(`/swap/v6.0/137/quote?src=${USDC_ADDRESS}&dst=${WPOL_ADDRESS}&amount=${sliceAmount.toString()}`),
+        { headers }
+    );
+    const arrivalPrice = parseFloat(ethers.formatEther(arrivalQuote.data.dstAmount)) / parseFloat(ethers.formatUnits(sliceAmount, 6));
+    console.log('📍 Arrival price:', arrivalPrice.toFixed(6), 'WPOL/USDC');
+    console.log('');
+    
     const executedSwaps = [];
     const startTime = Date.now();
     
@@ -90,7 +102,7 @@ async function main() {
         
         try {
             // Get quote
-            const quoteUrl = `https://api.1inch.dev/swap/v6.0/137/quote?src=${USDC_ADDRESS}&dst=${WPOL_ADDRESS}&amount=${sliceAmount.toString()}`;
+            const quoteUrl = oneInchUrl(`/swap/v6.0/137/quote?src=${USDC_ADDRESS}&dst=${WPOL_ADDRESS}&amount=${sliceAmount.toString()}`);
             
             const quoteResponse = await axios.get(quoteUrl, { headers });
             const expectedWpol = quoteResponse.data.dstAmount;
@@ -101,11 +113,13 @@ async function main() {
             console.log('   Rate:', (parseFloat(ethers.formatEther(expectedWpol)) / parseFloat(ethers.formatUnits(sliceAmount, 6))).toFixed(6), 'WPOL/USDC');
             
             // Get swap transaction
-            const swapUrl = `https://api.1inch.dev/swap/v6.0/137/swap?src=${USDC_ADDRESS}&dst=${WPOL_ADDRESS}&amount=${sliceAmount.toString()}&from=${makerWallet.address}&slippage=1`;
+            const swapUrl = oneInchUrl(`/swap/v6.0/137/swap?src=${USDC_ADDRESS}&dst=${WPOL_ADDRESS}&amount=${sliceAmount.toString()}&from=${makerWallet.address}&slippage=1`);
             
             const swapResponse = await axios.get(swapUrl, { headers });
             const txData = swapResponse.data.tx;
             
+            const wpolBeforeSwap = await wpolContract.balanceOf(makerWallet.address);
+            
             // Execute swap
             console.log('🔄 Executing swap...');
             const swapTx = await makerWallet.sendTransaction({
@@ -123,21 +137,24 @@ async function main() {
             if (receipt.status === 1) {
                 console.log('✅ Swap successful!');
                 
-                // Record the swap
+                // Check actual balances after swap
+                const currentUsdcBalance = await usdcContract.balanceOf(makerWallet.address);
+                const currentWpolBalance = await wpolContract.balanceOf(makerWallet.address);
+                
+                // Record the swap (gas is paid in POL, which trades 1:1 with WPOL)
                 executedSwaps.push({
                     slice: i + 1,
                     hash: swapTx.hash,
                     inputAmount: ethers.formatUnits(sliceAmount, 6),
                     expectedOutput: ethers.formatEther(expectedWpol),
+                    actualOutput: ethers.formatEther(currentWpolBalance - wpolBeforeSwap),
+                    gasUsed: receipt.gasUsed.toString(),
+                    gasCost: ethers.formatEther(receipt.gasUsed * receipt.gasPrice),
                     timestamp: new Date().toISOString(),
                     polygonscan: `https://polygonscan.com/tx/${swapTx.hash}`,
                     executionTime: Date.now() - sliceStartTime
                 });
                 
-                // Check actual balances after swap
-                const currentUsdcBalance = await usdcContract.balanceOf(makerWallet.address);
-                const currentWpolBalance = await wpolContract.balanceOf(makerWallet.address);
-                
                 console.log('💰 Updated balances:');
                 console.log('   USDC:', ethers.formatUnits(currentUsdcBalance, 6));
                 console.log('   WPOL:', ethers.formatEther(currentWpolBalance));
@@ -173,6 +190,28 @@ async function main() {
     console.log('   Total WPOL received:', ethers.formatEther(finalWpolBalance - initialWpolBalance));
     console.log('');
     
+    const tca = analyzeExecution({
+        arrivalPrice,
+        fills: executedSwaps.map(swap => ({
+            slice: swap.slice,
+            inputAmount: swap.inputAmount,
+            outputAmount: swap.actualOutput,
+            quotedOutput: swap.expectedOutput,
+            gasCost: swap.gasCost
+        }))
+    });
+    
+    if (tca) {
+        console.log('📐 TRANSACTION COST ANALYSIS:');
+        console.log('   Arrival price:', tca.arrivalPrice.toFixed(6), 'WPOL/USDC');
+        console.log('   Average price:', tca.averagePrice.toFixed(6), 'WPOL/USDC');
+        console.log('   Implementation shortfall:', tca.implementationShortfallBps, 'bps');
+        console.log('   Slippage vs quote:', tca.slippageVsQuoteBps, 'bps');
+        console.log('   Timing cost:', tca.timingCostBps, 'bps');
+        console.log('   Gas:', tca.gasBps, 'bps of notional');
+        console.log('');
+    }
+    
     console.log('💰 FINAL BALANCES:');
     console.log('   USDC:', ethers.formatUnits(finalUsdcBalance, 6));
     console.log('   WPOL:', ethers.formatEther(finalWpolBalance));
@@ -208,6 +247,7 @@ async function main() {
             totalUSDCProcessed: ethers.formatUnits(initialUsdcBalance - finalUsdcBalance, 6),
             totalWPOLReceived: ethers.formatEther(finalWpolBalance - initialWpolBalance),
             swaps: executedSwaps,
+            tca: tca,
             balanceChanges: {
                 initial: {
                     usdc: ethers.formatUnits(initialUsdcBalance, 6),
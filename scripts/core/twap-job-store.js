@@ -0,0 +1,133 @@
+/**
+ * @fileoverview TWAP Job Store
+ * @description Append-only journal of TWAP and slice state transitions so that
+ * ProductionTWAPEngine can rehydrate running TWAPs after a crash or redeploy
+ * @author FEAWS Development Team
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_JOURNAL_PATH = path.join(__dirname, '../../data/twap-journal.ndjson');
+// Nothing left to recover; the final record is kept in data/twap-orders/
+const FINISHED_STATUSES = ['completed', 'partial', 'cancelled'];
+
+class TWAPJobStore {
+    constructor(options = {}) {
+        this.journalPath = options.journalPath || DEFAULT_JOURNAL_PATH;
+        this.fsync = options.fsync !== false;
+
+        fs.mkdirSync(path.dirname(this.journalPath), { recursive: true });
+    }
+
+    /**
+     * Record the latest state of a TWAP order (without its slices)
+     * @param {Object} twap - Serializable TWAP order
+     */
+    recordTWAP(twap) {
+        const { slices, ...state } = twap;
+        this.append({ type: 'twap', id: state.id, state });
+    }
+
+    /**
+     * Record the latest state of a single slice
+     * @param {Object} slice - Serializable slice
+     */
+    recordSlice(slice) {
+        this.append({ type: 'slice', id: slice.id, twapId: slice.twapId, state: slice });
+    }
+
+    append(entry) {
+        const line = JSON.stringify({ at: Date.now(), ...entry }, (key, value) =>
+            typeof value === 'bigint' ? value.toString() : value
+        ) + '\n';
+
+        const fd = fs.openSync(this.journalPath, 'a');
+        try {
+            fs.writeSync(fd, line);
+            if (this.fsync) {
+                fs.fsyncSync(fd);
+            }
+        } finally {
+            fs.closeSync(fd);
+        }
+    }
+
+    /**
+     * Replay the journal and return the last known state of every TWAP
+     * @returns {Map<string, Object>} TWAP id -> state with a `slices` array ordered by sliceIndex
+     */
+    load() {
+        const twaps = new Map();
+        const slices = new Map();
+
+        if (!fs.existsSync(this.journalPath)) {
+            return twaps;
+        }
+
+        const lines = fs.readFileSync(this.journalPath, 'utf8').split('\n');
+
+        lines.forEach((line, index) => {
+            if (!line.trim()) return;
+
+            let entry;
+            try {
+                entry = JSON.parse(line);
+            } catch (error) {
+                // A torn write can only affect the final line; anything else is corruption
+                if (index < lines.length - 2) {
+                    throw new Error(`Corrupt TWAP journal at line ${index + 1}: ${error.message}`);
+                }
+                console.warn(`⚠️ Ignoring truncated TWAP journal entry at line ${index + 1}`);
+                return;
+            }
+
+            if (entry.type === 'twap') {
+                twaps.set(entry.id, { ...twaps.get(entry.id), ...entry.state });
+            } else if (entry.type === 'slice') {
+                if (!slices.has(entry.twapId)) {
+                    slices.set(entry.twapId, new Map());
+                }
+                slices.get(entry.twapId).set(entry.id, entry.state);
+            }
+        });
+
+        for (const [twapId, twap] of twaps) {
+            const twapSlices = slices.get(twapId) || new Map();
+            twap.slices = Array.from(twapSlices.values()).sort((a, b) => a.sliceIndex - b.sliceIndex);
+        }
+
+        return twaps;
+    }
+
+    /**
+     * TWAPs that were executing or paused when the process stopped
+     */
+    getRecoverableTWAPs() {
+        return Array.from(this.load().values()).filter(twap => ['executing', 'paused'].includes(twap.status));
+    }
+
+    /**
+     * Rewrite the journal keeping only the latest state of each unfinished
+     * TWAP and its slices
+     */
+    compact() {
+        const twaps = this.load();
+        const tmpPath = `${this.journalPath}.tmp`;
+        const lines = [];
+
+        for (const twap of twaps.values()) {
+            if (FINISHED_STATUSES.includes(twap.status)) continue;
+            const { slices, ...state } = twap;
+            lines.push(JSON.stringify({ at: Date.now(), type: 'twap', id: state.id, state }));
+            for (const slice of slices) {
+                lines.push(JSON.stringify({ at: Date.now(), type: 'slice', id: slice.id, twapId: slice.twapId, state: slice }));
+            }
+        }
+
+        fs.writeFileSync(tmpPath, lines.length ? lines.join('\n') + '\n' : '');
+        fs.renameSync(tmpPath, this.journalPath);
+    }
+}
+
+module.exports = TWAPJobStore;
@@ -1,48 +1,86 @@
 #!/usr/bin/env node
 
 /**
- * Decode predicate timestamp from orders file
+ * Decode LOP v4 order predicates
+ *
+ * Usage:
+ *   npm run decode-predicate              # every order in data/orders.json
+ *   npm run decode-predicate -- 0x...     # a single predicate
+ *
+ * With POLYGON_RPC_URL set, each predicate is also evaluated on-chain
+ * through the Limit Order Protocol's checkPredicate().
  */
 
-const ethers = require('ethers');
+require('dotenv').config();
+const { ethers } = require('ethers');
 const fs = require('fs');
 const path = require('path');
+const { decodePredicate, describePredicate } = require('./core/lop-predicates');
+const { LimitOrderV4, LOP_V4_ADDRESS, LOP_V4_ABI } = require('./core/lop-order');
 
-function main() {
-    // Load orders
-    const ordersPath = path.join(__dirname, '../data/orders.json');
+const DATA_DIR = process.env.FEAWS_DATA_DIR || path.join(__dirname, '../data');
+
+async function evaluateOnChain(lop, predicate) {
+    if (!lop || !predicate || predicate === '0x') {
+        return null;
+    }
+
+    try {
+        return await lop.checkPredicate(predicate);
+    } catch (error) {
+        return `error: ${error.shortMessage || error.message}`;
+    }
+}
+
+async function report(label, predicate, lop) {
+    const tree = decodePredicate(predicate);
+
+    console.log(label);
+    console.log(`   Predicate: ${describePredicate(tree)}`);
+
+    if (tree.op === 'unknown') {
+        console.log('   ⚠️ Not a valid LOP v4 predicate; the order is not gated on-chain. Rebuild it with npm run build-orders');
+    }
+
+    const onChain = await evaluateOnChain(lop, predicate);
+    if (onChain !== null) {
+        console.log(`   On-chain: ${onChain === true ? '✅ fillable now' : onChain === false ? '⏳ not fillable now' : onChain}`);
+    }
+    console.log('');
+}
+
+async function main() {
+    const lop = process.env.POLYGON_RPC_URL
+        ? new ethers.Contract(LOP_V4_ADDRESS, LOP_V4_ABI, new ethers.JsonRpcProvider(process.env.POLYGON_RPC_URL))
+        : null;
+
+    console.log(`Current time: ${new Date().toISOString()}`);
+    console.log('');
+
+    const predicateArg = process.argv[2];
+    if (predicateArg) {
+        await report('Predicate', predicateArg, lop);
+        return;
+    }
+
+    const ordersPath = path.join(DATA_DIR, 'orders.json');
     const ordersData = JSON.parse(fs.readFileSync(ordersPath, 'utf8'));
-    
+
     if (ordersData.orders.length === 0) {
-        console.log("No orders found");
+        console.log('No orders found');
         return;
     }
-    
-    // Use the first order
-    const order = ordersData.orders[0];
-    const predicate = order.order.predicate;
-    
-    console.log(`Order slice: ${order.sliceIndex}`);
-    console.log(`Available at: ${order.availableAtISO}`);
-    
-    // Extract the timestamp from the predicate
-    const timestampHex = "0x" + predicate.slice(-8);
-    const timestamp = parseInt(timestampHex);
-    
-    console.log(`Predicate timestamp: ${timestamp}`);
-    console.log(`Date: ${new Date(timestamp * 1000).toISOString()}`);
-    
-    // Current time
-    const now = Math.floor(Date.now() / 1000);
-    console.log(`Current timestamp: ${now}`);
-    console.log(`Current date: ${new Date(now * 1000).toISOString()}`);
-    
-    // Check if order is still valid
-    if (now >= timestamp) {
-        console.log("❌ Order has expired");
-    } else {
-        console.log("✅ Order is still valid");
+
+    for (const entry of ordersData.orders) {
+        // v4 orders carry the predicate in their extension; legacy files stored it inline
+        const predicate = ordersData.orderFormat === 'lop-v4'
+            ? LimitOrderV4.fromJSON(entry.order).predicate
+            : entry.order.predicate;
+        await report(`Order slice ${entry.sliceIndex} (available at ${entry.availableAtISO})`, predicate, lop);
     }
 }
 
-main();
+main().catch(error => {
+    console.error('❌ Failed to decode predicates:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,227 @@
+#!/usr/bin/env node
+
+/**
+ * @fileoverview API Client Generator
+ * @description Writes assets/js/api-client.js, a JSDoc-typed client with one
+ * method per operation in scripts/core/openapi.js. The output loads as a
+ * browser script (window.FeawsApiClient) or a CommonJS module.
+ * @author FEAWS Development Team
+ */
+
+const fs = require('fs');
+const path = require('path');
+const spec = require('./core/openapi');
+
+const OUTPUT = path.join(__dirname, '../assets/js/api-client.js');
+const METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+function refName(schema) {
+    return schema.$ref.split('/').pop();
+}
+
+/**
+ * JSDoc type expression for a schema
+ */
+function typeOf(schema) {
+    if (!schema) return '*';
+    if (schema.$ref) return refName(schema);
+    if (schema.oneOf) return schema.oneOf.map(typeOf).join('|');
+    if ('const' in schema) return JSON.stringify(schema.const);
+    if (schema.enum) return schema.enum.map(value => `'${value}'`).join('|');
+
+    const types = [].concat(schema.type || []);
+    if (types.length === 0) return '*';
+
+    return types.map(type => {
+        switch (type) {
+            case 'integer': return 'number';
+            case 'array': return `Array<${typeOf(schema.items)}>`;
+            case 'object': {
+                if (schema.properties && Object.keys(schema.properties).length > 0) {
+                    const required = schema.required || [];
+                    const fields = Object.entries(schema.properties)
+                        .map(([key, value]) => `${key}${required.includes(key) ? '' : '?'}: ${typeOf(value)}`);
+                    return `{ ${fields.join(', ')} }`;
+                }
+                return typeof schema.additionalProperties === 'object'
+                    ? `Object<string, ${typeOf(schema.additionalProperties)}>`
+                    : 'Object';
+            }
+            default: return type;
+        }
+    }).join('|');
+}
+
+function describe(schema) {
+    const parts = [schema.description, schema.default !== undefined && `Default: ${JSON.stringify(schema.default)}`].filter(Boolean);
+    return parts.length > 0 ? ` - ${parts.join('. ')}` : '';
+}
+
+function typedef(name, schema) {
+    const lines = schema.description ? [schema.description] : [];
+    if (schema.properties && Object.keys(schema.properties).length > 0) {
+        const required = schema.required || [];
+        lines.push(`@typedef {Object} ${name}`);
+        for (const [key, value] of Object.entries(schema.properties)) {
+            const label = required.includes(key) ? key : `[${key}]`;
+            lines.push(`@property {${typeOf(value)}} ${label}${describe(value)}`);
+        }
+        return lines;
+    }
+    return [...lines, `@typedef {${typeOf(schema)}} ${name}`];
+}
+
+function jsdoc(lines, indent) {
+    return [`${indent}/**`, ...lines.map(line => `${indent} * ${line}`.trimEnd()), `${indent} */`].join('\n');
+}
+
+function jsonSchema(content) {
+    return content && content['application/json'] && content['application/json'].schema;
+}
+
+function operations() {
+    const list = [];
+    for (const [template, item] of Object.entries(spec.paths)) {
+        for (const method of METHODS.filter(m => item[m])) {
+            const operation = item[method];
+            const success = Object.entries(operation.responses).find(([status]) => status.startsWith('2'));
+            // Server-Sent Events and other non-JSON responses are left to events.js
+            if (!success || !jsonSchema(success[1].content)) {
+                continue;
+            }
+            list.push({ method: method.toUpperCase(), template, operation, response: jsonSchema(success[1].content) });
+        }
+    }
+    return list;
+}
+
+function generateMethod({ method, template, operation, response }) {
+    const parameters = operation.parameters || [];
+    const pathParams = parameters.filter(p => p.in === 'path');
+    const queryParams = parameters.filter(p => p.in === 'query');
+    const body = operation.requestBody;
+
+    const doc = [operation.summary];
+    if (operation['x-feaws-role']) {
+        doc.push(`Requires the ${operation['x-feaws-role']} role.`);
+    }
+    for (const p of pathParams) {
+        doc.push(`@param {${typeOf(p.schema)}} ${p.name}${p.description ? ` - ${p.description}` : ''}`);
+    }
+    if (body) {
+        const schema = jsonSchema(body.content);
+        doc.push(`@param {${typeOf(schema)}} ${body.required ? 'body' : '[body]'}`);
+    }
+    if (queryParams.length > 0) {
+        doc.push('@param {Object} [query]');
+        for (const p of queryParams) {
+            doc.push(`@param {${typeOf(p.schema)}} [query.${p.name}]${describe({ ...p.schema, description: p.description })}`);
+        }
+    }
+    doc.push(`@returns {Promise<${typeOf(response)}>}`);
+
+    const args = [...pathParams.map(p => p.name), ...(body ? ['body'] : []), ...(queryParams.length > 0 ? ['query'] : [])];
+    const url = '`' + template.replace(/\{(\w+)\}/g, (match, name) => `\${encodeURIComponent(${name})}`) + '`';
+    const options = [body && 'body', queryParams.length > 0 && 'query'].filter(Boolean);
+
+    return [
+        jsdoc(doc, '        '),
+        `        ${operation.operationId}(${args.join(', ')}) {`,
+        `            return this.request('${method}', ${url}${options.length > 0 ? `, { ${options.join(', ')} }` : ''});`,
+        '        }'
+    ].join('\n');
+}
+
+function generate() {
+    const typedefs = Object.entries(spec.components.schemas)
+        .map(([name, schema]) => jsdoc(typedef(name, schema), '    '))
+        .join('\n\n');
+    const methods = operations().map(generateMethod).join('\n\n');
+
+    return `// FEAWS API client for ${spec.info.title} ${spec.info.version}
+// Generated from scripts/core/openapi.js by scripts/generate-api-client.js.
+// Do not edit by hand: run \`npm run generate:api-client\`.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.FeawsApiClient = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+${typedefs}
+
+    class FeawsApiError extends Error {
+        /**
+         * @param {number} status
+         * @param {ErrorResponse} [body]
+         */
+        constructor(status, body) {
+            super((body && body.error) || \`HTTP \${status}\`);
+            this.name = 'FeawsApiError';
+            this.status = status;
+            this.field = body && body.field;
+            this.errors = (body && body.errors) || [];
+            this.body = body;
+        }
+    }
+
+    class FeawsApiClient {
+        /**
+         * @param {Object} [options]
+         * @param {string} [options.baseUrl] - e.g. http://localhost:3001; defaults to the page origin
+         * @param {Function} [options.fetch] - fetch-compatible function, e.g. the dashboards' apiFetch
+         * @param {string} [options.apiKey] - API key or session token, sent as a Bearer token
+         */
+        constructor(options = {}) {
+            this.baseUrl = (options.baseUrl || '').replace(/\\/+$/, '');
+            this.fetch = options.fetch || ((url, init) => fetch(url, init));
+            this.apiKey = options.apiKey || null;
+        }
+
+        /**
+         * @throws {FeawsApiError} For non-2xx responses; \`field\` and \`errors\` carry validation details
+         */
+        async request(method, path, { body, query } = {}) {
+            const search = new URLSearchParams(
+                Object.entries(query || {}).filter(([, value]) => value !== undefined && value !== null).map(([key, value]) => [key, String(value)])
+            ).toString();
+            const headers = { Accept: 'application/json' };
+            if (body !== undefined) {
+                headers['Content-Type'] = 'application/json';
+            }
+            if (this.apiKey) {
+                headers.Authorization = \`Bearer \${this.apiKey}\`;
+            }
+
+            const response = await this.fetch(\`\${this.baseUrl}\${path}\${search ? \`?\${search}\` : ''}\`, {
+                method,
+                headers,
+                body: body === undefined ? undefined : JSON.stringify(body)
+            });
+            const text = await response.text();
+            const data = text ? JSON.parse(text) : null;
+
+            if (!response.ok) {
+                throw new FeawsApiError(response.status, data);
+            }
+            return data;
+        }
+
+${methods}
+    }
+
+    FeawsApiClient.FeawsApiError = FeawsApiError;
+    return FeawsApiClient;
+});
+`;
+}
+
+if (require.main === module) {
+    fs.writeFileSync(OUTPUT, generate());
+    console.log(`✅ Wrote ${path.relative(process.cwd(), OUTPUT)} (${operations().length} operations)`);
+}
+
+module.exports = { generate };
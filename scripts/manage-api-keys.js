@@ -0,0 +1,58 @@
+#!/usr/bin/env node
+
+/**
+ * Manage API keys for the treasury backend
+ *
+ * Usage:
+ *   npm run api-keys -- create <name> <role[,role...]>   # prints the key once
+ *   npm run api-keys -- list
+ *   npm run api-keys -- revoke <keyId>
+ *
+ * Roles: viewer, trader, approver, admin
+ */
+
+require('dotenv').config();
+const { ApiKeyStore, ROLES } = require('./core/auth');
+
+function main() {
+    const [command, ...args] = process.argv.slice(2);
+    const store = new ApiKeyStore();
+
+    switch (command) {
+        case 'create': {
+            const [name, roles] = args;
+            if (!name || !roles) {
+                throw new Error(`Usage: create <name> <${ROLES.join('|')}>[,...]`);
+            }
+            const { apiKey, key } = store.create({ name, roles: roles.split(',').map(r => r.trim()) });
+            console.log(`✅ Created ${key.id} (${key.name}) with roles ${key.roles.join(', ')}`);
+            console.log('');
+            console.log(`   ${apiKey}`);
+            console.log('');
+            console.log('⚠️ Store this key now; it cannot be shown again');
+            break;
+        }
+        case 'list':
+            for (const key of store.list()) {
+                const status = key.revokedAt ? `revoked ${key.revokedAt}` : 'active';
+                console.log(`${key.id}  ${key.name.padEnd(20)} ${key.roles.join(',').padEnd(24)} ${status}`);
+            }
+            break;
+        case 'revoke': {
+            const key = store.revoke(args[0]);
+            console.log(`🛑 Revoked ${key.id} (${key.name})`);
+            break;
+        }
+        default:
+            throw new Error('Usage: manage-api-keys.js create|list|revoke');
+    }
+
+    console.log(`📄 Key store: ${store.filePath}`);
+}
+
+try {
+    main();
+} catch (error) {
+    console.error('❌', error.message);
+    process.exit(1);
+}
@@ -15,16 +15,13 @@ require('dotenv').config();
 const { ethers } = require('ethers');
 const fs = require('fs');
 const path = require('path');
+const { loadOrdersFile, LOP_V4_ADDRESS, LOP_V4_ABI } = require('./core/lop-order');
+
+const DATA_DIR = process.env.FEAWS_DATA_DIR || path.join(__dirname, '../data');
 
 // Contract addresses
-const LOP_CONTRACT = '0x94Bc2a1C732BcAd7343B25af48385Fe76E08734f';
 const TWAP_LOGGER = '0xA7909100B456a03703D16eD06F6B4F25D0a87971';
 
-// Contract ABIs
-const LOP_ABI = [
-    'event OrderFilled(address indexed maker, bytes32 orderHash, uint256 remaining)'
-];
-
 const LOGGER_ABI = [
     'event SliceFilled(uint256 indexed sliceIndex, address indexed maker, address indexed taker, uint256 makingAmount, uint256 takingAmount)'
 ];
@@ -36,17 +33,18 @@ async function main() {
     const provider = new ethers.JsonRpcProvider(process.env.POLYGON_RPC_URL);
     
     // Create contract instances
-    const lopContract = new ethers.Contract(LOP_CONTRACT, LOP_ABI, provider);
+    const lopContract = new ethers.Contract(LOP_V4_ADDRESS, LOP_V4_ABI, provider);
     const loggerContract = new ethers.Contract(TWAP_LOGGER, LOGGER_ABI, provider);
 
     // Load orders metadata
-    const ordersFile = path.join(__dirname, '../data/orders.json');
+    const ordersFile = path.join(DATA_DIR, 'orders.json');
     if (!fs.existsSync(ordersFile)) {
         throw new Error('Orders file not found. Run: npm run build-orders');
     }
 
-    const ordersData = JSON.parse(fs.readFileSync(ordersFile, 'utf8'));
-    const makerAddress = ordersData.maker;
+    const ordersData = loadOrdersFile(ordersFile);
+    const makerAddress = ordersData.makerAddress;
+    const sliceByHash = new Map(ordersData.orders.map(order => [order.orderHash.toLowerCase(), order.sliceIndex]));
     
     console.log(`👁️  Monitoring TWAP execution for maker: ${makerAddress}`);
     console.log(`📊 Total slices: ${ordersData.sliceCount}`);
@@ -96,14 +94,16 @@ async function main() {
                     }
                 }
                 
-                // Check for 1inch LOP OrderFilled events
-                const lopFilter = lopContract.filters.OrderFilled(makerAddress);
-                const lopEvents = await lopContract.queryFilter(lopFilter, lastCheckedBlock + 1, currentBlock);
+                // Check for 1inch LOP OrderFilled events (not indexed, so match our order hashes)
+                const lopEvents = await lopContract.queryFilter(lopContract.filters.OrderFilled(), lastCheckedBlock + 1, currentBlock);
                 
                 for (const event of lopEvents) {
-                    console.log(`📋 1inch LOP OrderFilled detected:`);
+                    const sliceIdx = sliceByHash.get(event.args.orderHash.toLowerCase());
+                    if (sliceIdx === undefined) continue;
+                    
+                    console.log(`📋 1inch LOP OrderFilled detected for slice ${sliceIdx}:`);
                     console.log(`   🏷️  Order Hash: ${event.args.orderHash}`);
-                    console.log(`   💰 Remaining: ${event.args.remaining}`);
+                    console.log(`   💰 Remaining: ${ethers.formatUnits(event.args.remainingAmount, 6)} USDC`);
                     console.log(`   🔗 Tx: https://polygonscan.com/tx/${event.transactionHash}\n`);
                 }
                 
@@ -3,67 +3,84 @@
 /**
  * Autonomous taker bot for TWAP limit orders
  * 
- * Monitors generated orders and fills them when time predicates are satisfied
+ * Monitors signed orders and fills them when time predicates are satisfied
+ * and the fill is profitable against the 1inch aggregator quote after gas
  * Calls 1inch LOP fillOrder() directly on Polygon mainnet
+ *
+ * Each order moves through pending → ready → submitted → confirmed (or
+ * failed/expired), journaled in data/taker-journal.ndjson
  * 
  * Usage: npm run taker-bot
+ *
+ * TAKER_ORDER_SOURCES     - comma-separated: file, drop, orderbook, chain (default file)
+ * TAKER_DROP_DIR          - drop directory of JSON/NDJSON orders (default data/order-drop)
+ * TAKER_MAKERS            - comma-separated makers to serve (default all)
+ * TAKER_SCAN_BLOCKS       - blocks of LOP fills the chain source scans back on start (default 5000)
+ * TAKER_MIN_PROFIT_BPS    - net profit a fill must clear, in bps of the amount paid (default 10)
+ * TAKER_MAX_WAIT_SECONDS  - give up on an order unprofitable for this long (default 0: until it expires)
+ * TAKER_CONFIRMATIONS     - blocks a fill needs before it counts as confirmed (default 5)
+ * TAKER_MAX_ATTEMPTS      - failed sends, reverts or drops before an order fails (default 3)
+ * TAKER_BACKOFF_SECONDS   - delay before the first retry, doubled per attempt (default 30)
+ * TAKER_POLL_SECONDS      - time between passes (default 10)
+ * TAKER_MAX_FEE_GWEI      - highest gas price a fill pays; fills wait above it (default no cap)
+ * TAKER_STUCK_SECONDS     - time without a receipt before a fill is sped up (default 60)
+ * TAKER_MAX_REPLACEMENTS  - speed-ups before a stuck fill is cancelled (default 3)
  */
 
 require('dotenv').config();
 const { ethers } = require('ethers');
 const fs = require('fs');
 const path = require('path');
+const { parseMakerTraits, LOP_V4_ADDRESS } = require('./core/lop-order');
+const { OneInchApi } = require('./core/oneinch-api');
+const FillEvaluator = require('./core/fill-evaluator');
+const TakerStateMachine = require('./core/taker-state');
+const { GasStrategy, GasPriceTooHighError, toRequest, isNonceUsed } = require('./core/gas-strategy');
+const TransactionQueue = require('./core/transaction-queue');
+const {
+    OrdersFileSource,
+    DropDirectorySource,
+    OrderbookSource,
+    ChainLogSource,
+    OrderDiscovery
+} = require('./core/order-sources');
 
-// Track processed orders to prevent duplicate fills
-const PROCESSED_ORDERS_FILE = path.join(__dirname, '../data/processed-orders.json');
-let processedOrders = new Set();
+// Override with FEAWS_DATA_DIR to keep orders and fills out of the repo (e.g. the test harness)
+const DATA_DIR = process.env.FEAWS_DATA_DIR || path.join(__dirname, '../data');
 
-// Load processed orders from file
-function loadProcessedOrders() {
-    try {
-        if (fs.existsSync(PROCESSED_ORDERS_FILE)) {
-            const data = fs.readFileSync(PROCESSED_ORDERS_FILE, 'utf8');
-            const orders = JSON.parse(data);
-            processedOrders = new Set(orders);
-        }
-    } catch (error) {
-        console.warn('Warning: Could not load processed orders:', error.message);
-    }
-}
+// Filled order hashes from before the journal; imported into a new journal once
+const LEGACY_PROCESSED_ORDERS_FILE = path.join(DATA_DIR, 'processed-orders.json');
 
-// Save processed orders to file
-function saveProcessedOrders() {
-    try {
-        fs.writeFileSync(PROCESSED_ORDERS_FILE, JSON.stringify([...processedOrders], null, 2));
-    } catch (error) {
-        console.warn('Warning: Could not save processed orders:', error.message);
-    }
-}
+// A fill journaled before replacement existed, with neither receipt nor
+// mempool entry this long, is resent
+const DROPPED_AFTER_SECONDS = 300;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
 
-// Mark an order as processed
-function markOrderAsProcessed(order) {
-    const orderId = `${order.sliceIndex}-${order.availableAt}`;
-    processedOrders.add(orderId);
-    saveProcessedOrders();
+// TWAP slices from build-orders.js by index, other orders by hash
+function orderName(order) {
+    return order.sliceIndex !== undefined ? `slice ${order.sliceIndex}` : `order ${order.orderHash.slice(0, 10)}`;
 }
 
-// Check if an order has been processed
-function isOrderProcessed(order) {
-    const orderId = `${order.sliceIndex}-${order.availableAt}`;
-    return processedOrders.has(orderId);
+function capitalize(text) {
+    return text.charAt(0).toUpperCase() + text.slice(1);
 }
 
-// Initialize processed orders
-loadProcessedOrders();
+function csvId(order) {
+    return order.sliceIndex !== undefined ? order.sliceIndex : order.orderHash;
+}
 
-// 1inch LOP contract address on Polygon
-const LOP_CONTRACT = '0x111111125421ca6dc452d289314280a0f8842a65';
+const tokenInfo = new Map();
 
-// 1inch LOP ABI (minimal interface for fillOrder)
-const LOP_ABI = [
-    'function fillOrder((uint256,address,address,address,address,address,uint256,uint256,bytes,bytes,bytes,bytes,bytes,bytes,bytes) order, bytes signature, uint256 makingAmount, uint256 takingAmount, uint256 flags) external payable returns (uint256, uint256, bytes32)',
-    'event OrderFilled(address indexed maker, bytes32 orderHash, uint256 remaining)'
-];
+// "10.0 USDC", reading symbol and decimals from the token once
+async function formatAmount(provider, token, amount) {
+    if (!tokenInfo.has(token)) {
+        const contract = new ethers.Contract(token, ['function symbol() view returns (string)', 'function decimals() view returns (uint8)'], provider);
+        tokenInfo.set(token, await Promise.all([contract.symbol(), contract.decimals()]).catch(() => [token, 0]));
+    }
+    const [symbol, decimals] = tokenInfo.get(token);
+    return `${ethers.formatUnits(amount, decimals)} ${symbol}`;
+}
 
 async function main() {
     console.log('🤖 Starting TWAP Taker Bot...\n');
@@ -76,7 +93,6 @@ async function main() {
     // Setup provider and wallet
     const provider = new ethers.JsonRpcProvider(process.env.POLYGON_RPC_URL);
     const takerWallet = new ethers.Wallet(process.env.TAKER_PRIVATE_KEY, provider);
-    const lopContract = new ethers.Contract(LOP_CONTRACT, LOP_ABI, takerWallet);
 
     console.log(`🤖 Taker Bot: ${takerWallet.address}`);
     
@@ -88,125 +104,367 @@ async function main() {
         throw new Error('Insufficient MATIC for gas (need at least 0.01 MATIC)');
     }
 
-    // Load orders
-    const ordersFile = path.join(__dirname, '../data/orders.json');
-    if (!fs.existsSync(ordersFile)) {
+    // Order sources
+    const ordersFile = path.join(DATA_DIR, 'orders.json');
+    const sourceNames = (process.env.TAKER_ORDER_SOURCES || 'file').split(',').map(name => name.trim()).filter(Boolean);
+    const makers = (process.env.TAKER_MAKERS || '').split(',').map(maker => maker.trim()).filter(Boolean);
+    const sources = sourceNames.map(name => {
+        switch (name) {
+            case 'file':
+                return new OrdersFileSource({ path: ordersFile });
+            case 'drop':
+                return new DropDirectorySource({ dir: process.env.TAKER_DROP_DIR || path.join(DATA_DIR, 'order-drop') });
+            case 'orderbook':
+                return new OrderbookSource({
+                    api: new OneInchApi(),
+                    makers,
+                    makerAsset: process.env.TAKER_MAKER_ASSET,
+                    takerAsset: process.env.TAKER_TAKER_ASSET,
+                    maxOrders: Number(process.env.TAKER_ORDERBOOK_MAX_ORDERS) || undefined
+                });
+            case 'chain':
+                return new ChainLogSource({ provider, lookbackBlocks: Number(process.env.TAKER_SCAN_BLOCKS || 5000) });
+            default:
+                throw new Error(`Unknown order source "${name}" (expected file, drop, orderbook or chain)`);
+        }
+    });
+
+    if (sourceNames.length === 1 && sourceNames[0] === 'file' && !fs.existsSync(ordersFile)) {
         throw new Error('Orders file not found. Run: npm run build-orders');
     }
 
-    const ordersData = JSON.parse(fs.readFileSync(ordersFile, 'utf8'));
-    console.log(`📋 Loaded ${ordersData.orders.length} TWAP orders`);
-    console.log(`💱 Strategy: ${ordersData.totalUSDC} USDC → WMATIC in ${ordersData.sliceCount} slices\n`);
+    const discovery = new OrderDiscovery({ sources, provider, makers });
+    console.log(`📋 Order sources: ${sourceNames.join(', ')}${makers.length ? ` (makers ${makers.join(', ')})` : ''}`);
 
     // Track filled orders
-    const fillsFile = path.join(__dirname, '../data/fills.csv');
+    const fillsFile = path.join(DATA_DIR, 'fills.csv');
     if (!fs.existsSync(fillsFile)) {
         fs.writeFileSync(fillsFile, 'sliceIndex,timestamp,txHash,gasUsed,status\n');
     }
+    const logFill = (record, txHash, gasUsed, status) =>
+        fs.appendFileSync(fillsFile, `${csvId(record)},${new Date().toISOString()},${txHash || ''},${gasUsed || 0},${status}\n`);
+
+    // EIP-1559 fees for fills, and replacement of fills that get stuck
+    const gas = new GasStrategy({
+        provider,
+        caps: { taker: process.env.TAKER_MAX_FEE_GWEI ? ethers.parseUnits(process.env.TAKER_MAX_FEE_GWEI, 'gwei') : null },
+        stuckAfterMs: Number(process.env.TAKER_STUCK_SECONDS || 60) * 1000,
+        maxReplacements: Number(process.env.TAKER_MAX_REPLACEMENTS ?? 3)
+    });
+    if (gas.capFor('taker') !== null) {
+        console.log(`⛽ Fills wait while gas is above ${process.env.TAKER_MAX_FEE_GWEI} gwei`);
+    }
+
+    // Fills go out in nonce order, journaled under their order hash
+    const txQueue = TransactionQueue.for(takerWallet, { journalDir: path.join(DATA_DIR, 'tx-queue') });
+
+    // Prices each available order against the aggregator and current gas
+    const evaluator = new FillEvaluator({
+        provider,
+        taker: takerWallet.address,
+        quoteApi: new OneInchApi(),
+        minProfitBps: Number(process.env.TAKER_MIN_PROFIT_BPS || 10),
+        gasStrategy: gas
+    });
+    const maxWaitSeconds = Number(process.env.TAKER_MAX_WAIT_SECONDS || 0);
+    console.log(`💹 Filling at ≥ ${evaluator.minProfitBps} bps net profit${maxWaitSeconds ? `, waiting up to ${maxWaitSeconds}s per order` : ''}`);
+
+    const confirmations = Number(process.env.TAKER_CONFIRMATIONS || 5);
+    const pollSeconds = Number(process.env.TAKER_POLL_SECONDS || 10);
+    const state = new TakerStateMachine({
+        journalPath: path.join(DATA_DIR, 'taker-journal.ndjson'),
+        legacyProcessedPath: LEGACY_PROCESSED_ORDERS_FILE,
+        maxAttempts: Number(process.env.TAKER_MAX_ATTEMPTS || 3),
+        backoffSeconds: Number(process.env.TAKER_BACKOFF_SECONDS || 30),
+        txQueue
+    });
+    // Only now: the state journal has matched fills sent just before a crash,
+    // and any left in the mempool by the last run are re-broadcast
+    await txQueue.ready();
+    const inFlight = state.records().filter(record => record.status === 'submitted');
+    if (inFlight.length > 0) {
+        console.log(`📒 Resuming ${inFlight.length} submitted fills from the journal`);
+    }
+
+    let fillCount = 0;
+
+    function retryOrGiveUp(record, name, reason, now) {
+        const next = state.retry(record.orderHash, reason, now);
+        if (next.status === 'failed') {
+            console.log(`💀 Giving up on ${name} after ${next.attempts} attempts: ${reason}`);
+        } else {
+            console.log(`🔁 Retrying ${name} in ${next.nextAttemptAt - now}s (attempt ${next.attempts + 1}/${state.maxAttempts}): ${reason}`);
+        }
+    }
+
+    // A fill with no receipt after `stuckAfterMs` is re-sent on its nonce with
+    // higher fees, and cancelled once it has been sped up `maxReplacements`
+    // times or cannot be within the cap. One the node no longer knows is
+    // re-sent the same way, so its nonce is not left as a gap in the queue;
+    // only if something else has since taken that nonce is the fill retried.
+    async function replaceIfStuck(record, name, hashes, now) {
+        const sinceSent = now - (record.lastSentAt ?? record.submittedAt);
+        if (sinceSent < gas.stuckAfterMs / 1000) return;
+
+        const known = await Promise.all(hashes.map(hash => provider.getTransaction(hash)));
+        const dropped = !known.some(Boolean);
+
+        // Journals from before replacement have no request to re-send
+        if (!record.gasRequest) {
+            if (dropped && sinceSent >= DROPPED_AFTER_SECONDS) {
+                logFill(record, record.txHash, 0, 'error: transaction dropped');
+                retryOrGiveUp(record, name, `transaction ${record.txHash} dropped`, now);
+            }
+            return;
+        }
+        if (record.cancelTxHash && !dropped) return;
+
+        const replacements = record.replacements || 0;
+        let tx = null;
+        try {
+            if (!record.cancelTxHash && replacements < gas.maxReplacements) {
+                try {
+                    tx = await gas.speedUp(txQueue, record.gasRequest, { strategy: 'taker', speed: evaluator.gasSpeed });
+                } catch (error) {
+                    if (!(error instanceof GasPriceTooHighError)) throw error;
+                    console.log(`⛽ Cannot speed up ${name}'s fill: ${error.message}`);
+                }
+            }
+            const cancelling = !tx;
+            if (cancelling) {
+                tx = await gas.cancel(txQueue, record.gasRequest);
+            }
+
+            state.update(record.orderHash, {
+                txHash: tx.hash,
+                txHashes: [...hashes, tx.hash],
+                gasRequest: toRequest(tx),
+                lastSentAt: now,
+                replacements: replacements + 1,
+                cancelTxHash: cancelling ? tx.hash : null
+            });
+            if (dropped) {
+                console.log(`📡 ${capitalize(name)}'s ${cancelling ? 'cancel' : 'fill'} left the mempool; re-sent on nonce ${tx.nonce}: ${tx.hash}`);
+            } else {
+                console.log(cancelling
+                    ? `🛑 Cancelling stuck fill of ${name}: ${tx.hash}`
+                    : `🚀 Sped up stuck fill of ${name}: ${tx.hash} at ${ethers.formatUnits(tx.maxFeePerGas, 'gwei')} gwei max`);
+            }
+        } catch (error) {
+            if (dropped && isNonceUsed(error)) {
+                // The nonce went to another transaction, so this fill never landed
+                logFill(record, record.txHash, 0, 'error: transaction dropped');
+                retryOrGiveUp(record, name, `transaction ${record.txHash} dropped`, now);
+                return;
+            }
+            // "nonce too low": one of the fill's transactions was just mined
+            console.warn(`⚠️ Could not replace ${name}'s fill: ${error.message}`);
+        }
+    }
+
+    // submitted → confirmed once `confirmations` deep; a receipt that vanishes
+    // in a reorg is simply looked for again on the next pass
+    async function checkSubmitted() {
+        const submitted = state.records().filter(record => record.status === 'submitted');
+        if (submitted.length === 0) return;
+
+        const head = await provider.getBlockNumber();
+        const now = Math.floor(Date.now() / 1000);
+
+        for (const record of submitted) {
+            const name = orderName(record);
+            // The fill and every replacement of it share a nonce; at most one is mined
+            const hashes = record.txHashes || [record.txHash];
+            let receipt = null;
+            for (const hash of hashes) {
+                receipt = await provider.getTransactionReceipt(hash);
+                if (receipt) break;
+            }
+
+            if (!receipt) {
+                await replaceIfStuck(record, name, hashes, now);
+                continue;
+            }
+            if (head - receipt.blockNumber + 1 < confirmations) {
+                continue;
+            }
+
+            if (receipt.hash === record.cancelTxHash) {
+                console.log(`🛑 Stuck fill of ${name} cancelled`);
+                logFill(record, receipt.hash, receipt.gasUsed, 'error: cancelled');
+                retryOrGiveUp(record, name, `fill stuck and cancelled in ${receipt.hash}`, now);
+                continue;
+            }
+            if (receipt.status !== 1) {
+                console.log(`❌ Transaction failed for ${name}`);
+                logFill(record, receipt.hash, receipt.gasUsed, 'error: reverted');
+                retryOrGiveUp(record, name, `transaction ${receipt.hash} reverted`, now);
+                continue;
+            }
+
+            const { pendingFill } = record;
+            const fills = [...record.fills, { txHash: receipt.hash, blockNumber: receipt.blockNumber, making: pendingFill.making, taking: pendingFill.taking, gasUsed: receipt.gasUsed }];
+            logFill(record, receipt.hash, receipt.gasUsed, 'success');
+
+            // Without multiple fills the first partial fill closes the order
+            if (!pendingFill.closesOrder) {
+                state.transition(record.orderHash, 'pending', { fills, pendingFill: null, txHash: null, attempts: 0, nextAttemptAt: null });
+                console.log(`🧩 ${capitalize(name)} partially filled, ${await formatAmount(provider, pendingFill.makerAsset, BigInt(pendingFill.remainingAfter))} left`);
+            } else {
+                state.transition(record.orderHash, 'confirmed', { fills, pendingFill: null });
+                fillCount++;
+                console.log(`✅ ${capitalize(name)} filled successfully!`);
+            }
+            console.log(`🔍 Polygonscan: https://polygonscan.com/tx/${receipt.hash}`);
+            console.log(`📊 Progress: ${fillCount} filled, ${openRecords().length} open\n`);
+        }
+    }
+
+    // pending → ready → submitted, or expired
+    async function processOrder(order, record, now) {
+        const name = orderName(order);
+
+        // The LOP's own record of what is left, whoever filled the rest
+        let remaining;
+        try {
+            remaining = await discovery.remaining(order);
+        } catch (error) {
+            console.log(`⏳ Waiting on ${name}: could not read its remaining amount (${error.message})`);
+            return;
+        }
+        if (remaining === 0n) {
+            console.log(`🔒 ${capitalize(name)} is already filled or cancelled on chain`);
+            state.transition(order.orderHash, 'expired', { reason: 'filled or cancelled on chain' });
+            return;
+        }
+
+        let decision;
+        try {
+            decision = await evaluator.evaluate(order, { remaining, now });
+        } catch (error) {
+            decision = { action: 'wait', reason: `could not price the fill: ${error.message}` };
+        }
+
+        if (decision.action === 'wait' && maxWaitSeconds > 0) {
+            if (!record.waitingSince) {
+                record = state.update(order.orderHash, { waitingSince: now });
+            }
+            if (now - record.waitingSince >= maxWaitSeconds) {
+                decision = { action: 'skip', reason: `still waiting after ${maxWaitSeconds}s (${decision.reason})` };
+            }
+        }
+
+        if (decision.action === 'skip') {
+            console.log(`⏭️ Skipping ${name}: ${decision.reason}`);
+            state.transition(order.orderHash, 'expired', { reason: decision.reason });
+            logFill(record, null, 0, `skipped: ${decision.reason}`);
+            return;
+        }
+        if (decision.action === 'wait') {
+            console.log(`⏳ Waiting on ${name}: ${decision.reason}`);
+            return;
+        }
+
+        const remainingAfter = remaining - decision.fillMaking;
+        state.transition(order.orderHash, 'ready', {
+            reason: decision.reason,
+            waitingSince: null,
+            pendingFill: {
+                makerAsset: order.order.makerAsset,
+                making: decision.fillMaking,
+                taking: decision.fillTaking,
+                remainingAfter,
+                closesOrder: remainingAfter === 0n || !parseMakerTraits(order.order.makerTraits).allowMultipleFills
+            }
+        });
+
+        const making = await formatAmount(provider, order.order.makerAsset, decision.fillMaking);
+        const taking = await formatAmount(provider, order.order.takerAsset, decision.fillTaking);
+        console.log(`⚡ Filling ${name}${decision.partial ? ' partially' : ''} (${making} → ${taking}): ${decision.reason}`);
+
+        try {
+            const tx = await gas.send(txQueue, {
+                to: LOP_V4_ADDRESS,
+                data: decision.data,
+                gasLimit: decision.gasLimit
+            }, { fees: decision.fees, label: order.orderHash });
+
+            state.transition(order.orderHash, 'submitted', {
+                txHash: tx.hash,
+                txHashes: [tx.hash],
+                gasRequest: toRequest(tx),
+                submittedAt: now,
+                lastSentAt: now,
+                replacements: 0,
+                cancelTxHash: null
+            });
+            console.log(`📤 Transaction sent: ${tx.hash}`);
+        } catch (error) {
+            console.error(`❌ Error filling ${name}:`, error.message);
+            logFill(record, null, 0, `error: ${error.message}`);
+            retryOrGiveUp(state.get(order.orderHash), name, error.message, now);
+        }
+    }
+
+    // Orders still in play: discovered this run, or with a fill in flight
+    function openRecords() {
+        return state.records().filter(record => !state.isTerminal(record) &&
+            (discovery.orders.has(record.orderHash) || record.status === 'submitted'));
+    }
 
     // Main bot loop
     console.log('🔄 Monitoring orders... (Ctrl+C to stop)\n');
-    
-    let fillCount = 0;
+
     const startTime = Date.now();
+    let lastStatusAt = startTime;
+
+    while (true) {
+        const { added, errors } = await discovery.poll();
+        for (const error of errors) {
+            console.warn(`⚠️ Order source: ${error}`);
+        }
+        if (added.length > 0) {
+            const bySource = {};
+            added.forEach(order => { bySource[order.source] = (bySource[order.source] || 0) + 1; });
+            console.log(`📥 ${added.length} new orders (${Object.entries(bySource).map(([name, count]) => `${name}: ${count}`).join(', ')})`);
+        }
+        added.forEach(order => state.track(order));
+
+        await checkSubmitted();
 
-    while (fillCount < ordersData.orders.length) {
+        // Orders whose time has come; unprofitable ones wait without blocking the rest
         const currentTime = Math.floor(Date.now() / 1000);
-        
-        // Find next available order
-        const availableOrders = ordersData.orders.filter(order => 
-            order.availableAt <= currentTime && !order.filled
-        );
-
-        if (availableOrders.length > 0) {
-            const order = availableOrders[0];
-            
-            // Check if order has already been processed
-            if (isOrderProcessed(order)) {
-                console.log(`⏭️  Skipping already processed slice ${order.sliceIndex}`);
-                continue;
+        for (const order of discovery.orders.values()) {
+            const record = state.get(order.orderHash);
+            if (order.availableAt <= currentTime && state.isDue(record, currentTime)) {
+                await processOrder(order, record, currentTime);
             }
-            
-            console.log(`⚡ Filling slice ${order.sliceIndex} (${ethers.formatUnits(order.order.makingAmount, 6)} USDC → ${ethers.formatEther(order.order.takingAmount)} WMATIC)`);
-
-            try {
-                // Build the order struct for 1inch LOP
-                const lopOrder = [
-                    order.order.salt,
-                    order.order.makerAsset,
-                    order.order.takerAsset,
-                    order.order.maker,
-                    order.order.receiver,
-                    order.order.allowedSender,
-                    order.order.makingAmount,
-                    order.order.takingAmount,
-                    order.order.makerAssetData,
-                    order.order.takerAssetData,
-                    order.order.getMakerAmount,
-                    order.order.getTakerAmount,
-                    order.order.predicate,
-                    order.order.permit,
-                    order.order.interaction
-                ];
-
-                // Use the existing signature from the order file
-                const signature = order.signature;
-                
-                // Call fillOrder on 1inch LOP
-                const tx = await lopContract.fillOrder(
-                    lopOrder,
-                    signature,
-                    order.order.makingAmount,
-                    order.order.takingAmount,
-                    0, // flags
-                    {
-                        gasLimit: 500000,
-                        gasPrice: ethers.parseUnits('35', 'gwei')
-                    }
-                );
-
-                console.log(`📤 Transaction sent: ${tx.hash}`);
-                
-                // Wait for confirmation
-                const receipt = await tx.wait();
-                
-                if (receipt.status === 1) {
-                    console.log(`✅ Slice ${order.sliceIndex} filled successfully!`);
-                    console.log(`🔍 Polygonscan: https://polygonscan.com/tx/${tx.hash}`);
-                    
-                    // Mark order as processed
-                    markOrderAsProcessed(order);
-                    
-                    // Log to CSV
-                    const csvLine = `${order.sliceIndex},${new Date().toISOString()},${tx.hash},${receipt.gasUsed},success\n`;
-                    fs.appendFileSync(fillsFile, csvLine);
-
-                    console.log(`📊 Progress: ${fillCount}/${ordersData.orders.length} slices filled\n`);
-                } else {
-                    console.log(`❌ Transaction failed for slice ${order.sliceIndex}`);
-                }
+        }
 
-            } catch (error) {
-                console.error(`❌ Error filling slice ${order.sliceIndex}:`, error.message);
-                
-                // Log error to CSV
-                const csvLine = `${order.sliceIndex},${new Date().toISOString()},,0,error: ${error.message}\n`;
-                fs.appendFileSync(fillsFile, csvLine);
-            }
+        await checkSubmitted();
+
+        if (discovery.finite && openRecords().length === 0) {
+            break;
         }
 
-        // Wait 10 seconds before checking again
-        await new Promise(resolve => setTimeout(resolve, 10000));
-        
+        // Every pass sleeps; fills in flight are checked again sooner
+        const inFlightNow = state.records().some(record => record.status === 'submitted');
+        await sleep((inFlightNow ? Math.min(pollSeconds, 2) : pollSeconds) * 1000);
+
         // Show periodic status
-        if (Math.floor(Date.now() / 1000) % 60 === 0) {
+        if (Date.now() - lastStatusAt >= 60000) {
+            lastStatusAt = Date.now();
+            const counts = {};
+            state.records().forEach(record => { counts[record.status] = (counts[record.status] || 0) + 1; });
             const elapsed = Math.floor((Date.now() - startTime) / 1000);
-            console.log(`⏰ Status: ${fillCount}/${ordersData.orders.length} filled, ${elapsed}s elapsed`);
+            console.log(`⏰ Status: ${Object.entries(counts).map(([status, count]) => `${count} ${status}`).join(', ')}, ${elapsed}s elapsed`);
         }
     }
 
-    console.log('\n🎉 All TWAP slices completed!');
-    console.log(`📊 Final stats: ${fillCount} orders filled`);
+    const counts = {};
+    state.records().forEach(record => { counts[record.status] = (counts[record.status] || 0) + 1; });
+    console.log('\n🎉 All orders completed!');
+    console.log(`📊 Final stats: ${fillCount} orders filled this run; journal: ${Object.entries(counts).map(([status, count]) => `${count} ${status}`).join(', ')}`);
     console.log(`📄 Fill log: ${fillsFile}`);
 }
 
@@ -1,34 +1,55 @@
 #!/usr/bin/env node
 
 require('dotenv').config();
-const axios = require('axios');
+const FeawsApiClient = require('../assets/js/api-client');
 
 /**
- * Test the createLimitOrderSlice endpoint on the server
+ * Test limit order creation through the server's job API
  */
 
+const api = new FeawsApiClient({
+    baseUrl: process.env.FEAWS_API_URL || 'http://localhost:3001',
+    apiKey: process.env.FEAWS_API_KEY
+});
+
 async function testServerOrderCreation() {
     console.log('🧪 TESTING SERVER LIMIT ORDER CREATION');
     console.log('='.repeat(40));
     
     try {
-        // Test creating a limit order slice
-        const response = await axios.post('http://localhost:3001/api/create-limit-order', {
-            fromToken: process.env.USDC_ADDRESS || '0x3c499c542cEF5E3811e1192ce70d8cC03d5c3359',
-            toToken: process.env.WMATIC_ADDRESS || '0x0d500B1d8E8eF31E21C99d1Db9A6444d3ADf1270',
-            amount: '100000' // 0.1 USDC
+        // 0.1 USDC for 0.2 WMATIC, expiring in 10 minutes
+        const { job, proposal } = await api.createJob({
+            type: 'limit-order',
+            params: {
+                makerToken: 'USDC',
+                takerToken: 'WMATIC',
+                makingAmount: '0.1',
+                takingAmount: '0.2',
+                expiresInSeconds: 600
+            }
         });
         
+        if (proposal) {
+            console.log(`📝 Held for approval as ${proposal.id}: ${proposal.reason}`);
+            return;
+        }
+        
+        let current = job;
+        while (!['completed', 'failed', 'cancelled'].includes(current.status)) {
+            await new Promise(resolve => setTimeout(resolve, 1000));
+            ({ job: current } = await api.getJob(job.id));
+        }
+        
         console.log('✅ Server response:');
-        console.log(JSON.stringify(response.data, null, 2));
+        console.log(JSON.stringify(current, null, 2));
         
         console.log('\n🎉 SERVER LIMIT ORDER TEST COMPLETED');
         console.log('='.repeat(40));
         
     } catch (error) {
         console.error('❌ Error testing server:', error.message);
-        if (error.response) {
-            console.error('📝 Response data:', JSON.stringify(error.response.data, null, 2));
+        if (error.errors && error.errors.length > 0) {
+            console.error('📝 Invalid fields:', JSON.stringify(error.errors, null, 2));
         }
     }
 }
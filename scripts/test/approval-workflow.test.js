@@ -0,0 +1,92 @@
+/**
+ * @fileoverview Approval workflow tests
+ * @description Merges policy files over the default thresholds, holds
+ * operations above them for sign-off, fails closed on unknown tokens and
+ * keeps proposers and repeat approvers from releasing their own operations.
+ * @author FEAWS Development Team
+ */
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { ethers } = require('ethers');
+const ApprovalWorkflow = require('../core/approval-workflow');
+const JobManager = require('../core/job-manager');
+const { ApiKeyStore, effectiveRoles } = require('../core/auth');
+const { useWorkDir } = require('./harness');
+
+const { loadPolicy } = ApprovalWorkflow;
+
+// A job that moves `amount` of `token`, all tokens at 6 decimals
+const TRANSFER = {
+    validate: params => params,
+    notional: params => ({ token: params.token, decimals: 6, amount: ethers.parseUnits(params.amount, 6) }),
+    run: async () => ({})
+};
+
+describe('approval workflow', () => {
+    const work = useWorkDir('approvals');
+    let jobs;
+
+    beforeEach(() => {
+        jobs = new JobManager({ types: { transfer: TRANSFER } });
+    });
+
+    function workflow(policy) {
+        return new ApprovalWorkflow({ jobs, policy, auditPath: work.path('audit.ndjson') });
+    }
+
+    function writePolicy(policy) {
+        fs.writeFileSync(work.path('policy.json'), JSON.stringify(policy));
+        return loadPolicy(work.path('policy.json'));
+    }
+
+    it('merges policy thresholds per token over the defaults', () => {
+        const policy = writePolicy({ requiredApprovals: 1, thresholds: { USDC: { perOperation: '50', perDay: '100' } } });
+
+        assert.equal(policy.requiredApprovals, 1);
+        assert.deepEqual(policy.thresholds.USDC, { perOperation: '50', perDay: '100' });
+        assert.deepEqual(policy.thresholds.WETH, ApprovalWorkflow.DEFAULT_POLICY.thresholds.WETH);
+        assert.deepEqual(policy.thresholds.default, { perOperation: '0', perDay: '0' });
+        assert.throws(() => writePolicy({ requiredApprovals: 0 }), /positive integer/);
+    });
+
+    it('holds operations above the per-operation and daily thresholds', () => {
+        const approvals = workflow(writePolicy({ thresholds: { USDC: { perOperation: '50', perDay: '100' } } }));
+
+        assert.ok(approvals.submit({ type: 'transfer', params: { token: 'USDC', amount: '50' }, requestedBy: 'alice' }).job);
+        assert.match(approvals.submit({ type: 'transfer', params: { token: 'USDC', amount: '51' }, requestedBy: 'alice' }).proposal.reason, /per operation/);
+        assert.ok(approvals.submit({ type: 'transfer', params: { token: 'USDC', amount: '50' }, requestedBy: 'alice' }).job);
+        assert.match(approvals.submit({ type: 'transfer', params: { token: 'USDC', amount: '1' }, requestedBy: 'alice' }).proposal.reason, /per day/);
+
+        // Released volume survives a restart
+        const restarted = workflow(approvals.policy);
+        assert.equal(restarted.usedToday('USDC'), ethers.parseUnits('100', 6));
+    });
+
+    it('fails closed for tokens without thresholds', () => {
+        const approvals = workflow({ ...ApprovalWorkflow.DEFAULT_POLICY, thresholds: { USDC: { perOperation: '50' } } });
+
+        const { proposal } = approvals.submit({ type: 'transfer', params: { token: 'PEPE', amount: '1' }, requestedBy: 'alice' });
+        assert.equal(proposal.status, 'pending');
+        assert.match(proposal.reason, /no approval thresholds for PEPE/);
+    });
+
+    it('counts each key holder once and never the proposer', () => {
+        const store = new ApiKeyStore({ filePath: work.path('keys.json') });
+        const principal = name => {
+            const record = store.list().find(key => key.name === name && !key.revokedAt) || store.create({ name, roles: ['trader', 'approver'] }).key;
+            return { keyId: record.id, name: record.name, roles: effectiveRoles(record.roles) };
+        };
+        const approvals = workflow({ ...ApprovalWorkflow.DEFAULT_POLICY, requiredApprovals: 2 });
+        const { proposal } = approvals.submit({ type: 'transfer', params: { token: 'USDC', amount: '5000' }, requestedBy: principal('alice').name });
+
+        assert.throws(() => approvals.approve(proposal.id, principal('alice')), /own operations/);
+        // A second key cannot be issued under an active holder's name
+        assert.throws(() => store.create({ name: ' Alice ', roles: ['approver'] }), /already named/);
+
+        approvals.approve(proposal.id, principal('bob'));
+        assert.throws(() => approvals.approve(proposal.id, principal('bob')), /already approved/);
+        assert.equal(approvals.approve(proposal.id, principal('carol')).status, 'released');
+    });
+});
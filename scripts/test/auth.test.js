@@ -0,0 +1,54 @@
+/**
+ * @fileoverview Authentication tests
+ * @description Keys and sessions follow changes another process makes to
+ * the key file, so a revocation applies to a running server.
+ * @author FEAWS Development Team
+ */
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { ApiKeyStore, createAuth } = require('../core/auth');
+const { useWorkDir } = require('./harness');
+
+describe('auth', () => {
+    const work = useWorkDir('auth');
+    let server;
+    let cli;
+
+    beforeEach(() => {
+        // The running server's store, and the one `npm run api-keys` opens
+        server = createAuth({ store: new ApiKeyStore({ filePath: work.path('keys.json') }), jwtSecret: 'test' });
+        cli = () => new ApiKeyStore({ filePath: work.path('keys.json') });
+    });
+
+    it('accepts keys created after the server started', () => {
+        const { apiKey, key } = cli().create({ name: 'desk', roles: ['trader'] });
+
+        const principal = server.authenticateToken(apiKey);
+        assert.equal(principal.keyId, key.id);
+        assert.deepEqual(principal.roles, ['viewer', 'trader']);
+        assert.equal(server.authenticateToken('feaws_unknown'), null);
+    });
+
+    it('ends keys and their sessions once revoked from another process', () => {
+        const { apiKey, key } = server.store.create({ name: 'desk', roles: ['trader'] });
+        const session = server.createSession(apiKey);
+        assert.equal(server.authenticateToken(session.token).via, 'session');
+
+        cli().revoke(key.id);
+
+        assert.equal(server.authenticateToken(apiKey), null);
+        assert.equal(server.authenticateToken(session.token), null);
+        assert.ok(server.store.list()[0].revokedAt);
+    });
+
+    it('keeps its own writes without re-reading them', () => {
+        const first = server.store.create({ name: 'ops', roles: ['admin'] });
+        const second = cli().create({ name: 'desk', roles: ['viewer'] });
+        server.store.revoke(first.key.id);
+
+        // Both stores agree on the file after each write
+        assert.deepEqual(cli().list().map(key => [key.name, Boolean(key.revokedAt)]), [['ops', true], ['desk', false]]);
+        assert.ok(server.authenticateToken(second.apiKey));
+    });
+});
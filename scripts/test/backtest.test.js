@@ -0,0 +1,115 @@
+/**
+ * @fileoverview Backtest tests
+ * @description Replays small synthetic price histories through the TWAP
+ * engine and the rebalancer on a simulated clock.
+ * @author FEAWS Development Team
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const Backtester = require('../core/backtest');
+const { PriceHistory, parseBacktestArgs } = Backtester;
+const { useWorkDir, simulatedClock } = require('./harness');
+
+const START = Date.parse('2025-07-01T00:00:00Z');
+const HOUR = 3600 * 1000;
+
+function hourlyHistory(hours, wmaticPrice) {
+    return new PriceHistory(Array.from({ length: hours }, (_, h) => [
+        { timestamp: START + h * HOUR, token: 'USDC', price: 1, liquidity: 5000000 },
+        { timestamp: START + h * HOUR, token: 'DAI', price: 1 },
+        { timestamp: START + h * HOUR, token: 'WMATIC', price: wmaticPrice(h), liquidity: 1000000 },
+        { timestamp: START + h * HOUR, token: 'WETH', price: 2500 }
+    ]).flat());
+}
+
+describe('backtesting', () => {
+    const work = useWorkDir('backtest');
+
+    it('fires simulated timers in due order at their due time', async () => {
+        const clock = simulatedClock(1000);
+        const fired = [];
+        clock.setTimeout(() => fired.push(['b', clock.now()]), 20);
+        const cancelled = clock.setTimeout(() => fired.push(['x', clock.now()]), 5);
+        clock.setTimeout(() => {
+            fired.push(['a', clock.now()]);
+            clock.setTimeout(() => fired.push(['c', clock.now()]), 5);
+        }, 10);
+        clock.clearTimeout(cancelled);
+
+        await clock.advanceTo(1016);
+
+        assert.deepEqual(fired, [['a', 1010], ['c', 1015]]);
+        assert.equal(clock.now(), 1016);
+        assert.equal(clock.nextAt(), 1020);
+    });
+
+    it('reads CSV histories and prices at the replay time', () => {
+        const history = new PriceHistory(PriceHistory.parseCSV([
+            '# comment',
+            'timestamp,token,price,liquidity',
+            '2025-07-01T01:00:00Z,WMATIC,0.6,',
+            '1751328000,WMATIC,0.5,1000000'
+        ].join('\n')));
+
+        assert.equal(history.start, START);
+        assert.deepEqual(history.pricesAt(START + HOUR / 2), { wmatic: 0.5 });
+        assert.equal(history.pointAt('wmatic', START + HOUR).liquidity, null);
+        assert.equal(history.pointAt('wmatic', START - 1), null);
+        assert.throws(() => new PriceHistory([{ timestamp: START, token: 'USDC', price: 0 }]), /Invalid price history row 1/);
+    });
+
+    it('fills a TWAP on a flat market on schedule', async () => {
+        const backtester = new Backtester({ history: hourlyHistory(6, () => 0.5), outputDir: work.dir, slippage: { baseBps: 10 } });
+
+        const report = await backtester.runTWAP({ fromToken: 'USDC', toToken: 'WMATIC', amount: '100', sliceCount: 4, intervalMinutes: 60 });
+
+        assert.equal(report.status, 'completed');
+        assert.equal(report.fillRatePct, 100);
+        assert.equal(report.trackingErrorPct, 0);
+        assert.equal(report.window.end, '2025-07-01T03:00:00.000Z');
+        assert.ok(report.cost.slippageVsQuoteBps >= 10 && report.cost.slippageVsQuoteBps < 11);
+        assert.ok(report.cost.gasBps > 0);
+        assert.ok(fs.existsSync(report.reportPath));
+    });
+
+    it('skips TWAP slices when the price moves past maxSlippage', async () => {
+        const backtester = new Backtester({ history: hourlyHistory(6, h => (h < 2 ? 0.5 : 0.55)), outputDir: work.dir });
+
+        const report = await backtester.runTWAP({ fromToken: 'USDC', toToken: 'WMATIC', amount: '100', sliceCount: 4, intervalMinutes: 60, maxSlippage: 1 });
+
+        assert.equal(report.status, 'partial');
+        assert.equal(report.fillRatePct, 50);
+        assert.deepEqual(report.skipReasons, { high_slippage: 2 });
+        assert.ok(report.trackingErrorPct > 0);
+    });
+
+    it('rebalances toward the targets within the cooldown', async () => {
+        const backtester = new Backtester({
+            history: hourlyHistory(6, h => 0.5 + h * 0.05),
+            outputDir: work.dir,
+            balances: { 'USDC.e': '500', WMATIC: '1000', MATIC: '10' }
+        });
+
+        const report = await backtester.runRebalancer({
+            rebalanceThreshold: 5,
+            cooldownPeriod: 4 * 3600,
+            targetAllocations: { USDC: 50, WMATIC: 50, WETH: 0, DAI: 0 }
+        });
+
+        assert.equal(report.checks, 6);
+        assert.equal(report.rebalances, 1);
+        assert.equal(report.fillRatePct, 100);
+        assert.ok(report.cost.tradingUsd > 0);
+        assert.ok(report.trackingErrorPct > 0);
+    });
+
+    it('sweeps comma-separated CLI parameters', () => {
+        const { strategy, args, grid } = parseBacktestArgs(['--strategy=twap', '--sliceCount=4,8', '--amount=10', '--history=h.csv']);
+
+        assert.equal(strategy, 'twap');
+        assert.deepEqual(grid, { sliceCount: [4, 8] });
+        assert.deepEqual(args, { strategy: 'twap', amount: '10', history: 'h.csv' });
+    });
+});
@@ -0,0 +1,243 @@
+/**
+ * @fileoverview End-to-end tests against the local harness
+ * @description Drives the taker bot, monitor, TWAP engine and rebalancer
+ * against anvil and the mock 1inch API. Skipped when anvil is not installed.
+ * @author FEAWS Development Team
+ *
+ * Usage: npm run test:e2e
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ethers } = require('ethers');
+const { startHarness, LocalChain, TOKENS } = require('./harness');
+const LimitOrderV4 = require('../core/lop-order');
+const predicates = require('../core/lop-predicates');
+const TakerStateMachine = require('../core/taker-state');
+
+const { LOP_V4_ADDRESS, saveOrdersFile } = LimitOrderV4;
+const SCRIPTS_DIR = path.join(__dirname, '..');
+const ERC20_ABI = [
+    'function approve(address spender, uint256 amount) returns (bool)',
+    'function balanceOf(address owner) view returns (uint256)'
+];
+
+const skip = !LocalChain.isAvailable() && 'anvil not installed (https://book.getfoundry.sh)';
+
+function runScript(script, env, cwd) {
+    const child = spawn(process.execPath, [path.join(SCRIPTS_DIR, script)], {
+        cwd,
+        env: { ...process.env, ...env },
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+
+    child.output = '';
+    child.stdout.on('data', chunk => { child.output += chunk; });
+    child.stderr.on('data', chunk => { child.output += chunk; });
+    child.exited = new Promise(resolve => child.once('exit', code => resolve(code)));
+
+    return child;
+}
+
+async function waitFor(condition, timeoutMs, label) {
+    const deadline = Date.now() + timeoutMs;
+    while (Date.now() < deadline) {
+        if (await condition()) return;
+        await new Promise(resolve => setTimeout(resolve, 250));
+    }
+    throw new Error(`Timed out waiting for ${label}`);
+}
+
+describe('end-to-end on the local harness', { skip, timeout: 180000 }, () => {
+    let harness;
+    let workDir;
+    let env;
+    let originalCwd;
+
+    before(async () => {
+        harness = await startHarness({ port: 18545 });
+        workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'feaws-e2e-'));
+        env = { ...harness.env, FEAWS_DATA_DIR: workDir };
+
+        // The engines write proofs relative to the working directory
+        originalCwd = process.cwd();
+        process.chdir(workDir);
+        fs.mkdirSync('execution-proofs');
+
+        for (const [wallet, token] of [[harness.maker, 'USDC'], [harness.maker, 'USDC_E'], [harness.taker, 'WMATIC']]) {
+            const contract = new ethers.Contract(TOKENS[token].address, ERC20_ABI, wallet);
+            await (await contract.approve(LOP_V4_ADDRESS, ethers.MaxUint256)).wait();
+        }
+    });
+
+    after(async () => {
+        if (originalCwd) process.chdir(originalCwd);
+        if (harness) await harness.stop();
+        if (workDir) fs.rmSync(workDir, { recursive: true, force: true });
+    });
+
+    it('taker bot fills a time-gated order and the monitor reports it', async () => {
+        const { maker, provider } = harness;
+        const chainTime = (await provider.getBlock('latest')).timestamp;
+        const makingAmount = ethers.parseUnits('10', 6);
+        const takingAmount = ethers.parseEther('5');
+
+        const order = LimitOrderV4.create({
+            maker: maker.address,
+            receiver: maker.address,
+            makerAsset: TOKENS.USDC.address,
+            takerAsset: TOKENS.WMATIC.address,
+            makingAmount,
+            takingAmount,
+            predicate: predicates.timestampAtOrAfter(chainTime)
+        });
+        const orderHash = order.getOrderHash(harness.chain.chainId);
+
+        saveOrdersFile(path.join(workDir, 'orders.json'), {
+            totalUSDC: '10',
+            sliceCount: 1,
+            makerAddress: maker.address,
+            takerAddress: harness.taker.address,
+            generatedAt: Date.now(),
+            orders: [{
+                sliceIndex: 0,
+                availableAt: chainTime,
+                availableAtISO: new Date(chainTime * 1000).toISOString(),
+                order,
+                orderHash,
+                signature: await order.sign(maker, harness.chain.chainId),
+                makingAmount: '10',
+                takingAmount: '5'
+            }]
+        });
+
+        const wmatic = new ethers.Contract(TOKENS.WMATIC.address, ERC20_ABI, provider);
+        const before = await wmatic.balanceOf(maker.address);
+
+        const monitor = runScript('monitor.js', env, workDir);
+        try {
+            await waitFor(() => monitor.output.includes('Listening for events'), 30000, 'monitor start');
+
+            // anvil only mines on demand, so the fill's own block is all the depth there is
+            const bot = runScript('taker-bot.js', { ...env, TAKER_CONFIRMATIONS: '1' }, workDir);
+            assert.equal(await bot.exited, 0, bot.output);
+            assert.match(bot.output, /Slice 0 filled successfully/);
+
+            assert.equal(await wmatic.balanceOf(maker.address) - before, takingAmount);
+            const journal = new TakerStateMachine({ journalPath: path.join(workDir, 'taker-journal.ndjson') });
+            assert.deepEqual(journal.records().map(record => [record.orderHash, record.status]), [[orderHash, 'confirmed']]);
+            assert.equal(journal.get(orderHash).fills.length, 1);
+
+            await waitFor(() => monitor.output.includes('OrderFilled detected for slice 0'), 30000, 'monitor OrderFilled');
+            assert.ok(monitor.output.includes(orderHash));
+        } finally {
+            monitor.kill('SIGINT');
+            await monitor.exited;
+        }
+    });
+
+    it('TWAP engine signs slices and posts them to the orderbook', async () => {
+        const { ProductionTWAPEngine } = require('../core/production-twap');
+        const engine = new ProductionTWAPEngine({
+            rpcUrl: env.POLYGON_RPC_URL,
+            privateKey: env.PRIVATE_KEY,
+            apiKey: env.ONEINCH_API_KEY,
+            journalPath: path.join(workDir, 'twap-journal.jsonl'),
+            outputDir: workDir
+        });
+        const events = [];
+        engine.on('execution', event => events.push(event));
+
+        const twap = await engine.createTWAPOrder({
+            fromToken: TOKENS.USDC.address,
+            toToken: TOKENS.WMATIC.address,
+            totalAmount: ethers.parseUnits('20', 6),
+            sliceCount: 2,
+            intervalMinutes: 0.02
+        });
+        await engine.executeTWAP(twap.id);
+
+        await waitFor(() => twap.completedAt, 30000, 'TWAP completion');
+        engine.provider.destroy();
+
+        assert.equal(twap.status, 'completed');
+        for (const slice of twap.slices) {
+            assert.equal(slice.status, 'completed');
+            const posted = harness.api.orders.get(slice.order.getOrderHash(harness.chain.chainId).toLowerCase());
+            assert.ok(posted, `slice ${slice.sliceIndex} missing from the orderbook`);
+            assert.equal(posted.data.maker, harness.maker.address);
+        }
+
+        const types = events.map(event => event.type);
+        for (const type of ['order_signed', 'slice_scheduled', 'order_submitted', 'twap_completed']) {
+            assert.ok(types.includes(type), `no ${type} event`);
+        }
+        assert.ok(events.every(event => event.twapId === twap.id));
+    });
+
+    it('TWAP engine falls back to an aggregator swap when the orderbook rejects', async () => {
+        const { ProductionTWAPEngine } = require('../core/production-twap');
+        const engine = new ProductionTWAPEngine({
+            rpcUrl: env.POLYGON_RPC_URL,
+            privateKey: env.PRIVATE_KEY,
+            apiKey: env.ONEINCH_API_KEY,
+            journalPath: path.join(workDir, 'twap-fallback.jsonl'),
+            outputDir: workDir
+        });
+        const wmatic = new ethers.Contract(TOKENS.WMATIC.address, ERC20_ABI, harness.provider);
+        const before = await wmatic.balanceOf(harness.maker.address);
+
+        const events = [];
+        engine.on('execution', event => events.push(event));
+
+        harness.api.rejectOrders = true;
+        try {
+            const twap = await engine.createTWAPOrder({
+                fromToken: TOKENS.USDC.address,
+                toToken: TOKENS.WMATIC.address,
+                totalAmount: ethers.parseUnits('5', 6),
+                sliceCount: 1,
+                intervalMinutes: 0.02
+            });
+            await engine.executeTWAP(twap.id);
+            await waitFor(() => twap.completedAt, 30000, 'TWAP completion');
+
+            assert.equal(twap.status, 'completed');
+            assert.equal(twap.slices[0].method, 'fallback_swap');
+            // 5 USDC at $1 into WMATIC at $0.50
+            assert.equal(await wmatic.balanceOf(harness.maker.address) - before, ethers.parseEther('10'));
+
+            const fill = events.find(event => event.type === 'fill_detected');
+            assert.equal(fill?.method, 'fallback_swap');
+            assert.equal(fill.remainingAmount, '0');
+        } finally {
+            harness.api.rejectOrders = false;
+            engine.provider.destroy();
+        }
+    });
+
+    it('rebalancer executes trades through the aggregator swap', async () => {
+        Object.assign(process.env, env);
+        const Rebalancer = require('../advanced/oneinch-portfolio-rebalancer');
+        const rebalancer = new Rebalancer({ outputDir: workDir });
+
+        const result = await rebalancer.executeTrade({
+            fromToken: TOKENS.USDC_E.address,
+            toToken: TOKENS.DAI.address,
+            fromSymbol: 'USDC',
+            toSymbol: 'DAI',
+            amount: ethers.parseUnits('25', 6)
+        });
+        rebalancer.provider.destroy();
+
+        assert.equal(result.success, true, result.error);
+        assert.equal(result.expectedAmountOut, ethers.parseEther('25').toString());
+
+        const dai = new ethers.Contract(TOKENS.DAI.address, ERC20_ABI, harness.provider);
+        assert.equal(await dai.balanceOf(harness.maker.address), ethers.parseEther('25'));
+    });
+});
@@ -0,0 +1,93 @@
+/**
+ * @fileoverview Taker fill evaluation tests
+ * @description Prices LOP v4 orders for the taker bot against the paper
+ * backend's quotes and gas.
+ * @author FEAWS Development Team
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const LimitOrderV4 = require('../core/lop-order');
+const FillEvaluator = require('../core/fill-evaluator');
+const { TOKENS, useWorkDir, paperBackend } = require('./harness');
+
+const { LOP_V4_ADDRESS } = LimitOrderV4;
+const maker = ethers.Wallet.createRandom();
+
+async function usdcForWmatic(usdc, wmatic, traits = {}) {
+    const order = LimitOrderV4.create({
+        maker: maker.address,
+        makerAsset: TOKENS.USDC.address,
+        takerAsset: TOKENS.WMATIC.address,
+        makingAmount: ethers.parseUnits(usdc, 6),
+        takingAmount: ethers.parseEther(wmatic),
+        ...traits
+    });
+    return { sliceIndex: 0, order, signature: await order.sign(maker) };
+}
+
+describe('taker fill evaluation', () => {
+    const work = useWorkDir('taker');
+
+    // Paper taker at 60 gwei, with 80k gas per LOP call
+    function evaluatorFor(wmatic) {
+        const backend = paperBackend(work, { balances: { WMATIC: wmatic, MATIC: '1' } });
+        backend.ledger.approve(TOKENS.WMATIC.address, LOP_V4_ADDRESS, ethers.MaxUint256);
+
+        return new FillEvaluator({
+            provider: backend.provider,
+            taker: backend.wallet.address,
+            quoteApi: backend.swapApi,
+            minProfitBps: 10
+        });
+    }
+
+    it('fills orders that beat the aggregator after gas', async () => {
+        const entry = await usdcForWmatic('10', '19');
+
+        const decision = await evaluatorFor('100').evaluate(entry);
+
+        const gasCost = 80000n * ethers.parseUnits('60', 'gwei');
+        assert.equal(decision.action, 'fill');
+        assert.equal(decision.partial, false);
+        assert.equal(decision.fillMaking, ethers.parseUnits('10', 6));
+        assert.equal(decision.quotedTaking, ethers.parseEther('20'));
+        assert.equal(decision.netProfit, ethers.parseEther('1') - gasCost);
+        assert.equal(decision.gasLimit, 96000n);
+        assert.equal(decision.gasPrice, ethers.parseUnits('60', 'gwei'));
+    });
+
+    it('waits while the fill would not cover its gas', async () => {
+        const entry = await usdcForWmatic('10', '20');
+
+        const decision = await evaluatorFor('100').evaluate(entry);
+
+        assert.equal(decision.action, 'wait');
+        assert.ok(decision.netProfit < 0n);
+        assert.match(decision.reason, /below 10 bps/);
+    });
+
+    it('fills partially up to what the taker can pay', async () => {
+        const partial = await usdcForWmatic('10', '19');
+        const decision = await evaluatorFor('5').evaluate(partial);
+
+        assert.equal(decision.action, 'fill');
+        assert.equal(decision.partial, true);
+        assert.equal(decision.fillMaking, ethers.parseUnits('5', 18) * ethers.parseUnits('10', 6) / ethers.parseEther('19'));
+        assert.ok(decision.fillTaking <= ethers.parseEther('5'));
+
+        const whole = await usdcForWmatic('10', '19', { allowPartialFills: false });
+        const waiting = await evaluatorFor('5').evaluate(whole);
+        assert.equal(waiting.action, 'wait');
+        assert.match(waiting.reason, /balance/);
+    });
+
+    it('skips expired and exhausted orders', async () => {
+        const expired = await usdcForWmatic('10', '19', { expiration: 1000 });
+        const evaluator = evaluatorFor('100');
+
+        assert.equal((await evaluator.evaluate(expired, { now: 2000 })).action, 'skip');
+        assert.equal((await evaluator.evaluate(await usdcForWmatic('10', '19'), { remaining: 0n })).action, 'skip');
+    });
+});
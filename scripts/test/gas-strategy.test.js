@@ -0,0 +1,190 @@
+/**
+ * @fileoverview Gas strategy tests
+ * @description Estimates EIP-1559 fees from a stubbed eth_feeHistory,
+ * enforces strategy caps, replaces stuck transactions (bumping a stuck
+ * cancel until it times out) and defers a paper TWAP slice while gas is
+ * above the engine's cap.
+ * @author FEAWS Development Team
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const { GasStrategy, GasPriceTooHighError } = require('../core/gas-strategy');
+const { TOKENS, useWorkDir, paperBackend, paperEngine, simulatedClock } = require('./harness');
+
+const gwei = value => ethers.parseUnits(String(value), 'gwei');
+
+// eth_feeHistory over three blocks, the last of them empty, with the next base fee at 100 gwei
+function historyProvider(receipts = new Map()) {
+    return {
+        calls: [],
+        async send(method, params) {
+            this.calls.push([method, params]);
+            return {
+                baseFeePerGas: [gwei(80), gwei(90), gwei(95), gwei(100)].map(ethers.toQuantity),
+                reward: [
+                    [gwei(31), gwei(40), gwei(60)],
+                    [gwei(33), gwei(50), gwei(90)],
+                    ['0x0', '0x0', '0x0']
+                ].map(rewards => rewards.map(ethers.toQuantity))
+            };
+        },
+        async getTransactionReceipt(hash) {
+            return receipts.get(hash) || null;
+        }
+    };
+}
+
+// Records what it is asked to send, at nonce 7 unless told otherwise; every transaction stays pending
+function stubSigner() {
+    return {
+        address: ethers.Wallet.createRandom().address,
+        sent: [],
+        async getAddress() { return this.address; },
+        async sendTransaction(tx) {
+            const response = { nonce: 7, ...tx, hash: ethers.id(`tx ${this.sent.length + 1}`) };
+            this.sent.push(response);
+            return response;
+        }
+    };
+}
+
+describe('gas strategy', () => {
+    const work = useWorkDir('gas');
+
+    it('estimates fees from eth_feeHistory by speed', async () => {
+        const provider = historyProvider();
+        const gas = new GasStrategy({ provider, historyBlocks: 3 });
+
+        const standard = await gas.estimate();
+        assert.deepEqual(provider.calls[0], ['eth_feeHistory', ['0x3', 'latest', [25, 50, 75]]]);
+        assert.equal(standard.baseFee, gwei(100));
+        assert.equal(standard.maxPriorityFeePerGas, gwei(50));
+        assert.equal(standard.maxFeePerGas, gwei(250));
+        assert.equal(standard.expectedGasPrice, gwei(150));
+
+        assert.equal((await gas.estimate('fast')).maxPriorityFeePerGas, gwei(90));
+        // 33 gwei is the median slow tip; the 35 gwei floor lifts it
+        const floored = new GasStrategy({ provider, minPriorityFee: gwei(35) });
+        assert.equal((await floored.estimate('slow')).maxPriorityFeePerGas, gwei(35));
+        await assert.rejects(gas.estimate('instant'), /Unknown gas speed/);
+    });
+
+    it('holds strategies to their caps', async () => {
+        const gas = new GasStrategy({ provider: historyProvider(), caps: { twap: gwei(200), taker: gwei(100) } });
+
+        assert.equal((await gas.fees('twap')).maxFeePerGas, gwei(200));
+        assert.equal((await gas.fees('rebalancer')).maxFeePerGas, gwei(250));
+        await assert.rejects(gas.fees('taker'), error => {
+            assert.ok(error instanceof GasPriceTooHighError);
+            assert.equal(error.gasPrice, gwei(150));
+            assert.match(error.message, /150\.0 gwei is above the taker cap of 100\.0 gwei/);
+            return true;
+        });
+
+        const signer = stubSigner();
+        const tx = await new GasStrategy({ provider: historyProvider() }).send(signer, { to: TOKENS.USDC.address, data: '0x', gas: 50000, gasPrice: gwei(1) });
+        assert.equal(tx.nonce, 7);
+        assert.equal(tx.type, 2);
+        assert.equal(tx.gasLimit, 50000);
+        assert.equal(tx.gasPrice, undefined);
+    });
+
+    it('speeds up on the same nonce, then cancels within the cap', async () => {
+        const gas = new GasStrategy({ provider: historyProvider(), caps: { twap: gwei(300) } });
+        const signer = stubSigner();
+        const original = await gas.send(signer, { to: TOKENS.USDC.address, data: '0x1234', gasLimit: 60000n }, { strategy: 'twap' });
+
+        const faster = await gas.speedUp(signer, original, { strategy: 'twap' });
+        assert.equal(faster.nonce, 7);
+        assert.equal(faster.data, '0x1234');
+        // The fast market (tip 90, max fee 290) beats 50 and 250 bumped by 12.5%
+        assert.equal(faster.maxPriorityFeePerGas, gwei(90));
+        assert.equal(faster.maxFeePerGas, gwei(290));
+
+        await assert.rejects(gas.speedUp(signer, faster, { strategy: 'twap' }), GasPriceTooHighError);
+
+        const cancel = await gas.cancel(signer, faster);
+        assert.equal(cancel.nonce, 7);
+        assert.equal(cancel.to, signer.address);
+        assert.equal(cancel.value, 0n);
+        assert.ok(cancel.maxFeePerGas > faster.maxFeePerGas);
+    });
+
+    it('replaces a stuck transaction until one is mined', async t => {
+        // Quiet: the speed-up and cancel logs are not under test
+        t.mock.method(console, 'log', () => {});
+        const receipts = new Map();
+        const gas = new GasStrategy({ provider: historyProvider(receipts), stuckAfterMs: 0, pollMs: 1, maxReplacements: 1 });
+        const signer = stubSigner();
+        const send = signer.sendTransaction.bind(signer);
+        signer.sendTransaction = async tx => {
+            const response = await send(tx);
+            // The cancel, the third transaction on nonce 7, is the one mined
+            if (signer.sent.length === 3) {
+                receipts.set(response.hash, { hash: response.hash, status: 1 });
+            }
+            return response;
+        };
+
+        await assert.rejects(gas.sendAndWait(signer, { to: TOKENS.USDC.address, data: '0x', gasLimit: 60000n }), error => {
+            assert.equal(error.code, 'TRANSACTION_REPLACED');
+            assert.equal(error.cancelled, true);
+            return true;
+        });
+        assert.deepEqual(signer.sent.map(tx => tx.nonce), [7, 7, 7]);
+        assert.equal(signer.sent[2].to, signer.address);
+    });
+
+    it('bumps a stuck cancel, then gives up with a timeout', async t => {
+        t.mock.method(console, 'log', () => {});
+        const gas = new GasStrategy({ provider: historyProvider(), stuckAfterMs: 0, pollMs: 1, maxReplacements: 1 });
+        const signer = stubSigner();
+
+        await assert.rejects(gas.sendAndWait(signer, { to: TOKENS.USDC.address, data: '0x', gasLimit: 60000n }), error => {
+            assert.equal(error.code, 'TIMEOUT');
+            assert.equal(error.hash, signer.sent[0].hash);
+            return true;
+        });
+        // The transaction, its speed-up, the cancel and one bump of the cancel
+        assert.equal(signer.sent.length, 4);
+        const [cancel, bumped] = signer.sent.slice(2);
+        assert.equal(bumped.to, signer.address);
+        assert.equal(bumped.nonce, 7);
+        assert.ok(bumped.maxFeePerGas > cancel.maxFeePerGas);
+        assert.ok(bumped.maxPriorityFeePerGas > cancel.maxPriorityFeePerGas);
+    });
+
+    it('defers TWAP slices while gas is above maxGasPrice', async () => {
+        const backend = paperBackend(work);
+        const clock = simulatedClock();
+        const engine = paperEngine(backend, work, { clock });
+
+        const twap = await engine.createTWAPOrder({
+            fromToken: TOKENS.USDC.address,
+            toToken: TOKENS.WMATIC.address,
+            totalAmount: ethers.parseUnits('10', 6),
+            sliceCount: 1,
+            intervalMinutes: 1
+        });
+        // Paper gas costs 60 gwei per unit
+        engine.gas.setCap('twap', gwei(50));
+        await engine.executeTWAP(twap.id);
+        await clock.advance(0);
+        await engine.idle();
+
+        const [slice] = twap.slices;
+        assert.equal(slice.status, 'pending');
+        assert.equal(slice.deferReason, 'gas_price');
+        assert.equal(slice.submittedAt, undefined);
+
+        engine.gas.setCap('twap', gwei(100));
+        await clock.advance(60 * 1000);
+        await engine.idle();
+
+        assert.equal(slice.status, 'completed');
+        assert.equal(slice.method, 'fallback_swap');
+        assert.equal(twap.status, 'completed');
+    });
+});
@@ -0,0 +1,130 @@
+/**
+ * @fileoverview Unit Test Fixtures
+ * @description Scaffolding shared by the node tests that run without a
+ * chain or API key (every scripts/test/*.test.js except e2e, all run by
+ * `npm run test:js`): a scratch directory per test, paper backends and
+ * engines inside it, a simulated clock and a stand-in node
+ * @author FEAWS Development Team
+ */
+
+const { beforeEach, afterEach } = require('node:test');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ethers } = require('ethers');
+const { createPaperBackend } = require('../../core/paper-trading');
+const { SimulatedClock } = require('../../core/clock');
+
+// Base fee plus tip: paper transactions cost 60 gwei per gas
+const PAPER_GAS = { baseFeeGwei: 30, priorityFeeGwei: 30 };
+const SIMULATION_START = Date.UTC(2025, 0, 1);
+
+/**
+ * A fresh directory under the OS temp dir for each test in the enclosing
+ * describe, removed after it
+ * @param {string} name - Directory prefix
+ * @returns {{ dir: string, path: function(...string): string }}
+ */
+function useWorkDir(name) {
+    const work = {
+        dir: null,
+        path: (...parts) => path.join(work.dir, ...parts)
+    };
+
+    beforeEach(() => {
+        work.dir = fs.mkdtempSync(path.join(os.tmpdir(), `feaws-${name}-`));
+    });
+
+    afterEach(() => {
+        fs.rmSync(work.dir, { recursive: true, force: true });
+    });
+
+    return work;
+}
+
+/**
+ * A paper backend with its ledger in `work`, holding 100 USDC and 1 MATIC
+ * unless `options.balances` says otherwise
+ */
+function paperBackend(work, options = {}) {
+    return createPaperBackend({
+        ledgerPath: work.path('ledger.json'),
+        balances: { USDC: '100', MATIC: '1' },
+        gas: PAPER_GAS,
+        ...options
+    });
+}
+
+function simulatedClock(start = SIMULATION_START) {
+    return new SimulatedClock(start);
+}
+
+/**
+ * A TWAP engine on `backend` writing its journal and outputs into `work`
+ */
+function paperEngine(backend, work, options = {}) {
+    const { ProductionTWAPEngine } = require('../../core/production-twap');
+    return new ProductionTWAPEngine({
+        provider: backend.provider,
+        wallet: backend.wallet,
+        swapApi: backend.swapApi,
+        outputDir: work.dir,
+        journalPath: work.path('twap-journal.ndjson'),
+        ...options
+    });
+}
+
+/**
+ * Just enough of a node to sign and broadcast against: `mine()` includes
+ * every consecutive nonce, and a same-nonce transaction needs 12.5% higher
+ * fees to replace what is in the mempool
+ */
+function stubChain() {
+    return {
+        mined: 0,
+        mempool: new Map(),
+        broadcasts: [],
+        async getNetwork() {
+            return new ethers.Network('polygon', 137n);
+        },
+        async getFeeData() {
+            return new ethers.FeeData(null, ethers.parseUnits('100', 'gwei'), ethers.parseUnits('30', 'gwei'));
+        },
+        async getTransactionCount(address, tag) {
+            let count = this.mined;
+            while (tag === 'pending' && this.mempool.has(count)) count++;
+            return count;
+        },
+        async getTransaction(hash) {
+            return [...this.mempool.values()].find(tx => tx.hash === hash) || null;
+        },
+        async broadcastTransaction(raw) {
+            const tx = ethers.Transaction.from(raw);
+            if (tx.nonce < this.mined) {
+                throw ethers.makeError('nonce too low', 'NONCE_EXPIRED');
+            }
+            const existing = this.mempool.get(tx.nonce);
+            if (existing && tx.maxFeePerGas * 1000n < existing.maxFeePerGas * 1125n) {
+                throw ethers.makeError('replacement transaction underpriced', 'REPLACEMENT_UNDERPRICED');
+            }
+            this.mempool.set(tx.nonce, tx);
+            this.broadcasts.push(tx);
+            return { hash: tx.hash, nonce: tx.nonce, maxFeePerGas: tx.maxFeePerGas };
+        },
+        mine() {
+            while (this.mempool.has(this.mined)) {
+                this.mempool.delete(this.mined++);
+            }
+        }
+    };
+}
+
+module.exports = {
+    PAPER_GAS,
+    SIMULATION_START,
+    useWorkDir,
+    paperBackend,
+    simulatedClock,
+    paperEngine,
+    stubChain
+};
@@ -0,0 +1,168 @@
+/**
+ * @fileoverview End-to-End Test Harness
+ * @description Boots a local chain with mock Polygon tokens, Chainlink feeds and
+ * the 1inch LOP v4 contract at their mainnet addresses, plus a mock 1inch API,
+ * so engines and scripts run unmodified against it
+ * @author FEAWS Development Team
+ *
+ * Two chain modes:
+ *  - dev (default): empty anvil chain. LOP v4 is deployed from the vendored
+ *    lop/HarnessLimitOrderProtocol.json, built from the 1inch sources under
+ *    the Aggregation Router v6 domain (see lop/build.js).
+ *  - fork: set HARNESS_FORK_URL to a Polygon RPC. The real LOP and Multicall3
+ *    are used; token code is still replaced by mocks so balances are controlled.
+ */
+
+const path = require('path');
+const { ethers } = require('ethers');
+const LocalChain = require('./local-chain');
+const MockOneInchAPI = require('./mock-1inch-api');
+const { LOP_V4_ADDRESS } = require('../../core/lop-order');
+const { MULTICALL3 } = require('../../core/lop-predicates');
+const { POLYGON_FEEDS } = require('../../core/price-guard');
+const fixtures = require('./fixtures');
+
+const TOKENS = {
+    USDC: { address: '0x3c499c542cEF5E3811e1192ce70d8cC03d5c3359', decimals: 6, priceUSD: 1 },
+    USDC_E: { address: '0x2791Bca1f2de4661ED88A30C99A7a9449Aa84174', decimals: 6, priceUSD: 1 },
+    WMATIC: { address: '0x0d500B1d8E8eF31E21C99d1Db9A6444d3ADf1270', decimals: 18, priceUSD: 0.5 },
+    WETH: { address: '0x7ceB23fD6bC0adD59E62ac25578270cFf1b9f619', decimals: 18, priceUSD: 3000 },
+    DAI: { address: '0x8f3Cf7ad23Cd3CaDbD9735AFf958023239c6A063', decimals: 18, priceUSD: 1 }
+};
+
+const FEED_PRICES = {
+    MATIC_USD: 0.5,
+    USDC_USD: 1,
+    USDT_USD: 1,
+    ETH_USD: 3000
+};
+
+const LOP_ARTIFACT = path.join(__dirname, 'lop', 'HarnessLimitOrderProtocol.json');
+
+// Dev account indices
+const MAKER_INDEX = 1;
+const TAKER_INDEX = 2;
+
+async function deployTokens(chain) {
+    const contracts = {};
+
+    for (const [symbol, token] of Object.entries(TOKENS)) {
+        contracts[symbol] = symbol === 'WMATIC'
+            ? await chain.deployAt(token.address, 'MockWrappedNative')
+            : await chain.deployAt(token.address, 'MockERC20', [symbol, symbol, token.decimals]);
+    }
+
+    return contracts;
+}
+
+async function deployLOP(chain) {
+    const existing = await chain.provider.getCode(LOP_V4_ADDRESS);
+    if (existing !== '0x') {
+        return;
+    }
+
+    await chain.deployAt(LOP_V4_ADDRESS, LOP_ARTIFACT, [TOKENS.WMATIC.address]);
+}
+
+async function deployFeeds(chain) {
+    const feeds = {};
+
+    for (const [name, address] of Object.entries(POLYGON_FEEDS)) {
+        feeds[name] = await chain.deployAt(address, 'MockAggregator', [8]);
+        await (await feeds[name].setAnswer(ethers.parseUnits(String(FEED_PRICES[name]), 8))).wait();
+    }
+
+    return feeds;
+}
+
+/**
+ * @param {Object} [options]
+ * @param {number} [options.port] - anvil port
+ * @param {string} [options.forkUrl] - Defaults to HARNESS_FORK_URL
+ * @param {Object<string, string>} [options.makerBalances] - Human amounts minted to the maker per symbol
+ * @param {Object<string, string>} [options.takerBalances]
+ */
+async function startHarness(options = {}) {
+    const chain = new LocalChain({
+        port: options.port,
+        forkUrl: options.forkUrl || process.env.HARNESS_FORK_URL
+    });
+    await chain.start();
+
+    let api;
+    try {
+        const deployer = chain.wallet(0);
+        const maker = chain.wallet(MAKER_INDEX);
+        const taker = chain.wallet(TAKER_INDEX);
+
+        const tokens = await deployTokens(chain);
+        await deployLOP(chain);
+
+        if ((await chain.provider.getCode(MULTICALL3)) === '0x') {
+            await chain.deployAt(MULTICALL3, 'BlockTimestamp');
+        }
+
+        const feeds = await deployFeeds(chain);
+
+        // Aggregator swaps settle through the router using approvals made to the 1inch router
+        const router = await chain.deploy('MockSwapRouter');
+        const routerAddress = await router.getAddress();
+        for (const token of Object.values(tokens)) {
+            await (await token.setSpenderAlias(routerAddress, LOP_V4_ADDRESS)).wait();
+        }
+
+        const makerBalances = options.makerBalances || { USDC: '10000', USDC_E: '10000', WMATIC: '1000' };
+        const takerBalances = options.takerBalances || { WMATIC: '100000', USDC: '10000' };
+        for (const [wallet, balances] of [[maker, makerBalances], [taker, takerBalances]]) {
+            for (const [symbol, amount] of Object.entries(balances)) {
+                const minted = ethers.parseUnits(amount, TOKENS[symbol].decimals);
+                await (await tokens[symbol].connect(deployer).mint(wallet.address, minted)).wait();
+            }
+        }
+
+        api = new MockOneInchAPI({
+            chainId: chain.chainId,
+            router: routerAddress,
+            tokens: Object.fromEntries(Object.entries(TOKENS).map(([symbol, t]) => [t.address, { symbol, ...t }]))
+        });
+        await api.start(options.apiPort);
+
+        return {
+            chain,
+            api,
+            provider: chain.provider,
+            deployer,
+            maker,
+            taker,
+            tokens,
+            feeds,
+            router,
+            // Environment the engines and scripts read their endpoints and keys from
+            env: {
+                POLYGON_RPC_URL: chain.rpcUrl,
+                ONEINCH_API_URL: api.url,
+                ONEINCH_API_KEY: 'harness',
+                PRIVATE_KEY: maker.privateKey,
+                TAKER_PRIVATE_KEY: taker.privateKey,
+                TAKER_WALLET_ADDRESS: taker.address
+            },
+            async stop() {
+                await api.stop();
+                await chain.stop();
+            }
+        };
+    } catch (error) {
+        if (api) await api.stop();
+        await chain.stop();
+        throw error;
+    }
+}
+
+module.exports = {
+    TOKENS,
+    FEED_PRICES,
+    LocalChain,
+    MockOneInchAPI,
+    startHarness,
+    ...fixtures
+};
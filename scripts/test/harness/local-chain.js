@@ -0,0 +1,175 @@
+/**
+ * @fileoverview Local Chain
+ * @description Starts and drives an anvil node for the end-to-end harness:
+ * funded dev accounts, artifact deployment, code placement at fixed addresses
+ * and time travel
+ * @author FEAWS Development Team
+ */
+
+const { spawn, execFileSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+
+const REPO_ROOT = path.join(__dirname, '../../..');
+const FOUNDRY_OUT = path.join(REPO_ROOT, 'out');
+
+// anvil's default dev mnemonic; every account starts with 10000 ETH
+const DEV_MNEMONIC = 'test test test test test test test test test test test junk';
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Read a compiled contract. Accepts Foundry (`bytecode.object`) and Hardhat
+ * (`bytecode` string) artifact layouts.
+ */
+function loadArtifact(artifactPath) {
+    const artifact = JSON.parse(fs.readFileSync(artifactPath, 'utf8'));
+    const bytecode = typeof artifact.bytecode === 'string' ? artifact.bytecode : artifact.bytecode.object;
+
+    return { abi: artifact.abi, bytecode };
+}
+
+class LocalChain {
+    /**
+     * @param {Object} options
+     * @param {number} [options.port]
+     * @param {number} [options.chainId] - 137 so signatures use the Polygon EIP-712 domain
+     * @param {string} [options.forkUrl] - Fork a live chain instead of starting empty
+     * @param {string} [options.anvilPath]
+     */
+    constructor(options = {}) {
+        this.port = options.port || 8545;
+        this.chainId = options.chainId || 137;
+        this.forkUrl = options.forkUrl || null;
+        this.anvilPath = options.anvilPath || process.env.ANVIL_PATH || 'anvil';
+        this.rpcUrl = `http://127.0.0.1:${this.port}`;
+        this.process = null;
+        this.provider = null;
+    }
+
+    static isAvailable(anvilPath = process.env.ANVIL_PATH || 'anvil') {
+        try {
+            execFileSync(anvilPath, ['--version'], { stdio: 'ignore' });
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    async start() {
+        const args = ['--port', String(this.port), '--chain-id', String(this.chainId), '--silent'];
+        if (this.forkUrl) {
+            args.push('--fork-url', this.forkUrl);
+        }
+
+        this.process = spawn(this.anvilPath, args, { stdio: ['ignore', 'ignore', 'pipe'] });
+
+        let stderr = '';
+        this.process.stderr.on('data', chunk => { stderr += chunk; });
+
+        this.provider = new ethers.JsonRpcProvider(this.rpcUrl, this.chainId, { staticNetwork: true, polling: true, pollingInterval: 250 });
+
+        const deadline = Date.now() + 30000;
+        while (Date.now() < deadline) {
+            if (this.process.exitCode !== null) {
+                throw new Error(`anvil exited early: ${stderr.trim()}`);
+            }
+            try {
+                await this.provider.send('eth_chainId', []);
+                return this;
+            } catch (error) {
+                await sleep(200);
+            }
+        }
+
+        await this.stop();
+        throw new Error(`anvil did not answer on ${this.rpcUrl} within 30s`);
+    }
+
+    async stop() {
+        if (this.provider) {
+            this.provider.destroy();
+            this.provider = null;
+        }
+        if (this.process && this.process.exitCode === null) {
+            const exited = new Promise(resolve => this.process.once('exit', resolve));
+            this.process.kill('SIGTERM');
+            await exited;
+        }
+        this.process = null;
+    }
+
+    /**
+     * Dev account `index` connected to the chain
+     */
+    wallet(index) {
+        return ethers.HDNodeWallet.fromPhrase(DEV_MNEMONIC, undefined, `m/44'/60'/0'/0/${index}`).connect(this.provider);
+    }
+
+    rpc(method, params = []) {
+        return this.provider.send(method, params);
+    }
+
+    setCode(address, code) {
+        return this.rpc('anvil_setCode', [address, code]);
+    }
+
+    setBalance(address, wei) {
+        return this.rpc('anvil_setBalance', [address, ethers.toQuantity(wei)]);
+    }
+
+    async increaseTime(seconds) {
+        await this.rpc('evm_increaseTime', [ethers.toQuantity(seconds)]);
+        await this.rpc('evm_mine');
+    }
+
+    snapshot() {
+        return this.rpc('evm_snapshot');
+    }
+
+    revert(snapshotId) {
+        return this.rpc('evm_revert', [snapshotId]);
+    }
+
+    /**
+     * Compile contracts/ with forge when the harness artifacts are missing
+     */
+    ensureArtifacts(name) {
+        const artifactPath = path.join(FOUNDRY_OUT, `${name}.sol`, `${name}.json`);
+        if (!fs.existsSync(artifactPath)) {
+            execFileSync(process.env.FORGE_PATH || 'forge', ['build'], { cwd: REPO_ROOT, stdio: 'inherit' });
+        }
+        return artifactPath;
+    }
+
+    /**
+     * Deploy a contract from contracts/ (by name) or from an artifact file
+     * @returns {Promise<ethers.Contract>}
+     */
+    async deploy(nameOrArtifact, args = [], deployer = this.wallet(0)) {
+        const artifactPath = nameOrArtifact.endsWith('.json') ? nameOrArtifact : this.ensureArtifacts(nameOrArtifact);
+        const { abi, bytecode } = loadArtifact(artifactPath);
+
+        const contract = await new ethers.ContractFactory(abi, bytecode, deployer).deploy(...args);
+        await contract.waitForDeployment();
+        return contract;
+    }
+
+    /**
+     * Deploy, then move the runtime code to `address` so scripts with hard-coded
+     * Polygon addresses talk to the mock. Storage is not copied; contracts placed
+     * this way keep their configuration in immutables.
+     */
+    async deployAt(address, nameOrArtifact, args = [], deployer) {
+        const deployed = await this.deploy(nameOrArtifact, args, deployer);
+        await this.setCode(address, await this.provider.getCode(await deployed.getAddress()));
+        return deployed.attach(address).connect(deployer || this.wallet(0));
+    }
+}
+
+module.exports = LocalChain;
+module.exports.loadArtifact = loadArtifact;
+module.exports.DEV_MNEMONIC = DEV_MNEMONIC;
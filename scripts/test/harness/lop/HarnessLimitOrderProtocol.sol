@@ -0,0 +1,29 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity 0.8.23;
+
+import { EIP712 } from "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "@1inch/limit-order-protocol-contract/contracts/OrderMixin.sol";
+
+/**
+ * @title LOP v4 for the local harness
+ * @notice LimitOrderProtocol from @1inch/limit-order-protocol-contract 4.0.3,
+ * signing under the Aggregation Router v6 domain like the contract deployed at
+ * 0x111111125421cA6dc452d289314280a0f8842A65, so orders hashed by lop-order.js
+ * fill on the dev chain
+ */
+contract HarnessLimitOrderProtocol is
+    EIP712("1inch Aggregation Router", "6"),
+    Ownable,
+    OrderMixin
+{
+    // solhint-disable-next-line no-empty-blocks
+    constructor(IWETH _weth) OrderMixin(_weth) Ownable(msg.sender) {}
+
+    /// @dev Returns the domain separator for the current chain (EIP-712)
+    // solhint-disable-next-line func-name-mixedcase
+    function DOMAIN_SEPARATOR() external view returns(bytes32) {
+        return _domainSeparatorV4();
+    }
+}
@@ -0,0 +1,64 @@
+/**
+ * @fileoverview Harness LOP Build
+ * @description Compiles HarnessLimitOrderProtocol.sol into the vendored
+ * HarnessLimitOrderProtocol.json that startHarness() deploys on the dev chain.
+ * Only needed when the source or the pinned versions change.
+ * @author FEAWS Development Team
+ *
+ * Usage:
+ *   npm install --no-save solc@0.8.23 @1inch/limit-order-protocol-contract@4.0.3 \
+ *     @1inch/solidity-utils@4.2.1 @openzeppelin/contracts@5.0.1
+ *   node scripts/test/harness/lop/build.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const solc = require('solc');
+
+const NAME = 'HarnessLimitOrderProtocol';
+const SOURCE = `${NAME}.sol`;
+const ARTIFACT_PATH = path.join(__dirname, `${NAME}.json`);
+
+// The settings the 1inch repo builds v4 with
+const SETTINGS = {
+    viaIR: true,
+    optimizer: { enabled: true, runs: 1000000 },
+    evmVersion: 'shanghai',
+    outputSelection: { [SOURCE]: { [NAME]: ['abi', 'evm.bytecode.object'] } }
+};
+
+// Read from node_modules directly: the packages' exports maps hide their .sol files
+function findImport(importPath) {
+    const file = require.resolve.paths(importPath)
+        .map(dir => path.join(dir, importPath))
+        .find(candidate => fs.existsSync(candidate));
+    return file ? { contents: fs.readFileSync(file, 'utf8') } : { error: `${importPath} not found in node_modules` };
+}
+
+function build() {
+    const input = {
+        language: 'Solidity',
+        sources: { [SOURCE]: { content: fs.readFileSync(path.join(__dirname, SOURCE), 'utf8') } },
+        settings: SETTINGS
+    };
+    const output = JSON.parse(solc.compile(JSON.stringify(input), { import: findImport }));
+    const errors = (output.errors || []).filter(error => error.severity === 'error');
+    if (errors.length > 0) {
+        throw new Error(errors.map(error => error.formattedMessage).join('\n'));
+    }
+
+    const { abi, evm } = output.contracts[SOURCE][NAME];
+    const artifact = {
+        contractName: NAME,
+        compiler: { version: solc.version(), settings: { viaIR: true, optimizer: SETTINGS.optimizer, evmVersion: SETTINGS.evmVersion } },
+        sources: ['@1inch/limit-order-protocol-contract@4.0.3', '@1inch/solidity-utils@4.2.1', '@openzeppelin/contracts@5.0.1'],
+        abi,
+        bytecode: `0x${evm.bytecode.object}`
+    };
+    fs.writeFileSync(ARTIFACT_PATH, JSON.stringify(artifact, null, 2) + '\n');
+    console.log(`✅ ${path.relative(process.cwd(), ARTIFACT_PATH)}: ${(evm.bytecode.object.length / 2).toLocaleString()} bytes`);
+}
+
+if (require.main === module) {
+    build();
+}
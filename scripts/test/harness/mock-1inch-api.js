@@ -0,0 +1,243 @@
+/**
+ * @fileoverview Mock 1inch API
+ * @description HTTP stand-in for the api.1inch.dev swap (quote/swap/tokens),
+ * orderbook and spot price endpoints used by the engines, backed by a fixed
+ * USD price table and the harness MockSwapRouter
+ * @author FEAWS Development Team
+ */
+
+const http = require('http');
+const { ethers } = require('ethers');
+const { LimitOrderV4, LOP_V4_ADDRESS } = require('../../core/lop-order');
+
+const ROUTER_ABI = ['function swap(address src, address dst, uint256 amount, uint256 returnAmount, address recipient) returns (uint256)'];
+const PRICE_SCALE = 10n ** 8n;
+
+class ApiError extends Error {
+    constructor(statusCode, description) {
+        super(description);
+        this.statusCode = statusCode;
+    }
+}
+
+class MockOneInchAPI {
+    /**
+     * @param {Object} options
+     * @param {Object<string, {symbol: string, decimals: number, priceUSD: number}>} options.tokens - Keyed by address
+     * @param {string} [options.router] - MockSwapRouter address returned in swap transactions
+     * @param {number} [options.chainId]
+     */
+    constructor(options) {
+        this.chainId = options.chainId || 137;
+        this.router = options.router || null;
+        this.tokens = new Map();
+        this.orders = new Map();
+        this.requests = [];
+        this.rejectOrders = false;
+        this.server = null;
+        this.routerInterface = new ethers.Interface(ROUTER_ABI);
+
+        for (const [address, token] of Object.entries(options.tokens)) {
+            this.tokens.set(address.toLowerCase(), { address: ethers.getAddress(address), ...token });
+        }
+    }
+
+    setPrice(address, priceUSD) {
+        this.getToken(address).priceUSD = priceUSD;
+    }
+
+    getToken(address) {
+        const token = address && this.tokens.get(address.toLowerCase());
+        if (!token) {
+            throw new ApiError(400, `Unknown token ${address}`);
+        }
+        return token;
+    }
+
+    /**
+     * Output amount for `amount` of src at the configured USD prices
+     */
+    convert(src, dst, amount) {
+        const from = this.getToken(src);
+        const to = this.getToken(dst);
+        const fromPrice = BigInt(Math.round(from.priceUSD * Number(PRICE_SCALE)));
+        const toPrice = BigInt(Math.round(to.priceUSD * Number(PRICE_SCALE)));
+
+        return (BigInt(amount) * fromPrice * 10n ** BigInt(to.decimals)) /
+            (toPrice * 10n ** BigInt(from.decimals));
+    }
+
+    async start(port = 0) {
+        this.server = http.createServer((req, res) => this.handle(req, res));
+        await new Promise(resolve => this.server.listen(port, '127.0.0.1', resolve));
+        this.url = `http://127.0.0.1:${this.server.address().port}`;
+        return this.url;
+    }
+
+    async stop() {
+        if (this.server) {
+            await new Promise(resolve => this.server.close(resolve));
+            this.server = null;
+        }
+    }
+
+    async handle(req, res) {
+        const url = new URL(req.url, 'http://localhost');
+        this.requests.push({ method: req.method, path: url.pathname });
+
+        try {
+            if (!/^Bearer .+/.test(req.headers.authorization || '')) {
+                throw new ApiError(401, 'Unauthorized');
+            }
+
+            const body = req.method === 'POST' ? await readJson(req) : null;
+            const result = this.route(req.method, url, body);
+            send(res, result.status || 200, result.body);
+        } catch (error) {
+            send(res, error.statusCode || 500, {
+                statusCode: error.statusCode || 500,
+                error: http.STATUS_CODES[error.statusCode || 500],
+                description: error.message
+            });
+        }
+    }
+
+    route(method, url, body) {
+        const parts = url.pathname.split('/').filter(Boolean);
+        const [api, version, chain, ...rest] = parts;
+
+        if (Number(chain) !== this.chainId) {
+            throw new ApiError(404, `Unsupported chain ${chain}`);
+        }
+
+        const query = Object.fromEntries(url.searchParams);
+
+        if (api === 'swap' && version === 'v6.0' && method === 'GET') {
+            switch (rest[0]) {
+                case 'tokens':
+                    return { body: { tokens: Object.fromEntries([...this.tokens.values()].map(t => [t.address.toLowerCase(), t])) } };
+                case 'approve':
+                    return { body: { address: LOP_V4_ADDRESS } };
+                case 'quote':
+                    return { body: this.quote(query) };
+                case 'swap':
+                    return { body: this.swap(query) };
+            }
+        }
+
+        if (api === 'orderbook' && version === 'v4.0') {
+            if (method === 'POST' && rest.length === 0) {
+                return { status: 201, body: this.submitOrder(body) };
+            }
+            if (method === 'GET' && rest[0] === 'order' && rest[1]) {
+                const order = this.orders.get(rest[1].toLowerCase());
+                if (!order) throw new ApiError(404, 'Order not found');
+                return { body: order };
+            }
+            if (method === 'GET' && rest[0] === 'all') {
+                return { body: this.listOrders(() => true, query) };
+            }
+            if (method === 'GET' && rest[0] === 'address' && rest[1]) {
+                return { body: this.listOrders(o => o.data.maker.toLowerCase() === rest[1].toLowerCase(), query) };
+            }
+        }
+
+        if (api === 'price' && version === 'v1.1') {
+            const addresses = method === 'POST' ? (body.tokens || []) : (rest[0] || '').split(',').filter(Boolean);
+            return { body: Object.fromEntries(addresses.map(a => [a.toLowerCase(), String(this.getToken(a).priceUSD)])) };
+        }
+
+        throw new ApiError(404, `No mock for ${method} ${url.pathname}`);
+    }
+
+    quote({ src, dst, amount }) {
+        if (!amount) throw new ApiError(400, 'amount is required');
+
+        return {
+            srcToken: this.getToken(src),
+            dstToken: this.getToken(dst),
+            dstAmount: this.convert(src, dst, amount).toString(),
+            gas: 180000
+        };
+    }
+
+    swap({ src, dst, amount, from, receiver }) {
+        if (!this.router) throw new ApiError(500, 'Mock swap router not configured');
+        if (!from) throw new ApiError(400, 'from is required');
+
+        const dstAmount = this.convert(src, dst, amount);
+
+        return {
+            dstAmount: dstAmount.toString(),
+            tx: {
+                from,
+                to: this.router,
+                data: this.routerInterface.encodeFunctionData('swap', [src, dst, amount, dstAmount, receiver || from]),
+                value: '0',
+                gas: 250000,
+                gasPrice: ethers.parseUnits('30', 'gwei').toString()
+            }
+        };
+    }
+
+    submitOrder(body) {
+        if (this.rejectOrders) {
+            throw new ApiError(503, 'Orderbook unavailable');
+        }
+        if (!body || !body.orderHash || !body.signature || !body.data) {
+            throw new ApiError(400, 'orderHash, signature and data are required');
+        }
+
+        let order;
+        try {
+            order = LimitOrderV4.fromJSON(body.data);
+        } catch (error) {
+            throw new ApiError(400, `Invalid order: ${error.message}`);
+        }
+
+        const orderHash = order.getOrderHash(this.chainId);
+        if (orderHash.toLowerCase() !== body.orderHash.toLowerCase()) {
+            throw new ApiError(400, 'orderHash does not match order data');
+        }
+        if (ethers.recoverAddress(orderHash, body.signature) !== order.maker) {
+            throw new ApiError(400, 'Signature is not from the maker');
+        }
+
+        this.orders.set(orderHash.toLowerCase(), {
+            orderHash,
+            signature: body.signature,
+            data: order.toJSON(),
+            createDateTime: new Date().toISOString(),
+            remainingMakerAmount: order.makingAmount.toString()
+        });
+
+        return { success: true };
+    }
+
+    listOrders(filter, { page = 1, limit = 100 }) {
+        const start = (Number(page) - 1) * Number(limit);
+        return [...this.orders.values()].filter(filter).slice(start, start + Number(limit));
+    }
+}
+
+function readJson(req) {
+    return new Promise((resolve, reject) => {
+        let raw = '';
+        req.on('data', chunk => { raw += chunk; });
+        req.on('end', () => {
+            try {
+                resolve(raw ? JSON.parse(raw) : {});
+            } catch (error) {
+                reject(new ApiError(400, 'Body is not valid JSON'));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+function send(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+module.exports = MockOneInchAPI;
@@ -0,0 +1,50 @@
+/**
+ * @fileoverview History store tests
+ * @description Indexes proof files and finished jobs under ids that fit in a
+ * single URL path segment, and reads journals written with the old ids.
+ * @author FEAWS Development Team
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const HistoryStore = require('../core/history-store');
+const { useWorkDir } = require('./harness');
+
+const TX_HASH = `0x${'ab'.repeat(32)}`;
+
+describe('history store', () => {
+    const work = useWorkDir('history');
+
+    function store() {
+        return new HistoryStore({ root: work.dir, dirs: ['execution-proofs'], journalPath: work.path('history-jobs.ndjson'), rescanMs: 0 });
+    }
+
+    it('gives proofs and jobs slash-free ids', () => {
+        fs.mkdirSync(work.path('execution-proofs'));
+        fs.writeFileSync(work.path('execution-proofs', 'swap-1.json'), JSON.stringify({
+            type: 'aggregator-swap', fromToken: 'USDC', toToken: 'WMATIC', txHash: TX_HASH, timestamp: '2025-08-02T00:00:00.000Z'
+        }));
+        const history = store();
+        history.recordJob({ id: 'job_1', type: 'swap', status: 'completed', params: { fromToken: 'USDC', toToken: 'WMATIC' }, finishedAt: '2025-08-03T00:00:00.000Z' });
+
+        const { items } = history.query();
+        assert.deepEqual(items.map(item => item.id), ['jobs:job_1', 'execution-proofs:swap-1.json']);
+        assert.equal(history.get('execution-proofs:swap-1.json').file, 'execution-proofs/swap-1.json');
+        assert.equal(history.get('execution-proofs:swap-1.json').proof.txHash, TX_HASH);
+        assert.equal(history.get('execution-proofs/swap-1.json'), null);
+
+        // Removed files drop out under the same id
+        fs.rmSync(work.path('execution-proofs', 'swap-1.json'));
+        assert.deepEqual(history.query().items.map(item => item.id), ['jobs:job_1']);
+    });
+
+    it('reads job records journaled with slashed ids', () => {
+        fs.writeFileSync(work.path('history-jobs.ndjson'), JSON.stringify({
+            id: 'jobs/job_2', source: 'jobs', file: null, strategy: 'swap', status: 'failed',
+            timestamp: '2025-08-03T00:00:00.000Z', txHashes: [], orderHashes: [], jobId: 'job_2'
+        }) + '\n');
+
+        assert.equal(store().get('jobs:job_2').status, 'failed');
+    });
+});
@@ -12,7 +12,7 @@ const path = require('path');
 // Import all modules
 const EnhancedLimitOrder = require('../core/enhanced-limit-order');
 const ProductionTWAP = require('../core/production-twap');
-const RiskManagement = require('../core/risk-management');
+const RiskManagement = require('../core/risk-management-v2');
 const AdvancedFeatures = require('../core/advanced-features');
 
 class IntegrationTest {
@@ -121,19 +121,17 @@ class IntegrationTest {
             const riskMgmt = new RiskManagement();
             
             // Test portfolio risk assessment
-            const mockPortfolio = {
-                totalValue: ethers.parseEther('1000'),
-                positions: [
-                    { token: 'WMATIC', value: ethers.parseEther('500'), percentage: 50 },
-                    { token: 'USDC', value: ethers.parseEther('300'), percentage: 30 },
-                    { token: 'WETH', value: ethers.parseEther('200'), percentage: 20 }
-                ]
-            };
+            const mockAssets = [
+                { symbol: 'WMATIC', usdValue: 500, percentageOfPortfolio: 50 },
+                { symbol: 'USDC', usdValue: 300, percentageOfPortfolio: 30 },
+                { symbol: 'WETH', usdValue: 200, percentageOfPortfolio: 20 }
+            ];
             
             // Test risk calculation
-            const riskAssessment = await riskMgmt.calculatePortfolioRisk(mockPortfolio);
+            const riskMetrics = riskMgmt.calculateRiskMetrics(mockAssets);
+            const riskAssessment = riskMgmt.assessPortfolioRisk({ riskMetrics });
             
-            if (riskAssessment && riskAssessment.overallRisk !== undefined) {
+            if (riskAssessment && riskAssessment.riskRating !== undefined) {
                 console.log('✅ Risk Management: Portfolio assessment passed');
                 this.results.riskManagement = 'PASSED';
             } else {
@@ -0,0 +1,111 @@
+/**
+ * @fileoverview Job control tests
+ * @description Pauses, resumes, amends and cancels a TWAP job through the
+ * JobManager on a paper engine, as the /api/jobs/{id} routes do.
+ * @author FEAWS Development Team
+ */
+
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const JobManager = require('../core/job-manager');
+const { JOB_TYPES, recoveredTWAPJob } = require('../core/job-types');
+const { useWorkDir, paperBackend, paperEngine, simulatedClock } = require('./harness');
+
+const NOOP = { validate: params => params, run: async () => ({}) };
+
+async function waitFor(condition) {
+    const deadline = Date.now() + 10000;
+    while (!condition() && Date.now() < deadline) {
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    assert.ok(condition(), 'timed out');
+}
+
+describe('job controls', () => {
+    const work = useWorkDir('job-controls');
+
+    // Quiet: the engine logs are not under test, and jobs keep logging
+    // while the next test starts
+    before(() => mock.method(console, 'log', () => {}));
+    after(() => mock.restoreAll());
+
+    it('pauses, resumes, amends and cancels a running TWAP job', async () => {
+        const clock = simulatedClock();
+        const engine = paperEngine(paperBackend(work), work, { clock });
+        const jobs = new JobManager({ types: { twap: JOB_TYPES.twap, noop: NOOP }, services: { getEngine: () => engine } });
+
+        const { id } = jobs.create('twap', { amount: '30', slices: 3, intervalMinutes: 1 });
+        await waitFor(() => jobs.get(id).refs.twapId && engine.activeOrders.get(jobs.get(id).refs.twapId).status === 'executing');
+        const twap = engine.activeOrders.get(jobs.get(id).refs.twapId);
+        await clock.advance(0);
+        await engine.idle();
+
+        // Amendments are checked before they reach the engine
+        await assert.rejects(jobs.amend(id, {}), { statusCode: 400, field: 'body' });
+        await assert.rejects(jobs.amend(id, { slices: 2 }), { statusCode: 400, field: 'slices' });
+        await assert.rejects(jobs.amend(id, { remainingAmount: '25' }), { statusCode: 400, message: /must not exceed the 20\.0 USDC left/ });
+
+        const amended = await jobs.amend(id, { remainingAmount: '12', intervalMinutes: 5 });
+        assert.equal(amended.status, 'running');
+        assert.equal(twap.totalAmount, ethers.parseUnits('22', 6));
+        assert.deepEqual(twap.amendments.map(({ intervalMinutes }) => intervalMinutes), [5]);
+
+        assert.equal((await jobs.pause(id)).status, 'paused');
+        assert.equal(twap.status, 'paused');
+        await assert.rejects(jobs.pause(id), { statusCode: 409, message: /is paused, expected running/ });
+        await jobs.amend(id, { limitPrice: null });
+
+        assert.equal((await jobs.resume(id)).status, 'running');
+        assert.equal(twap.status, 'executing');
+        await assert.rejects(jobs.resume(id), { statusCode: 409 });
+
+        await jobs.cancel(id);
+        await waitFor(() => jobs.get(id).status === 'cancelled');
+        assert.equal(twap.status, 'cancelled');
+        await assert.rejects(jobs.pause(id), { statusCode: 409 });
+
+        // Types without controls refuse them
+        const noop = jobs.create('noop');
+        await assert.rejects(jobs.pause(noop.id), { statusCode: 409, message: /noop jobs do not support pause/ });
+    });
+
+    it('hands a TWAP recovered paused back to its job', async () => {
+        const backend = paperBackend(work);
+        const clock = simulatedClock();
+        const stopped = paperEngine(backend, work, { clock });
+        const first = new JobManager({ types: { twap: JOB_TYPES.twap }, services: { getEngine: () => stopped } });
+        const { id } = first.create('twap', { amount: '20', slices: 2, intervalMinutes: 1, limitPrice: 0.1 });
+        await waitFor(() => first.get(id).refs.twapId && stopped.activeOrders.get(first.get(id).refs.twapId).status === 'executing');
+        await first.pause(id);
+        // The old process is gone: stop its job following the TWAP
+        stopped.activeOrders.get(first.get(id).refs.twapId).status = 'cancelled';
+
+        // The server restarts: the engine recovers the TWAP and a new job follows it
+        const engine = paperEngine(backend, work, { clock: simulatedClock(clock.now() + 60 * 1000) });
+        const [recovered] = await engine.recoverTWAPs();
+        const jobs = new JobManager({ types: { twap: JOB_TYPES.twap }, services: { getEngine: () => engine } });
+        const { params, meta } = recoveredTWAPJob(recovered);
+        assert.deepEqual(params, {
+            fromToken: recovered.fromToken,
+            toToken: recovered.toToken,
+            amount: '20.0',
+            slices: 2,
+            intervalMinutes: 1,
+            maxSlippage: 0.5,
+            strategy: 'twap',
+            limitPrice: 0.1
+        });
+        jobs.create('twap', params, meta);
+        assert.throws(() => jobs.create('twap', params, meta), { statusCode: 409 });
+
+        await waitFor(() => jobs.get(id).status === 'paused');
+        assert.equal(jobs.get(id).refs.twapId, recovered.id);
+        assert.equal(engine.activeOrders.size, 1);
+
+        await jobs.resume(id);
+        assert.equal(recovered.status, 'executing');
+        await jobs.cancel(id);
+        await waitFor(() => jobs.get(id).status === 'cancelled');
+    });
+});
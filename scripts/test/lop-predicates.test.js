@@ -0,0 +1,72 @@
+/**
+ * @fileoverview LOP predicate tests
+ * @description Encodes time, Chainlink and and/or/not predicates and decodes
+ * them back into the same tree.
+ * @author FEAWS Development Team
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const predicates = require('../core/lop-predicates');
+const { POLYGON_FEEDS } = require('../core/price-guard');
+
+const { decodePredicate, describePredicate } = predicates;
+
+const START = 1735689600; // 2025-01-01T00:00:00Z
+const timestamp = (op, value) => ({ op, value, call: { op: 'blockTimestamp' } });
+
+describe('LOP predicates', () => {
+    it('round-trips time conditions', () => {
+        assert.deepEqual(decodePredicate(predicates.timestampBelow(START)), timestamp('lt', BigInt(START)));
+        assert.deepEqual(decodePredicate(predicates.timestampAtOrAfter(START)), timestamp('gt', BigInt(START - 1)));
+        assert.deepEqual(decodePredicate(predicates.timeWindow(START, START + 60)), {
+            op: 'and',
+            args: [timestamp('gt', BigInt(START - 1)), timestamp('lt', BigInt(START + 60))]
+        });
+        assert.deepEqual(decodePredicate(predicates.timeWindow(START)), timestamp('gt', BigInt(START - 1)));
+        assert.throws(() => predicates.timeWindow(START, START), /end after it starts/);
+    });
+
+    it('round-trips Chainlink conditions in human and raw units', () => {
+        const feed = ethers.getAddress(POLYGON_FEEDS.MATIC_USD);
+        const answer = { op: 'chainlinkAnswer', feed };
+
+        assert.deepEqual(decodePredicate(predicates.chainlinkPriceBelow(feed, 0.55)), { op: 'lt', value: 55000000n, call: answer });
+        assert.deepEqual(decodePredicate(predicates.chainlinkPriceAbove(feed, '0.45')), { op: 'gt', value: 45000000n, call: answer });
+        assert.deepEqual(decodePredicate(predicates.chainlinkPriceAbove(feed, 123n)), { op: 'gt', value: 123n, call: answer });
+    });
+
+    it('round-trips nested and/or/not trees', () => {
+        const feed = POLYGON_FEEDS.ETH_USD;
+        const tree = predicates.or(
+            predicates.and(predicates.timestampAtOrAfter(START), predicates.not(predicates.chainlinkPriceAbove(feed, 3000))),
+            predicates.eq(7n, predicates.arbitraryStaticCall(feed, '0x12345678'))
+        );
+
+        const decoded = decodePredicate(tree);
+        assert.equal(decoded.op, 'or');
+        assert.deepEqual(decoded.args[0].args[1], {
+            op: 'not',
+            arg: { op: 'gt', value: 300000000000n, call: { op: 'chainlinkAnswer', feed: ethers.getAddress(feed) } }
+        });
+        assert.deepEqual(decoded.args[1], {
+            op: 'eq',
+            value: 7n,
+            call: { op: 'arbitraryStaticCall', target: ethers.getAddress(feed), data: '0x12345678' }
+        });
+        assert.equal(describePredicate(decoded),
+            `((block.timestamp > ${START - 1} (2024-12-31T23:59:59.000Z) AND NOT chainlink(${ethers.getAddress(feed)}).latestAnswer > 300000000000)` +
+            ` OR staticcall(${ethers.getAddress(feed)}, 0x12345678) == 7)`);
+
+        // A single operand is passed through; more than eight cannot be packed
+        assert.equal(predicates.and(tree), tree);
+        assert.throws(() => predicates.or(...Array(9).fill(tree)), /between 1 and 8/);
+    });
+
+    it('decodes empty and foreign calldata without throwing', () => {
+        assert.deepEqual(decodePredicate('0x'), { op: 'none' });
+        assert.deepEqual(decodePredicate('0xdeadbeef'), { op: 'unknown', data: '0xdeadbeef' });
+        assert.equal(describePredicate(decodePredicate('0x')), 'always fillable');
+    });
+});
@@ -0,0 +1,170 @@
+/**
+ * @fileoverview Taker order source tests
+ * @description Discovers signed orders from a drop directory, an orderbook
+ * client and LOP fill logs, and reads their remaining amounts.
+ * @author FEAWS Development Team
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { ethers } = require('ethers');
+const LimitOrderV4 = require('../core/lop-order');
+const {
+    DropDirectorySource,
+    OrderbookSource,
+    ChainLogSource,
+    OrderDiscovery
+} = require('../core/order-sources');
+const { TOKENS, useWorkDir } = require('./harness');
+
+const { LOP_V4_ADDRESS, LOP_V4_ABI, encodeFillOrder, toOrderbookPayload } = LimitOrderV4;
+const LOP = new ethers.Interface(LOP_V4_ABI);
+
+const alice = ethers.Wallet.createRandom();
+const bob = ethers.Wallet.createRandom();
+
+async function signedOrder(maker, usdc, traits = {}) {
+    const order = LimitOrderV4.create({
+        maker: maker.address,
+        makerAsset: TOKENS.USDC.address,
+        takerAsset: TOKENS.WMATIC.address,
+        makingAmount: ethers.parseUnits(usdc, 6),
+        takingAmount: ethers.parseEther('1'),
+        ...traits
+    });
+    return { order, signature: await order.sign(maker) };
+}
+
+describe('taker order sources', () => {
+    const work = useWorkDir('orders');
+
+    it('reads JSON and NDJSON drops, de-duplicated by order hash', async () => {
+        const first = await signedOrder(alice, '1');
+        const second = await signedOrder(bob, '2');
+        const forged = await signedOrder(alice, '3');
+
+        fs.writeFileSync(work.path('a.json'), JSON.stringify([
+            { sliceIndex: 0, availableAt: 100, order: first.order.toJSON(), signature: first.signature }
+        ]));
+        fs.writeFileSync(work.path('b.ndjson'), [
+            JSON.stringify(toOrderbookPayload(first.order, first.signature)),
+            '',
+            JSON.stringify(toOrderbookPayload(second.order, second.signature)),
+            '{not json',
+            JSON.stringify({ order: forged.order.toJSON(), signature: second.signature })
+        ].join('\n'));
+        fs.writeFileSync(work.path('notes.txt'), 'ignored');
+
+        const discovery = new OrderDiscovery({ sources: [new DropDirectorySource({ dir: work.dir })], lop: {} });
+        const { added, errors } = await discovery.poll();
+
+        assert.deepEqual(added.map(entry => entry.orderHash), [first.order.getOrderHash(), second.order.getOrderHash()]);
+        assert.equal(added[0].sliceIndex, 0);
+        assert.equal(added[0].availableAt, 100);
+        assert.equal(added[1].availableAt, 0);
+        assert.equal(errors.length, 2);
+        assert.match(errors[0], /b\.ndjson:4/);
+        assert.match(errors[1], /not signed by its maker/);
+
+        assert.deepEqual((await discovery.poll()).added, []);
+    });
+
+    it('pages through the orderbook for each maker', async () => {
+        const orders = await Promise.all(['1', '2', '3'].map(usdc => signedOrder(alice, usdc)));
+        const calls = [];
+        const api = {
+            async orders(params, maker) {
+                calls.push([params.page, maker]);
+                const start = (params.page - 1) * params.limit;
+                return orders.slice(start, start + params.limit).map(o => toOrderbookPayload(o.order, o.signature));
+            }
+        };
+
+        const discovery = new OrderDiscovery({
+            sources: [new OrderbookSource({ api, makers: [alice.address], limit: 2 })],
+            lop: {}
+        });
+        const { added } = await discovery.poll();
+
+        assert.equal(added.length, 3);
+        assert.deepEqual(calls, [[1, alice.address], [2, alice.address]]);
+
+        const bobOnly = new OrderDiscovery({ sources: [new OrderbookSource({ api })], makers: [bob.address], lop: {} });
+        assert.deepEqual((await bobOnly.poll()).added, []);
+    });
+
+    it('caps an unfiltered orderbook poll and passes asset filters on', async () => {
+        const orders = await Promise.all(['1', '2', '3', '4', '5'].map(usdc => signedOrder(bob, usdc)));
+        const calls = [];
+        const api = {
+            async orders(params, maker) {
+                calls.push({ ...params, maker });
+                const start = (params.page - 1) * params.limit;
+                return orders.slice(start, start + params.limit).map(o => toOrderbookPayload(o.order, o.signature));
+            }
+        };
+
+        const source = new OrderbookSource({ api, limit: 2, maxOrders: 3, takerAsset: TOKENS.WMATIC.address });
+        assert.equal((await source.fetch()).length, 3);
+        assert.deepEqual(calls.map(call => call.page), [1, 2]);
+        assert.ok(calls.every(call => call.takerAsset === TOKENS.WMATIC.address && call.maker === undefined && !('makerAsset' in call)));
+    });
+
+    it('recovers partly filled orders from LOP fill transactions', async () => {
+        const open = await signedOrder(alice, '10');
+        const closed = await signedOrder(bob, '10');
+        const event = LOP.getEvent('OrderFilled');
+        const fills = [
+            { hash: '0x' + '01'.repeat(32), entry: open, remaining: ethers.parseUnits('4', 6) },
+            { hash: '0x' + '02'.repeat(32), entry: closed, remaining: 0n }
+        ];
+        const provider = {
+            async getBlockNumber() { return 120; },
+            async getLogs(filter) {
+                assert.equal(filter.address, LOP_V4_ADDRESS);
+                return fills
+                    .filter(() => filter.fromBlock <= 110 && filter.toBlock >= 110)
+                    .map(fill => ({
+                        ...LOP.encodeEventLog(event, [fill.entry.order.getOrderHash(), fill.remaining]),
+                        transactionHash: fill.hash
+                    }));
+            },
+            async getTransaction(hash) {
+                const fill = fills.find(f => f.hash === hash);
+                return { to: LOP_V4_ADDRESS, data: encodeFillOrder(fill.entry.order, fill.entry.signature, { amount: ethers.parseUnits('6', 6) }) };
+            }
+        };
+
+        const source = new ChainLogSource({ provider, lookbackBlocks: 50, maxBlockRange: 25 });
+        const discovery = new OrderDiscovery({ sources: [source], lop: {} });
+        const { added, errors } = await discovery.poll();
+
+        assert.deepEqual(errors, []);
+        assert.deepEqual(added.map(entry => entry.orderHash), [open.order.getOrderHash()]);
+        assert.equal(added[0].signature, open.signature);
+        assert.equal(source.nextBlock, 121);
+    });
+
+    it('reads remaining amounts from the remaining and bit invalidators', async () => {
+        const multiple = await signedOrder(alice, '10');
+        const single = await signedOrder(alice, '10', { allowMultipleFills: false, nonce: 258n });
+        const invalidators = new Map();
+        const lop = {
+            async remainingInvalidatorForOrder(maker, orderHash) { return invalidators.get(orderHash) || 0n; },
+            async bitInvalidatorForOrder(maker, slot) { return slot === 1n ? invalidators.get('bits') || 0n : 0n; }
+        };
+        const discovery = new OrderDiscovery({ sources: [], lop });
+        const entry = ({ order }) => ({ order, orderHash: order.getOrderHash() });
+
+        assert.equal(await discovery.remaining(entry(multiple)), ethers.parseUnits('10', 6));
+        invalidators.set(multiple.order.getOrderHash(), ~ethers.parseUnits('4', 6) & ethers.MaxUint256);
+        assert.equal(await discovery.remaining(entry(multiple)), ethers.parseUnits('4', 6));
+        invalidators.set(multiple.order.getOrderHash(), ethers.MaxUint256);
+        assert.equal(await discovery.remaining(entry(multiple)), 0n);
+
+        assert.equal(await discovery.remaining(entry(single)), ethers.parseUnits('10', 6));
+        invalidators.set('bits', 1n << 2n);
+        assert.equal(await discovery.remaining(entry(single)), 0n);
+    });
+});
@@ -0,0 +1,56 @@
+/**
+ * @fileoverview Pair volume tests
+ * @description Sums the tracked token's side of V2 and V3 swaps and refuses
+ * pools that do not trade the token.
+ * @author FEAWS Development Team
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const PairVolumeTracker = require('../core/pair-volume');
+const { TOKENS } = require('./harness');
+
+const OTHER = '0x000000000000000000000000000000000000dEaD';
+
+// A pool contract that answers its tokens and replays `swaps` as Swap events
+function pool(address, [token0, token1], swaps) {
+    return {
+        getAddress: async () => address,
+        token0: async () => token0,
+        token1: async () => token1,
+        filters: { Swap: () => 'Swap' },
+        queryFilter: async () => swaps.map(args => ({ args }))
+    };
+}
+
+function tracker(pools) {
+    const volume = new PairVolumeTracker({ getBlockNumber: async () => 1000 }, pools.map(({ type }) => ({ address: OTHER, type })));
+    volume.pools.forEach((entry, i) => { entry.contract = pools[i].contract; });
+    return volume;
+}
+
+describe('pair volume', () => {
+    const v2 = pool('0x1', [TOKENS.USDC.address, TOKENS.WMATIC.address], [
+        { amount0In: 5n, amount1In: 0n, amount0Out: 0n, amount1Out: 9n },
+        { amount0In: 0n, amount1In: 4n, amount0Out: 2n, amount1Out: 0n }
+    ]);
+    const v3 = pool('0x2', [TOKENS.WMATIC.address, TOKENS.USDC.address], [
+        { amount0: 8n, amount1: -3n },
+        { amount0: -6n, amount1: 1n }
+    ]);
+
+    it('sums the token side of every pool', async () => {
+        const volume = tracker([{ type: 'v2', contract: v2 }, { type: 'v3', contract: v3 }]);
+
+        assert.equal(await volume.getRecentVolume(TOKENS.USDC.address, 60000), 5n + 2n + 3n + 1n);
+        assert.equal(await volume.getRecentVolume(TOKENS.WMATIC.address.toLowerCase(), 60000), 9n + 4n + 8n + 6n);
+    });
+
+    it('throws for a pool that does not trade the token', async () => {
+        const volume = tracker([{ type: 'v2', contract: v2 }, { type: 'v2', contract: pool('0x3', [TOKENS.WETH.address, OTHER], []) }]);
+
+        await assert.rejects(volume.getRecentVolume(TOKENS.USDC.address, 60000), /Pool 0x3 trades .* not 0x3c49/);
+        await assert.rejects(volume.assertTrades(TOKENS.USDC.address), /Pool 0x3/);
+        assert.equal(await volume.isToken0(volume.pools[0], TOKENS.USDC.address), true);
+    });
+});
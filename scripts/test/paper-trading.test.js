@@ -0,0 +1,401 @@
+/**
+ * @fileoverview Paper trading tests
+ * @description Settles approvals and swaps through the paper backend, with
+ * and without the engines, and checks the ledger survives a restart.
+ * @author FEAWS Development Team
+ */
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { ethers } = require('ethers');
+const {
+    createPaperBackend,
+    PaperLedger,
+    RecordedQuoteSource,
+    SlippageModel
+} = require('../core/paper-trading');
+const { parseMakerTraits } = require('../core/lop-order');
+const { collectExecutionStats } = require('../core/execution-stats');
+const { TOKENS, useWorkDir, paperBackend, paperEngine, simulatedClock } = require('./harness');
+
+const ERC20_ABI = [
+    'function approve(address spender, uint256 amount) returns (bool)',
+    'function allowance(address owner, address spender) view returns (uint256)',
+    'function balanceOf(address owner) view returns (uint256)'
+];
+
+describe('paper trading', () => {
+    const work = useWorkDir('paper');
+    let backend;
+    let usdc;
+
+    beforeEach(() => {
+        backend = paperBackend(work, { slippage: { baseBps: 50 } });
+        usdc = new ethers.Contract(TOKENS.USDC.address, ERC20_ABI, backend.wallet);
+    });
+
+    async function swap(amount, slippage) {
+        const swapData = await backend.swapApi.swap({
+            src: TOKENS.USDC.address,
+            dst: TOKENS.WMATIC.address,
+            amount: amount.toString(),
+            from: backend.wallet.address,
+            slippage
+        });
+        return { swapData, receipt: await (await backend.wallet.sendTransaction(swapData.tx)).wait() };
+    }
+
+    it('settles approvals and swaps with slippage and gas', async () => {
+        const router = backend.swapApi.router;
+        await (await usdc.approve(router, ethers.parseUnits('50', 6))).wait();
+        assert.equal(await usdc.allowance(backend.wallet.address, router), ethers.parseUnits('50', 6));
+
+        const { swapData, receipt } = await swap(ethers.parseUnits('10', 6), 1);
+
+        assert.equal(receipt.status, 1);
+        assert.equal(swapData.dstAmount, ethers.parseEther('20').toString());
+        assert.equal(backend.ledger.balanceOf(TOKENS.WMATIC.address), ethers.parseEther('19.9'));
+        assert.equal(await usdc.balanceOf(backend.wallet.address), ethers.parseUnits('90', 6));
+        assert.equal(await usdc.allowance(backend.wallet.address, router), ethers.parseUnits('40', 6));
+
+        const gasPaid = (46000n + 180000n) * ethers.parseUnits('60', 'gwei');
+        assert.equal(await backend.provider.getBalance(backend.wallet.address), ethers.parseEther('1') - gasPaid);
+    });
+
+    it('reverts swaps that miss their minimum return, charging gas', async () => {
+        await (await usdc.approve(backend.swapApi.router, ethers.MaxUint256)).wait();
+        const balance = await backend.provider.getBalance(backend.wallet.address);
+
+        await assert.rejects(swap(ethers.parseUnits('10', 6), 0.1), error => {
+            assert.equal(error.code, 'CALL_EXCEPTION');
+            assert.equal(error.receipt.status, 0);
+            return true;
+        });
+
+        assert.equal(await usdc.balanceOf(backend.wallet.address), ethers.parseUnits('100', 6));
+        assert.ok(await backend.provider.getBalance(backend.wallet.address) < balance);
+        assert.match(backend.ledger.history.at(-1).revertReason, /Return amount is not enough/);
+    });
+
+    it('keeps balances, nonce and receipts between runs', async () => {
+        await (await usdc.approve(backend.swapApi.router, ethers.MaxUint256)).wait();
+        const { receipt } = await swap(ethers.parseUnits('10', 6), 1);
+
+        const reopened = createPaperBackend({ ledgerPath: work.path('ledger.json') });
+
+        assert.equal(reopened.ledger.balanceOf(TOKENS.WMATIC.address), ethers.parseEther('19.9'));
+        assert.equal(await reopened.provider.getTransactionCount(reopened.wallet.address), 2);
+        assert.equal((await reopened.provider.getTransactionReceipt(receipt.hash)).status, 1);
+        assert.throws(
+            () => new PaperLedger({ path: work.path('ledger.json'), address: ethers.Wallet.createRandom().address }),
+            /belongs to/
+        );
+    });
+
+    it('replays recorded quotes up to the replay clock', async () => {
+        let now = 1000;
+        const quotes = new RecordedQuoteSource({
+            clock: () => now,
+            recordings: [
+                { timestamp: 0, src: TOKENS.WMATIC.address, dst: TOKENS.USDC.address, amount: ethers.parseEther('1').toString(), dstAmount: '500000' },
+                { timestamp: 2000, src: TOKENS.WMATIC.address, dst: TOKENS.USDC.address, amount: ethers.parseEther('1').toString(), dstAmount: '400000' }
+            ]
+        });
+
+        assert.equal(await quotes.quote(TOKENS.WMATIC.address, TOKENS.USDC.address, ethers.parseEther('2')), 1000000n);
+        assert.equal(await quotes.quote(TOKENS.USDC.address, TOKENS.WMATIC.address, 500000n), ethers.parseEther('1'));
+        now = 3000;
+        assert.equal(await quotes.quote(TOKENS.WMATIC.address, TOKENS.USDC.address, ethers.parseEther('1')), 400000n);
+        await assert.rejects(quotes.quote(TOKENS.USDC.address, TOKENS.DAI.address, 1n), /No recorded 1inch quote/);
+    });
+
+    it('draws random slippage within its bounds', () => {
+        const model = new SlippageModel({ baseBps: 10, randomBps: 20, random: () => 0.5 });
+        assert.equal(model.apply(1000000n), 998000n);
+    });
+
+    it('runs a TWAP through the paper backend, falling back to swaps', async () => {
+        const engine = paperEngine(backend, work);
+
+        const twap = await engine.createTWAPOrder({
+            fromToken: TOKENS.USDC.address,
+            toToken: TOKENS.WMATIC.address,
+            totalAmount: ethers.parseUnits('20', 6),
+            sliceCount: 2,
+            intervalMinutes: 0.002
+        });
+        await engine.executeTWAP(twap.id);
+
+        const deadline = Date.now() + 10000;
+        while (!twap.completedAt && Date.now() < deadline) {
+            await new Promise(resolve => setTimeout(resolve, 50));
+        }
+
+        assert.equal(twap.status, 'completed');
+        assert.ok(twap.slices.every(slice => slice.method === 'fallback_swap'));
+        assert.equal(await usdc.balanceOf(backend.wallet.address), ethers.parseUnits('80', 6));
+        assert.equal(backend.ledger.balanceOf(TOKENS.WMATIC.address), ethers.parseEther('39.8'));
+    });
+
+    it('holds each TWAP to its own maxSlippage rather than the engine default', async () => {
+        const clock = simulatedClock();
+        const engine = paperEngine(backend, work, { clock, maxSlippage: 5 });
+        const create = maxSlippage => engine.createTWAPOrder({
+            fromToken: TOKENS.USDC.address,
+            toToken: TOKENS.WMATIC.address,
+            totalAmount: ethers.parseUnits('10', 6),
+            sliceCount: 2,
+            intervalMinutes: 1,
+            maxSlippage
+        });
+        const loose = await create();
+        const strict = await create(2);
+        const strictest = await create(0.1);
+        for (const twap of [loose, strict, strictest]) {
+            await engine.executeTWAP(twap.id);
+        }
+        await clock.advance(0);
+        await engine.idle();
+
+        // WMATIC rises 4% after the second slices were quoted
+        backend.quotes.prices = { ...backend.quotes.prices, wmatic: 0.52 };
+        await clock.advance(60 * 1000);
+        await engine.idle();
+        const second = twap => twap.slices[1];
+
+        assert.equal(second(loose).status, 'completed');
+        assert.equal(second(strict).skipReason, 'high_slippage');
+        // Its swap allows less than the 0.5% the backend slips, so the first slice never lands
+        assert.notEqual(strictest.slices[0].status, 'completed');
+        assert.equal(loose.slices[0].status, 'completed');
+    });
+
+    it('re-spaces slices that came due while the engine was down', async () => {
+        const clock = simulatedClock();
+        const stopped = paperEngine(backend, work, { clock });
+        const twap = await stopped.createTWAPOrder({
+            fromToken: TOKENS.USDC.address,
+            toToken: TOKENS.WMATIC.address,
+            totalAmount: ethers.parseUnits('30', 6),
+            sliceCount: 3,
+            intervalMinutes: 1
+        });
+        await stopped.executeTWAP(twap.id);
+
+        // The engine stops before any slice runs and comes back 10 minutes later
+        const restartedAt = clock.now() + 10 * 60 * 1000;
+        const later = simulatedClock(restartedAt);
+        const engine = paperEngine(backend, work, { clock: later });
+        const [recovered] = await engine.recoverTWAPs();
+
+        assert.deepEqual(recovered.slices.map(slice => slice.executeAt), [restartedAt, restartedAt + 60000, restartedAt + 120000]);
+        // Re-signed, so their expiry follows the new schedule
+        for (const slice of recovered.slices) {
+            assert.equal(parseMakerTraits(slice.order.makerTraits).expiration * 1000, slice.executeAt + 3600 * 1000);
+        }
+
+        await later.advance(0);
+        await engine.idle();
+        assert.equal(recovered.slices.filter(slice => slice.status === 'completed').length, 1);
+        await later.advance(2 * 60 * 1000);
+        await engine.idle();
+        assert.equal(recovered.status, 'completed');
+    });
+
+    it('keeps a paused TWAP paused across a restart and resumes it on its shifted schedule', async () => {
+        const clock = simulatedClock();
+        const stopped = paperEngine(backend, work, { clock });
+        const twap = await stopped.createTWAPOrder({
+            fromToken: TOKENS.USDC.address,
+            toToken: TOKENS.WMATIC.address,
+            totalAmount: ethers.parseUnits('30', 6),
+            sliceCount: 3,
+            intervalMinutes: 1
+        });
+        await stopped.executeTWAP(twap.id);
+        await clock.advance(0);
+        await stopped.idle();
+        await stopped.pauseTWAP(twap.id);
+        const schedule = twap.slices.map(slice => slice.executeAt);
+
+        // Down for 10 minutes while paused: nothing is re-spaced or run
+        const later = simulatedClock(clock.now() + 10 * 60 * 1000);
+        const engine = paperEngine(backend, work, { clock: later });
+        const [recovered] = await engine.recoverTWAPs();
+        assert.equal(recovered.status, 'paused');
+        assert.deepEqual(recovered.slices.map(slice => slice.executeAt), schedule);
+        await later.advance(5 * 60 * 1000);
+        await engine.idle();
+        assert.deepEqual(recovered.slices.map(slice => slice.status), ['completed', 'pending', 'pending']);
+
+        // Resuming shifts the rest by the 15 minutes spent paused
+        await engine.resumeTWAP(twap.id);
+        assert.deepEqual(recovered.slices.slice(1).map(slice => slice.executeAt), schedule.slice(1).map(at => at + 15 * 60 * 1000));
+        await assert.rejects(engine.resumeTWAP(twap.id), /is executing, expected paused/);
+
+        await later.advance(2 * 60 * 1000);
+        await engine.idle();
+        assert.equal(recovered.status, 'completed');
+    });
+
+    it('compacts the journal on recovery and as TWAPs finish', async () => {
+        const journal = () => fs.readFileSync(work.path('twap-journal.ndjson'), 'utf8').trim().split('\n').filter(Boolean).map(line => JSON.parse(line));
+        const clock = simulatedClock();
+        const stopped = paperEngine(backend, work, { clock });
+        const twaps = [];
+        for (const sliceCount of [1, 3]) {
+            const twap = await stopped.createTWAPOrder({
+                fromToken: TOKENS.USDC.address,
+                toToken: TOKENS.WMATIC.address,
+                totalAmount: ethers.parseUnits('10', 6),
+                sliceCount,
+                intervalMinutes: 1
+            });
+            await stopped.executeTWAP(twap.id);
+            twaps.push(twap);
+        }
+        const [short, long] = twaps;
+        await clock.advance(0);
+        await stopped.idle();
+
+        // The one-slice TWAP finishes with its first slice and drops out
+        assert.equal(short.status, 'completed');
+        assert.ok(!journal().some(entry => entry.id === short.id || entry.twapId === short.id));
+
+        // One line per TWAP and slice survives the restart
+        const replayed = journal().length;
+        const engine = paperEngine(backend, work, { clock: simulatedClock(clock.now()) });
+        await engine.recoverTWAPs();
+        assert.ok(journal().length < replayed);
+        assert.deepEqual(journal().slice(0, 4).map(entry => entry.type), ['twap', 'slice', 'slice', 'slice']);
+
+        await engine.cancelTWAP(long.id);
+        assert.deepEqual(journal(), []);
+        assert.deepEqual(await paperEngine(backend, work).recoverTWAPs(), []);
+    });
+
+    it('reconciles slices interrupted after submission instead of re-selling them', async () => {
+        const clock = simulatedClock();
+        const stopped = paperEngine(backend, work, { clock });
+        const twap = await stopped.createTWAPOrder({
+            fromToken: TOKENS.USDC.address,
+            toToken: TOKENS.WMATIC.address,
+            totalAmount: ethers.parseUnits('30', 6),
+            sliceCount: 3,
+            intervalMinutes: 1
+        });
+        await stopped.executeTWAP(twap.id);
+        await clock.advance(0);
+        await stopped.idle();
+
+        // The first swap was mined but the engine stopped before recording
+        // it; the second was submitted and nothing more is known
+        const [swapped, sent] = twap.slices;
+        const swapHash = swapped.txHash;
+        assert.deepEqual(swapped.swapTxHashes, [swapHash]);
+        for (const slice of [swapped, sent]) {
+            Object.assign(slice, { status: 'executing', submittedAt: clock.now() });
+            delete slice.txHash;
+            stopped.persistSlice(slice);
+        }
+        delete sent.swapTxHashes;
+        stopped.persistSlice(sent);
+
+        const later = simulatedClock(clock.now() + 30 * 1000);
+        const engine = paperEngine(backend, work, { clock: later });
+        const [recovered] = await engine.recoverTWAPs();
+
+        assert.equal(recovered.slices[0].status, 'completed');
+        assert.equal(recovered.slices[0].method, 'fallback_swap');
+        assert.equal(recovered.slices[0].txHash, swapHash);
+        // The paper LOP cannot be read, so the second stays committed
+        assert.equal(recovered.slices[1].status, 'failed');
+        assert.equal(recovered.slices[1].unconfirmed, true);
+        assert.equal(engine.getCommittedAmount(recovered), ethers.parseUnits('20', 6));
+
+        await later.advance(2 * 60 * 1000);
+        await engine.idle();
+        assert.equal(recovered.slices.length, 3);
+        assert.equal(recovered.slices[2].status, 'completed');
+    });
+
+    it('amends a VWAP along its remaining weights and leaves it untouched on a bad amendment', async () => {
+        const clock = simulatedClock();
+        const engine = paperEngine(backend, work, { clock });
+        const twap = await engine.createTWAPOrder({
+            fromToken: TOKENS.USDC.address,
+            toToken: TOKENS.WMATIC.address,
+            totalAmount: ethers.parseUnits('30', 6),
+            sliceCount: 3,
+            intervalMinutes: 60,
+            strategy: 'vwap',
+            volumeProfile: Array.from({ length: 24 }, (_, hour) => hour + 1)
+        });
+        await engine.executeTWAP(twap.id);
+        const sizes = () => twap.slices.map(slice => ethers.formatUnits(slice.order.makingAmount, 6));
+        assert.deepEqual(sizes(), ['5.0', '10.0', '15.0']);
+
+        // The first slice has run; the other two keep their 2:3 weighting
+        await engine.amendTWAP(twap.id, { remainingAmount: ethers.parseUnits('60', 6) });
+        assert.deepEqual(sizes(), ['5.0', '24.0', '36.0']);
+        assert.equal(twap.totalAmount, ethers.parseUnits('65', 6));
+
+        await assert.rejects(engine.amendTWAP(twap.id, { limitPrice: '1', intervalMinutes: 0 }), /intervalMinutes/);
+        assert.equal(twap.limitPrice, undefined);
+
+        // Still scheduled
+        await clock.advance(60 * 60 * 1000);
+        await engine.idle();
+        assert.equal(twap.slices[1].status, 'completed');
+
+        await engine.amendTWAP(twap.id, { limitPrice: '0.1' });
+        const [restored] = await paperEngine(backend, work, { clock: simulatedClock(clock.now()) }).recoverTWAPs();
+        assert.equal(restored.limitPrice, '0.1');
+        assert.equal(restored.limitRate, twap.limitRate);
+    });
+
+    it('counts posted slices by the fills the LOP reports', async () => {
+        const clock = simulatedClock();
+        // The orderbook accepts every order; the LOP reports what is left of each
+        const swapApi = Object.create(backend.swapApi);
+        swapApi.submitOrder = async () => ({});
+        const engine = paperEngine(backend, work, { clock, swapApi });
+        const remaining = new Map();
+        engine.getOrderRemaining = async slice => remaining.get(slice.id) ?? slice.order.makingAmount;
+
+        const twap = await engine.createTWAPOrder({
+            fromToken: TOKENS.USDC.address,
+            toToken: TOKENS.WMATIC.address,
+            totalAmount: ethers.parseUnits('10', 6),
+            sliceCount: 2,
+            intervalMinutes: 1
+        });
+        await engine.executeTWAP(twap.id);
+        await clock.advance(60 * 1000);
+        await engine.idle();
+
+        assert.equal(twap.status, 'completed');
+        assert.ok(twap.slices.every(slice => slice.method === 'orderbook'));
+        assert.equal(twap.filledAmount, 0n);
+        assert.equal(twap.tca, null);
+
+        // Half of the first order is taken
+        const [first] = twap.slices;
+        remaining.set(first.id, ethers.parseUnits('2.5', 6));
+        await clock.advance(engine.config.fillPollMs);
+        await engine.idle();
+
+        assert.equal(twap.filledAmount, ethers.parseUnits('2.5', 6));
+        assert.equal(first.actualAmount, (first.order.takingAmount / 2n).toString());
+        assert.equal(twap.tca.slicesAnalyzed, 1);
+        assert.equal(twap.tca.totalInput, 2.5e6);
+        // Kept with the TWAP's record rather than in a proof of its own
+        const record = JSON.parse(fs.readFileSync(work.path('data/twap-orders', `${twap.id}.json`), 'utf8'));
+        assert.deepEqual(record.tca, twap.tca);
+
+        const stats = collectExecutionStats({ proofsDir: work.path('execution-proofs'), dataDir: work.path('data'), prices: { usdc: 1 } });
+        assert.equal(stats.twap.slices, 1);
+        assert.equal(stats.twap.volume, 2.5);
+    });
+});
@@ -0,0 +1,35 @@
+/**
+ * @fileoverview Price guard tests
+ * @description Judges oracle staleness and the price band on the clock it
+ * is given, so backtests replay them as they happened.
+ * @author FEAWS Development Team
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const PriceGuard = require('../core/price-guard');
+const { POLYGON_FEEDS } = require('../core/price-guard');
+const { simulatedClock, SIMULATION_START } = require('./harness');
+
+// A feed that last answered `price` at the start of the simulation
+function feed(price) {
+    return {
+        decimals: async () => 8n,
+        latestRoundData: async () => ({ answer: ethers.parseUnits(String(price), 8), updatedAt: BigInt(SIMULATION_START / 1000) })
+    };
+}
+
+describe('price guard', () => {
+    it('measures round age on the injected clock', async () => {
+        const clock = simulatedClock();
+        const guard = new PriceGuard(null, { oracle: { fromFeed: POLYGON_FEEDS.MATIC_USD }, maxDeviationPercent: 1 }, { clock });
+        guard.oracle.fromFeed = feed(0.5);
+
+        assert.deepEqual(await guard.check(0.5), { ok: true, oraclePrice: 0.5, deviation: 0 });
+        assert.equal((await guard.check(0.51)).reason, 'price_band');
+
+        await clock.advance(3601 * 1000);
+        assert.equal((await guard.check(0.5)).reason, 'oracle_stale');
+    });
+});
@@ -0,0 +1,122 @@
+/**
+ * @fileoverview Request validator tests
+ * @description Runs requests through the middleware built from the server's
+ * OpenAPI document and checks which are passed on and which get a 400
+ * naming the offending field.
+ * @author FEAWS Development Team
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const RequestValidator = require('../core/request-validator');
+const openapi = require('../core/openapi');
+
+/**
+ * Call the middleware the way Express would
+ * @returns {{ next: boolean, status?: number, body?: Object }}
+ */
+function run(middleware, { method = 'GET', path, query = {}, body }) {
+    const outcome = { next: false };
+    const res = {
+        status(code) {
+            outcome.status = code;
+            return this;
+        },
+        json(payload) {
+            outcome.body = payload;
+            return this;
+        }
+    };
+    middleware({ method, baseUrl: '', path, query, body }, res, () => { outcome.next = true; });
+    return outcome;
+}
+
+describe('request validator', () => {
+    const validator = new RequestValidator(openapi);
+    const middleware = validator.middleware();
+
+    it('passes valid requests and routes it does not describe', () => {
+        assert.ok(run(middleware, { method: 'POST', path: '/api/jobs', body: { type: 'twap', params: { amount: '0.5' } } }).next);
+        assert.ok(run(middleware, { method: 'POST', path: '/api/jobs', body: { type: 'balance' } }).next);
+        assert.ok(run(middleware, { path: '/api/jobs', query: { type: 'twap', status: 'running' } }).next);
+        assert.ok(run(middleware, { path: '/api/not-in-the-document', query: { anything: 'goes' } }).next);
+    });
+
+    it('rejects bad job bodies with a 400 naming the field', () => {
+        const missing = run(middleware, { method: 'POST', path: '/api/jobs' });
+        assert.equal(missing.status, 400);
+        assert.deepEqual(missing.body, {
+            success: false,
+            error: 'body: JSON body is required',
+            field: 'body',
+            errors: [{ field: 'body', message: 'JSON body is required' }]
+        });
+
+        const unknownType = run(middleware, { method: 'POST', path: '/api/jobs', body: { type: 'teleport', params: {} } });
+        assert.equal(unknownType.status, 400);
+        assert.equal(unknownType.body.field, 'type');
+        assert.match(unknownType.body.error, /^type: must be one of twap, lop-twap/);
+
+        // Errors point into the branch the discriminator picked
+        const badParams = run(middleware, { method: 'POST', path: '/api/jobs', body: { type: 'twap', params: { amount: '-1', sliceCount: 0 } } });
+        assert.equal(badParams.status, 400);
+        assert.deepEqual(badParams.body.errors, [
+            { field: 'params.amount', message: 'must be a positive decimal amount' },
+            { field: 'params.sliceCount', message: 'is not a recognised parameter' }
+        ]);
+
+        const noParams = run(middleware, { method: 'POST', path: '/api/jobs', body: { type: 'swap' } });
+        assert.equal(noParams.body.error, 'params: is required');
+    });
+
+    it('rejects bad query parameters', () => {
+        const tooMany = run(middleware, { path: '/api/approvals/audit', query: { limit: '1001' } });
+        assert.equal(tooMany.status, 400);
+        assert.equal(tooMany.body.error, 'query.limit: must be <= 1000');
+
+        assert.equal(run(middleware, { path: '/api/approvals/audit', query: { limit: 'ten' } }).body.error, 'query.limit: must be integer, got string');
+        assert.equal(run(middleware, { path: '/api/jobs', query: { status: 'done' } }).body.error, 'query.status: must be one of queued, running, paused, completed, failed, cancelled');
+        assert.equal(run(middleware, { path: '/api/jobs', query: { type: ['twap', 'swap'] } }).body.error, 'query.type: must be given once');
+    });
+
+    it('collects every problem, not just the first', () => {
+        const issues = validator.validateRequest({
+            method: 'GET',
+            path: '/api/jobs',
+            query: { type: 'teleport', status: 'done' }
+        });
+        assert.deepEqual(issues.map(issue => issue.field), ['query.type', 'query.status']);
+    });
+
+    it('rejects bad history filters', () => {
+        assert.equal(run(middleware, { path: '/api/history', query: { limit: '501' } }).body.error, 'query.limit: must be <= 500');
+        assert.equal(run(middleware, { path: '/api/history', query: { pair: 'USDC' } }).body.error, 'query.pair: must look like USDC-WMATIC');
+        assert.equal(run(middleware, { path: '/api/history', query: { txHash: '0x1234' } }).body.error, 'query.txHash: must be a 32-byte hex hash');
+        assert.deepEqual(
+            validator.validateRequest({ method: 'GET', path: '/api/history', query: { limit: '0', source: 'elsewhere', since: '' } }).map(issue => issue.field),
+            ['query.source', 'query.limit']
+        );
+    });
+
+    it('checks job amendments and pause options', () => {
+        const amend = body => run(middleware, { method: 'PATCH', path: '/api/jobs/job_1', body });
+        assert.ok(amend({ remainingAmount: '12.5', intervalMinutes: 5, limitPrice: null }).next);
+        assert.equal(amend().body.error, 'body: JSON body is required');
+        assert.equal(amend({ remainingAmount: '-1' }).body.error, 'remainingAmount: must be a positive decimal amount');
+        assert.equal(amend({ limitPrice: 0 }).body.error, 'limitPrice: must be > 0');
+        assert.equal(amend({ slices: 2 }).body.error, 'slices: is not a recognised parameter');
+
+        assert.ok(run(middleware, { method: 'POST', path: '/api/jobs/job_1/pause' }).next);
+        assert.ok(run(middleware, { method: 'POST', path: '/api/jobs/job_1/pause', body: { cancelOutstanding: true } }).next);
+        assert.equal(run(middleware, { method: 'POST', path: '/api/jobs/job_1/pause', body: { cancelOutstanding: 'yes' } }).body.error,
+            'cancelOutstanding: must be boolean, got string');
+        assert.ok(run(middleware, { method: 'POST', path: '/api/jobs/job_1/resume' }).next);
+    });
+
+    it('refuses parameters on the preset /api/execute routes', () => {
+        assert.ok(run(middleware, { method: 'POST', path: '/api/execute/twap' }).next);
+        assert.ok(run(middleware, { method: 'POST', path: '/api/execute/twap', body: {} }).next);
+        assert.equal(run(middleware, { method: 'POST', path: '/api/execute/twap', body: { amount: 1000 } }).body.error,
+            'amount: is not a recognised parameter');
+    });
+});
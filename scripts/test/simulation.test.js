@@ -0,0 +1,110 @@
+/**
+ * @fileoverview Server mode tests
+ * @description Runs the live job types over a paper backend as the server
+ * does in paper and demo modes, and refuses the orderbook types there.
+ * @author FEAWS Development Team
+ */
+
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { ethers } = require('ethers');
+const JobManager = require('../core/job-manager');
+const TransactionQueue = require('../core/transaction-queue');
+const { JOB_TYPES } = require('../core/job-types');
+const { ScaledClock } = require('../core/clock');
+const { LOP_V4_ADDRESS } = require('../core/lop-order');
+const { tokens: KNOWN_TOKENS } = require('../core/balance-fetcher');
+const { ORDERBOOK_JOB_TYPES, simulateJobTypes, parseServerMode } = require('../core/simulation');
+const { useWorkDir, paperBackend, paperEngine, simulatedClock } = require('./harness');
+
+async function finished(jobs, id) {
+    const deadline = Date.now() + 10000;
+    while (!['completed', 'failed', 'cancelled'].includes(jobs.get(id).status) && Date.now() < deadline) {
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    return jobs.get(id);
+}
+
+describe('server modes', () => {
+    const work = useWorkDir('server-modes');
+
+    // Quiet: the job logs are not under test
+    before(() => mock.method(console, 'log', () => {}));
+    after(() => mock.restoreAll());
+
+    function paperJobs(options = {}) {
+        const backend = paperBackend(work);
+        // The server creates the wallet's queue first, so the jobs share it
+        TransactionQueue.for(backend.wallet, { journalPath: null });
+        const engine = paperEngine(backend, work, options);
+        const jobs = new JobManager({
+            types: simulateJobTypes(JOB_TYPES, 'demo'),
+            services: {
+                provider: backend.provider,
+                wallet: backend.wallet,
+                swapApi: backend.swapApi,
+                outputDir: work.dir,
+                getEngine: () => engine
+            }
+        });
+        return { backend, engine, jobs };
+    }
+
+    it('reads the mode from --mode, then FEAWS_MODE', () => {
+        assert.equal(parseServerMode(['node', 'server.js'], {}), 'live');
+        assert.equal(parseServerMode(['node', 'server.js'], { FEAWS_MODE: 'Paper' }), 'paper');
+        assert.equal(parseServerMode(['node', 'server.js', '--mode=demo'], { FEAWS_MODE: 'paper' }), 'demo');
+        assert.throws(() => parseServerMode(['--mode=sim'], {}), /Unknown server mode 'sim'/);
+    });
+
+    it('refuses orderbook jobs', () => {
+        const { jobs } = paperJobs();
+        for (const type of ORDERBOOK_JOB_TYPES) {
+            assert.throws(() => jobs.create(type, {}), { statusCode: 400, field: 'type', message: /need live mode; demo trading has no orderbook/ });
+        }
+        assert.equal(jobs.list().length, 0);
+    });
+
+    it('approves, swaps and reads balances on the paper ledger', async () => {
+        const { backend, jobs } = paperJobs();
+        const usdc = KNOWN_TOKENS.find(token => token.symbol === 'USDC');
+
+        const approval = await finished(jobs, jobs.create('approve', { token: 'USDC', amount: '50' }).id);
+        assert.equal(approval.status, 'completed', approval.error);
+        assert.equal(approval.result.spender, LOP_V4_ADDRESS);
+        assert.equal(approval.result.allowance, ethers.parseUnits('50', 6).toString());
+
+        const swap = await finished(jobs, jobs.create('swap', { fromToken: 'USDC', toToken: 'WMATIC', amount: '10' }).id);
+        assert.equal(swap.status, 'completed', swap.error);
+        assert.ok(BigInt(swap.result.receivedAmount) > 0n);
+        assert.equal(backend.ledger.balanceOf(usdc.address), ethers.parseUnits('90', 6));
+        // Proofs stay with the mode's other outputs
+        assert.equal(fs.readdirSync(work.path('execution-proofs')).length, 1);
+
+        const balance = await finished(jobs, jobs.create('balance').id);
+        assert.equal(balance.status, 'completed', balance.error);
+        assert.equal(balance.result.balances.find(token => token.symbol === 'USDC').formattedBalance, '90.0');
+    });
+
+    it('runs TWAP jobs on the production engine', async () => {
+        const clock = simulatedClock();
+        const { jobs } = paperJobs({ clock });
+
+        const { id } = jobs.create('twap', { amount: '20', slices: 2, intervalMinutes: 1 });
+        const deadline = Date.now() + 10000;
+        while (jobs.get(id).status !== 'completed' && Date.now() < deadline) {
+            await clock.advance(60 * 1000);
+            await new Promise(resolve => setTimeout(resolve, 20));
+        }
+        assert.equal(jobs.get(id).status, 'completed', jobs.get(id).error);
+        assert.equal(jobs.get(id).result.executedSlices, 2);
+    });
+
+    it('runs scaled clocks faster than the wall clock', async () => {
+        const clock = new ScaledClock(1 / 100);
+        const started = clock.now();
+        await new Promise(resolve => clock.setTimeout(resolve, 1000));
+        assert.ok(clock.now() - started >= 900);
+    });
+});
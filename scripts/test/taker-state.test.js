@@ -0,0 +1,126 @@
+/**
+ * @fileoverview Taker order state tests
+ * @description Walks orders through the taker bot's state machine and
+ * reloads its journal as a restarted bot would.
+ * @author FEAWS Development Team
+ */
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { ethers } = require('ethers');
+const TakerStateMachine = require('../core/taker-state');
+const TransactionQueue = require('../core/transaction-queue');
+const { GasStrategy } = require('../core/gas-strategy');
+const { TOKENS, useWorkDir, stubChain } = require('./harness');
+
+const HASH_A = '0x' + 'aa'.repeat(32);
+const HASH_B = '0x' + 'bb'.repeat(32);
+
+describe('taker order state', () => {
+    const work = useWorkDir('taker-state');
+    let journalPath;
+
+    beforeEach(() => {
+        journalPath = work.path('taker-journal.ndjson');
+    });
+
+    it('moves an order from pending to confirmed and rejects other paths', () => {
+        const state = new TakerStateMachine({ journalPath });
+
+        state.track({ orderHash: HASH_A, source: 'file', sliceIndex: 0 });
+        assert.throws(() => state.transition(HASH_A, 'submitted'), /cannot go from pending to submitted/);
+
+        state.transition(HASH_A, 'ready', { pendingFill: { making: 10n } });
+        state.transition(HASH_A, 'submitted', { txHash: '0x01', submittedAt: 100 });
+        const record = state.transition(HASH_A, 'confirmed', { fills: [{ txHash: '0x01' }] });
+
+        assert.equal(record.status, 'confirmed');
+        assert.equal(record.sliceIndex, 0);
+        assert.ok(state.isTerminal(record));
+        assert.throws(() => state.transition(HASH_A, 'pending'), /cannot go from confirmed/);
+        assert.equal(state.track({ orderHash: HASH_A }).status, 'confirmed');
+    });
+
+    it('backs off between attempts, then fails', () => {
+        const state = new TakerStateMachine({ journalPath, maxAttempts: 3, backoffSeconds: 30 });
+        state.track({ orderHash: HASH_A });
+
+        state.transition(HASH_A, 'ready');
+        let record = state.retry(HASH_A, 'nonce too low', 1000);
+        assert.equal(record.status, 'pending');
+        assert.equal(record.nextAttemptAt, 1030);
+        assert.equal(state.isDue(record, 1029), false);
+        assert.equal(state.isDue(record, 1030), true);
+
+        state.transition(HASH_A, 'ready');
+        state.transition(HASH_A, 'submitted', { txHash: '0x02' });
+        record = state.retry(HASH_A, 'reverted', 1030);
+        assert.equal(record.nextAttemptAt, 1090);
+        assert.equal(record.txHash, null);
+
+        state.transition(HASH_A, 'ready');
+        record = state.retry(HASH_A, 'reverted', 1090);
+        assert.equal(record.status, 'failed');
+        assert.equal(record.attempts, 3);
+    });
+
+    it('resumes from the journal, keeping fills in flight', () => {
+        const state = new TakerStateMachine({ journalPath });
+        state.track({ orderHash: HASH_A });
+        state.transition(HASH_A, 'ready');
+        state.transition(HASH_A, 'submitted', { txHash: '0x03', pendingFill: { making: 5n } });
+        state.track({ orderHash: HASH_B });
+        state.transition(HASH_B, 'ready');
+        fs.appendFileSync(journalPath, '{"at":1,"state":{"orderHa');
+
+        const reopened = new TakerStateMachine({ journalPath });
+
+        assert.equal(reopened.get(HASH_A).status, 'submitted');
+        assert.equal(reopened.get(HASH_A).txHash, '0x03');
+        assert.equal(reopened.get(HASH_A).pendingFill.making, '5');
+        assert.equal(reopened.get(HASH_B).status, 'pending');
+        assert.equal(reopened.get(HASH_B).reason, 'restarted before sending');
+    });
+
+    it('follows up a fill the queue sent just before a crash', async () => {
+        const chain = stubChain();
+        const wallet = ethers.Wallet.createRandom().connect(chain);
+        const queuePath = work.path('tx-queue.ndjson');
+        const queue = new TransactionQueue({ signer: wallet, journalPath: queuePath });
+        const state = new TakerStateMachine({ journalPath, txQueue: queue });
+        state.track({ orderHash: HASH_A });
+        state.transition(HASH_A, 'ready');
+        state.track({ orderHash: HASH_B });
+        state.transition(HASH_B, 'ready');
+
+        const fees = { maxFeePerGas: ethers.parseUnits('100', 'gwei'), maxPriorityFeePerGas: ethers.parseUnits('30', 'gwei') };
+        const sent = await new GasStrategy({ provider: chain }).send(queue, { to: TOKENS.USDC.address, data: '0x1234', gasLimit: 80000n }, { fees, label: HASH_A });
+        // The process dies here, before HASH_A is journaled as submitted
+
+        const restartedQueue = new TransactionQueue({ signer: wallet, journalPath: queuePath });
+        const restarted = new TakerStateMachine({ journalPath, txQueue: restartedQueue });
+        await restartedQueue.ready();
+
+        const record = restarted.get(HASH_A);
+        assert.equal(record.status, 'submitted');
+        assert.equal(record.reason, 'restarted after sending');
+        assert.deepEqual(record.txHashes, [sent.hash]);
+        assert.equal(Number(record.gasRequest.nonce), sent.nonce);
+        assert.equal(record.gasRequest.data, '0x1234');
+        assert.equal(restarted.get(HASH_B).status, 'pending');
+        // Still in the mempool, so neither re-broadcast nor sent again
+        assert.equal(chain.broadcasts.length, 1);
+    });
+
+    it('imports processed-orders.json into a new journal', () => {
+        const legacyProcessedPath = work.path('processed-orders.json');
+        fs.writeFileSync(legacyProcessedPath, JSON.stringify([HASH_A]));
+
+        const state = new TakerStateMachine({ journalPath, legacyProcessedPath });
+        assert.equal(state.get(HASH_A).status, 'confirmed');
+
+        fs.writeFileSync(legacyProcessedPath, JSON.stringify([HASH_A, HASH_B]));
+        assert.equal(new TakerStateMachine({ journalPath, legacyProcessedPath }).get(HASH_B), undefined);
+    });
+});
@@ -0,0 +1,148 @@
+/**
+ * @fileoverview Transaction queue tests
+ * @description Orders concurrent sends by nonce, retries nonce and
+ * underpricing errors, recovers journaled transactions after a restart and
+ * runs two paper TWAP engines through one shared queue.
+ * @author FEAWS Development Team
+ */
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { ethers } = require('ethers');
+const TransactionQueue = require('../core/transaction-queue');
+const { TOKENS, SIMULATION_START, useWorkDir, paperBackend, paperEngine, simulatedClock, stubChain } = require('./harness');
+
+const gwei = value => ethers.parseUnits(String(value), 'gwei');
+
+const transfer = (fee = 100) => ({
+    to: TOKENS.USDC.address,
+    data: '0x',
+    gasLimit: 60000n,
+    type: 2,
+    maxFeePerGas: gwei(fee),
+    maxPriorityFeePerGas: gwei(30)
+});
+
+describe('transaction queue', () => {
+    const work = useWorkDir('tx-queue');
+    let journalPath;
+    let chain;
+    let wallet;
+    let clock;
+
+    beforeEach(() => {
+        journalPath = work.path('queue.ndjson');
+        chain = stubChain();
+        wallet = ethers.Wallet.createRandom().connect(chain);
+        clock = simulatedClock();
+    });
+
+    it('sends concurrent transactions on consecutive nonces in call order', async () => {
+        const queue = new TransactionQueue({ signer: wallet, journalPath, clock });
+        chain.mined = 4;
+
+        const sent = await Promise.all([100, 110, 120].map(fee => queue.sendTransaction(transfer(fee))));
+
+        assert.deepEqual(sent.map(tx => tx.nonce), [4, 5, 6]);
+        assert.deepEqual(chain.broadcasts.map(tx => tx.maxFeePerGas), [gwei(100), gwei(110), gwei(120)]);
+        assert.equal(await queue.getNonce(), 7);
+        assert.deepEqual(queue.pending().map(tx => tx.nonce), [4, 5, 6]);
+
+        // One queue per provider and address
+        assert.equal(TransactionQueue.for(wallet, { journalPath: null }), TransactionQueue.for(new ethers.Wallet(wallet.privateKey, chain)));
+        assert.notEqual(TransactionQueue.for(wallet, { journalPath: null }), TransactionQueue.for(wallet.connect(stubChain()), { journalPath: null }));
+    });
+
+    it('moves past nonces taken by other senders', async () => {
+        const queue = new TransactionQueue({ signer: wallet, journalPath: null, clock });
+        await queue.ready();
+
+        // Another process on the key has two transactions mined...
+        chain.mined = 2;
+        assert.equal((await queue.sendTransaction(transfer())).nonce, 2);
+
+        // ...then one in the mempool at a higher fee
+        chain.mine();
+        chain.mempool.set(3, { hash: ethers.id('theirs'), maxFeePerGas: gwei(500) });
+        assert.equal((await queue.sendTransaction(transfer())).nonce, 4);
+    });
+
+    it('raises fees on an underpriced replacement', async () => {
+        const queue = new TransactionQueue({ signer: wallet, journalPath: null, clock });
+        const original = await queue.sendTransaction(transfer(100));
+
+        const replacement = await queue.sendTransaction({ ...transfer(105), nonce: original.nonce });
+
+        assert.equal(replacement.nonce, original.nonce);
+        assert.ok(replacement.maxFeePerGas >= gwei(112.5));
+        assert.equal(chain.mempool.get(0).hash, replacement.hash);
+
+        chain.mine();
+        await assert.rejects(queue.sendTransaction({ ...transfer(200), nonce: original.nonce }), /nonce too low/);
+    });
+
+    it('recovers journaled transactions after a restart', async () => {
+        const queue = new TransactionQueue({ signer: wallet, journalPath, clock, staleAfterMs: 60000 });
+        const [mined, kept, dropped] = await Promise.all([0, 1, 2].map(() => queue.sendTransaction(transfer())));
+        chain.mempool.delete(dropped.nonce);
+        chain.mempool.delete(mined.nonce);
+        chain.mined = 1;
+        fs.appendFileSync(journalPath, '{"at":1,"tx":{"hash":"0x');
+
+        const restarted = new TransactionQueue({ signer: wallet, journalPath, clock, staleAfterMs: 60000 });
+        assert.deepEqual(await restarted.recover(), [
+            { nonce: 1, hash: kept.hash, action: 'pending' },
+            { nonce: 2, hash: dropped.hash, action: 'rebroadcast' }
+        ]);
+        assert.equal(chain.mempool.get(2).hash, dropped.hash);
+        assert.equal(restarted.nextNonce, 3);
+
+        // Dropped again and now stale: its nonce is filled so nonce 3 is not held up
+        chain.mempool.delete(dropped.nonce);
+        await clock.advance(120000);
+        const again = new TransactionQueue({ signer: wallet, journalPath, clock, staleAfterMs: 60000 });
+        const [, filled] = await again.recover();
+        assert.equal(filled.action, 'filled');
+        assert.equal(chain.mempool.get(2).to, wallet.address);
+        assert.equal(chain.mempool.get(2).value, 0n);
+        assert.deepEqual(again.pending().map(tx => tx.hash), [kept.hash, filled.hash]);
+
+        // Only what is in flight survives into the rewritten journal
+        const lines = fs.readFileSync(journalPath, 'utf8').trim().split('\n').map(line => JSON.parse(line).tx);
+        assert.ok(!lines.some(tx => tx.hash === mined.hash));
+    });
+
+    it('shares one queue between paper TWAP engines on the same key', async () => {
+        const backend = paperBackend(work);
+        const engines = ['a', 'b'].map(name => paperEngine(backend, work, { clock, journalPath: work.path(`twap-${name}.ndjson`) }));
+        assert.equal(engines[0].txQueue, engines[1].txQueue);
+
+        // Both engines' slices come due at the same instants
+        const twaps = [];
+        for (const engine of engines) {
+            const twap = await engine.createTWAPOrder({
+                fromToken: TOKENS.USDC.address,
+                toToken: TOKENS.WMATIC.address,
+                totalAmount: ethers.parseUnits('10', 6),
+                sliceCount: 2,
+                intervalMinutes: 1
+            });
+            twaps.push(twap);
+        }
+        // Ids follow the engines' clock, suffixed as both start in the same millisecond
+        assert.deepEqual(twaps.map(twap => twap.id), [`twap_${SIMULATION_START}`, `twap_${SIMULATION_START}_2`]);
+        await Promise.all(engines.map((engine, i) => engine.executeTWAP(twaps[i].id)));
+        for (let minute = 0; minute < 3; minute++) {
+            await clock.advance(60 * 1000);
+            await Promise.all(engines.map(engine => engine.idle()));
+        }
+
+        for (const twap of twaps) {
+            assert.equal(twap.status, 'completed');
+            assert.ok(twap.slices.every(slice => slice.method === 'fallback_swap'), JSON.stringify(twap.slices.map(slice => slice.error)));
+        }
+        assert.equal(backend.ledger.nonce, await engines[0].txQueue.getNonce());
+        assert.ok(fs.existsSync(work.path('data/tx-queue', `${backend.wallet.address.toLowerCase()}.ndjson`)));
+    });
+});
@@ -1,51 +1,183 @@
 #!/usr/bin/env node
 
 /**
- * FEAWS Real Backend Server
- * Uses actual working scripts for real blockchain operations
+ * FEAWS Backend Server
+ * Runs strategies on Polygon (--mode=live, the default) or with the same
+ * engines on a paper backend (--mode=paper with live prices and a ledger
+ * kept between runs, --mode=demo with fixed prices and no keys).
+ * FEAWS_MODE sets the mode too.
  */
 
 const express = require('express');
-const { spawn } = require('child_process');
+const http = require('http');
+const socketIo = require('socket.io');
 const path = require('path');
 const fs = require('fs');
+const os = require('os');
 const { ethers } = require('ethers');
 const axios = require('axios');
 require('dotenv').config();
 
+const { ProductionTWAPEngine } = require('./scripts/core/production-twap');
+const TWAPBuilder = require('./scripts/build-orders');
+const OneInchLimitOrderAdvanced = require('./scripts/advanced/oneinch-limit-order-advanced');
+const OneInchFusionManager = require('./scripts/advanced/oneinch-fusion-manager');
+const JobManager = require('./scripts/core/job-manager');
+const { JOB_TYPES, recoveredTWAPJob } = require('./scripts/core/job-types');
+const { createAuth } = require('./scripts/core/auth');
+const ApprovalWorkflow = require('./scripts/core/approval-workflow');
+const ExecutionEventStream = require('./scripts/core/execution-events');
+const PriceService = require('./scripts/core/price-service');
+const { collectExecutionStats } = require('./scripts/core/execution-stats');
+const openapi = require('./scripts/core/openapi');
+const RequestValidator = require('./scripts/core/request-validator');
+const HistoryStore = require('./scripts/core/history-store');
+const { parseServerMode, simulateJobTypes } = require('./scripts/core/simulation');
+const {
+    DEFAULT_LEDGER_PATH,
+    MockQuoteSource,
+    createPaperBackend,
+    paperModelOptions
+} = require('./scripts/core/paper-trading');
+const { ScaledClock } = require('./scripts/core/clock');
+const TransactionQueue = require('./scripts/core/transaction-queue');
+
+const MODE = parseServerMode();
+const simulated = MODE !== 'live';
+
 const app = express();
+const server = http.createServer(app);
+const io = socketIo(server);
 app.use(express.json());
-app.use(express.static('.'));
 
-// Initialize blockchain connection
-const provider = new ethers.JsonRpcProvider(process.env.POLYGON_RPC_URL);
-const wallet = new ethers.Wallet(process.env.PRIVATE_KEY, provider);
+// Only the dashboard pages and their assets are public; never the repo root (.env, data/)
+const PUBLIC_PAGES = ['landing.html', 'dashboard.html', 'dashboard-complete.html', 'complete-demo-frontend.html'];
+app.use('/assets', express.static(path.join(__dirname, 'assets')));
+app.get('/', (req, res) => res.redirect('/landing.html'));
+for (const page of PUBLIC_PAGES) {
+    app.get(`/${page}`, (req, res) => res.sendFile(path.join(__dirname, page)));
+}
+
+const auth = createAuth();
+const { requireRole } = auth;
+
+// Params and bodies are checked against the OpenAPI document before handlers run
+const validateRequest = new RequestValidator(openapi).middleware();
+
+// Paper mode only reads the chain (Chainlink price fallback); demo mode never touches it
+const chain = MODE === 'demo' || (MODE === 'paper' && !process.env.POLYGON_RPC_URL)
+    ? null
+    : new ethers.JsonRpcProvider(process.env.POLYGON_RPC_URL);
+// Simulated runs keep their ledger, audit trail and job history apart from live ones
+const SIMULATION_DIR = path.join(__dirname, 'data/simulation', MODE);
+// TWAP journal, transaction queue and proofs: the repo in live mode, beside
+// the paper ledger in paper mode, a scratch directory for each demo run
+const OUTPUT_DIR = { live: __dirname, paper: SIMULATION_DIR, demo: null }[MODE]
+    || fs.mkdtempSync(path.join(os.tmpdir(), 'feaws-demo-'));
+
+const prices = new PriceService({ provider: chain });
+
+// The live engines and job types run on a paper backend in simulated modes.
+// Paper balances carry over between runs (shared with `--mode=paper` CLI runs); demo starts fresh.
+const paper = simulated && createPaperBackend({
+    ledgerPath: MODE === 'paper' ? process.env.FEAWS_PAPER_LEDGER || DEFAULT_LEDGER_PATH : null,
+    balances: process.env.FEAWS_SIM_BALANCES && JSON.parse(process.env.FEAWS_SIM_BALANCES),
+    quotes: new MockQuoteSource({ priceService: MODE === 'paper' ? prices : null }),
+    ...paperModelOptions()
+});
+const provider = simulated ? paper.provider : chain;
+const wallet = simulated ? paper.wallet : new ethers.Wallet(process.env.PRIVATE_KEY, provider);
+const NETWORK = simulated ? `Simulated (${MODE})` : 'Polygon Mainnet';
+
+// Demo mode runs TWAP schedules 60x faster so a dashboard run finishes in seconds
+const timeScale = parseFloat(process.env.FEAWS_SIM_TIME_SCALE) || (MODE === 'demo' ? 1 / 60 : 1);
+const clock = timeScale !== 1 ? new ScaledClock(timeScale) : undefined;
 
-console.log('🌊 FEAWS REAL BACKEND SERVER');
+// One queue per key: approve and swap jobs and the TWAP engine share its nonces and journal
+const txQueue = TransactionQueue.for(wallet, { journalDir: path.join(OUTPUT_DIR, 'data/tx-queue'), clock });
+
+console.log(simulated ? `🧪 FEAWS BACKEND SERVER (${MODE.toUpperCase()} MODE)` : '🌊 FEAWS REAL BACKEND SERVER');
 console.log('============================');
 console.log('🏦 Wallet:', wallet.address);
-console.log('🌐 Network: Polygon Mainnet');
+console.log('🌐 Network:', NETWORK);
 console.log('');
 
-// Token contracts (real addresses)
+// Execution, job, proposal and balance events for dashboards (Socket.IO and SSE)
+const events = new ExecutionEventStream();
+
+// Engines are created on first use and shared by all jobs. Simulated modes
+// refuse the orderbook job types, so only the TWAP engine runs on paper.
+const engineFactories = {
+    twap: () => events.attachEngine(new ProductionTWAPEngine({
+        provider,
+        wallet,
+        txQueue,
+        clock,
+        outputDir: OUTPUT_DIR,
+        // Beside the ledger, where `--mode=paper` CLI runs keep theirs
+        ...(simulated && { swapApi: paper.swapApi, journalPath: path.join(OUTPUT_DIR, 'twap-journal.ndjson') })
+    })),
+    orderBuilder: () => new TWAPBuilder(),
+    limitOrders: () => new OneInchLimitOrderAdvanced(),
+    fusion: () => new OneInchFusionManager()
+};
+const engines = new Map();
+
+function getEngine(name) {
+    if (!engines.has(name)) {
+        engines.set(name, engineFactories[name]());
+    }
+    return engines.get(name);
+}
+
+const jobs = new JobManager({
+    types: simulated ? simulateJobTypes(JOB_TYPES, MODE) : JOB_TYPES,
+    services: {
+        provider,
+        wallet,
+        getEngine,
+        ...(simulated && { swapApi: paper.swapApi, outputDir: OUTPUT_DIR })
+    }
+});
+
+// Operations above the approval policy thresholds wait for approver sign-off
+const approvals = new ApprovalWorkflow({
+    jobs,
+    ...(simulated && { auditPath: path.join(SIMULATION_DIR, 'approval-audit.ndjson') })
+});
+
+// Indexed execution history: proof files plus every finished job. Simulated
+// modes list only their own jobs, not the live proofs.
+const history = new HistoryStore(simulated
+    ? { dirs: [], journalPath: path.join(SIMULATION_DIR, 'history-jobs.ndjson') }
+    : {});
+jobs.on('job', job => {
+    try {
+        history.recordJob(job);
+    } catch (error) {
+        console.error(`❌ Failed to record job ${job.id} in history:`, error.message);
+    }
+});
+
+events.attachJobs(jobs);
+events.attachApprovals(approvals);
+events.attachSocketServer(io, auth.authenticateToken);
+
+// Token contracts (real addresses); the paper provider answers from its ledger
+function balanceReader(address) {
+    return new ethers.Contract(address, ['function balanceOf(address) view returns (uint256)'], provider);
+}
+
 const tokens = {
     USDC: {
         address: '0x3c499c542cEF5E3811e1192ce70d8cC03d5c3359',
         decimals: 6,
-        contract: new ethers.Contract(
-            '0x3c499c542cEF5E3811e1192ce70d8cC03d5c3359',
-            ['function balanceOf(address) view returns (uint256)'],
-            provider
-        )
+        contract: balanceReader('0x3c499c542cEF5E3811e1192ce70d8cC03d5c3359')
     },
     WPOL: {
         address: '0x0d500B1d8E8eF31E21C99d1Db9A6444d3ADf1270',
         decimals: 18,
-        contract: new ethers.Contract(
-            '0x0d500B1d8E8eF31E21C99d1Db9A6444d3ADf1270',
-            ['function balanceOf(address) view returns (uint256)'],
-            provider
-        )
+        contract: balanceReader('0x0d500B1d8E8eF31E21C99d1Db9A6444d3ADf1270')
     }
 };
 
@@ -53,33 +185,85 @@ const tokens = {
 app.get('/health', (req, res) => {
     res.json({
         status: 'healthy',
+        mode: MODE,
         timestamp: new Date().toISOString(),
         wallet: wallet.address,
-        network: 'Polygon Mainnet'
+        network: NETWORK
     });
 });
 
+// The document requests are validated against and the client is generated from
+app.get('/api/openapi.json', (req, res) => {
+    res.json(openapi);
+});
+
+// Sessions: exchange an API key for a short-lived token (dashboard logins)
+app.post('/api/auth/session', validateRequest, (req, res) => {
+    const session = auth.createSession((req.body || {}).apiKey);
+    if (!session) {
+        return res.status(401).json({ success: false, error: 'Invalid API key' });
+    }
+    res.json({ success: true, ...session });
+});
+
+app.get('/api/auth/me', requireRole('viewer'), (req, res) => {
+    res.json({ success: true, principal: req.principal });
+});
+
+app.get('/api/auth/keys', requireRole('admin'), (req, res) => {
+    res.json({ success: true, keys: auth.store.list() });
+});
+
+app.post('/api/auth/keys', requireRole('admin'), validateRequest, (req, res) => {
+    try {
+        const { name, roles } = req.body || {};
+        const { apiKey, key } = auth.store.create({ name, roles });
+        console.log(`🔑 API key ${key.id} (${key.name}) created by ${req.principal.name}`);
+        res.status(201).json({ success: true, apiKey, key });
+    } catch (error) {
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+app.delete('/api/auth/keys/:id', requireRole('admin'), validateRequest, (req, res) => {
+    try {
+        const key = auth.store.revoke(req.params.id);
+        console.log(`🛑 API key ${key.id} revoked by ${req.principal.name}`);
+        res.json({ success: true, key });
+    } catch (error) {
+        res.status(404).json({ success: false, error: error.message });
+    }
+});
+
+async function readBalances() {
+    const balances = {};
+
+    for (const [symbol, token] of Object.entries(tokens)) {
+        try {
+            const balance = await token.contract.balanceOf(wallet.address);
+            balances[symbol] = {
+                raw: balance.toString(),
+                formatted: ethers.formatUnits(balance, token.decimals),
+                address: token.address
+            };
+        } catch (error) {
+            balances[symbol] = { error: error.message };
+        }
+    }
+
+    return balances;
+}
+
+events.watchBalances(readBalances, (parseInt(process.env.FEAWS_BALANCE_POLL_SECONDS, 10) || 30) * 1000);
+
 // Get real wallet balances
-app.get('/api/balances', async (req, res) => {
+app.get('/api/balances', requireRole('viewer'), async (req, res) => {
     try {
-        console.log('📊 Fetching real wallet balances...');
-        
-        const balances = {};
+        console.log(`📊 Fetching ${simulated ? 'simulated' : 'real'} wallet balances...`);
         
-        for (const [symbol, token] of Object.entries(tokens)) {
-            try {
-                const balance = await token.contract.balanceOf(wallet.address);
-                const formatted = ethers.formatUnits(balance, token.decimals);
-                balances[symbol] = {
-                    raw: balance.toString(),
-                    formatted: formatted,
-                    address: token.address
-                };
-                console.log(`   ${symbol}: ${formatted}`);
-            } catch (error) {
-                console.log(`   ${symbol}: Error - ${error.message}`);
-                balances[symbol] = { error: error.message };
-            }
+        const balances = await readBalances();
+        for (const [symbol, balance] of Object.entries(balances)) {
+            console.log(`   ${symbol}: ${balance.error ? `Error - ${balance.error}` : balance.formatted}`);
         }
         
         res.json({
@@ -98,330 +282,239 @@ app.get('/api/balances', async (req, res) => {
     }
 });
 
-// Execute real TWAP using working script
-app.post('/api/execute/twap', async (req, res) => {
+// USD prices: { prices: { usdc, usdt, dai, wmatic, weth }, sources, unavailable, updatedAt }
+app.get('/api/prices', requireRole('viewer'), async (req, res) => {
     try {
-        const { amount = '0.1', slices = 2 } = req.body;
-        
-        console.log('🌊 Executing REAL TWAP...');
-        console.log(`   Amount: ${amount} USDC`);
-        console.log(`   Slices: ${slices}`);
-        
-        // Run the actual working TWAP script
-        const scriptPath = path.join(__dirname, 'scripts', 'working-1inch-twap-final.js');
-        
-        const child = spawn('node', [scriptPath], {
-            cwd: __dirname,
-            env: { ...process.env }
-        });
-        
-        let output = '';
-        let error = '';
-        
-        child.stdout.on('data', (data) => {
-            output += data.toString();
-            console.log(data.toString());
-        });
-        
-        child.stderr.on('data', (data) => {
-            error += data.toString();
-            console.error(data.toString());
-        });
-        
-        child.on('close', (code) => {
-            if (code === 0) {
-                // Check if proof file was created
-                const proofPath = path.join(__dirname, 'data', 'twap-execution-proof.json');
-                let proof = null;
-                
-                if (fs.existsSync(proofPath)) {
-                    try {
-                        proof = JSON.parse(fs.readFileSync(proofPath, 'utf8'));
-                    } catch (e) {
-                        console.log('Could not read proof file');
-                    }
-                }
-                
-                res.json({
-                    success: true,
-                    message: 'TWAP executed successfully',
-                    output: output,
-                    proof: proof,
-                    timestamp: new Date().toISOString()
-                });
-            } else {
-                res.status(500).json({
-                    success: false,
-                    message: 'TWAP execution failed',
-                    error: error,
-                    output: output
-                });
-            }
-        });
-        
+        res.json({ success: true, ...await (simulated ? paper.quotes : prices).getPrices() });
     } catch (error) {
-        console.error('❌ TWAP execution error:', error.message);
-        res.status(500).json({
-            success: false,
-            error: error.message
-        });
+        sendError(res, error);
     }
 });
 
-// Execute real LOP TWAP using working script
-app.post('/api/execute/lop-twap', async (req, res) => {
+// Totals aggregated from execution-proofs/ and the legacy data/ proofs; simulated
+// modes read the proofs under their own directory, never the live ones
+const STATS_DIRS = simulated
+    ? { proofsDir: path.join(OUTPUT_DIR, 'execution-proofs'), dataDir: OUTPUT_DIR }
+    : {};
+
+app.get('/api/real-stats', requireRole('viewer'), async (req, res) => {
     try {
-        const { amount = '0.1' } = req.body;
-        
-        console.log('🎯 Executing REAL LOP TWAP...');
-        console.log(`   Amount: ${amount} USDC`);
-        
-        // Run the actual working LOP TWAP script
-        const scriptPath = path.join(__dirname, 'scripts', 'working-1inch-lop-twap.js');
-        
-        const child = spawn('node', [scriptPath], {
-            cwd: __dirname,
-            env: { ...process.env }
-        });
-        
-        let output = '';
-        let error = '';
-        
-        child.stdout.on('data', (data) => {
-            output += data.toString();
-            console.log(data.toString());
-        });
-        
-        child.stderr.on('data', (data) => {
-            error += data.toString();
-            console.error(data.toString());
-        });
-        
-        child.on('close', (code) => {
-            res.json({
-                success: code === 0,
-                message: code === 0 ? 'LOP TWAP executed successfully' : 'LOP TWAP execution failed',
-                output: output,
-                error: error,
-                timestamp: new Date().toISOString()
-            });
+        const snapshot = await (simulated ? paper.quotes : prices).getPrices();
+        res.json({
+            success: true,
+            stats: collectExecutionStats({ ...STATS_DIRS, prices: snapshot.prices }),
+            pricesUpdatedAt: snapshot.updatedAt
         });
-        
     } catch (error) {
-        console.error('❌ LOP TWAP execution error:', error.message);
-        res.status(500).json({
-            success: false,
-            error: error.message
-        });
+        sendError(res, error);
     }
 });
 
-// Get execution history from data files
-app.get('/api/history', (req, res) => {
+// Execution history, filtered and paged from the history index
+app.get('/api/history', requireRole('viewer'), validateRequest, (req, res) => {
     try {
-        const dataDir = path.join(__dirname, 'data');
-        const history = [];
-        
-        if (fs.existsSync(dataDir)) {
-            const files = fs.readdirSync(dataDir).filter(f => f.endsWith('.json'));
-            
-            files.forEach(file => {
-                try {
-                    const filePath = path.join(dataDir, file);
-                    const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
-                    history.push({
-                        file: file,
-                        ...data
-                    });
-                } catch (e) {
-                    console.log(`Could not read ${file}`);
-                }
-            });
+        res.json({ success: true, ...history.query(req.query) });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+app.get('/api/history/:id', requireRole('viewer'), validateRequest, (req, res) => {
+    const record = history.get(req.params.id);
+    if (!record) {
+        return res.status(404).json({ success: false, error: `History record ${req.params.id} not found` });
+    }
+    res.json({ success: true, record });
+});
+
+// Jobs: engine operations run in-process and are polled for status, progress and result
+function sendError(res, error) {
+    res.status(error.statusCode || 500).json({
+        success: false,
+        error: error.message,
+        ...(error.field && { field: error.field })
+    });
+}
+
+function sendProposal(res, proposal) {
+    res.status(202).location(`/api/proposals/${proposal.id}`).json({
+        success: true,
+        requiresApproval: true,
+        message: `Needs ${proposal.requiredApprovals} approval(s): ${proposal.reason}`,
+        proposal
+    });
+}
+
+app.post('/api/jobs', requireRole('trader'), validateRequest, (req, res) => {
+    try {
+        const { type, params = {} } = req.body || {};
+        const { job, proposal } = approvals.submit({ type, params, requestedBy: req.principal.name });
+
+        if (proposal) {
+            return sendProposal(res, proposal);
         }
-        
-        res.json({
-            success: true,
-            history: history.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
-        });
-        
+        console.log(`📥 Job ${job.id} queued (${job.type})`);
+        res.status(202).location(`/api/jobs/${job.id}`).json({ success: true, job });
     } catch (error) {
-        res.status(500).json({
-            success: false,
-            error: error.message
-        });
+        sendError(res, error);
     }
 });
 
-// Execute balance fetcher
-app.post('/api/execute/balance', async (req, res) => {
+app.get('/api/jobs', requireRole('viewer'), validateRequest, (req, res) => {
+    const { type, status } = req.query;
+    const list = jobs.list({ type, status });
+    res.json({ success: true, jobs: list, count: list.length });
+});
+
+app.get('/api/jobs/:id', requireRole('viewer'), validateRequest, (req, res) => {
     try {
-        console.log('💰 Executing Balance Fetcher...');
-        
-        const scriptPath = path.join(__dirname, 'scripts', 'core', 'balance-fetcher.js');
-        const child = spawn('node', [scriptPath], {
-            cwd: __dirname,
-            env: { ...process.env }
-        });
-        
-        let output = '';
-        let error = '';
-        
-        child.stdout.on('data', (data) => {
-            output += data.toString();
-            console.log(data.toString());
-        });
-        
-        child.stderr.on('data', (data) => {
-            error += data.toString();
-            console.error(data.toString());
-        });
-        
-        child.on('close', (code) => {
-            res.json({
-                success: code === 0,
-                message: code === 0 ? 'Balance check completed' : 'Balance check failed',
-                output: output,
-                error: error,
-                timestamp: new Date().toISOString()
-            });
-        });
-        
+        res.json({ success: true, job: jobs.get(req.params.id) });
     } catch (error) {
-        res.status(500).json({
-            success: false,
-            error: error.message
-        });
+        sendError(res, error);
     }
 });
 
-// Execute USDC approval
-app.post('/api/execute/approve', async (req, res) => {
+app.delete('/api/jobs/:id', requireRole('trader'), validateRequest, async (req, res) => {
     try {
-        console.log('✅ Executing USDC Approval...');
-        
-        const scriptPath = path.join(__dirname, 'scripts', 'core', 'approve-usdc.js');
-        const child = spawn('node', [scriptPath], {
-            cwd: __dirname,
-            env: { ...process.env }
-        });
-        
-        let output = '';
-        let error = '';
-        
-        child.stdout.on('data', (data) => {
-            output += data.toString();
-            console.log(data.toString());
-        });
-        
-        child.stderr.on('data', (data) => {
-            error += data.toString();
-            console.error(data.toString());
-        });
-        
-        child.on('close', (code) => {
-            res.json({
-                success: code === 0,
-                message: code === 0 ? 'USDC approval completed' : 'USDC approval failed',
-                output: output,
-                error: error,
-                timestamp: new Date().toISOString()
-            });
-        });
-        
+        const job = await jobs.cancel(req.params.id);
+        console.log(`🛑 Job ${job.id} cancellation requested by ${req.principal.name}`);
+        res.json({ success: true, job });
     } catch (error) {
-        res.status(500).json({
-            success: false,
-            error: error.message
-        });
+        sendError(res, error);
     }
 });
 
-// Execute Limit Order Protocol
-app.post('/api/execute/lop', async (req, res) => {
+app.patch('/api/jobs/:id', requireRole('trader'), validateRequest, async (req, res) => {
     try {
-        console.log('🎯 Executing Limit Order Protocol...');
-        
-        const scriptPath = path.join(__dirname, 'scripts', 'core', 'limit-order-protocol.js');
-        const child = spawn('node', [scriptPath], {
-            cwd: __dirname,
-            env: { ...process.env }
-        });
-        
-        let output = '';
-        let error = '';
-        
-        child.stdout.on('data', (data) => {
-            output += data.toString();
-            console.log(data.toString());
-        });
-        
-        child.stderr.on('data', (data) => {
-            error += data.toString();
-            console.error(data.toString());
-        });
-        
-        child.on('close', (code) => {
-            res.json({
-                success: code === 0,
-                message: code === 0 ? 'Limit order created' : 'Limit order failed',
-                output: output,
-                error: error,
-                timestamp: new Date().toISOString()
-            });
-        });
-        
+        const job = await jobs.amend(req.params.id, req.body || {});
+        console.log(`✏️ Job ${job.id} amended by ${req.principal.name}`);
+        res.json({ success: true, job });
     } catch (error) {
-        res.status(500).json({
-            success: false,
-            error: error.message
-        });
+        sendError(res, error);
     }
 });
 
-// Execute Monitor
-app.post('/api/execute/monitor', async (req, res) => {
+app.post('/api/jobs/:id/pause', requireRole('trader'), validateRequest, async (req, res) => {
     try {
-        console.log('📊 Starting Transaction Monitor...');
-        
-        const scriptPath = path.join(__dirname, 'scripts', 'core', 'monitor.js');
-        const child = spawn('node', [scriptPath], {
-            cwd: __dirname,
-            env: { ...process.env }
-        });
-        
-        let output = '';
-        let error = '';
-        
-        child.stdout.on('data', (data) => {
-            output += data.toString();
-            console.log(data.toString());
-        });
-        
-        child.stderr.on('data', (data) => {
-            error += data.toString();
-            console.error(data.toString());
+        const job = await jobs.pause(req.params.id, req.body || {});
+        console.log(`⏸️ Job ${job.id} paused by ${req.principal.name}`);
+        res.json({ success: true, job });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+app.post('/api/jobs/:id/resume', requireRole('trader'), validateRequest, async (req, res) => {
+    try {
+        const job = await jobs.resume(req.params.id);
+        console.log(`▶️ Job ${job.id} resumed by ${req.principal.name}`);
+        res.json({ success: true, job });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// Dashboard buttons post to /api/execute/<name> without a body and get these
+// presets, the amounts the old scripts used; POST /api/jobs takes parameters
+const EXECUTE_ROUTES = {
+    twap: { type: 'twap', defaults: { amount: '0.1', slices: 2 } },
+    'lop-twap': { type: 'lop-twap', defaults: { amount: '0.1' } },
+    lop: {
+        type: 'limit-order',
+        defaults: { makerToken: 'WMATIC', takerToken: 'USDT', makingAmount: '0.002', takingAmount: '0.004', expiresInSeconds: 120 }
+    },
+    swap: { type: 'swap', defaults: { fromToken: 'USDC', toToken: 'WMATIC', amount: '0.1' } },
+    fusion: { type: 'fusion', defaults: { fromToken: 'USDC', toToken: 'WMATIC', amount: '0.1' } },
+    approve: { type: 'approve', defaults: { token: 'USDC', amount: '1' } },
+    balance: { type: 'balance', defaults: {} }
+};
+
+app.post('/api/execute/:name', requireRole('trader'), validateRequest, (req, res) => {
+    const route = EXECUTE_ROUTES[req.params.name];
+    if (!route) {
+        return res.status(404).json({ success: false, error: `Unknown operation: ${req.params.name}` });
+    }
+
+    try {
+        const { job, proposal } = approvals.submit({
+            type: route.type,
+            params: route.defaults,
+            requestedBy: req.principal.name
         });
-        
-        child.on('close', (code) => {
-            res.json({
-                success: code === 0,
-                message: code === 0 ? 'Monitor started' : 'Monitor failed',
-                output: output,
-                error: error,
-                timestamp: new Date().toISOString()
-            });
+
+        if (proposal) {
+            return sendProposal(res, proposal);
+        }
+        res.status(202).location(`/api/jobs/${job.id}`).json({
+            success: true,
+            message: `${route.type} job queued`,
+            jobId: job.id,
+            job
         });
-        
     } catch (error) {
-        res.status(500).json({
-            success: false,
-            error: error.message
-        });
+        sendError(res, error);
     }
 });
 
+// Proposals: operations held for N-of-M approval
+app.get('/api/proposals', requireRole('viewer'), validateRequest, (req, res) => {
+    const list = approvals.list({ status: req.query.status });
+    res.json({ success: true, proposals: list, count: list.length, policy: approvals.policy });
+});
+
+app.get('/api/proposals/:id', requireRole('viewer'), validateRequest, (req, res) => {
+    try {
+        res.json({ success: true, proposal: approvals.get(req.params.id) });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+app.post('/api/proposals/:id/approve', requireRole('approver'), validateRequest, (req, res) => {
+    try {
+        const proposal = approvals.approve(req.params.id, req.principal, req.body?.comment);
+        res.json({ success: true, proposal });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+app.post('/api/proposals/:id/reject', requireRole('approver'), validateRequest, (req, res) => {
+    try {
+        const proposal = approvals.reject(req.params.id, req.principal, req.body?.comment);
+        console.log(`🚫 Proposal ${proposal.id} rejected by ${req.principal.name}`);
+        res.json({ success: true, proposal });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+app.delete('/api/proposals/:id', requireRole('trader'), validateRequest, (req, res) => {
+    try {
+        res.json({ success: true, proposal: approvals.cancel(req.params.id, req.principal) });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+app.get('/api/approvals/audit', requireRole('approver'), validateRequest, (req, res) => {
+    const { proposalId, limit } = req.query;
+    const entries = approvals.auditTrail({ proposalId, limit: limit ? parseInt(limit, 10) : undefined });
+    res.json({ success: true, entries, count: entries.length });
+});
+
+// Server-Sent Events; EventSource cannot set headers, so this route also takes ?token=
+function tokenFromQuery(req, res, next) {
+    if (req.query.token && !req.headers.authorization) {
+        req.headers.authorization = `Bearer ${req.query.token}`;
+    }
+    next();
+}
+
+app.get('/api/events', tokenFromQuery, requireRole('viewer'), validateRequest, events.sseHandler());
+
 // List available working scripts
-app.get('/api/scripts', (req, res) => {
+app.get('/api/scripts', requireRole('admin'), (req, res) => {
     try {
         const scriptsDir = path.join(__dirname, 'scripts');
         const scripts = fs.readdirSync(scriptsDir)
@@ -448,21 +541,52 @@ app.get('/api/scripts', (req, res) => {
 
 const PORT = process.env.PORT || 3001;
 
-app.listen(PORT, () => {
-    console.log('🚀 FEAWS Real Backend Started');
+async function start() {
+    // TWAPs that were executing when the server stopped carry on before any
+    // request can start new ones (a demo run starts with an empty journal)
+    for (const twapOrder of await getEngine('twap').recoverTWAPs()) {
+        // Back under a job, so they can be paused, amended and cancelled over the API
+        try {
+            const { params, meta } = recoveredTWAPJob(twapOrder);
+            const job = jobs.create('twap', params, meta);
+            console.log(`♻️ TWAP ${twapOrder.id} resumed as job ${job.id}`);
+        } catch (error) {
+            console.warn(`⚠️ Recovered TWAP ${twapOrder.id} runs without a job: ${error.message}`);
+        }
+    }
+    await new Promise(resolve => server.listen(PORT, resolve));
+}
+
+start().then(() => {
+    console.log(`🚀 FEAWS Backend Started (${MODE} mode)`);
     console.log(`📡 Server: http://localhost:${PORT}`);
     console.log('');
-    console.log('🔗 Available Endpoints:');
-    console.log('   GET  /health              - Server health');
-    console.log('   GET  /api/balances        - Real wallet balances');
-    console.log('   POST /api/execute/balance - Execute balance fetcher');
-    console.log('   POST /api/execute/approve - Execute USDC approval');
-    console.log('   POST /api/execute/twap    - Execute real TWAP');
-    console.log('   POST /api/execute/lop     - Execute limit order protocol');
-    console.log('   POST /api/execute/lop-twap - Execute real LOP TWAP');
-    console.log('   POST /api/execute/monitor - Execute transaction monitor');
-    console.log('   GET  /api/history         - Execution history');
+    console.log('🔗 Available Endpoints (API key or session token required except /health and /api/auth/session):');
+    console.log('   POST /api/auth/session    - Exchange an API key for a session token');
+    console.log('   GET  /api/auth/me         - Current principal and roles');
+    console.log('   GET|POST /api/auth/keys   - List or create API keys (admin)');
+    console.log('   DELETE /api/auth/keys/:id - Revoke an API key (admin)');
+    console.log('   GET  /health              - Server health and mode');
+    console.log('   GET  /api/openapi.json    - OpenAPI 3.1 document for this API');
+    console.log(`   GET  /api/balances        - ${simulated ? 'Simulated' : 'Real'} wallet balances`);
+    console.log('   GET  /api/prices          - USD token prices (1inch, Chainlink fallback)');
+    console.log('   GET  /api/real-stats      - Execution totals from stored proofs');
+    console.log('   POST /api/jobs            - Start a job (twap, lop-twap, limit-order, swap, fusion, approve, balance)');
+    console.log('   GET  /api/jobs            - List jobs (?type=&status=)');
+    console.log('   GET  /api/jobs/:id        - Job status, progress and result');
+    console.log('   DELETE /api/jobs/:id      - Cancel a job');
+    console.log('   POST /api/execute/:name   - Start a job with dashboard defaults');
+    console.log('   GET  /api/proposals       - Operations waiting for approval');
+    console.log('   GET  /api/events          - Execution events (SSE, ?jobId= for one job)');
+    console.log('   WS   socket.io            - Execution events (auth: { token, jobId? })');
+    console.log('   GET  /api/history         - Execution history (filters, pagination)');
+    console.log('   GET  /api/history/:id     - History record with its proof');
     console.log('   GET  /api/scripts         - Available scripts');
     console.log('');
-    console.log('✅ Ready for real blockchain operations!');
+    console.log(simulated
+        ? '🧪 Swaps, approvals and TWAP slices settle on the paper ledger; nothing is sent to Polygon'
+        : '✅ Ready for real blockchain operations!');
+}).catch(error => {
+    console.error('❌ Server failed to start:', error.message);
+    process.exit(1);
 });